@@ -0,0 +1,247 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+import MrvImport from './mrv-import.js';
+import CsvImport from './csv-import.js';
+
+// Bunker delivery notes (BDNs) kept per vessel across years. A delivery records
+// the quantity in tonnes and the properties printed on the note or its lab
+// analysis: density (kg/m3 at 15 °C), sulphur (% m/m) and LCV (MJ/kg).
+// Biofuels and RFNBOs carry the ID of their proof of sustainability.
+export default class BunkerRegister {
+    static HEADERS = {
+        bdnNumber: ['bdn number', 'bdn no', 'bdn no.', 'bdn', 'bdnnumber', 'bdn_number'],
+        supplier: ['supplier', 'bunker supplier'],
+        port: ['port', 'bunkering port', 'port of delivery'],
+        date: ['date', 'delivery date', 'bunkering date'],
+        fuelType: ['fuel type', 'fuel', 'fuel grade', 'grade', 'product', 'fueltype'],
+        quantity: ['quantity (t)', 'quantity [t]', 'quantity', 'mass', 'tonnes'],
+        density: ['density (kg/m3)', 'density', 'density at 15c'],
+        sulphur: ['sulphur (% m/m)', 'sulphur', 'sulfur', 'sulphur content'],
+        lcv: ['lcv (mj/kg)', 'lcv', 'lower calorific value'],
+        certificateId: ['certificate id', 'certificateid', 'certificate', 'sustainability certificate', 'pos number', 'pos']
+    };
+
+    static REQUIRED_HEADERS = ['bdnNumber', 'supplier', 'port', 'date', 'fuelType', 'quantity'];
+
+    // ISO 8217 grade prefixes and common product names onto catalog fuels
+    static GRADES = [
+        ['ulsfo', 'VLSFO'],
+        ['vlsfo', 'VLSFO'],
+        ['rmg', 'HFO'],
+        ['rmk', 'HFO'],
+        ['ifo', 'HFO'],
+        ['hsfo', 'HFO'],
+        ['dma', 'MGO'],
+        ['dmb', 'MGO'],
+        ['dmz', 'MGO'],
+        ['fame', 'BIO_DIESEL'],
+        ['hvo', 'BIO_DIESEL'],
+        ['b100', 'BIO_DIESEL']
+    ];
+
+    static resolveFuelType(value) {
+        const fuelType = MrvImport.resolveFuelType(value);
+        if (fuelType) {
+            return fuelType;
+        }
+
+        const key = String(value || '').trim().toLowerCase();
+        const match = BunkerRegister.GRADES.find(([prefix]) => key.startsWith(prefix));
+        return match ? match[1] : null;
+    }
+
+    static getDeliveryYear(delivery) {
+        // Read from the text: a date-only ISO string parses as UTC midnight, which falls
+        // in the previous year west of UTC on 1 January
+        const match = /^(\d{4})-/.exec(String(delivery.date || ''));
+        return match ? Number(match[1]) : new Date(delivery.date).getFullYear();
+    }
+
+    static requiresCertificate(fuelType) {
+        const fuel = FUEL_CATALOG[fuelType];
+        return !!fuel && (fuel.category === 'biofuel' || fuel.category === 'rfnbo');
+    }
+
+    static validateDelivery(delivery, label = 'BDN') {
+        const errors = [];
+        const isSet = value => value !== undefined && value !== null && value !== '';
+
+        const required = { bdnNumber: 'BDN number', supplier: 'supplier', port: 'port' };
+
+        Object.entries(required).forEach(([field, name]) => {
+            if (!delivery[field] || !String(delivery[field]).trim()) {
+                errors.push(`${label}: ${name} is required`);
+            }
+        });
+
+        if (!delivery.date || isNaN(new Date(delivery.date).getTime())) {
+            errors.push(`${label}: a valid delivery date is required`);
+        }
+
+        if (!FUEL_CATALOG[delivery.fuelType]) {
+            errors.push(`${label}: unknown fuel type "${delivery.fuelType}"`);
+        }
+
+        if (!(Number(delivery.quantity) > 0)) {
+            errors.push(`${label}: quantity must be a positive number of tonnes`);
+        }
+
+        if (isSet(delivery.density) && !(Number(delivery.density) > 0)) {
+            errors.push(`${label}: density must be a positive number of kg/m3`);
+        }
+
+        if (isSet(delivery.sulphur) && !(Number(delivery.sulphur) >= 0 && Number(delivery.sulphur) <= 100)) {
+            errors.push(`${label}: sulphur content must be between 0 and 100% m/m`);
+        }
+
+        // Entered per kg as on the lab analysis; the bounds catch figures entered per gram
+        if (isSet(delivery.lcv) && !(Number(delivery.lcv) >= 1 && Number(delivery.lcv) <= 150)) {
+            errors.push(`${label}: LCV must be between 1 and 150 MJ/kg`);
+        }
+
+        if (BunkerRegister.requiresCertificate(delivery.fuelType) && !(delivery.certificateId && String(delivery.certificateId).trim())) {
+            errors.push(`${label}: sustainability certificate ID is required for biofuels and RFNBOs`);
+        }
+
+        return errors;
+    }
+
+    // Deliveries dated in the year, by date, with their position in the register
+    static getDeliveries(deliveries, year) {
+        return (deliveries || [])
+            .map((delivery, index) => ({ ...delivery, index }))
+            .filter(delivery => BunkerRegister.getDeliveryYear(delivery) === Number(year))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Fuel mix entries for the year, one per fuel type with the delivered tonnes.
+     * Where LCVs are recorded on the notes, the entry carries the mass-weighted LCV
+     * (MJ/g as in the fuel catalog), deliveries without one counting at the default.
+     */
+    static aggregateFuels(deliveries, year) {
+        const byFuel = {};
+
+        BunkerRegister.getDeliveries(deliveries, year).forEach(delivery => {
+            const quantity = Number(delivery.quantity);
+            const lcv = delivery.lcv ? Number(delivery.lcv) / 1000 : null;
+            const entry = byFuel[delivery.fuelType] || (byFuel[delivery.fuelType] = {
+                fuelType: delivery.fuelType,
+                mass: 0,
+                energy: 0,
+                measuredLcv: false,
+                bdnNumbers: [],
+                certificates: []
+            });
+
+            entry.mass += quantity;
+            entry.energy += quantity * (lcv || FUEL_CATALOG[delivery.fuelType].lcv);
+            entry.measuredLcv = entry.measuredLcv || lcv !== null;
+            entry.bdnNumbers.push(delivery.bdnNumber);
+            if (delivery.certificateId) {
+                entry.certificates.push(delivery.certificateId);
+            }
+        });
+
+        return Object.values(byFuel).map(entry => {
+            const fuel = {
+                fuelType: entry.fuelType,
+                mass: Number(entry.mass.toFixed(3)),
+                bdnNumbers: entry.bdnNumbers,
+                certificates: entry.certificates
+            };
+            if (entry.measuredLcv) {
+                fuel.lcv = Number((entry.energy / entry.mass).toFixed(6));
+            }
+            return fuel;
+        });
+    }
+
+    // Delivery from imported values; numbers may be text, optional fields may be blank
+    static normalizeDelivery(values, parseNumber = value => parseFloat(value)) {
+        const optional = value => (value === undefined || value === null || String(value).trim() === '' ? null : parseNumber(value));
+        const fuelText = String(values.fuelType || '').trim();
+        const fuelType = BunkerRegister.resolveFuelType(fuelText) || fuelText;
+
+        const delivery = {
+            bdnNumber: String(values.bdnNumber || '').trim(),
+            supplier: String(values.supplier || '').trim(),
+            port: String(values.port || '').trim(),
+            date: String(values.date || '').trim(),
+            fuelType,
+            quantity: parseNumber(values.quantity),
+            density: optional(values.density),
+            sulphur: optional(values.sulphur),
+            lcv: optional(values.lcv),
+            certificateId: String(values.certificateId || '').trim() || null
+        };
+
+        // Keep the grade as printed on the note when it was mapped onto a catalog fuel
+        if (fuelText && fuelText !== fuelType) {
+            delivery.grade = fuelText;
+        }
+        return delivery;
+    }
+
+    /**
+     * Parse a BDN file: JSON (a list of deliveries, or { deliveries: [...] }) or CSV
+     * with a header row. Entries with errors are skipped and listed in errors.
+     */
+    static parseImport(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        const deliveries = [];
+        const errors = [];
+
+        const addEntry = (delivery, label) => {
+            const entryErrors = BunkerRegister.validateDelivery(delivery, label);
+            if (entryErrors.length > 0) {
+                errors.push(entryErrors.join('; '));
+            } else {
+                deliveries.push(delivery);
+            }
+        };
+
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            const entries = Array.isArray(data) ? data : data.deliveries;
+            if (!Array.isArray(entries)) {
+                throw new Error('JSON file must contain a list of deliveries');
+            }
+
+            entries.forEach((entry, index) => addEntry(BunkerRegister.normalizeDelivery(entry), `Entry ${index + 1}`));
+            return { deliveries, errors };
+        }
+
+        const parsed = CsvImport.parse(trimmed);
+        if (parsed.rows.length === 0) {
+            throw new Error('BDN file must contain a header row and at least one data row');
+        }
+
+        const delimiter = parsed.delimiter;
+        const headers = parsed.headers.map(header => header.toLowerCase());
+
+        const columns = {};
+        Object.entries(BunkerRegister.HEADERS).forEach(([field, aliases]) => {
+            const index = headers.findIndex(header => aliases.includes(header));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        });
+
+        const missing = BunkerRegister.REQUIRED_HEADERS.filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required columns: ${missing.map(field => BunkerRegister.HEADERS[field][0]).join(', ')}`);
+        }
+
+        parsed.rows.forEach(({ rowNumber, values: cells }) => {
+            const values = {};
+            Object.entries(columns).forEach(([field, column]) => {
+                values[field] = cells[column];
+            });
+
+            const delivery = BunkerRegister.normalizeDelivery(values, value => CsvImport.parseNumber(value, delimiter));
+            addEntry(delivery, `Row ${rowNumber}`);
+        });
+
+        return { deliveries, errors };
+    }
+}
@@ -0,0 +1,74 @@
+// Total regulatory carbon cost: EU ETS allowances to surrender plus the FuelEU
+// GHG intensity, RFNBO sub-target and OPS at-berth penalties
+export default class CarbonCost {
+    /**
+     * Carbon cost of one vessel from its calculateVesselCompliance result
+     */
+    static calculateVesselCost(result, euaPrice) {
+        const etsCost = result.ets.allowances * euaPrice;
+        const fuelEUPenalty = result.potentialPenalty + result.rfnbo.penalty + result.ops.penalty;
+
+        return {
+            vesselId: result.id,
+            name: result.name,
+            owner: result.owner,
+            etsEmissions: result.ets.coveredEmissions,
+            etsAllowances: result.ets.allowances,
+            etsCost: Number(etsCost.toFixed(2)),
+            ghgPenalty: result.potentialPenalty,
+            rfnboPenalty: result.rfnbo.penalty,
+            opsPenalty: result.ops.penalty,
+            fuelEUPenalty: Number(fuelEUPenalty.toFixed(2)),
+            totalCost: Number((etsCost + fuelEUPenalty).toFixed(2))
+        };
+    }
+
+    /**
+     * Carbon cost per vessel, per owner and for the pool. Vessel and owner figures
+     * use each ship's own GHG penalty; the pool figure uses the pooled penalty.
+     */
+    static calculatePoolCost(compliance, euaPrice) {
+        const vessels = compliance.vessels.map(result => CarbonCost.calculateVesselCost(result, euaPrice));
+
+        const owners = {};
+        vessels.forEach(vessel => {
+            if (!owners[vessel.owner]) {
+                owners[vessel.owner] = { owner: vessel.owner, vessels: 0, etsAllowances: 0, etsCost: 0, fuelEUPenalty: 0, totalCost: 0 };
+            }
+            const entry = owners[vessel.owner];
+            entry.vessels++;
+            entry.etsAllowances += vessel.etsAllowances;
+            entry.etsCost += vessel.etsCost;
+            entry.fuelEUPenalty += vessel.fuelEUPenalty;
+            entry.totalCost += vessel.totalCost;
+        });
+
+        const summary = compliance.summary;
+        const etsCost = summary.totalEtsAllowances * euaPrice;
+        const fuelEUPenalty = summary.poolPotentialPenalty + summary.poolRfnbo.penalty + summary.totalOpsPenalty;
+
+        return {
+            year: summary.complianceYear,
+            euaPrice,
+            vessels,
+            owners: Object.values(owners).map(entry => ({
+                owner: entry.owner,
+                vessels: entry.vessels,
+                etsAllowances: Number(entry.etsAllowances.toFixed(2)),
+                etsCost: Number(entry.etsCost.toFixed(2)),
+                fuelEUPenalty: Number(entry.fuelEUPenalty.toFixed(2)),
+                totalCost: Number(entry.totalCost.toFixed(2))
+            })).sort((a, b) => b.totalCost - a.totalCost),
+            pool: {
+                etsEmissions: summary.totalEtsEmissions,
+                etsAllowances: summary.totalEtsAllowances,
+                etsCost: Number(etsCost.toFixed(2)),
+                ghgPenalty: summary.poolPotentialPenalty,
+                rfnboPenalty: summary.poolRfnbo.penalty,
+                opsPenalty: summary.totalOpsPenalty,
+                fuelEUPenalty: Number(fuelEUPenalty.toFixed(2)),
+                totalCost: Number((etsCost + fuelEUPenalty).toFixed(2))
+            }
+        };
+    }
+}
@@ -1,33 +1,297 @@
+import { FUEL_CATALOG, FUEL_CONSUMERS, GWP100 } from './data/fuel-catalog.js';
+import RegulationManager from './core/regulationManager.js';
+import PenaltyHistory from './core/penaltyHistory.js';
+import BankingLedger from './core/bankingLedger.js';
+import PenaltyEngine from './penalty-engine.js';
+import VoyageScope from './voyage-scope.js';
+import OpsObligation from './ops-obligation.js';
+import BunkerRegister from './bunker-register.js';
+
 export default class ComplianceCalculator {
-    constructor() {
-        // Official FuelEU Maritime reduction targets
-        this.complianceTargets = {
-            2025: 0.02,   // 2% reduction
-            2026: 0.02,   // 2% reduction
-            2027: 0.02,  // 2% reduction (first major step)
-            2028: 0.02,  // 2% reduction (maintained)
-            2029: 0.02,  // 2% reduction (maintained)
-            2030: 0.06,   // 6% reduction (final target)
-            2031: 0.06,   // 6% reduction (post-2030)
-            2032: 0.06    // 6% reduction (post-2030)
-        };
+    // Fields a per-year record replaces on the vessel
+    static YEAR_DATA_FIELDS = ['fuelConsumption', 'ghgIntensity', 'fuels', 'voyages', 'voyageCount', 'verificationStatus', 'uncertainty'];
+
+    constructor(regulationManager = new RegulationManager(), penaltyHistory = new PenaltyHistory(), bankingLedger = new BankingLedger()) {
+        this.regulationManager = regulationManager;
+        this.penaltyHistory = penaltyHistory;
+        this.bankingLedger = bankingLedger;
+        this.loadRegulationProfile();
+    }
+
+    /**
+     * Load targets, penalties and flexibility limits from a regulation profile
+     */
+    loadRegulationProfile(version = null) {
+        const profile = version
+            ? this.regulationManager.getProfile(version)
+            : this.regulationManager.getActiveProfile();
+
+        if (!profile) {
+            throw new Error(`Regulation profile version ${version} does not exist`);
+        }
+
+        this.regulationProfile = profile;
+
+        // Reduction targets per year, expanded from the profile trajectory
+        this.complianceTargets = RegulationManager.expandTrajectory(profile);
 
         // FuelEU Maritime baseline GHG intensity
-        this.referenceGHGIntensity = 91.16; // gCO2e/MJ baseline
-
-        // Penalty rates (EUR per tonne CO2eq deficit)
-        this.penaltyRates = {
-            2025: 640,  // EUR per tonne CO2eq deficit
-            2026: 640,
-            2027: 640,
-            2028: 640,
-            2029: 640,
-            2030: 640
+        this.referenceGHGIntensity = profile.referenceGHGIntensity; // gCO2e/MJ baseline
+
+        // Penalty formula parameters (VLSFO-equivalent with repeat-offender escalation)
+        this.penaltyEngine = new PenaltyEngine(profile);
+
+        // Banking and borrowing limits (share of the energy-based limit)
+        this.bankingLimit = profile.bankingLimit;
+        this.borrowingLimit = profile.borrowingLimit;
+        this.borrowingRepaymentMultiplier = profile.borrowingRepaymentMultiplier;
+
+        // Intra-EU, extra-EU and at-berth scope rules for voyage records
+        this.voyageScope = new VoyageScope(profile);
+
+        // RFNBO reward factor and sub-target
+        this.rfnboRewardFactor = profile.rfnboRewardFactor;
+        this.rfnboRewardLastYear = profile.rfnboRewardLastYear;
+        this.rfnboSubTarget = profile.rfnboSubTarget;
+        this.rfnboSubTargetFromYear = profile.rfnboSubTargetFromYear;
+        this.rfnboPenaltyEurPerTonneVlsfo = profile.rfnboPenaltyEurPerTonneVlsfo;
+
+        // Wind-assisted propulsion reward factors by wind to main engine power ratio
+        this.windRewardFactors = profile.windRewardFactors;
+
+        // Zero-emission at-berth (OPS) obligation for port calls
+        this.opsObligation = new OpsObligation(profile);
+
+        // EU ETS surrender phase-in and greenhouse gases covered
+        this.etsPhaseIn = profile.etsPhaseIn;
+        this.etsNonCO2FromYear = profile.etsNonCO2FromYear;
+
+        return profile;
+    }
+
+    /**
+     * Resolve a fuel entry against the default fuel catalog
+     */
+    resolveFuel(fuel) {
+        const defaults = FUEL_CATALOG[fuel.fuelType] || {};
+        const pick = (field) => (typeof fuel[field] === 'number' && !isNaN(fuel[field]) ? fuel[field] : defaults[field]);
+        // Catalog fossil fuels stay fossil whatever category the entry carries
+        const category = defaults.category === 'fossil' ? 'fossil' : (fuel.category || defaults.category || 'fossil');
+
+        const resolved = {
+            fuelType: fuel.fuelType,
+            name: fuel.name || defaults.name || fuel.fuelType,
+            category,
+            rfnbo: category === 'rfnbo',
+            mass: Number(fuel.mass) || 0, // tonnes
+            lcv: pick('lcv'),
+            wtt: pick('wtt'),
+            cfCO2: pick('cfCO2'),
+            cfCH4: pick('cfCH4') || 0,
+            cfN2O: pick('cfN2O') || 0,
+            consumer: null,
+            slip: 0 // % of fuel mass
+        };
+
+        // Methane slip of the consumer burning a gas fuel (custom fuels opt in by naming a consumer);
+        // a numeric slip on the entry overrides the consumer's default
+        if (defaults.methaneSlip || fuel.consumer) {
+            resolved.consumer = fuel.consumer || defaults.defaultConsumer;
+            if (!FUEL_CONSUMERS[resolved.consumer]) {
+                throw new Error(`Unknown fuel consumer "${resolved.consumer}" for fuel "${fuel.fuelType}"`);
+            }
+            resolved.slip = typeof fuel.slip === 'number' && !isNaN(fuel.slip) ? fuel.slip : FUEL_CONSUMERS[resolved.consumer].slip;
+        }
+
+        if (!resolved.lcv || resolved.wtt === undefined || resolved.cfCO2 === undefined) {
+            throw new Error(`Missing emission factors for fuel "${fuel.fuelType}"`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * RFNBO reward factor applying to the intensity of the given year
+     */
+    getRfnboRewardFactor(year) {
+        return year && year <= this.rfnboRewardLastYear ? this.rfnboRewardFactor : 1;
+    }
+
+    /**
+     * Wind-assisted propulsion reward of a vessel from its installed wind propulsion
+     * power and main engine power (kW). Below the first ratio step the factor is 1.
+     */
+    getWindReward(vessel) {
+        const windPower = Number(vessel.windPropulsionPower) || 0;
+        const mainEnginePower = Number(vessel.mainEnginePower) || 0;
+        const ratio = windPower > 0 && mainEnginePower > 0 ? windPower / mainEnginePower : 0;
+
+        const step = Object.keys(this.windRewardFactors || {})
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(stepRatio => ratio >= stepRatio)
+            .pop();
+
+        return {
+            windPropulsionPower: windPower,
+            mainEnginePower,
+            ratio: Number(ratio.toFixed(4)),
+            factor: step !== undefined ? this.windRewardFactors[step] : 1
         };
+    }
+
+    /**
+     * Calculate well-to-wake GHG intensity and energy from a fuel mix. Until the
+     * end of the reward period RFNBO energy counts with the reward factor in the
+     * intensity denominator; the energy used is unchanged.
+     */
+    calculateFuelMix(fuels, year = null) {
+        const rewardFactor = this.getRfnboRewardFactor(year);
+        let totalEnergy = 0; // MJ
+        let rewardedEnergy = 0; // MJ, RFNBO energy multiplied by the reward factor
+        let rfnboEnergy = 0; // MJ
+        let wttEmissions = 0; // gCO2e
+        let ttwEmissions = 0; // gCO2e
+        const ttwByGas = { co2: 0, ch4: 0, ch4Slip: 0, n2o: 0 }; // gCO2e
+
+        const fuelResults = fuels.map(fuel => {
+            const resolved = this.resolveFuel(fuel);
+            const massGrams = resolved.mass * 1000000;
+            const energy = massGrams * resolved.lcv;
+
+            // Slipped fuel leaves the consumer unburnt as methane
+            const slipShare = resolved.slip / 100;
+            const gases = {
+                co2: massGrams * (1 - slipShare) * resolved.cfCO2 * GWP100.CO2,
+                ch4: massGrams * (1 - slipShare) * resolved.cfCH4 * GWP100.CH4,
+                ch4Slip: massGrams * slipShare * GWP100.CH4,
+                n2o: massGrams * (1 - slipShare) * resolved.cfN2O * GWP100.N2O
+            };
+            Object.keys(ttwByGas).forEach(gas => { ttwByGas[gas] += gases[gas]; });
+
+            const fuelWtt = energy * resolved.wtt;
+            const fuelTtw = gases.co2 + gases.ch4 + gases.ch4Slip + gases.n2o;
+
+            totalEnergy += energy;
+            rewardedEnergy += resolved.rfnbo ? energy * rewardFactor : energy;
+            if (resolved.rfnbo) {
+                rfnboEnergy += energy;
+            }
+            wttEmissions += fuelWtt;
+            ttwEmissions += fuelTtw;
+
+            return { ...resolved, energy, wttEmissions: fuelWtt, ttwEmissions: fuelTtw };
+        });
+
+        if (totalEnergy <= 0) {
+            throw new Error('Fuel mix must contain a positive fuel quantity');
+        }
 
-        // Banking and borrowing limits
-        this.bankingLimit = 0.05; // 5% of annual fuel consumption
-        this.borrowingLimit = 0.05; // 5% of annual fuel consumption
+        const wttIntensity = wttEmissions / rewardedEnergy;
+        const ttwIntensity = ttwEmissions / rewardedEnergy;
+
+        return {
+            totalEnergy: Number(totalEnergy.toFixed(0)),
+            rfnboEnergy: Number(rfnboEnergy.toFixed(0)),
+            rfnboShare: Number((rfnboEnergy / totalEnergy).toFixed(4)),
+            rfnboRewardFactor: rewardFactor,
+            wttIntensity: Number(wttIntensity.toFixed(3)),
+            ttwIntensity: Number(ttwIntensity.toFixed(3)),
+            // TtW intensity by gas (gCO2e/MJ), summing to ttwIntensity
+            ttwBreakdown: {
+                co2: Number((ttwByGas.co2 / rewardedEnergy).toFixed(3)),
+                ch4: Number((ttwByGas.ch4 / rewardedEnergy).toFixed(3)),
+                ch4Slip: Number((ttwByGas.ch4Slip / rewardedEnergy).toFixed(3)),
+                n2o: Number((ttwByGas.n2o / rewardedEnergy).toFixed(3))
+            },
+            // TtW emissions by gas (tCO2e), without any reward factor
+            ttwEmissions: {
+                co2: Number((ttwByGas.co2 / 1000000).toFixed(3)),
+                ch4: Number(((ttwByGas.ch4 + ttwByGas.ch4Slip) / 1000000).toFixed(3)),
+                n2o: Number((ttwByGas.n2o / 1000000).toFixed(3))
+            },
+            ghgIntensity: Number((wttIntensity + ttwIntensity).toFixed(3)),
+            fuels: fuelResults.map(fuel => ({
+                fuelType: fuel.fuelType,
+                name: fuel.name,
+                category: fuel.category,
+                rfnbo: fuel.rfnbo,
+                consumer: fuel.consumer,
+                slip: fuel.slip,
+                mass: fuel.mass,
+                energy: Number(fuel.energy.toFixed(0)),
+                energyShare: Number(((fuel.energy / totalEnergy) * 100).toFixed(2)),
+                ghgIntensity: Number(((fuel.wttEmissions + fuel.ttwEmissions) / fuel.energy).toFixed(3))
+            }))
+        };
+    }
+
+    /**
+     * Resolve the energy (MJ) and GHG intensity used for a vessel.
+     * A positive ghgIntensity on the vessel is treated as a manual override
+     * of the intensity derived from its fuel mix. With voyage records, the
+     * energy is the in-scope energy derived from the voyages. The wind-assisted
+     * propulsion reward factor applies to either intensity.
+     */
+    resolveVesselInputs(vessel, year) {
+        const hasFuelMix = Array.isArray(vessel.fuels) && vessel.fuels.length > 0;
+        const fuelMix = hasFuelMix ? this.calculateFuelMix(vessel.fuels, year) : null;
+        const hasManualIntensity = typeof vessel.ghgIntensity === 'number' && vessel.ghgIntensity > 0;
+        const voyageScope = ComplianceCalculator.hasVoyages(vessel)
+            ? this.voyageScope.calculateScope(vessel.voyages, year)
+            : null;
+
+        // A year without any figures, e.g. before an imported vessel's first report, counts as no activity
+        const reportedEnergy = fuelMix ? fuelMix.totalEnergy : vessel.fuelConsumption || 0;
+        const unrewardedIntensity = hasManualIntensity || !fuelMix ? vessel.ghgIntensity || 0 : fuelMix.ghgIntensity;
+        const windReward = this.getWindReward(vessel);
+
+        return {
+            energy: voyageScope ? voyageScope.inScopeEnergy : reportedEnergy,
+            ghgIntensity: windReward.factor < 1 ? Number((unrewardedIntensity * windReward.factor).toFixed(3)) : unrewardedIntensity,
+            unrewardedIntensity,
+            intensitySource: hasManualIntensity || !fuelMix ? 'manual' : 'fuel-mix',
+            energySource: voyageScope ? 'voyages' : 'manual',
+            fuelMix,
+            voyageScope,
+            windReward
+        };
+    }
+
+    static hasVoyages(vessel) {
+        return Array.isArray(vessel.voyages) && vessel.voyages.length > 0;
+    }
+
+    /**
+     * Operational data of a vessel for a reporting year. A record in
+     * vessel.yearlyData replaces the vessel's default energy, intensity and fuels.
+     * Without a fuel mix, bunker delivery notes dated in the year provide it.
+     */
+    resolveVesselYear(vessel, year) {
+        const record = vessel.yearlyData && vessel.yearlyData[year];
+        if (!record) {
+            return this.applyBunkerDeliveries({ ...vessel, dataYear: null }, year);
+        }
+
+        const resolved = { ...vessel };
+        ComplianceCalculator.YEAR_DATA_FIELDS.forEach(field => delete resolved[field]);
+
+        return this.applyBunkerDeliveries({ ...resolved, ...record, dataYear: year }, year);
+    }
+
+    /**
+     * Fuel mix from the year's BDN quantities for vessel data without fuels of its own.
+     * The delivered fuels replace the single energy and intensity figures, so the
+     * intensity is derived from them rather than kept as a manual override.
+     */
+    applyBunkerDeliveries(data, year) {
+        const hasFuelMix = Array.isArray(data.fuels) && data.fuels.length > 0;
+        const fuels = hasFuelMix ? [] : BunkerRegister.aggregateFuels(data.bunkerDeliveries, year);
+        if (fuels.length === 0) {
+            return data;
+        }
+
+        return { ...data, fuels, ghgIntensity: null, fuelSource: 'bdn' };
     }
 
     /**
@@ -38,15 +302,23 @@ export default class ComplianceCalculator {
             throw new Error(`Invalid compliance year: ${year}`);
         }
 
+        vessel = this.resolveVesselYear(vessel, year);
+
         const target = this.complianceTargets[year];
         const targetIntensity = this.referenceGHGIntensity * (1 - target);
+        const { energy, ghgIntensity, unrewardedIntensity, intensitySource, energySource, fuelMix, voyageScope, windReward } = this.resolveVesselInputs(vessel, year);
 
         // Calculate deviation
-        const deviation = targetIntensity - vessel.ghgIntensity;
+        const deviation = targetIntensity - ghgIntensity;
         const deviationPercent = (deviation / targetIntensity) * 100;
 
         // NEW: Calculate compliance balance in tCO2eq (negative = deficit, positive = surplus)
-        const complianceBalance = (deviation * vessel.fuelConsumption) / 1000000; // tCO2eq
+        const attainedBalance = (deviation * energy) / 1000000; // tCO2eq
+
+        // Apply surplus banked or advances repaid from the previous period, and this period's
+        // banking/borrowing recorded in the ledger
+        const flexibility = this.getLedgerAdjustments(vessel, year);
+        const complianceBalance = attainedBalance + flexibility.carriedIn + flexibility.borrowed - flexibility.banked;
 
         // Simplified two-level compliance determination
         // Negative = deficit (non-compliant), Zero/Positive = surplus (compliant)
@@ -58,18 +330,34 @@ export default class ComplianceCalculator {
         }
 
         // Calculate energy deficit/surplus (MJ) - keep for reference
-        const energyDeficit = Math.max(0, deviation * vessel.fuelConsumption);
-        const energySurplus = Math.max(0, -deviation * vessel.fuelConsumption);
+        const energyDeficit = Math.max(0, deviation * energy);
+        const energySurplus = Math.max(0, -deviation * energy);
+
+        // Penalty only applies when CB < 0 (deficit/non-compliant), escalated for
+        // each consecutive deficit period recorded before this year
+        const previousDeficits = vessel.id !== undefined
+            ? this.penaltyHistory.getConsecutiveDeficitYears(vessel.id, year)
+            : 0;
+        const penaltyBreakdown = this.penaltyEngine.calculatePenalty(complianceBalance, ghgIntensity, previousDeficits);
 
-        // Penalty = 640 EUR per tonne of CO2eq deficit
-        // Calculate potential penalty based on negative compliance balance (deficit only)
-        // Penalty only applies when CB < 0 (deficit/non-compliant)
-        const penaltyRate = this.penaltyRates[year] || this.penaltyRates[2030];
-        const potentialPenalty = complianceBalance < 0 ? Math.abs(complianceBalance) * penaltyRate / 1000000 : 0; // Convert to EUR millions
+        // RFNBO energy in scope, assuming voyages use the year's fuel mix
+        const rfnboEnergy = fuelMix ? (fuelMix.rfnboEnergy * energy) / fuelMix.totalEnergy : 0;
+        const rfnbo = this.evaluateRfnboSubTarget(rfnboEnergy, energy, year);
+        const ets = this.calculateEtsEmissions(fuelMix, energy, unrewardedIntensity, year);
 
         return {
             ...vessel,
+            fuelConsumption: energy,
+            ghgIntensity,
+            unrewardedIntensity,
+            intensitySource,
+            energySource,
+            fuelMix,
+            voyageScope,
+            windReward,
+            voyageCount: voyageScope ? vessel.voyages.length : vessel.voyageCount,
             complianceYear: year,
+            regulationVersion: this.regulationProfile.version,
             targetIntensity: Number(targetIntensity.toFixed(2)),
             deviation: Number(deviation.toFixed(3)),
             deviationPercent: Number(deviationPercent.toFixed(2)),
@@ -79,11 +367,122 @@ export default class ComplianceCalculator {
             energySurplus: Number(energySurplus.toFixed(0)),
 
             // NEW: Compliance balance (tCO2eq) - negative = surplus, positive = deficit
+            attainedComplianceBalance: Number(attainedBalance.toFixed(2)),
             complianceBalance: Number(complianceBalance.toFixed(2)),
+            flexibility,
 
-            potentialPenalty: Number(potentialPenalty.toFixed(2)),
+            potentialPenalty: penaltyBreakdown.penalty, // EUR
+            penaltyBreakdown,
+            rfnbo,
+            ops: this.opsObligation.evaluate(vessel, year),
+            ets,
             status,
-            complianceScore: this.calculateComplianceScore(vessel.ghgIntensity, targetIntensity)
+            complianceScore: this.calculateComplianceScore(ghgIntensity, targetIntensity)
+        };
+    }
+
+    /**
+     * Share of the year's emissions to surrender EU ETS allowances for
+     */
+    getEtsPhaseIn(year) {
+        const step = Object.keys(this.etsPhaseIn || {})
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(stepYear => stepYear <= year)
+            .pop();
+
+        return step !== undefined ? this.etsPhaseIn[step] : 0;
+    }
+
+    /**
+     * EU ETS emissions (tCO2e) of the in-scope energy, from the same fuel data as
+     * the GHG intensity. ETS covers tank-to-wake emissions only; without a fuel mix
+     * they are estimated from the reported intensity with the VLSFO TtW share.
+     */
+    calculateEtsEmissions(fuelMix, energy, ghgIntensity, year) {
+        let gases;
+        let source;
+
+        if (fuelMix) {
+            // Scale the fuel mix emissions to the in-scope energy, as for RFNBO energy
+            const scope = energy / fuelMix.totalEnergy;
+            gases = {
+                co2: fuelMix.ttwEmissions.co2 * scope,
+                ch4: fuelMix.ttwEmissions.ch4 * scope,
+                n2o: fuelMix.ttwEmissions.n2o * scope
+            };
+            source = 'fuel-mix';
+        } else {
+            const vlsfo = FUEL_CATALOG.VLSFO;
+            const vlsfoGases = {
+                co2: vlsfo.cfCO2 * GWP100.CO2,
+                ch4: vlsfo.cfCH4 * GWP100.CH4,
+                n2o: vlsfo.cfN2O * GWP100.N2O
+            };
+            const vlsfoTtw = vlsfoGases.co2 + vlsfoGases.ch4 + vlsfoGases.n2o; // gCO2e/g fuel
+            const ttwEmissions = (energy * ghgIntensity * (vlsfoTtw / vlsfo.lcv)) / (vlsfo.wtt + vlsfoTtw / vlsfo.lcv) / 1000000;
+
+            gases = {
+                co2: ttwEmissions * (vlsfoGases.co2 / vlsfoTtw),
+                ch4: ttwEmissions * (vlsfoGases.ch4 / vlsfoTtw),
+                n2o: ttwEmissions * (vlsfoGases.n2o / vlsfoTtw)
+            };
+            source = 'intensity-estimate';
+        }
+
+        const nonCO2Covered = year >= this.etsNonCO2FromYear;
+        const covered = gases.co2 + (nonCO2Covered ? gases.ch4 + gases.n2o : 0);
+        const phaseIn = this.getEtsPhaseIn(year);
+
+        return {
+            co2: Number(gases.co2.toFixed(2)),
+            ch4: Number(gases.ch4.toFixed(2)),
+            n2o: Number(gases.n2o.toFixed(2)),
+            nonCO2Covered,
+            coveredEmissions: Number(covered.toFixed(2)),
+            phaseIn,
+            allowances: Number((covered * phaseIn).toFixed(2)), // EUAs to surrender
+            source
+        };
+    }
+
+    /**
+     * RFNBO share of the energy used (MJ) and the penalty for missing the
+     * sub-target once it applies. The sub-target has its own penalty, separate
+     * from the compliance balance penalty.
+     */
+    evaluateRfnboSubTarget(rfnboEnergy, energy, year) {
+        const applies = year >= this.rfnboSubTargetFromYear;
+        const share = energy > 0 ? rfnboEnergy / energy : 0;
+        const shortfallEnergy = applies ? Math.max(0, this.rfnboSubTarget * energy - rfnboEnergy) : 0;
+        const penalty = (shortfallEnergy / this.regulationProfile.vlsfoEnergyPerTonne) * this.rfnboPenaltyEurPerTonneVlsfo;
+
+        return {
+            energy: Number(rfnboEnergy.toFixed(0)),
+            share: Number((share * 100).toFixed(2)), // %
+            rewardFactor: this.getRfnboRewardFactor(year),
+            subTarget: Number((this.rfnboSubTarget * 100).toFixed(2)), // %
+            subTargetFromYear: this.rfnboSubTargetFromYear,
+            applies,
+            met: shortfallEnergy <= 0,
+            shortfallEnergy: Number(shortfallEnergy.toFixed(0)),
+            penalty: Number(penalty.toFixed(2)) // EUR
+        };
+    }
+
+    /**
+     * Banking and borrowing ledger amounts (tCO2eq) affecting a vessel's balance for a year
+     */
+    getLedgerAdjustments(vessel, year) {
+        if (vessel.id === undefined) {
+            return { carriedIn: 0, banked: 0, borrowed: 0 };
+        }
+
+        const entry = this.bankingLedger.getEntry(vessel.id, year);
+        return {
+            carriedIn: this.bankingLedger.getCarryIn(vessel.id, year),
+            banked: entry.banked,
+            borrowed: entry.borrowed
         };
     }
 
@@ -121,17 +520,39 @@ export default class ComplianceCalculator {
 
         let totalDeficitFromVessels = 0;
         let totalSurplusFromVessels = 0;
+        let totalCarriedIn = 0;
+        let totalBanked = 0;
+        let totalBorrowed = 0;
+        let totalRfnboEnergy = 0;
+        let totalRfnboPenalty = 0;
+        let rfnboVesselsBelowTarget = 0;
+        let totalOpsPenalty = 0;
+        let opsNonCompliantCalls = 0;
+        let totalEtsEmissions = 0;
+        let totalEtsAllowances = 0;
 
         const vesselResults = vessels.map(vessel => {
             const result = this.calculateVesselCompliance(vessel, year);
 
             // Accumulate totals
-            totalEnergyConsumption += vessel.fuelConsumption;
-            totalEmissions += vessel.fuelConsumption * vessel.ghgIntensity;
+            totalEnergyConsumption += result.fuelConsumption;
+            totalEmissions += result.fuelConsumption * result.ghgIntensity;
             totalEnergyDeficit += result.energyDeficit;
             totalEnergySurplus += result.energySurplus;
             totalComplianceBalance += result.complianceBalance;
             totalPotentialPenalty += result.potentialPenalty;
+            totalCarriedIn += result.flexibility.carriedIn;
+            totalBanked += result.flexibility.banked;
+            totalBorrowed += result.flexibility.borrowed;
+            totalRfnboEnergy += result.rfnbo.energy;
+            totalRfnboPenalty += result.rfnbo.penalty;
+            if (!result.rfnbo.met) {
+                rfnboVesselsBelowTarget++;
+            }
+            totalOpsPenalty += result.ops.penalty;
+            opsNonCompliantCalls += result.ops.nonCompliantCalls;
+            totalEtsEmissions += result.ets.coveredEmissions;
+            totalEtsAllowances += result.ets.allowances;
 
             // Separate deficit and surplus totals
             if (result.complianceBalance < 0) {
@@ -166,6 +587,18 @@ export default class ComplianceCalculator {
         // Pool compliance score
         const poolComplianceScore = this.calculateComplianceScore(poolAverageIntensity, poolTargetIntensity);
 
+        // Pool penalty applies to the net deficit at the pool average intensity, escalated
+        // by the deficit-weighted escalation of the member vessels
+        const vesselPenalties = this.penaltyEngine.summarizePenalties(vesselResults.map(result => result.penaltyBreakdown));
+        const poolBasePenalty = this.penaltyEngine.calculatePenalty(totalComplianceBalance, poolAverageIntensity);
+        const poolPenaltyBreakdown = {
+            vlsfoEquivalentTonnes: poolBasePenalty.vlsfoEquivalentTonnes,
+            basePenalty: poolBasePenalty.basePenalty,
+            escalationFactor: poolBasePenalty.basePenalty > 0 ? vesselPenalties.escalationFactor : 1,
+            penalty: Number((poolBasePenalty.basePenalty * (poolBasePenalty.basePenalty > 0 ? vesselPenalties.escalationFactor : 1)).toFixed(2)),
+            escalatedVessels: vesselPenalties.escalatedVessels
+        };
+
         return {
             vessels: vesselResults,
             summary: {
@@ -187,6 +620,11 @@ export default class ComplianceCalculator {
                 poolComplianceDeficit: Number(totalDeficitFromVessels.toFixed(2)), // Sum of vessel deficits
                 poolComplianceSurplus: Number(totalSurplusFromVessels.toFixed(2)), // Sum of vessel surpluses
 
+                // Banking and borrowing included in the balances above (tCO2eq)
+                poolCarriedIn: Number(totalCarriedIn.toFixed(2)),
+                poolBanked: Number(totalBanked.toFixed(2)),
+                poolBorrowed: Number(totalBorrowed.toFixed(2)),
+
                 // Intensity metrics
                 poolAverageIntensity: Number(poolAverageIntensity.toFixed(2)),
                 poolTargetIntensity: Number(poolTargetIntensity.toFixed(2)),
@@ -194,13 +632,29 @@ export default class ComplianceCalculator {
                 poolCompliant,
                 poolComplianceScore: Number(poolComplianceScore.toFixed(1)),
 
-                // Financial metrics
-                poolPotentialPenalty: totalComplianceBalance < 0 ? Number((Math.abs(totalComplianceBalance) * (this.penaltyRates[year] || this.penaltyRates[2030]) / 1000000).toFixed(2)) : 0,
+                // Financial metrics (EUR)
+                poolPotentialPenalty: poolPenaltyBreakdown.penalty,
+                poolPenaltyBreakdown,
                 totalPotentialPenalty: Number(totalPotentialPenalty.toFixed(2)),
+                vesselPenaltyBreakdown: vesselPenalties,
+
+                // RFNBO sub-target evaluated on the pool's combined energy, and per vessel
+                poolRfnbo: this.evaluateRfnboSubTarget(totalRfnboEnergy, totalEnergyConsumption, year),
+                totalRfnboPenalty: Number(totalRfnboPenalty.toFixed(2)),
+                rfnboVesselsBelowTarget,
+
+                // Zero-emission at-berth (OPS) obligation, separate from the GHG intensity penalty
+                totalOpsPenalty: Number(totalOpsPenalty.toFixed(2)),
+                opsNonCompliantCalls,
+
+                // EU ETS emissions covered (tCO2e) and allowances to surrender after phase-in
+                totalEtsEmissions: Number(totalEtsEmissions.toFixed(2)),
+                totalEtsAllowances: Number(totalEtsAllowances.toFixed(2)),
 
                 // Analysis year
                 complianceYear: year,
-                reductionTarget: Number((target * 100).toFixed(1))
+                reductionTarget: Number((target * 100).toFixed(1)),
+                regulationVersion: this.regulationProfile.version
             }
         };
     }
@@ -226,7 +680,18 @@ export default class ComplianceCalculator {
                 poolComplianceBalance: 0,
                 poolComplianceDeficit: 0,
                 poolComplianceSurplus: 0,
+                poolCarriedIn: 0,
+                poolBanked: 0,
+                poolBorrowed: 0,
                 poolPotentialPenalty: 0, // ADD THIS MISSING PROPERTY
+                poolRfnbo: this.evaluateRfnboSubTarget(0, 0, year),
+                totalRfnboPenalty: 0,
+                rfnboVesselsBelowTarget: 0,
+                totalOpsPenalty: 0,
+                opsNonCompliantCalls: 0,
+                totalEtsEmissions: 0,
+                totalEtsAllowances: 0,
+                poolPenaltyBreakdown: { vlsfoEquivalentTonnes: 0, basePenalty: 0, escalationFactor: 1, penalty: 0, escalatedVessels: 0 },
                 poolAverageIntensity: 0,
                 poolTargetIntensity: this.referenceGHGIntensity * (1 - target),
                 poolDeviation: 0,
@@ -235,7 +700,8 @@ export default class ComplianceCalculator {
                 totalPotentialPenalty: 0,
                 totalVesselPenalties: 0, // ADD THIS TOO
                 complianceYear: year,
-                reductionTarget: (target * 100).toFixed(1)
+                reductionTarget: (target * 100).toFixed(1),
+                regulationVersion: this.regulationProfile.version
             }
         };
     }
@@ -243,7 +709,7 @@ export default class ComplianceCalculator {
     /**
      * Calculate year-over-year compliance trend
      */
-    calculateComplianceTrend(vessels, startYear = 2025, endYear = 2030) {
+    calculateComplianceTrend(vessels, startYear = 2025, endYear = this.regulationProfile.lastYear) {
         const trendData = [];
 
         for (let year = startYear; year <= endYear; year++) {
@@ -256,7 +722,8 @@ export default class ComplianceCalculator {
                     totalPenalty: compliance.summary.totalPotentialPenalty,
                     reductionTarget: compliance.summary.reductionTarget,
                     poolAverageIntensity: compliance.summary.poolAverageIntensity,
-                    poolTargetIntensity: compliance.summary.poolTargetIntensity
+                    poolTargetIntensity: compliance.summary.poolTargetIntensity,
+                    regulationVersion: compliance.summary.regulationVersion
                 });
             }
         }
@@ -265,81 +732,82 @@ export default class ComplianceCalculator {
     }
 
     /**
-     * Suggest improvements for non-compliant vessels
+     * Calculate banking and borrowing opportunities (tCO2eq)
      */
-    suggestImprovements(vessel, year = 2025) {
+    calculateBankingBorrowing(vessel, year = 2025) {
         const compliance = this.calculateVesselCompliance(vessel, year);
+        const { carriedIn, banked, borrowed } = compliance.flexibility;
 
-        if (compliance.status === 'compliant') {
-            return {
-                status: 'compliant',
-                suggestions: ['Vessel is already compliant. Consider maintaining current fuel efficiency.']
-            };
-        }
+        // Limits are shares of the energy-based limit: target intensity x energy used
+        const energyBasedLimit = (compliance.targetIntensity * compliance.fuelConsumption) / 1000000;
+        const bankingLimit = energyBasedLimit * this.bankingLimit;
+        const borrowingLimit = energyBasedLimit * this.borrowingLimit;
 
-        const target = this.complianceTargets[year];
-        const targetIntensity = this.referenceGHGIntensity * (1 - target);
-        const requiredReduction = vessel.ghgIntensity - targetIntensity;
-        const requiredReductionPercent = (requiredReduction / vessel.ghgIntensity) * 100;
-
-        const suggestions = [];
-
-        if (requiredReductionPercent <= 5) {
-            suggestions.push('Consider operational efficiency improvements (route optimization, speed management)');
-            suggestions.push('Implement energy management systems');
-        } else if (requiredReductionPercent <= 15) {
-            suggestions.push('Consider alternative fuel blending (biofuels, e-fuels)');
-            suggestions.push('Upgrade to more efficient marine engines');
-            suggestions.push('Install energy recovery systems');
-        } else {
-            suggestions.push('Significant fuel transition required (ammonia, hydrogen, methanol)');
-            suggestions.push('Consider vessel retrofit or replacement');
-            suggestions.push('Implement comprehensive decarbonization strategy');
+        // Balance before this period's banking or borrowing
+        const openingBalance = compliance.attainedComplianceBalance + carriedIn;
+        const borrowedLastPeriod = vessel.id !== undefined && this.bankingLedger.hasBorrowedInPreviousPeriod(vessel.id, year);
+
+        // Banking capacity (for vessels with surplus)
+        let bankingCapacity = 0;
+        if (openingBalance > 0 && borrowed === 0) {
+            bankingCapacity = Math.max(0, Math.min(openingBalance, bankingLimit) - banked);
         }
 
-        suggestions.push(`Target: Reduce GHG intensity by ${requiredReductionPercent.toFixed(1)}% to ${targetIntensity.toFixed(2)} gCO2e/MJ`);
+        // Borrowing capacity (for vessels with a deficit, not in two consecutive periods)
+        let borrowingCapacity = 0;
+        if (openingBalance < 0 && banked === 0 && !borrowedLastPeriod) {
+            borrowingCapacity = Math.max(0, Math.min(Math.abs(openingBalance), borrowingLimit) - borrowed);
+        }
 
         return {
-            status: compliance.status,
-            requiredReduction: requiredReduction.toFixed(2),
-            requiredReductionPercent: requiredReductionPercent.toFixed(1),
-            targetIntensity: targetIntensity.toFixed(2),
-            suggestions
+            openingBalance: Number(openingBalance.toFixed(2)),
+            carriedIn,
+            banked,
+            borrowed,
+            borrowedLastPeriod,
+            canBank: bankingCapacity > 0,
+            bankingCapacity: Number(bankingCapacity.toFixed(2)),
+            canBorrow: borrowingCapacity > 0,
+            borrowingCapacity: Number(borrowingCapacity.toFixed(2)),
+            bankingLimit: Number(bankingLimit.toFixed(2)),
+            borrowingLimit: Number(borrowingLimit.toFixed(2)),
+            repaymentMultiplier: this.borrowingRepaymentMultiplier
         };
     }
 
     /**
-     * Calculate banking and borrowing opportunities
+     * Bank surplus (tCO2eq) for use in the next reporting period
      */
-    calculateBankingBorrowing(vessel, year = 2025) {
-        const compliance = this.calculateVesselCompliance(vessel, year);
+    bankSurplus(vessel, year, amount) {
+        if (vessel.id === undefined) {
+            throw new Error('Vessel must be saved before banking surplus');
+        }
 
-        // Banking capacity (for compliant vessels with surplus)
-        let bankingCapacity = 0;
-        if (compliance.energySurplus > 0) {
-            bankingCapacity = Math.min(
-                compliance.energySurplus,
-                vessel.fuelConsumption * this.bankingLimit
-            );
+        const flexibility = this.calculateBankingBorrowing(vessel, year);
+        if (!flexibility.canBank || amount > flexibility.bankingCapacity) {
+            throw new Error(`Cannot bank ${amount} tCO2eq in ${year}: available surplus is ${flexibility.bankingCapacity} tCO2eq`);
         }
 
-        // Borrowing capacity (for non-compliant vessels)
-        let borrowingCapacity = 0;
-        if (compliance.energyDeficit > 0) {
-            borrowingCapacity = Math.min(
-                compliance.energyDeficit,
-                vessel.fuelConsumption * this.borrowingLimit
-            );
+        return this.bankingLedger.bank(vessel.id, year, amount);
+    }
+
+    /**
+     * Borrow an advance compliance balance (tCO2eq), repaid with the multiplier next period
+     */
+    borrowAdvance(vessel, year, amount) {
+        if (vessel.id === undefined) {
+            throw new Error('Vessel must be saved before borrowing');
         }
 
-        return {
-            canBank: bankingCapacity > 0,
-            bankingCapacity: Number(bankingCapacity.toFixed(0)),
-            canBorrow: borrowingCapacity > 0,
-            borrowingCapacity: Number(borrowingCapacity.toFixed(0)),
-            bankingLimitMJ: Number((vessel.fuelConsumption * this.bankingLimit).toFixed(0)),
-            borrowingLimitMJ: Number((vessel.fuelConsumption * this.borrowingLimit).toFixed(0))
-        };
+        const flexibility = this.calculateBankingBorrowing(vessel, year);
+        if (flexibility.borrowedLastPeriod) {
+            throw new Error(`Cannot borrow in ${year}: an advance was already borrowed in ${year - 1}`);
+        }
+        if (!flexibility.canBorrow || amount > flexibility.borrowingCapacity) {
+            throw new Error(`Cannot borrow ${amount} tCO2eq in ${year}: borrowing capacity is ${flexibility.borrowingCapacity} tCO2eq`);
+        }
+
+        return this.bankingLedger.borrow(vessel.id, year, amount, this.borrowingRepaymentMultiplier);
     }
 
     /**
@@ -364,12 +832,24 @@ export default class ComplianceCalculator {
             return errors;
         }
 
-        if (!vessel.fuelConsumption || vessel.fuelConsumption <= 0) {
-            errors.push('Valid fuel consumption is required');
-        }
+        vessel = this.resolveVesselYear(vessel, year);
 
-        if (!vessel.ghgIntensity || vessel.ghgIntensity <= 0) {
-            errors.push('Valid GHG intensity is required');
+        const hasFuelMix = Array.isArray(vessel.fuels) && vessel.fuels.length > 0;
+
+        if (hasFuelMix) {
+            try {
+                this.calculateFuelMix(vessel.fuels);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        } else {
+            if (!ComplianceCalculator.hasVoyages(vessel) && (!vessel.fuelConsumption || vessel.fuelConsumption <= 0)) {
+                errors.push('Valid fuel consumption is required');
+            }
+
+            if (!vessel.ghgIntensity || vessel.ghgIntensity <= 0) {
+                errors.push('Valid GHG intensity is required');
+            }
         }
 
         if (!this.complianceTargets[year]) {
@@ -378,4 +858,4 @@ export default class ComplianceCalculator {
 
         return errors;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,240 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+import PoolAllocator from './pool-allocation.js';
+
+// Remaining deficit (tCO2eq) treated as closed
+const BALANCE_TOLERANCE = 0.01;
+
+export default class ComplianceOptimizer {
+    // Fuel families a vessel can burn without engine changes, and the drop-in fuels blended into them
+    static FUEL_FAMILIES = {
+        oil: { fuels: ['HFO', 'VLSFO', 'MGO', 'BIO_DIESEL'], blends: ['BIO_DIESEL'] },
+        gas: { fuels: ['LNG', 'BIO_LNG'], blends: ['BIO_LNG'] },
+        methanol: { fuels: ['METHANOL', 'BIO_METHANOL', 'E_METHANOL'], blends: ['BIO_METHANOL', 'E_METHANOL'] }
+    };
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    // Well-to-wake intensity of a catalog fuel burnt on its own (gCO2e/MJ)
+    getFuelIntensity(fuelType, year) {
+        return this.calculator.calculateFuelMix([{ fuelType, mass: 1 }], year).ghgIntensity;
+    }
+
+    // EUR per MJ of a catalog fuel; fuels without a price fall back to VLSFO
+    static getFuelCostPerMJ(fuelType, fuelPrices) {
+        const priced = fuelPrices[fuelType] !== undefined && FUEL_CATALOG[fuelType] ? fuelType : 'VLSFO';
+        return fuelPrices[priced] / (FUEL_CATALOG[priced].lcv * 1000000);
+    }
+
+    // EUR per MJ of the fuel a vessel burns today (VLSFO when only an intensity is reported)
+    static getCurrentFuelCost(result, fuelPrices) {
+        if (!result.fuelMix) {
+            return ComplianceOptimizer.getFuelCostPerMJ('VLSFO', fuelPrices);
+        }
+
+        return result.fuelMix.fuels.reduce((sum, fuel) =>
+            sum + ComplianceOptimizer.getFuelCostPerMJ(fuel.fuelType, fuelPrices) * fuel.energy, 0) / result.fuelMix.totalEnergy;
+    }
+
+    /**
+     * Fuels that can be blended into what a vessel burns today. Vessels reporting
+     * only an intensity have no known fuel family and take the fuels chosen for
+     * them in blendFuels (vessel id -> fuel types), or none.
+     */
+    static getBlendFuels(result, blendFuels = {}) {
+        if (!result.fuelMix) {
+            return (blendFuels[result.id] || []).filter(fuelType => FUEL_CATALOG[fuelType] && FUEL_CATALOG[fuelType].category !== 'fossil');
+        }
+
+        const burnt = result.fuelMix.fuels.map(fuel => fuel.fuelType);
+        return [...new Set(Object.values(ComplianceOptimizer.FUEL_FAMILIES)
+            .filter(family => family.fuels.some(fuelType => burnt.includes(fuelType)))
+            .flatMap(family => family.blends))];
+    }
+
+    /**
+     * Cheapest plan bringing the pool to zero deficit for the year. Pool surplus
+     * covers deficits first at no cost; the remaining deficit is closed in merit
+     * order (lowest EUR per tCO2eq first) by biofuel/RFNBO blending, borrowing and
+     * finally the penalty. prices holds fuelPrices (EUR/t), fuelAvailability (t)
+     * and blendFuels for vessels without a fuel mix.
+     */
+    optimize(vessels, year, prices) {
+        const compliance = this.calculator.calculatePoolCompliance(vessels, year);
+        const summary = compliance.summary;
+        const fuelPrices = prices.fuelPrices || {};
+        const fuelAvailability = prices.fuelAvailability || {};
+        const blendFuels = prices.blendFuels || {};
+
+        const plans = compliance.vessels.map((result, index) => ({
+            // The vessel record as entered; the result's intensity already includes the wind reward
+            vessel: vessels[index],
+            result,
+            // Fuel is bought for all energy used, the balance only counts the in-scope part
+            fuelEnergy: result.voyageScope ? result.voyageScope.totalEnergy : (result.fuelMix ? result.fuelMix.totalEnergy : result.fuelConsumption),
+            remainingShare: 1,
+            currentCost: ComplianceOptimizer.getCurrentFuelCost(result, fuelPrices),
+            blendFuels: ComplianceOptimizer.getBlendFuels(result, blendFuels),
+            blends: [],
+            borrowed: 0,
+            borrowingCost: 0
+        }));
+
+        // Energy (MJ) of each fuel still available to the pool
+        const availableEnergy = {};
+        Object.keys(FUEL_CATALOG).forEach(fuelType => {
+            const tonnes = fuelAvailability[fuelType];
+            availableEnergy[fuelType] = typeof tonnes === 'number' ? tonnes * FUEL_CATALOG[fuelType].lcv * 1000000 : Infinity;
+        });
+
+        const blendOptions = [];
+        Object.keys(FUEL_CATALOG)
+            .filter(fuelType => FUEL_CATALOG[fuelType].category !== 'fossil' && fuelPrices[fuelType] !== undefined)
+            .forEach(fuelType => {
+                const fuelIntensity = this.getFuelIntensity(fuelType, year);
+                const fuelCost = ComplianceOptimizer.getFuelCostPerMJ(fuelType, fuelPrices);
+
+                plans.filter(plan => plan.blendFuels.includes(fuelType)).forEach(plan => {
+                    const intensityCut = plan.result.ghgIntensity - fuelIntensity * plan.result.windReward.factor;
+                    if (intensityCut <= 0 || !(plan.fuelEnergy > 0)) return;
+
+                    // Per share of the vessel's fuel replaced
+                    const reductionPerShare = (intensityCut * plan.result.fuelConsumption) / 1000000; // tCO2eq
+                    const costPerShare = (fuelCost - plan.currentCost) * plan.fuelEnergy; // EUR
+
+                    blendOptions.push({ type: 'blend', plan, fuelType, fuelIntensity, reductionPerShare, costPerShare, costPerTonne: costPerShare / reductionPerShare });
+                });
+            });
+
+        // Penalty per tCO2eq at the pool's intensity and escalation
+        const escalation = summary.vesselPenaltyBreakdown ? summary.vesselPenaltyBreakdown.escalationFactor : 1;
+        const penaltyPerTonne = this.calculator.penaltyEngine.calculatePenalty(-1, summary.poolAverageIntensity).basePenalty * escalation;
+
+        // An advance is repaid with the multiplier next period, at the cheapest abatement cost available now
+        const cheapestAbatement = Math.min(penaltyPerTonne, ...blendOptions.map(option => Math.max(0, option.costPerTonne)));
+        const borrowingOptions = plans
+            .map(plan => ({ plan, capacity: this.calculator.calculateBankingBorrowing(plan.vessel, year).borrowingCapacity }))
+            .filter(option => option.capacity > 0)
+            .map(option => ({ ...option, type: 'borrow', costPerTonne: this.calculator.borrowingRepaymentMultiplier * cheapestAbatement }));
+
+        const options = [...blendOptions, ...borrowingOptions]
+            .filter(option => option.costPerTonne < penaltyPerTonne)
+            .sort((a, b) => a.costPerTonne - b.costPerTonne);
+
+        const surplusUsed = Math.min(summary.poolComplianceSurplus, summary.poolComplianceDeficit);
+        let need = Math.max(0, -summary.poolComplianceBalance);
+
+        options.forEach(option => {
+            if (need <= BALANCE_TOLERANCE) return;
+            const plan = option.plan;
+
+            if (option.type === 'borrow') {
+                const amount = Math.min(need, option.capacity);
+                plan.borrowed += amount;
+                plan.borrowingCost += amount * option.costPerTonne;
+                need -= amount;
+                return;
+            }
+
+            const availableShare = availableEnergy[option.fuelType] / plan.fuelEnergy;
+            const share = Math.min(plan.remainingShare, availableShare, need / option.reductionPerShare);
+            if (share <= 0) return;
+
+            plan.remainingShare -= share;
+            availableEnergy[option.fuelType] -= share * plan.fuelEnergy;
+            need -= share * option.reductionPerShare;
+
+            plan.blends.push({
+                fuelType: option.fuelType,
+                name: FUEL_CATALOG[option.fuelType].name,
+                share: Number((share * 100).toFixed(2)), // % of the vessel's fuel energy
+                tonnes: Number(((share * plan.fuelEnergy) / (FUEL_CATALOG[option.fuelType].lcv * 1000000)).toFixed(1)),
+                reduction: Number((share * option.reductionPerShare).toFixed(2)),
+                costPerTonne: Number(option.costPerTonne.toFixed(2)),
+                cost: Number((share * option.costPerShare).toFixed(2))
+            });
+        });
+
+        // Pool the planned balances to see which deficits surplus covers and who pays the remaining penalty
+        const plannedResults = plans.map(plan => {
+            const reduction = plan.blends.reduce((sum, blend) => sum + blend.reduction, 0);
+            const energy = plan.result.fuelConsumption;
+            return {
+                ...plan.result,
+                ghgIntensity: energy > 0 ? plan.result.ghgIntensity - (reduction * 1000000) / energy : plan.result.ghgIntensity,
+                complianceBalance: plan.result.complianceBalance + reduction + plan.borrowed
+            };
+        });
+        const allocation = new PoolAllocator(this.calculator).allocate(plannedResults, year, 'largest-deficit-first');
+
+        const vesselPlans = plans.map((plan, index) => {
+            const member = allocation.members[index];
+            const blendCost = plan.blends.reduce((sum, blend) => sum + blend.cost, 0);
+            const cost = blendCost + plan.borrowingCost + member.penalty;
+
+            return {
+                vesselId: plan.result.id,
+                name: plan.result.name,
+                owner: plan.result.owner,
+                fuelMixKnown: Boolean(plan.result.fuelMix),
+                blendFuels: plan.blendFuels,
+                complianceBalance: plan.result.complianceBalance,
+                blends: plan.blends,
+                borrowed: Number(plan.borrowed.toFixed(2)),
+                borrowingCost: Number(plan.borrowingCost.toFixed(2)),
+                plannedBalance: Number(plannedResults[index].complianceBalance.toFixed(2)),
+                surplusTransfer: member.transfer, // + received from / - given to the pool
+                postPoolingBalance: member.postPoolingBalance,
+                bankable: Number(Math.max(0, member.postPoolingBalance).toFixed(2)),
+                penalty: member.penalty,
+                cost: Number(cost.toFixed(2))
+            };
+        });
+
+        const total = field => Number(vesselPlans.reduce((sum, plan) => sum + plan[field], 0).toFixed(2));
+        const blendCost = vesselPlans.reduce((sum, plan) => sum + plan.blends.reduce((blendSum, blend) => blendSum + blend.cost, 0), 0);
+
+        return {
+            year,
+            baselineBalance: summary.poolComplianceBalance,
+            baselinePenalty: summary.poolPotentialPenalty,
+            surplusUsed: Number(surplusUsed.toFixed(2)),
+            blendReduction: Number(vesselPlans.reduce((sum, plan) => sum + plan.blends.reduce((blendSum, blend) => blendSum + blend.reduction, 0), 0).toFixed(2)),
+            blendCost: Number(blendCost.toFixed(2)),
+            borrowed: total('borrowed'),
+            borrowingCost: total('borrowingCost'),
+            penaltyDeficit: Number(Math.max(0, need).toFixed(2)),
+            penalty: total('penalty'),
+            penaltyPerTonne: Number(penaltyPerTonne.toFixed(2)),
+            bankable: total('bankable'),
+            totalCost: total('cost'),
+            vessels: vesselPlans
+        };
+    }
+
+    /**
+     * Readable recommendations for one vessel plan
+     */
+    static describePlan(vesselPlan) {
+        const actions = vesselPlan.blends.map(blend =>
+            `Blend ${blend.share}% ${blend.name} (${blend.tonnes.toLocaleString()} t, ${blend.reduction.toLocaleString()} tCO2eq for €${blend.cost.toLocaleString()})`);
+
+        if (vesselPlan.surplusTransfer > 0) {
+            actions.push(`Receive ${vesselPlan.surplusTransfer.toLocaleString()} tCO2eq of pool surplus`);
+        } else if (vesselPlan.surplusTransfer < 0) {
+            actions.push(`Transfer ${(-vesselPlan.surplusTransfer).toLocaleString()} tCO2eq of surplus to pool members`);
+        }
+        if (vesselPlan.borrowed > 0) {
+            actions.push(`Borrow ${vesselPlan.borrowed.toLocaleString()} tCO2eq advance compliance balance (repaid next period)`);
+        }
+        if (vesselPlan.penalty > 0) {
+            actions.push(`Pay the penalty of €${vesselPlan.penalty.toLocaleString()} on the remaining deficit`);
+        }
+        if (vesselPlan.bankable > 0) {
+            actions.push(`Bank the remaining surplus of ${vesselPlan.bankable.toLocaleString()} tCO2eq`);
+        }
+
+        return actions.length > 0 ? actions : ['No action needed: the vessel ends the period balanced.'];
+    }
+}
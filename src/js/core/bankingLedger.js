@@ -0,0 +1,118 @@
+export default class BankingLedger {
+    constructor() {
+        this.entries = {};
+        this.storageKey = 'fueleu_banking_ledger';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save banking ledger to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.entries = JSON.parse(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load banking ledger from localStorage:', error);
+            this.entries = {};
+        }
+    }
+
+    getEntry(vesselId, year) {
+        const vesselEntries = this.entries[vesselId] || {};
+        return vesselEntries[year] || { banked: 0, borrowed: 0, repayment: 0 };
+    }
+
+    setEntry(vesselId, year, entry) {
+        if (!this.entries[vesselId]) {
+            this.entries[vesselId] = {};
+        }
+
+        this.entries[vesselId][year] = {
+            ...entry,
+            lastUpdated: new Date().toISOString()
+        };
+
+        this.saveToStorage();
+        return this.entries[vesselId][year];
+    }
+
+    // Record surplus (tCO2eq) banked for use in the next reporting period
+    bank(vesselId, year, amount) {
+        if (!(amount > 0)) {
+            throw new Error('Banked amount must be a positive number');
+        }
+
+        const entry = this.getEntry(vesselId, year);
+        if (entry.borrowed > 0) {
+            throw new Error(`Cannot bank surplus in ${year}: an advance compliance balance was borrowed in the same period`);
+        }
+
+        return this.setEntry(vesselId, year, { ...entry, banked: Number((entry.banked + amount).toFixed(2)) });
+    }
+
+    // Record an advance compliance balance (tCO2eq) repaid with the multiplier next period
+    borrow(vesselId, year, amount, repaymentMultiplier) {
+        if (!(amount > 0)) {
+            throw new Error('Borrowed amount must be a positive number');
+        }
+
+        if (this.getEntry(vesselId, year - 1).borrowed > 0) {
+            throw new Error(`Cannot borrow in ${year}: an advance was already borrowed in ${year - 1}`);
+        }
+
+        const entry = this.getEntry(vesselId, year);
+        if (entry.banked > 0) {
+            throw new Error(`Cannot borrow in ${year}: surplus was banked in the same period`);
+        }
+
+        const borrowed = Number((entry.borrowed + amount).toFixed(2));
+
+        // The multiplier is stored with the entry so later profile changes don't alter the debt
+        return this.setEntry(vesselId, year, {
+            ...entry,
+            borrowed,
+            repaymentMultiplier,
+            repayment: Number((borrowed * repaymentMultiplier).toFixed(2))
+        });
+    }
+
+    clearEntry(vesselId, year) {
+        if (this.entries[vesselId]) {
+            delete this.entries[vesselId][year];
+            this.saveToStorage();
+        }
+    }
+
+    // Balance carried into a year: surplus banked last year minus last year's repayment
+    getCarryIn(vesselId, year) {
+        const previous = this.getEntry(vesselId, year - 1);
+        return Number((previous.banked - previous.repayment).toFixed(2));
+    }
+
+    hasBorrowedInPreviousPeriod(vesselId, year) {
+        return this.getEntry(vesselId, year - 1).borrowed > 0;
+    }
+
+    getVesselHistory(vesselId) {
+        const vesselEntries = this.entries[vesselId] || {};
+
+        return Object.keys(vesselEntries)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(year => ({
+                year,
+                ...vesselEntries[year],
+                carriedIn: this.getCarryIn(vesselId, year)
+            }));
+    }
+}
@@ -0,0 +1,151 @@
+import { FUEL_CATALOG } from '../data/fuel-catalog.js';
+
+// Planned fleet changes used by the multi-year projection: dated changes per vessel
+// and newbuild deliveries per pool. Plans never change the reported vessel data.
+export default class FleetPlanManager {
+    static CHANGE_TYPES = {
+        retrofit: 'Retrofit (energy saving)',
+        'fuel-switch': 'Fuel switch',
+        efficiency: 'Annual efficiency improvement',
+        scrap: 'Scrapping'
+    };
+
+    constructor() {
+        this.plans = { changes: {}, deliveries: {} };
+        this.storageKey = 'fueleu_fleet_plans';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.plans));
+        } catch (error) {
+            console.warn('Could not save fleet plans to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                this.plans = { changes: data.changes || {}, deliveries: data.deliveries || {} };
+            }
+        } catch (error) {
+            console.warn('Could not load fleet plans from localStorage:', error);
+            this.plans = { changes: {}, deliveries: {} };
+        }
+    }
+
+    getChanges(vesselId) {
+        return this.plans.changes[vesselId] || [];
+    }
+
+    addChange(vesselId, change) {
+        const errors = FleetPlanManager.validateChange(change);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        const changes = [...this.getChanges(vesselId), change].sort((a, b) => a.year - b.year);
+        if (changes.filter(entry => entry.type === 'scrap').length > 1) {
+            throw new Error('Vessel already has a scrapping date');
+        }
+
+        this.plans.changes[vesselId] = changes;
+        this.saveToStorage();
+        return changes;
+    }
+
+    removeChange(vesselId, changeIndex) {
+        const changes = this.getChanges(vesselId);
+        if (!changes[changeIndex]) {
+            throw new Error('Planned change not found');
+        }
+
+        this.plans.changes[vesselId] = changes.filter((change, index) => index !== changeIndex);
+        this.saveToStorage();
+        return this.plans.changes[vesselId];
+    }
+
+    getDeliveries(poolName) {
+        return this.plans.deliveries[poolName] || [];
+    }
+
+    // Newbuilds get plan-local ids so no ledger or history entries apply to them
+    addDelivery(poolName, newbuild) {
+        const errors = FleetPlanManager.validateDelivery(newbuild);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        const delivery = { ...newbuild, id: `newbuild-${Date.now()}`, pool: poolName };
+        this.plans.deliveries[poolName] = [...this.getDeliveries(poolName), delivery];
+        this.saveToStorage();
+        return delivery;
+    }
+
+    removeDelivery(poolName, deliveryId) {
+        if (!this.getDeliveries(poolName).some(delivery => delivery.id === deliveryId)) {
+            throw new Error('Newbuild not found');
+        }
+
+        this.plans.deliveries[poolName] = this.getDeliveries(poolName).filter(delivery => delivery.id !== deliveryId);
+        delete this.plans.changes[deliveryId];
+        this.saveToStorage();
+        return true;
+    }
+
+    static validateChange(change) {
+        const errors = [];
+
+        if (!FleetPlanManager.CHANGE_TYPES[change.type]) {
+            errors.push(`Unknown change type: ${change.type}`);
+        }
+        if (!Number.isInteger(change.year) || change.year < 2025 || change.year > 2050) {
+            errors.push('Change year must be between 2025 and 2050');
+        }
+
+        if (change.type === 'retrofit' && !(change.energySaving > 0 && change.energySaving < 100)) {
+            errors.push('Retrofit energy saving must be between 0 and 100%');
+        }
+        if (change.type === 'efficiency' && !(change.annualImprovement > 0 && change.annualImprovement < 100)) {
+            errors.push('Annual efficiency improvement must be between 0 and 100%');
+        }
+        if (change.type === 'fuel-switch') {
+            if (!FUEL_CATALOG[change.fuelType]) {
+                errors.push(`Unknown fuel type: ${change.fuelType}`);
+            }
+            if (!(change.share > 0 && change.share <= 100)) {
+                errors.push('Fuel switch share must be between 0 and 100%');
+            }
+        }
+
+        return errors;
+    }
+
+    static validateDelivery(newbuild) {
+        const errors = [];
+
+        if (!newbuild.name || !newbuild.name.trim()) {
+            errors.push('Newbuild name is required');
+        }
+        if (!Number.isInteger(newbuild.deliveryYear) || newbuild.deliveryYear < 2025 || newbuild.deliveryYear > 2050) {
+            errors.push('Delivery year must be between 2025 and 2050');
+        }
+        if (!(newbuild.fuelConsumption > 0)) {
+            errors.push('Newbuild energy use must be a positive number of MJ');
+        }
+        if (newbuild.fuelType) {
+            if (!FUEL_CATALOG[newbuild.fuelType]) {
+                errors.push(`Unknown fuel type: ${newbuild.fuelType}`);
+            }
+        } else if (!(newbuild.ghgIntensity > 0)) {
+            errors.push('Newbuild needs a fuel type or a positive GHG intensity');
+        }
+
+        return errors;
+    }
+}
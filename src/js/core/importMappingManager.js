@@ -0,0 +1,56 @@
+// Column mappings chosen in the import wizard, saved per user and import kind so the
+// next file with the same headers is mapped the same way
+export default class ImportMappingManager {
+    constructor() {
+        this.mappings = {};
+        this.storageKey = 'fueleu_import_mappings';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.mappings));
+        } catch (error) {
+            console.warn('Could not save import mappings to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.mappings = JSON.parse(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load import mappings from localStorage:', error);
+            this.mappings = {};
+        }
+    }
+
+    // Without a signed-in user the mapping is shared by everyone on this browser
+    getMapping(userId, kind) {
+        const userMappings = this.mappings[userId || 'default'] || {};
+        return userMappings[kind] || null;
+    }
+
+    saveMapping(userId, kind, mapping) {
+        const key = userId || 'default';
+        const userMappings = this.mappings[key] || {};
+
+        // Headers mapped before but absent from this file keep their field
+        const previous = userMappings[kind] || { columns: {} };
+        this.mappings[key] = {
+            ...userMappings,
+            [kind]: {
+                ...previous,
+                ...mapping,
+                columns: { ...previous.columns, ...mapping.columns },
+                savedAt: new Date().toISOString()
+            }
+        };
+        this.saveToStorage();
+        return this.mappings[key][kind];
+    }
+}
@@ -0,0 +1,134 @@
+export default class MarketPrices {
+    static DEFAULT_PRICES = {
+        euaPrice: 70, // EUR per EU ETS allowance (tCO2e)
+
+        // EUR per tonne of fuel delivered
+        fuelPrices: {
+            HFO: 480,
+            VLSFO: 600,
+            MGO: 750,
+            LNG: 650,
+            LPG: 650,
+            METHANOL: 450,
+            BIO_DIESEL: 1400,
+            BIO_LNG: 1500,
+            BIO_METHANOL: 1100,
+            E_METHANOL: 2200,
+            E_AMMONIA: 1300,
+            E_HYDROGEN: 6000
+        },
+
+        // Tonnes available to the fleet per year; fuels not listed are unlimited
+        fuelAvailability: {},
+
+        // Drop-in fuels per vessel id, for vessels that report only an intensity
+        blendFuels: {}
+    };
+
+    constructor() {
+        this.prices = MarketPrices.getDefaultPrices();
+        this.storageKey = 'fueleu_market_prices';
+
+        this.loadFromStorage();
+    }
+
+    // Copy of the defaults, so edits never reach the static object
+    static getDefaultPrices() {
+        return JSON.parse(JSON.stringify(MarketPrices.DEFAULT_PRICES));
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.prices));
+        } catch (error) {
+            console.warn('Could not save market prices to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                const defaults = MarketPrices.getDefaultPrices();
+                this.prices = {
+                    ...defaults,
+                    ...data,
+                    fuelPrices: { ...defaults.fuelPrices, ...data.fuelPrices },
+                    fuelAvailability: { ...data.fuelAvailability },
+                    blendFuels: { ...data.blendFuels }
+                };
+            }
+        } catch (error) {
+            console.warn('Could not load market prices from localStorage:', error);
+            this.prices = MarketPrices.getDefaultPrices();
+        }
+    }
+
+    getEuaPrice() {
+        return this.prices.euaPrice;
+    }
+
+    setEuaPrice(price) {
+        if (!(price >= 0)) {
+            throw new Error('EUA price must be zero or a positive number');
+        }
+
+        this.prices.euaPrice = price;
+        this.saveToStorage();
+        return price;
+    }
+
+    getFuelPrices() {
+        return this.prices.fuelPrices;
+    }
+
+    getFuelAvailability() {
+        return this.prices.fuelAvailability;
+    }
+
+    setFuelPrice(fuelType, price) {
+        if (!(price >= 0)) {
+            throw new Error(`Price of ${fuelType} must be zero or a positive number`);
+        }
+
+        this.prices.fuelPrices[fuelType] = price;
+        this.saveToStorage();
+        return price;
+    }
+
+    // null removes the limit
+    setFuelAvailability(fuelType, tonnes) {
+        if (tonnes === null) {
+            delete this.prices.fuelAvailability[fuelType];
+        } else if (!(tonnes >= 0)) {
+            throw new Error(`Availability of ${fuelType} must be zero or a positive number of tonnes`);
+        } else {
+            this.prices.fuelAvailability[fuelType] = tonnes;
+        }
+
+        this.saveToStorage();
+        return tonnes;
+    }
+
+    getBlendFuels() {
+        return this.prices.blendFuels;
+    }
+
+    // An empty list removes the choice
+    setBlendFuels(vesselId, fuelTypes) {
+        if (fuelTypes.length === 0) {
+            delete this.prices.blendFuels[vesselId];
+        } else {
+            this.prices.blendFuels[vesselId] = fuelTypes;
+        }
+
+        this.saveToStorage();
+        return fuelTypes;
+    }
+
+    getPrices() {
+        return this.prices;
+    }
+}
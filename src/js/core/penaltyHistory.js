@@ -0,0 +1,69 @@
+export default class PenaltyHistory {
+    constructor() {
+        this.records = {};
+        this.storageKey = 'fueleu_penalty_history';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('Could not save penalty history to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.records = JSON.parse(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load penalty history from localStorage:', error);
+            this.records = {};
+        }
+    }
+
+    // Record the final outcome of a reporting period for a vessel
+    recordOutcome(vesselId, year, outcome) {
+        if (!this.records[vesselId]) {
+            this.records[vesselId] = {};
+        }
+
+        this.records[vesselId][year] = {
+            complianceBalance: outcome.complianceBalance,
+            penalty: outcome.penalty || 0,
+            deficit: outcome.complianceBalance < 0,
+            recorded: new Date().toISOString()
+        };
+
+        this.saveToStorage();
+        return this.records[vesselId][year];
+    }
+
+    removeOutcome(vesselId, year) {
+        if (this.records[vesselId]) {
+            delete this.records[vesselId][year];
+            this.saveToStorage();
+        }
+    }
+
+    getVesselHistory(vesselId) {
+        return this.records[vesselId] || {};
+    }
+
+    // Number of consecutive deficit periods immediately before the given year
+    getConsecutiveDeficitYears(vesselId, year) {
+        const history = this.getVesselHistory(vesselId);
+        let count = 0;
+
+        for (let previousYear = year - 1; history[previousYear] && history[previousYear].deficit; previousYear--) {
+            count++;
+        }
+
+        return count;
+    }
+}
@@ -13,7 +13,9 @@ export class PermissionManager {
         VIEW_VESSEL: 'view_vessel',
 
         // System permissions
-        ADMIN_ACCESS: 'admin_access'
+        ADMIN_ACCESS: 'admin_access',
+        EDIT_REGULATION: 'edit_regulation',
+        ALLOCATE_POOL: 'allocate_pool'
     };
 
     static hasPermission(user, permission, resource = null) {
@@ -23,6 +25,8 @@ export class PermissionManager {
             case this.PERMISSIONS.CREATE_POOL:
             case this.PERMISSIONS.DELETE_POOL:
             case this.PERMISSIONS.DELETE_VESSEL:
+            case this.PERMISSIONS.EDIT_REGULATION:
+            case this.PERMISSIONS.ALLOCATE_POOL:
                 return user.role === 'admin';
 
             case this.PERMISSIONS.VIEW_POOL:
@@ -75,6 +79,16 @@ export class PermissionManager {
         return this.hasPermission(user, this.PERMISSIONS.VIEW_VESSEL, vessel);
     }
 
+    static canEditRegulation(user) {
+        return this.hasPermission(user, this.PERMISSIONS.EDIT_REGULATION);
+    }
+
+    // Allocation settings follow the pool's data edit rules
+    static canAllocatePool(user, poolName = null, poolManager = null) {
+        return this.hasPermission(user, this.PERMISSIONS.ALLOCATE_POOL) &&
+            this.canEditPoolData(user, poolName, poolManager);
+    }
+
     static getAvailablePoolsForUser(user, allPools) {
         if (user.role === 'admin') {
             return allPools;
@@ -89,73 +103,82 @@ export class PermissionManager {
         );
     }
 
-    // NEW: Check if user can modify vessels in a pool
-    static canModifyPool(user, poolName, poolManager) {
-        if (!user || !poolName) return false;
+    // Lifecycle checks: the pool's status decides what may change, for admins too.
+    // Admins move pools back a step (e.g. submitted -> locked) when changes are needed.
+    static isPoolManager(user, poolName, poolManager) {
+        const pool = poolManager ? poolManager.getPool(poolName) : null;
+        return !!(user && pool && pool.manager === user.id);
+    }
+
+    static canActInPoolStatus(user, poolName, poolManager, capability) {
+        if (!poolManager || !poolName) return true;
 
-        // Admin can always modify (including changing read-only status)
-        if (user.role === 'admin') return true;
+        const info = poolManager.getStatusInfo(poolName);
+        if (!info) return true;
+        if (!info[capability]) return false;
 
-        // Check if pool is read-only
-        if (poolManager && poolManager.isPoolReadOnly(poolName)) {
-            return false; // No modifications allowed in read-only pools
+        if (info.managersOnly) {
+            return user.role === 'admin' || this.isPoolManager(user, poolName, poolManager);
         }
+        return true;
+    }
+
+    // Joining, leaving, adding or removing vessels
+    static canChangePoolMembership(user, poolName, poolManager) {
+        if (!user || !poolName) return false;
+        if (!this.canActInPoolStatus(user, poolName, poolManager, 'membershipOpen')) return false;
 
-        // Check if user has access to the pool
-        return user.pools.includes(poolName);
+        return user.role === 'admin' || user.pools.includes(poolName);
     }
 
-    // NEW: Check if user can create vessels in a pool
-    static canCreateVesselInPool(user, poolName, poolManager) {
+    // Editing vessel data, fuel mixes, ledger entries and allocation settings
+    static canEditPoolData(user, poolName, poolManager) {
+        if (!user) return false;
+        return this.canActInPoolStatus(user, poolName, poolManager, 'dataEditable');
+    }
+
+    static canModifyPool(user, poolName, poolManager) {
         if (!user || !poolName) return false;
+        if (!this.canEditPoolData(user, poolName, poolManager)) return false;
 
-        // Admin can create vessels even in read-only pools (for management purposes)
-        if (user.role === 'admin') return true;
+        return user.role === 'admin' || user.pools.includes(poolName);
+    }
 
-        // Users cannot create vessels in read-only pools
-        if (poolManager && poolManager.isPoolReadOnly(poolName)) {
-            return false;
-        }
+    static canCreateVesselInPool(user, poolName, poolManager) {
+        if (!user || !poolName) return false;
 
-        // Regular permission check
-        return this.canCreateVessel(user) && user.pools.includes(poolName);
+        return this.canCreateVessel(user) && this.canChangePoolMembership(user, poolName, poolManager);
     }
 
-    // NEW: Check if user can edit a vessel (considering pool read-only status)
-    static canEditVesselInPool(user, vessel, poolManager) {
+    // With a year, the status of the pool the vessel is in for that reporting period applies
+    static canEditVesselInPool(user, vessel, poolManager, year = null) {
         if (!user || !vessel) return false;
 
-        // Admin can edit vessels even in read-only pools
-        if (user.role === 'admin') return true;
-
-        // Users cannot edit vessels in read-only pools
-        if (poolManager && poolManager.isPoolReadOnly(vessel.pool)) {
-            return false;
-        }
+        const poolName = poolManager ? poolManager.getVesselPool(vessel, year) : vessel.pool;
+        if (!this.canEditPoolData(user, poolName, poolManager)) return false;
 
-        // Regular permission check (user owns the vessel)
+        // Regular permission check (admin, or user owns the vessel)
         return this.canEditVessel(user, vessel);
     }
 
-    // NEW: Check if user can delete a vessel (considering pool read-only status)
-    static canDeleteVesselInPool(user, vessel, poolManager) {
+    static canDeleteVesselInPool(user, vessel, poolManager, year = null) {
         if (!user || !vessel) return false;
 
-        // Admin can delete vessels from any pool, even read-only ones
-        if (user.role === 'admin') return true;
+        const poolName = poolManager ? poolManager.getVesselPool(vessel, year) : vessel.pool;
+        if (poolName && !this.canChangePoolMembership(user, poolName, poolManager)) return false;
 
-        // Users cannot delete vessels in read-only pools
-        if (poolManager && poolManager.isPoolReadOnly(vessel.pool)) {
-            return false;
-        }
-
-        // Regular permission check: user can delete their own vessels
-        return vessel.owner === user.id;
+        // Admin can delete any vessel, users only their own
+        return user.role === 'admin' || vessel.owner === user.id;
     }
 
-    // NEW: Check if user can set pool read-only status
-    static canSetPoolReadOnly(user) {
-        return user && user.role === 'admin';
+    static canTransitionPool(user, poolName, toStatus, poolManager) {
+        if (!user || !poolManager) return false;
+
+        const roles = poolManager.getTransitionRoles(poolName, toStatus);
+        if (!roles) return false;
+
+        return roles.includes(user.role) ||
+            (roles.includes('manager') && this.isPoolManager(user, poolName, poolManager));
     }
 
     // HELPER: Check if admin has override permissions
@@ -163,11 +186,18 @@ export class PermissionManager {
         return user && user.role === 'admin';
     }
 
-    // UPDATED: Enhanced read-only message with admin context
-    static getReadOnlyMessage(poolName, isAdmin = false) {
-        if (isAdmin) {
-            return `Pool "${poolName}" is in read-only mode for users. As admin, you can still make changes.`;
+    static getPoolStatusMessage(poolName, poolManager) {
+        const info = poolManager ? poolManager.getStatusInfo(poolName) : null;
+        if (!info) {
+            return `Pool "${poolName}" does not allow this change.`;
+        }
+
+        if (!info.dataEditable) {
+            return `Pool "${poolName}" is ${info.label.toLowerCase()}. Vessel data can no longer be changed.`;
+        }
+        if (!info.membershipOpen) {
+            return `Pool "${poolName}" is ${info.label.toLowerCase()}. Vessels can no longer join or leave the pool.`;
         }
-        return `Pool "${poolName}" is currently in read-only mode. Contact your administrator to make changes.`;
+        return `Pool "${poolName}" is a draft. Only the pool manager or an administrator can make changes.`;
     }
 }
\ No newline at end of file
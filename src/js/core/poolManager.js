@@ -1,12 +1,44 @@
 export default class PoolManager {
+    // First FuelEU reporting period
+    static FIRST_REPORTING_YEAR = 2025;
+
+    // Price paid by deficit owners for surplus received through the pool
+    static DEFAULT_PRICING = { price: 0, basis: 'tco2eq', currency: 'EUR' };
+
+    // Pool lifecycle. membershipOpen: vessels may join or leave; dataEditable: vessel
+    // data may change; managersOnly: only admins and the pool manager may act
+    static LIFECYCLE_STATES = {
+        draft: { label: 'Draft', icon: '📝', membershipOpen: true, dataEditable: true, managersOnly: true },
+        open: { label: 'Open for Membership', icon: '✏️', membershipOpen: true, dataEditable: true },
+        locked: { label: 'Locked for Allocation', icon: '🔒', membershipOpen: false, dataEditable: true },
+        submitted: { label: 'Submitted to Verifier', icon: '📤', membershipOpen: false, dataEditable: false },
+        verified: { label: 'Verified', icon: '✅', membershipOpen: false, dataEditable: false },
+        closed: { label: 'Closed', icon: '📁', membershipOpen: false, dataEditable: false }
+    };
+
+    // Allowed transitions and who may trigger them ('manager' is the pool's manager)
+    static LIFECYCLE_TRANSITIONS = {
+        draft: { open: ['admin', 'manager'] },
+        open: { draft: ['admin', 'manager'], locked: ['admin', 'manager'] },
+        locked: { open: ['admin'], submitted: ['admin', 'manager'] },
+        submitted: { locked: ['admin'], verified: ['admin'] },
+        verified: { closed: ['admin'] },
+        closed: {}
+    };
+
     constructor() {
         this.pools = {};
         this.storageKey = 'fueleu_pools';
 
+        // Pool membership per reporting period: { year: { vesselId: poolName } }
+        this.memberships = {};
+        this.membershipStorageKey = 'fueleu_pool_memberships';
+
         console.log('🏊 PoolManager constructor called');
 
         // Load existing data first
         this.loadFromStorage();
+        this.loadMembershipsFromStorage();
 
         // Only initialize sample pools if NO pools exist
         if (Object.keys(this.pools).length === 0) {
@@ -14,12 +46,12 @@ export default class PoolManager {
             this.initializeSamplePools();
         } else {
             console.log(`✅ Loaded ${Object.keys(this.pools).length} existing pools`);
-            // Ensure backward compatibility for readOnly property
-            this.ensureReadOnlyProperty();
+            // Migrate pools stored before the lifecycle states existed
+            this.ensureLifecycleStatus();
 
             // Log current pool states
             Object.values(this.pools).forEach(pool => {
-                console.log(`  - ${pool.name}: readOnly=${pool.readOnly}, vesselCount=${pool.vesselCount}`);
+                console.log(`  - ${pool.name}: status=${pool.status}, vesselCount=${pool.vesselCount}`);
             });
         }
     }
@@ -45,6 +77,26 @@ export default class PoolManager {
         }
     }
 
+    saveMembershipsToStorage() {
+        try {
+            localStorage.setItem(this.membershipStorageKey, JSON.stringify(this.memberships));
+        } catch (error) {
+            console.warn('Could not save pool memberships to localStorage:', error);
+        }
+    }
+
+    loadMembershipsFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.membershipStorageKey);
+            if (stored) {
+                this.memberships = JSON.parse(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load pool memberships from localStorage:', error);
+            this.memberships = {};
+        }
+    }
+
     initializeSamplePools() {
         this.pools = {
             'Pool A': {
@@ -54,7 +106,8 @@ export default class PoolManager {
                 manager: 'admin',
                 created: new Date().toISOString(),
                 vesselCount: 0,
-                readOnly: false  // NEW: Read-only flag
+                status: 'open',
+                statusHistory: []
             },
             'Pool B': {
                 id: 'pool-b',
@@ -63,11 +116,12 @@ export default class PoolManager {
                 manager: 'admin',
                 created: new Date().toISOString(),
                 vesselCount: 0,
-                readOnly: false  // NEW: Read-only flag
+                status: 'open',
+                statusHistory: []
             }
         };
 
-        console.log('📦 Sample pools initialized with readOnly=false');
+        console.log('📦 Sample pools initialized as open for membership');
         this.saveToStorage();
     }
 
@@ -90,7 +144,9 @@ export default class PoolManager {
             manager: poolData.manager || 'admin',
             created: new Date().toISOString(),
             vesselCount: 0,
-            readOnly: poolData.readOnly || false  // NEW: Default to writable
+            status: 'draft',
+            statusHistory: [],
+            pricing: poolData.pricing || { ...PoolManager.DEFAULT_PRICING }
         };
 
         this.pools[poolName] = pool;
@@ -127,6 +183,16 @@ export default class PoolManager {
         delete this.pools[poolName];
         this.saveToStorage();
 
+        // Drop the pool's recorded memberships in every period
+        Object.values(this.memberships).forEach(yearMembers => {
+            Object.keys(yearMembers).forEach(vesselId => {
+                if (yearMembers[vesselId] === poolName) {
+                    delete yearMembers[vesselId];
+                }
+            });
+        });
+        this.saveMembershipsToStorage();
+
         console.log('Pool deleted:', poolName);
         return true;
     }
@@ -156,6 +222,117 @@ export default class PoolManager {
         return true;
     }
 
+    getPoolPricing(poolName) {
+        const pool = this.pools[poolName];
+        return { ...PoolManager.DEFAULT_PRICING, ...(pool && pool.pricing) };
+    }
+
+    // Surplus allocation settings per reporting period
+    getAllocationSettings(poolName, year) {
+        const pool = this.pools[poolName];
+        const settings = pool && pool.allocation ? pool.allocation[year] : null;
+        return settings || { strategy: 'pro-rata', manualTransfers: {} };
+    }
+
+    setAllocationSettings(poolName, year, settings) {
+        const pool = this.pools[poolName];
+        if (!pool) {
+            throw new Error('Pool not found');
+        }
+
+        pool.allocation = {
+            ...(pool.allocation || {}),
+            [year]: {
+                strategy: settings.strategy,
+                manualTransfers: settings.manualTransfers || {},
+                updated: new Date().toISOString()
+            }
+        };
+        pool.lastUpdated = new Date().toISOString();
+
+        this.saveToStorage();
+        return pool.allocation[year];
+    }
+
+    // Year-scoped membership: a ship can be in only one pool per reporting period.
+    // A recorded null means the ship is in no pool for that period.
+    getMembership(vesselId, year) {
+        const yearMembers = this.memberships[year] || {};
+        return yearMembers[vesselId] || null;
+    }
+
+    hasMembership(vesselId, year) {
+        const yearMembers = this.memberships[year] || {};
+        return Object.prototype.hasOwnProperty.call(yearMembers, vesselId);
+    }
+
+    // Pool of a vessel in a reporting period: the recorded membership, else its current pool
+    getVesselPool(vessel, year = null) {
+        return year !== null && this.hasMembership(vessel.id, year) ? this.getMembership(vessel.id, year) : vessel.pool;
+    }
+
+    getVesselMemberships(vesselId) {
+        return Object.keys(this.memberships)
+            .map(Number)
+            .filter(year => this.hasMembership(vesselId, year))
+            .sort((a, b) => a - b)
+            .map(year => ({ year, pool: this.memberships[year][vesselId] }));
+    }
+
+    getPoolMemberIds(poolName, year) {
+        const yearMembers = this.memberships[year] || {};
+        return Object.keys(yearMembers)
+            .filter(vesselId => yearMembers[vesselId] === poolName)
+            .map(Number);
+    }
+
+    joinPool(vesselId, year, poolName) {
+        if (!this.pools[poolName]) {
+            throw new Error(`Pool "${poolName}" does not exist`);
+        }
+
+        const existing = this.getMembership(vesselId, year);
+        if (existing && existing !== poolName) {
+            throw new Error(`Vessel is already in pool "${existing}" for ${year}. A ship can only join one pool per reporting period.`);
+        }
+
+        if (!this.memberships[year]) {
+            this.memberships[year] = {};
+        }
+
+        this.memberships[year][vesselId] = poolName;
+        this.saveMembershipsToStorage();
+        return this.memberships[year][vesselId];
+    }
+
+    // Records that the ship is in no pool for the year, so it does not fall back to its current pool
+    leavePool(vesselId, year) {
+        if (!this.memberships[year]) {
+            this.memberships[year] = {};
+        }
+
+        this.memberships[year][vesselId] = null;
+        this.saveMembershipsToStorage();
+    }
+
+    removeVesselMemberships(vesselId) {
+        Object.values(this.memberships).forEach(yearMembers => {
+            delete yearMembers[vesselId];
+        });
+        this.saveMembershipsToStorage();
+    }
+
+    renamePoolMemberships(oldName, newName) {
+        Object.values(this.memberships).forEach(yearMembers => {
+            Object.keys(yearMembers).forEach(vesselId => {
+                if (yearMembers[vesselId] === oldName) {
+                    yearMembers[vesselId] = newName;
+                }
+            });
+        });
+        this.saveMembershipsToStorage();
+    }
+
     updateVesselCount(poolName, count) {
         if (this.pools[poolName]) {
             this.pools[poolName].vesselCount = count;
@@ -174,35 +351,73 @@ export default class PoolManager {
         }
     }
 
-    // NEW: Set pool read-only status
-    setPoolReadOnly(poolName, isReadOnly) {
+    // Lifecycle status
+    getPoolStatus(poolName) {
+        const pool = this.pools[poolName];
+        return pool ? pool.status || 'open' : null;
+    }
+
+    getStatusInfo(poolName) {
+        return PoolManager.LIFECYCLE_STATES[this.getPoolStatus(poolName)] || null;
+    }
+
+    // Pools that don't exist (e.g. unassigned vessels) impose no lifecycle restrictions
+    isMembershipOpen(poolName) {
+        const info = this.getStatusInfo(poolName);
+        return info ? info.membershipOpen : true;
+    }
+
+    isDataEditable(poolName) {
+        const info = this.getStatusInfo(poolName);
+        return info ? info.dataEditable : true;
+    }
+
+    getAvailableTransitions(poolName) {
+        const status = this.getPoolStatus(poolName);
+        return status ? Object.keys(PoolManager.LIFECYCLE_TRANSITIONS[status]) : [];
+    }
+
+    getTransitionRoles(poolName, toStatus) {
+        const status = this.getPoolStatus(poolName);
+        const transitions = status ? PoolManager.LIFECYCLE_TRANSITIONS[status] : {};
+        return transitions[toStatus] || null;
+    }
+
+    transitionPool(poolName, toStatus, changedBy = 'admin') {
         const pool = this.pools[poolName];
         if (!pool) {
             throw new Error('Pool not found');
         }
 
-        pool.readOnly = isReadOnly;
-        pool.lastUpdated = new Date().toISOString();
+        const fromStatus = this.getPoolStatus(poolName);
+        if (!this.getTransitionRoles(poolName, toStatus)) {
+            throw new Error(`Pool "${poolName}" cannot move from ${PoolManager.LIFECYCLE_STATES[fromStatus].label} to ${PoolManager.LIFECYCLE_STATES[toStatus]?.label || toStatus}`);
+        }
+
+        const changed = new Date().toISOString();
+        pool.status = toStatus;
+        pool.statusHistory = [
+            ...(pool.statusHistory || []),
+            { from: fromStatus, to: toStatus, by: changedBy, changed }
+        ];
+        pool.lastUpdated = changed;
         this.saveToStorage();
 
-        console.log(`Pool "${poolName}" ${isReadOnly ? 'set to' : 'removed from'} read-only mode`);
+        console.log(`Pool "${poolName}" moved from ${fromStatus} to ${toStatus} by ${changedBy}`);
         return pool;
     }
 
-    // NEW: Check if pool is read-only
-    isPoolReadOnly(poolName) {
+    // Timestamp of the latest transition into the pool's current status
+    getStatusSince(poolName) {
         const pool = this.pools[poolName];
-        return pool ? pool.readOnly : false;
-    }
+        if (!pool) return null;
 
-    // NEW: Get read-only pools
-    getReadOnlyPools() {
-        return Object.values(this.pools).filter(pool => pool.readOnly);
+        const entry = [...(pool.statusHistory || [])].reverse().find(change => change.to === pool.status);
+        return entry ? entry.changed : pool.created;
     }
 
-    // NEW: Get writable pools
-    getWritablePools() {
-        return Object.values(this.pools).filter(pool => !pool.readOnly);
+    getPoolsByStatus(status) {
+        return Object.values(this.pools).filter(pool => pool.status === status);
     }
 
     updateVesselCount(poolName, count) {
@@ -213,34 +428,34 @@ export default class PoolManager {
         }
 
         // Only update vessel count, preserve ALL other properties
-        const previousReadOnly = pool.readOnly;
         pool.vesselCount = count;
         pool.lastUpdated = new Date().toISOString();
 
-        // CRITICAL: Ensure readOnly status is preserved
-        if (typeof previousReadOnly !== 'undefined') {
-            pool.readOnly = previousReadOnly;
-        }
-
         this.saveToStorage();
 
-        console.log(`✅ Pool ${poolName}: count=${count}, readOnly=${pool.readOnly} (preserved)`);
+        console.log(`✅ Pool ${poolName}: count=${count}, status=${pool.status}`);
     }
 
-    // CRITICAL: Ensure readOnly property exists on all pools
-    ensureReadOnlyProperty() {
+    // CRITICAL: Ensure every pool has a lifecycle status. Read-only pools become submitted,
+    // the first state that keeps vessel data from being edited; an admin can unlock them.
+    ensureLifecycleStatus() {
         let needsSave = false;
 
         Object.values(this.pools).forEach(pool => {
-            if (!pool.hasOwnProperty('readOnly')) {
-                console.warn(`⚠️ Pool ${pool.name} missing readOnly property, adding default`);
-                pool.readOnly = false;
+            if (!PoolManager.LIFECYCLE_STATES[pool.status]) {
+                pool.status = pool.readOnly ? 'submitted' : 'open';
+                pool.statusHistory = pool.statusHistory || [];
+                needsSave = true;
+            }
+
+            if (pool.hasOwnProperty('readOnly')) {
+                delete pool.readOnly;
                 needsSave = true;
             }
         });
 
         if (needsSave) {
-            console.log('💾 Saving pools with readOnly properties');
+            console.log('💾 Saving pools with lifecycle status');
             this.saveToStorage();
         }
     }
@@ -0,0 +1,267 @@
+import REGULATION_PROFILES from '../data/regulation-profiles.js';
+
+export default class RegulationManager {
+    constructor() {
+        this.profiles = REGULATION_PROFILES.map(profile => ({ ...profile }));
+        this.activeVersion = this.profiles[this.profiles.length - 1].version;
+        this.storageKey = 'fueleu_regulation_profiles';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods - only admin-created versions are persisted
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                profiles: this.profiles.filter(profile => !profile.builtIn),
+                activeVersion: this.activeVersion
+            }));
+        } catch (error) {
+            console.warn('Could not save regulation profiles to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                (data.profiles || []).forEach(profile => {
+                    if (!this.getProfile(profile.version)) {
+                        this.profiles.push(profile);
+                    }
+                });
+
+                if (data.activeVersion && this.getProfile(data.activeVersion)) {
+                    this.activeVersion = data.activeVersion;
+                }
+
+                this.ensureProfileDefaults();
+            }
+        } catch (error) {
+            console.warn('Could not load regulation profiles from localStorage:', error);
+        }
+    }
+
+    // Ensure stored versions carry parameters added to the built-in profiles later
+    ensureProfileDefaults() {
+        const builtIn = REGULATION_PROFILES[REGULATION_PROFILES.length - 1];
+
+        this.profiles.forEach(profile => {
+            Object.keys(builtIn).forEach(field => {
+                if (!profile.hasOwnProperty(field)) {
+                    console.warn(`⚠️ Regulation profile v${profile.version} missing ${field}, adding default`);
+                    profile[field] = builtIn[field];
+                }
+            });
+        });
+    }
+
+    getProfile(version) {
+        return this.profiles.find(profile => profile.version === version);
+    }
+
+    getAllProfiles() {
+        return [...this.profiles].sort((a, b) => b.version - a.version);
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeVersion);
+    }
+
+    setActiveProfile(version) {
+        if (!this.getProfile(version)) {
+            throw new Error(`Regulation profile version ${version} does not exist`);
+        }
+
+        this.activeVersion = version;
+        this.saveToStorage();
+        return this.getActiveProfile();
+    }
+
+    // Profiles are never edited in place: every change creates a new version so
+    // earlier results can still be traced back to the parameters that produced them
+    createProfileVersion(changes, author = 'admin', baseVersion = this.activeVersion) {
+        const base = this.getProfile(baseVersion);
+        if (!base) {
+            throw new Error(`Regulation profile version ${baseVersion} does not exist`);
+        }
+
+        const profile = {
+            ...base,
+            ...changes,
+            reductionTrajectory: { ...(changes.reductionTrajectory || base.reductionTrajectory) },
+            windRewardFactors: { ...(changes.windRewardFactors || base.windRewardFactors) },
+            opsVesselTypes: [...(changes.opsVesselTypes || base.opsVesselTypes)],
+            etsPhaseIn: { ...(changes.etsPhaseIn || base.etsPhaseIn) },
+            version: Math.max(...this.profiles.map(p => p.version)) + 1,
+            builtIn: false,
+            basedOn: base.version,
+            createdBy: author,
+            created: new Date().toISOString()
+        };
+
+        const errors = RegulationManager.validateProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        this.profiles.push(profile);
+        this.saveToStorage();
+
+        console.log(`Regulation profile v${profile.version} created by ${author}`);
+        return profile;
+    }
+
+    deleteProfile(version) {
+        const profile = this.getProfile(version);
+        if (!profile) {
+            throw new Error(`Regulation profile version ${version} does not exist`);
+        }
+        if (profile.builtIn) {
+            throw new Error('Built-in regulation profiles cannot be deleted');
+        }
+        if (version === this.activeVersion) {
+            throw new Error('Cannot delete the active regulation profile');
+        }
+
+        this.profiles = this.profiles.filter(p => p.version !== version);
+        this.saveToStorage();
+        return true;
+    }
+
+    static validateProfile(profile) {
+        const errors = [];
+
+        if (!profile.name || !profile.name.trim()) {
+            errors.push('Profile name is required');
+        }
+
+        if (!(profile.referenceGHGIntensity > 0)) {
+            errors.push('Reference GHG intensity must be a positive number');
+        }
+
+        const steps = Object.keys(profile.reductionTrajectory || {}).map(Number).sort((a, b) => a - b);
+        if (steps.length === 0) {
+            errors.push('Reduction trajectory must contain at least one year');
+        }
+
+        let previous = 0;
+        steps.forEach(year => {
+            const reduction = profile.reductionTrajectory[year];
+            if (!(reduction >= 0 && reduction <= 1)) {
+                errors.push(`Reduction for ${year} must be between 0 and 100%`);
+            } else if (reduction < previous) {
+                errors.push(`Reduction for ${year} cannot be lower than the previous step`);
+            }
+            previous = reduction;
+        });
+
+        if (steps.length > 0 && !(profile.lastYear >= steps[steps.length - 1])) {
+            errors.push('Last year must not be before the final trajectory step');
+        }
+
+        if (!(profile.penaltyEurPerTonneVlsfo >= 0)) {
+            errors.push('Penalty per tonne VLSFO-equivalent must be zero or positive');
+        }
+
+        if (!(profile.vlsfoEnergyPerTonne > 0)) {
+            errors.push('VLSFO energy content must be a positive number');
+        }
+
+        if (!(profile.penaltyEscalationRate >= 0)) {
+            errors.push('Penalty escalation rate must be zero or positive');
+        }
+
+        ['bankingLimit', 'borrowingLimit'].forEach(field => {
+            if (!(profile[field] >= 0 && profile[field] <= 1)) {
+                errors.push(`${field} must be between 0 and 100%`);
+            }
+        });
+
+        if (!(profile.borrowingRepaymentMultiplier >= 1)) {
+            errors.push('Borrowing repayment multiplier must be at least 1');
+        }
+
+        if (!(profile.extraEUEnergyShare >= 0 && profile.extraEUEnergyShare <= 1)) {
+            errors.push('Extra-EU energy share must be between 0 and 100%');
+        }
+
+        if (!Number.isInteger(profile.outermostExemptionLastYear)) {
+            errors.push('Outermost region exemption year must be a year');
+        }
+
+        if (!(profile.rfnboRewardFactor >= 1)) {
+            errors.push('RFNBO reward factor must be at least 1');
+        }
+
+        if (!(profile.rfnboSubTarget >= 0 && profile.rfnboSubTarget <= 1)) {
+            errors.push('RFNBO sub-target must be between 0 and 100%');
+        }
+
+        ['rfnboRewardLastYear', 'rfnboSubTargetFromYear'].forEach(field => {
+            if (!Number.isInteger(profile[field])) {
+                errors.push(`${field} must be a year`);
+            }
+        });
+
+        if (!(profile.rfnboPenaltyEurPerTonneVlsfo >= 0)) {
+            errors.push('RFNBO penalty per tonne VLSFO-equivalent must be zero or positive');
+        }
+
+        // A higher wind power ratio may never earn a smaller reduction
+        let previousFactor = 1;
+        Object.keys(profile.windRewardFactors || {}).map(Number).sort((a, b) => a - b).forEach(ratio => {
+            const factor = profile.windRewardFactors[ratio];
+            if (!(ratio > 0 && ratio <= 1)) {
+                errors.push(`Wind power ratio ${ratio} must be between 0 and 1`);
+            } else if (!(factor > 0 && factor <= 1)) {
+                errors.push(`Wind reward factor for ratio ${ratio} must be between 0 and 1`);
+            } else if (factor > previousFactor) {
+                errors.push(`Wind reward factor for ratio ${ratio} cannot be higher than the previous step`);
+            }
+            previousFactor = factor;
+        });
+
+        if (!Number.isInteger(profile.opsFromYear)) {
+            errors.push('OPS obligation start year must be a year');
+        }
+
+        if (!Array.isArray(profile.opsVesselTypes)) {
+            errors.push('OPS vessel types must be a list');
+        }
+
+        if (!(profile.opsMinBerthHours >= 0)) {
+            errors.push('OPS minimum time at berth must be zero or positive');
+        }
+
+        if (!(profile.opsPenaltyEurPerKWh >= 0)) {
+            errors.push('OPS penalty per kWh must be zero or positive');
+        }
+
+        Object.entries(profile.etsPhaseIn || {}).forEach(([year, share]) => {
+            if (!(share >= 0 && share <= 1)) {
+                errors.push(`ETS phase-in for ${year} must be between 0 and 100%`);
+            }
+        });
+
+        if (!Number.isInteger(profile.etsNonCO2FromYear)) {
+            errors.push('ETS CH4 and N2O coverage year must be a year');
+        }
+
+        return errors;
+    }
+
+    // Expand the stepped trajectory into a reduction target per year
+    static expandTrajectory(profile) {
+        const steps = Object.keys(profile.reductionTrajectory).map(Number).sort((a, b) => a - b);
+        const targets = {};
+
+        for (let year = steps[0]; year <= profile.lastYear; year++) {
+            const step = steps.filter(stepYear => stepYear <= year).pop();
+            targets[year] = profile.reductionTrajectory[step];
+        }
+
+        return targets;
+    }
+}
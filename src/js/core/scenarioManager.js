@@ -0,0 +1,118 @@
+// What-if scenarios per pool. A scenario holds its own copy of the pool's vessel
+// records, so editing it never touches the real vessels.
+export default class ScenarioManager {
+    constructor() {
+        this.scenarios = {};
+        this.storageKey = 'fueleu_scenarios';
+
+        this.loadFromStorage();
+    }
+
+    // Storage methods
+    saveToStorage() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.scenarios));
+        } catch (error) {
+            console.warn('Could not save scenarios to localStorage:', error);
+        }
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.scenarios = JSON.parse(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load scenarios from localStorage:', error);
+            this.scenarios = {};
+        }
+    }
+
+    static cloneVessels(vessels) {
+        return JSON.parse(JSON.stringify(vessels));
+    }
+
+    getScenarios(poolName) {
+        return this.scenarios[poolName] || [];
+    }
+
+    getScenario(poolName, scenarioId) {
+        return this.getScenarios(poolName).find(scenario => scenario.id === scenarioId) || null;
+    }
+
+    createScenario(poolName, name, year, vessels, createdBy) {
+        if (!name || !name.trim()) {
+            throw new Error('Scenario name is required');
+        }
+
+        if (this.getScenarios(poolName).some(scenario => scenario.name === name.trim())) {
+            throw new Error(`Scenario "${name.trim()}" already exists in ${poolName}`);
+        }
+
+        const scenario = {
+            id: Date.now(),
+            name: name.trim(),
+            year,
+            vessels: ScenarioManager.cloneVessels(vessels),
+            nextVesselNumber: 1,
+            createdBy,
+            created: new Date().toISOString(),
+            lastUpdated: new Date().toISOString()
+        };
+
+        this.scenarios[poolName] = [...this.getScenarios(poolName), scenario];
+        this.saveToStorage();
+        return scenario;
+    }
+
+    deleteScenario(poolName, scenarioId) {
+        if (!this.getScenario(poolName, scenarioId)) {
+            throw new Error('Scenario not found');
+        }
+
+        this.scenarios[poolName] = this.getScenarios(poolName).filter(scenario => scenario.id !== scenarioId);
+        this.saveToStorage();
+        return true;
+    }
+
+    updateScenario(poolName, scenarioId, update) {
+        const scenario = this.getScenario(poolName, scenarioId);
+        if (!scenario) {
+            throw new Error('Scenario not found');
+        }
+
+        update(scenario);
+        scenario.lastUpdated = new Date().toISOString();
+        this.saveToStorage();
+        return scenario;
+    }
+
+    replaceVessel(poolName, scenarioId, vessel) {
+        return this.updateScenario(poolName, scenarioId, scenario => {
+            const index = scenario.vessels.findIndex(v => v.id === vessel.id);
+            if (index === -1) {
+                throw new Error('Vessel is not part of this scenario');
+            }
+            scenario.vessels[index] = ScenarioManager.cloneVessels(vessel);
+        });
+    }
+
+    // Hypothetical vessels get scenario-local ids so no ledger or history entries apply to them
+    addVessel(poolName, scenarioId, vessel) {
+        return this.updateScenario(poolName, scenarioId, scenario => {
+            scenario.vessels.push({
+                ...ScenarioManager.cloneVessels(vessel),
+                id: `scenario-${scenario.nextVesselNumber++}`,
+                pool: poolName,
+                hypothetical: true
+            });
+        });
+    }
+
+    removeVessel(poolName, scenarioId, vesselId) {
+        return this.updateScenario(poolName, scenarioId, scenario => {
+            scenario.vessels = scenario.vessels.filter(vessel => vessel.id !== vesselId);
+        });
+    }
+}
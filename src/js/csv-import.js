@@ -0,0 +1,407 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+
+// CSV reading and writing per RFC 4180: quoted fields may hold delimiters, line
+// breaks and doubled quotes. Files may start with a byte order mark, use comma,
+// semicolon, tab or pipe delimiters and carry "#" comment lines between records.
+// The vessel import maps file columns onto vessel fields, with the energy column
+// in MJ, GJ or tonnes of fuel.
+export default class CsvImport {
+    static DELIMITERS = {
+        ',': 'Comma',
+        ';': 'Semicolon',
+        '\t': 'Tab',
+        '|': 'Pipe'
+    };
+
+    static FIELDS = {
+        name: { label: 'Vessel name', aliases: ['vessel_name', 'name', 'vessel name', 'ship_name', 'ship name'], required: true },
+        imo: { label: 'IMO number', aliases: ['imo', 'imo_number', 'imo number'], required: true },
+        type: { label: 'Vessel type', aliases: ['type', 'vessel_type', 'vessel type', 'ship_type', 'ship type'], required: true },
+        fuelConsumption: { label: 'Energy used', aliases: ['fuel_consumption', 'fuel consumption', 'fuel_cons', 'energy', 'energy_mj', 'energy (mj)'], required: true },
+        ghgIntensity: { label: 'GHG intensity (gCO2e/MJ)', aliases: ['ghg_intensity', 'ghg intensity', 'ghg intensity (gco2e/mj)', 'ghg_int', 'ghg', 'co2_intensity'], required: true },
+        fuelType: { label: 'Fuel type (for tonnes of fuel)', aliases: ['fuel_type', 'fuel type', 'fuel'] },
+        pool: { label: 'Pool', aliases: ['pool', 'pool_name', 'pool name'] },
+        owner: { label: 'Owner', aliases: ['owner', 'owner_id', 'owner id', 'owner name'] }
+    };
+
+    // Factor to MJ; tonnes of fuel use the LCV of the row's fuel type
+    static ENERGY_UNITS = {
+        MJ: { label: 'MJ', factor: 1 },
+        GJ: { label: 'GJ', factor: 1000 },
+        tonnes: { label: 'Tonnes of fuel', factor: null }
+    };
+
+    constructor(vesselManager) {
+        this.vesselManager = vesselManager;
+    }
+
+    /**
+     * Text of a file read as an ArrayBuffer: UTF-8 and UTF-16 by their byte order
+     * mark, otherwise UTF-8 when the bytes are valid UTF-8, else Windows-1252 (the
+     * usual encoding of CSV files saved by spreadsheet programs)
+     */
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+        }
+    }
+
+    // Most frequent candidate delimiter outside quotes on the first record line
+    static detectDelimiter(text) {
+        const line = text.split(/\r\n|\n|\r/).find(entry => entry.trim() && !entry.startsWith('#')) || '';
+        const counts = {};
+        let inQuotes = false;
+
+        for (const char of line) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && CsvImport.DELIMITERS[char]) {
+                counts[char] = (counts[char] || 0) + 1;
+            }
+        }
+
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || ',';
+    }
+
+    /**
+     * Split CSV text into a header row and data rows. Each row keeps the line number
+     * it starts on, for error reports. Blank lines and comment lines are skipped;
+     * unquoted values are trimmed.
+     */
+    static parse(text, delimiter = null) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || CsvImport.detectDelimiter(source);
+        const records = [];
+
+        let record = [];
+        let field = '';
+        let quoted = false;
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endField = () => {
+            record.push(quoted ? field : field.trim());
+            field = '';
+            quoted = false;
+        };
+        const endRecord = () => {
+            endField();
+            if (record.length > 1 || record[0] !== '') {
+                records.push({ rowNumber: recordLine, values: record });
+            }
+            record = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '#' && record.length === 0 && field.trim() === '' && !quoted) {
+                // Comment line: skip to its line break
+                while (i + 1 < source.length && source[i + 1] !== '\n' && source[i + 1] !== '\r') i++;
+                field = '';
+            } else if (char === '"' && !quoted && field.trim() === '') {
+                inQuotes = true;
+                quoted = true;
+                field = '';
+            } else if (char === separator) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else if (!(quoted && (char === ' ' || char === '\t'))) {
+                // Text after a closing quote other than padding is kept as written
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted value in the row starting on line ${recordLine}`);
+        }
+        endRecord();
+
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        return {
+            delimiter: separator,
+            headers: records[0].values,
+            rows: records.slice(1)
+        };
+    }
+
+    /**
+     * Numbers with thousands separators or a decimal comma. With both a dot and a
+     * comma the later one is decimal. Two or more of the same separator are thousands
+     * separators, as is a single dot before a 3-digit group in semicolon files. A
+     * single comma is decimal except in comma-delimited files. Values whose digit
+     * groups fit neither reading, such as "1.23.4", come back as NaN so the caller
+     * rejects the row rather than guessing.
+     */
+    static parseNumber(value, delimiter) {
+        const text = String(value ?? '').trim().replace(/\s/g, '');
+        const sign = /^[-+]/.test(text) ? text[0] : '';
+        const digits = text.slice(sign.length);
+        const dots = (digits.match(/\./g) || []).length;
+        const commas = (digits.match(/,/g) || []).length;
+
+        if (commas === 0 && dots <= 1) {
+            // parseFloat would read "12t" or "1e3" as a number
+            if (!/^\d+(\.\d*)?$/.test(digits)) {
+                return NaN;
+            }
+
+            const threeDigitGroup = dots === 1 && /^\d{1,3}\.\d{3}$/.test(digits);
+            return delimiter === ';' && threeDigitGroup ? parseFloat(sign + digits.replace('.', '')) : parseFloat(text);
+        }
+
+        let thousands = null;
+        let decimal = null;
+        if (dots > 0 && commas > 0) {
+            decimal = digits.lastIndexOf(',') > digits.lastIndexOf('.') ? ',' : '.';
+            thousands = decimal === ',' ? '.' : ',';
+        } else if (dots > 1) {
+            thousands = '.';
+        } else if (commas > 1 || delimiter === ',') {
+            thousands = ',';
+        } else {
+            decimal = ',';
+        }
+
+        const parts = decimal ? digits.split(decimal) : [digits];
+        const [integer, fraction = ''] = parts;
+        const grouping = thousands && new RegExp(`^\\d{1,3}(\\${thousands}\\d{3})+$`);
+
+        if (parts.length > 2 || !/^\d*$/.test(fraction) || (grouping ? !grouping.test(integer) : !/^\d+$/.test(integer))) {
+            return NaN;
+        }
+
+        return parseFloat(`${sign}${thousands ? integer.split(thousands).join('') : integer}.${fraction || '0'}`);
+    }
+
+    // CSV text of rows of values; values holding the delimiter, quotes or line breaks are quoted
+    static stringify(rows, delimiter = ',') {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim()
+                ? `"${text.replace(/"/g, '""')}"`
+                : text;
+        };
+
+        return rows.map(row => row.map(escape).join(delimiter)).join('\r\n');
+    }
+
+    /**
+     * Column index per vessel field: the column the user mapped to it before (saved
+     * by header text) first, otherwise the first header not seen before matching the
+     * field's aliases
+     */
+    static suggestMapping(headers, saved = null) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const savedColumns = (saved && saved.columns) || {};
+        const mapping = {};
+
+        Object.entries(CsvImport.FIELDS).forEach(([field, definition]) => {
+            let index = normalized.findIndex(header => savedColumns[header] === field);
+            if (index === -1) {
+                index = normalized.findIndex(header => !(header in savedColumns) && definition.aliases.includes(header));
+            }
+            if (index !== -1) {
+                mapping[field] = index;
+            }
+        });
+
+        return mapping;
+    }
+
+    // Mapping as saved per user: the field of every header in the file (null when left unmapped)
+    static describeMapping(headers, mapping, options) {
+        const columns = {};
+        headers.forEach((header, index) => {
+            const field = Object.keys(mapping).find(key => mapping[key] === index);
+            columns[header.trim().toLowerCase()] = field || null;
+        });
+
+        return { columns, unit: options.unit, fuelType: options.fuelType };
+    }
+
+    // User id from an id or display name in the file
+    resolveOwner(value) {
+        const key = String(value || '').trim().toLowerCase();
+        if (!key) return null;
+
+        const user = Object.values(this.vesselManager.userManager.getAllUsers())
+            .find(entry => entry.id.toLowerCase() === key || (entry.name || '').toLowerCase() === key);
+        return user ? user.id : String(value).trim();
+    }
+
+    // Pool name as listed, matched without regard to case
+    resolvePool(value) {
+        const key = String(value || '').trim().toLowerCase();
+        if (!key) return null;
+
+        return this.vesselManager.poolManager.getPoolNames().find(name => name.toLowerCase() === key) || String(value).trim();
+    }
+
+    /**
+     * Vessels from the mapped rows, checked with the same validation as the vessel
+     * form. options: unit (ENERGY_UNITS key), fuelType (default for tonnes of fuel),
+     * pool and owner used where the file has none, year, currentUser.
+     * A row whose IMO belongs to an existing vessel updates that vessel: blank cells
+     * keep its values, energy and intensity are compared with the year's record
+     * when it has one, and the pool with its membership for the year. Returns the
+     * new and changed vessels (vesselId and changed fields set for updates), the
+     * rows matching a vessel as it is, and one error entry per rejected row.
+     */
+    buildVessels(parsed, mapping, options) {
+        const vessels = [];
+        const unchanged = [];
+        const errors = [];
+        const imos = new Set();
+        const unit = CsvImport.ENERGY_UNITS[options.unit] || CsvImport.ENERGY_UNITS.MJ;
+        const isAdmin = !options.currentUser || options.currentUser.role === 'admin';
+
+        parsed.rows.forEach(row => {
+            const value = field => (mapping[field] !== undefined ? (row.values[mapping[field]] || '').trim() : '');
+            const rowErrors = [];
+
+            const imo = value('imo');
+            const existing = imo ? this.vesselManager.getAllVessels().find(vessel => vessel.imo === imo) || null : null;
+            const current = existing ? CsvImport.getVesselInputs(this.vesselManager, existing, options.year) : null;
+
+            const keepEnergy = existing && value('fuelConsumption') === '';
+            const keepIntensity = existing && value('ghgIntensity') === '';
+
+            let energy = CsvImport.parseNumber(value('fuelConsumption'), parsed.delimiter);
+            if (keepEnergy) {
+                energy = current.fuelConsumption;
+            } else if (unit.factor) {
+                energy *= unit.factor;
+            } else {
+                const fuelText = value('fuelType').toLowerCase();
+                const fuelType = fuelText
+                    ? Object.keys(FUEL_CATALOG).find(key => key.toLowerCase() === fuelText || FUEL_CATALOG[key].name.toLowerCase() === fuelText)
+                    : options.fuelType;
+                if (!FUEL_CATALOG[fuelType]) {
+                    rowErrors.push(`Unknown fuel type "${value('fuelType')}"`);
+                } else {
+                    energy *= FUEL_CATALOG[fuelType].lcv * 1000000;
+                }
+            }
+
+            const vesselData = {
+                name: value('name') || (current ? current.name : ''),
+                imo,
+                type: value('type').toLowerCase() || (current ? current.type : ''),
+                fuelConsumption: keepEnergy || !Number.isFinite(energy) ? energy : Number(energy.toFixed(0)),
+                ghgIntensity: keepIntensity ? current.ghgIntensity : CsvImport.parseNumber(value('ghgIntensity'), parsed.delimiter),
+                pool: this.resolvePool(value('pool')) || (current && current.pool) || options.pool,
+                // Users other than administrators only import vessels they own and keep the owner of vessels they update
+                owner: isAdmin
+                    ? this.resolveOwner(value('owner')) || (current ? current.owner : options.owner)
+                    : (current ? current.owner : options.currentUser.id)
+            };
+
+            // Rows matching the vessel as it is write nothing, so they are not validated again and need no edit rights
+            const changes = existing ? Object.keys(vesselData).filter(field => vesselData[field] !== current[field]) : [];
+            const writes = !existing || changes.length > 0;
+
+            // Existing vessels may carry a fuel mix in place of energy and intensity figures
+            if (writes) {
+                rowErrors.push(...this.vesselManager.validateVessel(existing ? { ...current, ...vesselData } : vesselData, options.currentUser, current).errors);
+            }
+
+            if (imo && imos.has(imo)) {
+                rowErrors.push(`Duplicate IMO ${imo} in import file`);
+            } else if (existing && writes && options.currentUser && !this.vesselManager.permissions.canEditVesselInPool(options.currentUser, existing, this.vesselManager.poolManager, options.year)) {
+                rowErrors.push(`You cannot edit the existing vessel "${existing.name}" with IMO ${imo}`);
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push({ rowNumber: row.rowNumber, values: row.values, errors: rowErrors });
+                return;
+            }
+
+            imos.add(imo);
+            if (!existing) {
+                vessels.push({ rowNumber: row.rowNumber, vessel: vesselData, updates: null, vesselId: null, changes: [] });
+                return;
+            }
+
+            if (changes.length === 0) {
+                unchanged.push({ rowNumber: row.rowNumber, vesselId: existing.id, name: existing.name });
+                return;
+            }
+
+            // Only the changed fields are written, so blank energy and intensity stay as recorded
+            const updates = {};
+            changes.forEach(field => {
+                updates[field] = vesselData[field];
+            });
+            vessels.push({ rowNumber: row.rowNumber, vessel: vesselData, updates, vesselId: existing.id, changes });
+        });
+
+        return { vessels, unchanged, errors };
+    }
+
+    /**
+     * The figures of a vessel that the vessel list exports and the import compares:
+     * energy and intensity of the year's record when there is one (the edit form
+     * writes there), otherwise the vessel's own, and its pool for the year
+     */
+    static getVesselInputs(vesselManager, vessel, year) {
+        const yearData = year ? vesselManager.getYearData(vessel.id, year) : null;
+        const source = yearData || vessel;
+
+        return {
+            name: vessel.name,
+            imo: vessel.imo,
+            type: vessel.type,
+            fuelConsumption: source.fuelConsumption ?? undefined,
+            ghgIntensity: source.ghgIntensity ?? undefined,
+            fuels: source.fuels,
+            windPropulsionPower: vessel.windPropulsionPower,
+            mainEnginePower: vessel.mainEnginePower,
+            pool: year ? vesselManager.getPoolForYear(vessel, year) : vessel.pool,
+            owner: vessel.owner
+        };
+    }
+
+    // Rejected rows as written in the file, with their line number and errors in front
+    static buildErrorReport(headers, errors) {
+        return CsvImport.stringify([
+            ['Line', 'Errors', ...headers],
+            ...errors.map(entry => [entry.rowNumber, entry.errors.join('; '), ...entry.values])
+        ]);
+    }
+}
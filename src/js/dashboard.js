@@ -1,6 +1,36 @@
 import PoolManager from './core/poolManager.js';
 import UserManager from './core/userManager.js';
+import VesselManager from './vessel-management.js';
 import { PermissionManager } from './core/permissions.js';
+import MarketPrices from './core/marketPrices.js';
+import ScenarioManager from './core/scenarioManager.js';
+import FleetPlanManager from './core/fleetPlanManager.js';
+import ImportMappingManager from './core/importMappingManager.js';
+import { FUEL_CATALOG, FUEL_CONSUMERS, GWP100 } from './data/fuel-catalog.js';
+import PoolAllocator from './pool-allocation.js';
+import PoolSettlement from './pool-settlement.js';
+import VoyageScope from './voyage-scope.js';
+import OpsObligation from './ops-obligation.js';
+import CarbonCost from './carbon-cost.js';
+import ScenarioSimulator from './scenario-simulator.js';
+import ComplianceOptimizer from './compliance-optimizer.js';
+import FleetProjection from './fleet-projection.js';
+import MonteCarloSimulator from './monte-carlo-simulator.js';
+import SensitivityAnalysis from './sensitivity-analysis.js';
+import MrvImport from './mrv-import.js';
+import BunkerRegister from './bunker-register.js';
+import NoonReportImport from './noon-report-import.js';
+import CsvImport from './csv-import.js';
+import XlsxWorkbook from './xlsx-workbook.js';
+
+// Emission factors of the fuel mix form, pre-filled from the catalog and saved on the entry where changed
+const FUEL_FACTOR_INPUTS = {
+    lcv: { id: 'fuelMixLcv', label: 'LCV (MJ/g)', step: '0.0001' },
+    wtt: { id: 'fuelMixWtt', label: 'WtT (gCO2e/MJ)', step: '0.1' },
+    cfCO2: { id: 'fuelMixCfCO2', label: 'Cf CO2 (g/g fuel)', step: '0.001' },
+    cfCH4: { id: 'fuelMixCfCH4', label: 'Cf CH4 (g/g fuel)', step: '0.00001' },
+    cfN2O: { id: 'fuelMixCfN2O', label: 'Cf N2O (g/g fuel)', step: '0.00001' }
+};
 
 export default class Dashboard {
     constructor(vesselManager, complianceCalculator) {
@@ -11,6 +41,23 @@ export default class Dashboard {
         this.poolManager = new PoolManager();
         this.userManager = new UserManager();
         this.permissions = PermissionManager;
+        this.poolAllocator = new PoolAllocator(this.calculator);
+        this.poolSettlement = new PoolSettlement(this.calculator);
+        this.marketPrices = new MarketPrices();
+        this.scenarioManager = new ScenarioManager();
+        this.scenarioSimulator = new ScenarioSimulator(this.calculator);
+        this.complianceOptimizer = new ComplianceOptimizer(this.calculator);
+        this.fleetPlanManager = new FleetPlanManager();
+        this.fleetProjection = new FleetProjection(this.calculator);
+        this.monteCarloSimulator = new MonteCarloSimulator(this.calculator);
+        this.sensitivityAnalysis = new SensitivityAnalysis(this.calculator);
+        this.mrvImport = new MrvImport(this.calculator);
+        this.pendingMrvImport = null;
+        this.noonReportImport = new NoonReportImport(this.calculator);
+        this.pendingNoonReportImport = null;
+        this.csvImport = new CsvImport(this.vesselManager);
+        this.importMappingManager = new ImportMappingManager();
+        this.pendingCsvImport = null;
 
         // CRITICAL FIX: Inject shared instances into VesselManager
         this.vesselManager.setManagers(this.poolManager, this.userManager, this.permissions);
@@ -47,6 +94,7 @@ export default class Dashboard {
         }
 
         const pools = this.poolManager.getAllPools();
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
 
         let html = `
         <div class="pools-management-table">
@@ -68,27 +116,34 @@ export default class Dashboard {
         pools.forEach(pool => {
             const vesselCount = this.vesselManager.getVesselsByPool(pool.name).length;
             const createdDate = new Date(pool.created).toLocaleDateString();
-            const isReadOnly = pool.readOnly || false;
+            const status = this.poolManager.getPoolStatus(pool.name);
+            const statusInfo = PoolManager.LIFECYCLE_STATES[status];
+            const statusSince = new Date(this.poolManager.getStatusSince(pool.name)).toLocaleDateString();
+            const transitionOptions = this.poolManager.getAvailableTransitions(pool.name)
+                .filter(toStatus => this.permissions.canTransitionPool(currentUser, pool.name, toStatus, this.poolManager))
+                .map(toStatus => `<option value="${toStatus}">${PoolManager.LIFECYCLE_STATES[toStatus].label}</option>`)
+                .join('');
 
             html += `
-            <tr class="${isReadOnly ? 'readonly-pool' : ''}">
+            <tr class="${statusInfo.membershipOpen ? '' : 'readonly-pool'}">
                 <td class="pool-name">${pool.name}</td>
                 <td class="pool-description">${pool.description || 'No description'}</td>
                 <td class="vessel-count">${vesselCount}</td>
                 <td>${pool.manager}</td>
                 <td>
-                    <span class="status-badge ${isReadOnly ? 'readonly' : 'writable'}">
-                        ${isReadOnly ? '🔒 Read-Only' : '✏️ Writable'}
+                    <span class="status-badge pool-${status}" title="Since ${statusSince}">
+                        ${statusInfo.icon} ${statusInfo.label}
                     </span>
                 </td>
                 <td>${createdDate}</td>
                 <td class="actions-col">
                     <div class="action-buttons">
-                        <button class="btn-icon ${isReadOnly ? 'readonly' : 'writable'}" 
-                                onclick="dashboard.togglePoolReadOnly('${pool.name}')" 
-                                title="${isReadOnly ? 'Make Writable' : 'Make Read-Only'}">
-                            <span>${isReadOnly ? '🔓' : '🔒'}</span>
-                        </button>
+                        ${transitionOptions ? `
+                            <select class="table-select" onchange="dashboard.transitionPool('${pool.name}', this.value)" title="Change Status">
+                                <option value="">Move to…</option>
+                                ${transitionOptions}
+                            </select>
+                        ` : ''}
                         <button class="btn-icon" onclick="dashboard.editPool('${pool.name}')" title="Edit Pool">
                             <span>✏️</span>
                         </button>
@@ -136,6 +191,10 @@ export default class Dashboard {
         document.getElementById('poolDescription').value = pool.description || '';
         document.getElementById('poolManager').value = pool.manager;
 
+        const pricing = this.poolManager.getPoolPricing(poolName);
+        document.getElementById('poolPrice').value = pricing.price;
+        document.getElementById('poolPricingBasis').value = pricing.basis;
+
         // Update modal for edit mode
         document.getElementById('poolModalTitle').textContent = 'Edit Pool';
         document.getElementById('poolModalSubmit').textContent = 'Update Pool';
@@ -165,7 +224,8 @@ export default class Dashboard {
         }
 
         try {
-            this.poolManager.createPool({ name, description, manager });
+            const pricing = this.readPoolPricing();
+            this.poolManager.createPool({ name, description, manager, pricing });
             this.syncAdminPools();
             this.updatePoolLists();
             this.displayPoolManagement();
@@ -193,6 +253,8 @@ export default class Dashboard {
         }
 
         try {
+            const pricing = this.readPoolPricing();
+
             // If pool name changed, we need to update vessel assignments
             if (name !== originalPoolName) {
                 // Update all vessels in this pool
@@ -200,9 +262,10 @@ export default class Dashboard {
                 vessels.forEach(vessel => {
                     this.vesselManager.updateVessel(vessel.id, { pool: name }, currentUser);
                 });
+                this.poolManager.renamePoolMemberships(originalPoolName, name);
             }
 
-            this.poolManager.updatePool(originalPoolName, { name, description, manager });
+            this.poolManager.updatePool(originalPoolName, { name, description, manager, pricing });
 
             // If name changed, delete old pool and create new one
             if (name !== originalPoolName) {
@@ -273,6 +336,24 @@ export default class Dashboard {
         document.getElementById('poolName').value = '';
         document.getElementById('poolDescription').value = '';
         document.getElementById('poolManager').value = 'admin';
+        document.getElementById('poolPrice').value = '';
+        document.getElementById('poolPricingBasis').value = 'tco2eq';
+    }
+
+    // Read and validate the pool price from the pool modal
+    readPoolPricing() {
+        const pricing = {
+            price: parseFloat(document.getElementById('poolPrice').value) || 0,
+            basis: document.getElementById('poolPricingBasis').value,
+            currency: 'EUR'
+        };
+
+        const errors = PoolSettlement.validatePricing(pricing);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return pricing;
     }
 
     closePoolModal() {
@@ -382,6 +463,12 @@ export default class Dashboard {
                          <span id="currentUserRole">(${this.authManager.userRole})</span>
                         <span id="currentPool">${this.authManager.selectedPool ? ` - ${this.authManager.selectedPool}` : ''}</span>
                     </div>
+                    <div class="year-selector">
+                        <label for="reportingYear">Reporting Year:</label>
+                        <select id="reportingYear" class="table-select" onchange="dashboard.setCurrentYear(parseInt(this.value))">
+                            ${this.getYearOptions()}
+                        </select>
+                    </div>
                     <button class="logout-btn" onclick="authManager.logout()">Logout</button>
                 `;
                 header.appendChild(userInfo);
@@ -389,6 +476,48 @@ export default class Dashboard {
         }, 100);
     }
 
+    // Reporting year selection
+    getYearOptions() {
+        return this.calculator.getAvailableYears()
+            .map(({ year }) => `<option value="${year}" ${year === this.currentYear ? 'selected' : ''}>${year}</option>`)
+            .join('');
+    }
+
+    refreshYearSelector() {
+        // The active regulation profile decides which years can be evaluated
+        if (this.calculator.complianceTargets[this.currentYear] === undefined) {
+            this.currentYear = this.calculator.getAvailableYears()[0].year;
+        }
+
+        const yearSelect = document.getElementById('reportingYear');
+        if (yearSelect) {
+            yearSelect.innerHTML = this.getYearOptions();
+        }
+    }
+
+    setCurrentYear(year) {
+        if (this.calculator.complianceTargets[year] === undefined) {
+            alert(`No compliance target defined for ${year}.`);
+            return;
+        }
+
+        this.currentYear = year;
+        console.log('📅 Reporting year changed to', year);
+
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (activeTab && activeTab.dataset.pool) {
+            this.updatePoolDisplay(activeTab.dataset.pool, activeTab.id);
+        }
+    }
+
+    getTargetIntensity(year = this.currentYear) {
+        return this.calculator.referenceGHGIntensity * (1 - this.calculator.complianceTargets[year]);
+    }
+
+    getPoolOverviewTitle(poolName) {
+        return `${poolName} Overview - ${this.currentYear} (Target Intensity: ${this.getTargetIntensity().toFixed(2)} gCO2e/MJ)`;
+    }
+
     // filterVesselsForUser() {
     //     if (!this.authManager) return;
 
@@ -450,6 +579,16 @@ export default class Dashboard {
                                 <option value="admin">Admin</option>
                             </select>
                         </div>
+                        <div class="form-group">
+                            <label for="poolPrice">Surplus Price (EUR):</label>
+                            <input type="number" id="poolPrice" min="0" step="0.01" placeholder="e.g., 200">
+                        </div>
+                        <div class="form-group">
+                            <label for="poolPricingBasis">Pricing Basis:</label>
+                            <select id="poolPricingBasis">
+                                ${Object.entries(PoolSettlement.PRICING_BASES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </div>
                         <div class="modal-actions">
                             <button class="btn btn-primary" id="poolModalSubmit" onclick="dashboard.submitPoolForm()">Create Pool</button>
                             <button class="btn btn-secondary" onclick="dashboard.closePoolModal()">Cancel</button>
@@ -497,6 +636,76 @@ export default class Dashboard {
                 </div>
             </div>
 
+            <!-- Regulation Profile Modal -->
+            <div id="regulationModal" class="modal">
+                <div class="modal-content">
+                    <span class="close" onclick="dashboard.closeRegulationModal()">&times;</span>
+                    <h2 id="regulationModalTitle">New Regulation Profile Version</h2>
+                    <div class="regulation-form">
+                        <div class="form-group">
+                            <label for="regulationName">Profile Name:</label>
+                            <input type="text" id="regulationName" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationReference">Reference GHG Intensity (gCO2e/MJ):</label>
+                            <input type="number" id="regulationReference" step="0.01" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label>Reduction Trajectory (% below reference, from year):</label>
+                            <div id="regulationTrajectory" class="regulation-trajectory">
+                                <!-- Trajectory steps will be populated here -->
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationLastYear">Last Reporting Year:</label>
+                            <input type="number" id="regulationLastYear" step="1" min="2025">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationPenaltyRate">Penalty (EUR per tonne VLSFO-equivalent):</label>
+                            <input type="number" id="regulationPenaltyRate" step="1" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationVlsfoEnergy">VLSFO Energy Content (MJ per tonne):</label>
+                            <input type="number" id="regulationVlsfoEnergy" step="1" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationEscalation">Escalation per Consecutive Deficit Period (%):</label>
+                            <input type="number" id="regulationEscalation" step="0.1" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationBankingLimit">Banking Limit (% of energy-based limit):</label>
+                            <input type="number" id="regulationBankingLimit" step="0.1" min="0" max="100">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationBorrowingLimit">Borrowing Limit (% of energy-based limit):</label>
+                            <input type="number" id="regulationBorrowingLimit" step="0.1" min="0" max="100">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationRepayment">Borrowing Repayment Multiplier:</label>
+                            <input type="number" id="regulationRepayment" step="0.01" min="1">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationExtraEUShare">Extra-EU Voyage Energy in Scope (%):</label>
+                            <input type="number" id="regulationExtraEUShare" step="1" min="0" max="100">
+                        </div>
+                        <div class="form-group">
+                            <label for="regulationOutermostExemption">Outermost Region Exemption Until:</label>
+                            <input type="number" id="regulationOutermostExemption" step="1" min="2025">
+                        </div>
+                        <div class="form-group">
+                            <label class="checkbox-item">
+                                <input type="checkbox" id="regulationActivate" checked>
+                                Activate this version after saving
+                            </label>
+                        </div>
+                        <div class="modal-actions">
+                            <button class="btn btn-primary" onclick="dashboard.saveRegulationProfile()">Save New Version</button>
+                            <button class="btn btn-secondary" onclick="dashboard.closeRegulationModal()">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
             <!-- Hidden file input for data import -->
             <input type="file" id="fileInput" accept=".json,.csv" style="display: none;">
         `;
@@ -693,7 +902,7 @@ export default class Dashboard {
 
             if (this.editingVesselId) {
                 // Edit mode
-                this.vesselManager.updateVessel(this.editingVesselId, vesselData, currentUser);
+                this.saveVesselEdits(this.editingVesselId, vesselData, currentUser);
                 this.showNotification(`Vessel "${vesselData.name}" updated successfully!`, 'success');
                 this.exitEditMode();
             } else {
@@ -1033,538 +1242,1691 @@ export default class Dashboard {
                 
                 <div class="detail-section">
                     <h3>Compliance Status (${this.currentYear})</h3>
-                    <p><strong>FuelEU Energy Used:</strong> ${vessel.fuelConsumption.toLocaleString()} MJ</p>
-                    <p><strong>GHG Intensity:</strong> ${vessel.ghgIntensity.toFixed(2)} gCO2e/MJ</p>
+                    <p><strong>FuelEU Energy Used:</strong> ${compliance.fuelConsumption.toLocaleString()} MJ ${compliance.voyageScope ? `(in scope, of ${compliance.voyageScope.totalEnergy.toLocaleString()} MJ on recorded voyages)` : ''}</p>
+                    <p><strong>GHG Intensity:</strong> ${compliance.ghgIntensity.toFixed(2)} gCO2e/MJ ${compliance.intensitySource === 'manual' && compliance.fuelMix ? '(manual override)' : ''}</p>
+                    ${compliance.windReward.factor < 1 ? `<p><strong>Wind Reward Factor:</strong> ×${compliance.windReward.factor} (${compliance.unrewardedIntensity.toFixed(2)} gCO2e/MJ before reward)</p>` : ''}
                     <p><strong>Compliance Balance:</strong> ${compliance.complianceBalance > 0 ? '+' : ''}${compliance.complianceBalance.toFixed(2)} tCO2eq</p>
-                    <p><strong>Status:</strong> <span class="compliance-indicator ${compliance.status}">${compliance.status.toUpperCase()}</span></p
+                    <p><strong>Status:</strong> <span class="compliance-indicator ${compliance.status}">${compliance.status.toUpperCase()}</span></p>
+                    <p><strong>Regulation Profile:</strong> v${compliance.regulationVersion}</p>
+                    <p><strong>Data Source:</strong> ${compliance.dataYear ? `${compliance.dataYear} record (${compliance.verificationStatus})` : 'Default vessel data'}${compliance.fuelSource === 'bdn' ? ', fuel mix from bunker delivery notes' : ''}</p>
+                    ${compliance.importSource ? `<p><strong>Imported From:</strong> ${compliance.importSource.format} file ${compliance.importSource.fileName} on ${new Date(compliance.importSource.importedAt).toLocaleString()}</p>` : ''}
+                    ${compliance.noonReports ? `<p><strong>Noon Reports:</strong> ${compliance.noonReports.days} days from ${compliance.noonReports.from} to ${compliance.noonReports.to} (${compliance.noonReports.seaDays} at sea, ${compliance.noonReports.portDays} in port), ${compliance.noonReports.distance.toLocaleString()} nm${compliance.noonReports.missingDays > 0 ? `, ${compliance.noonReports.missingDays} day(s) missing` : ''}${compliance.noonReports.anomalies > 0 ? ` ⚠️ ${compliance.noonReports.anomalies} anomaly(ies) at import` : ''}</p>` : ''}
+                    ${compliance.mrvEmissions ? `<p><strong>MRV Reported CO2:</strong> ${compliance.mrvEmissions.co2.toLocaleString()} t${compliance.mrvEmissions.co2AtBerth !== null ? ` (${compliance.mrvEmissions.co2AtBerth.toLocaleString()} t at berth)` : ''}</p>` : ''}
+                    ${compliance.voyageCount !== undefined && compliance.voyageCount !== null ? `<p><strong>Voyages:</strong> ${compliance.voyageCount}</p>` : ''}
                 </div>
-                
-            </div>
-        `;
 
-        document.getElementById('vesselModal').style.display = 'block';
-    }
+                ${this.renderYearDataSection(vessel)}
 
-    editVessel(vesselId) {
-        const vessel = this.vesselManager.getVessel(vesselId);
-        if (!vessel) return;
+                ${this.renderPoolMembershipSection(vessel)}
 
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+                ${compliance.complianceBalance < 0 ? `
+                    <div class="detail-section">
+                        <h3>Penalty Exposure (${this.currentYear})</h3>
+                        <p><strong>VLSFO-Equivalent Energy:</strong> ${compliance.penaltyBreakdown.vlsfoEquivalentTonnes.toLocaleString()} t</p>
+                        <p><strong>Base Penalty:</strong> €${compliance.penaltyBreakdown.basePenalty.toLocaleString()}</p>
+                        <p><strong>Consecutive Deficit Periods:</strong> ${compliance.penaltyBreakdown.consecutiveDeficitPeriods}</p>
+                        <p><strong>Escalation Factor:</strong> ×${compliance.penaltyBreakdown.escalationFactor.toFixed(2)}</p>
+                        <p><strong>Potential Penalty:</strong> €${compliance.potentialPenalty.toLocaleString()}</p>
+                    </div>
+                ` : ''}
 
-        // NEW: Check if user can edit vessel in potentially read-only pool
-        if (currentUser && !this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager)) {
-            if (this.poolManager.isPoolReadOnly(vessel.pool)) {
-                alert(this.permissions.getReadOnlyMessage(vessel.pool));
-            } else {
-                alert('You do not have permission to edit this vessel.');
-            }
-            return;
-        }
+                ${this.renderBankingSection(vessel, compliance, banking)}
 
-        console.log('Editing vessel:', vesselId, vessel);
+                <div class="detail-section">
+                    <h3>RFNBO (${this.currentYear})</h3>
+                    <p><strong>RFNBO Energy:</strong> ${compliance.rfnbo.energy.toLocaleString()} MJ (${compliance.rfnbo.share.toFixed(2)}%)</p>
+                    <p><strong>Reward Factor:</strong> ×${compliance.rfnbo.rewardFactor}${compliance.rfnbo.rewardFactor > 1 ? ' applied to RFNBO energy in the GHG intensity' : ''}</p>
+                    ${compliance.rfnbo.applies ? `
+                        <p><strong>Sub-Target:</strong> ${compliance.rfnbo.subTarget.toFixed(2)}% ${compliance.rfnbo.met ? '✅ Met' : '❌ Missed'}</p>
+                        ${compliance.rfnbo.met ? '' : `
+                            <p><strong>Shortfall:</strong> ${compliance.rfnbo.shortfallEnergy.toLocaleString()} MJ</p>
+                            <p><strong>RFNBO Penalty:</strong> €${compliance.rfnbo.penalty.toLocaleString()}</p>
+                        `}
+                    ` : `<p><strong>Sub-Target:</strong> ${compliance.rfnbo.subTarget.toFixed(2)}% from ${compliance.rfnbo.subTargetFromYear}</p>`}
+                </div>
 
-        // Find the current active tab to determine which form to populate
-        const activeTab = document.querySelector('.pool-tab-content.active');
-        if (!activeTab) {
-            alert('No active pool tab found.');
-            return;
-        }
+                <div class="detail-section">
+                    <h3>EU ETS (${this.currentYear})</h3>
+                    <p><strong>CO2:</strong> ${compliance.ets.co2.toLocaleString()} t &nbsp;|&nbsp; <strong>CH4:</strong> ${compliance.ets.ch4.toLocaleString()} tCO2e &nbsp;|&nbsp; <strong>N2O:</strong> ${compliance.ets.n2o.toLocaleString()} tCO2e ${compliance.ets.source === 'intensity-estimate' ? '(estimated from the GHG intensity)' : ''}</p>
+                    <p><strong>Covered Emissions:</strong> ${compliance.ets.coveredEmissions.toLocaleString()} tCO2e ${compliance.ets.nonCO2Covered ? '' : '(CO2 only)'}</p>
+                    <p><strong>Allowances to Surrender:</strong> ${compliance.ets.allowances.toLocaleString()} EUAs (${(compliance.ets.phaseIn * 100).toFixed(0)}% phase-in)</p>
+                    <p><strong>Total Carbon Cost:</strong> €${CarbonCost.calculateVesselCost(compliance, this.marketPrices.getEuaPrice()).totalCost.toLocaleString()} at €${this.marketPrices.getEuaPrice()}/EUA</p>
+                </div>
 
-        const tabId = activeTab.id;
+                ${this.renderFuelMixSection(vessel, compliance)}
 
-        // Pre-fill form with vessel data using pool-specific IDs
-        const vesselNameEl = document.getElementById(`vesselName-${tabId}`);
-        const imoNumberEl = document.getElementById(`imoNumber-${tabId}`);
-        const vesselTypeEl = document.getElementById(`vesselType-${tabId}`);
-        const fuelConsumptionEl = document.getElementById(`fuelConsumption-${tabId}`);
-        const ghgIntensityEl = document.getElementById(`ghgIntensity-${tabId}`);
-        const vesselOwnerEl = document.getElementById(`vesselOwner-${tabId}`);
+                ${this.renderBunkerSection(vessel, compliance)}
 
-        if (vesselNameEl) vesselNameEl.value = vessel.name;
-        if (imoNumberEl) imoNumberEl.value = vessel.imo;
-        if (vesselTypeEl) vesselTypeEl.value = vessel.type;
-        if (fuelConsumptionEl) fuelConsumptionEl.value = vessel.fuelConsumption;
-        if (ghgIntensityEl) ghgIntensityEl.value = vessel.ghgIntensity;
-        if (vesselOwnerEl) vesselOwnerEl.value = vessel.owner || '';
+                ${this.renderVoyageSection(vessel, compliance)}
 
-        // Enter edit mode
-        this.enterEditMode(vesselId);
+                ${this.renderUncertaintySection(vessel, compliance)}
 
-        // Scroll to form
-        const addVesselSection = document.getElementById(`addVesselSection-${tabId}`);
-        if (addVesselSection) {
-            addVesselSection.scrollIntoView({ behavior: 'smooth' });
-        }
-    }
+                ${this.renderWindAssistSection(vessel, compliance)}
 
-    removeVessel(vesselId) {
-        const vessel = this.vesselManager.getVessel(vesselId);
-        if (!vessel) return;
+                ${this.renderPortCallSection(vessel, compliance)}
+            </div>
+        `;
 
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        document.getElementById('vesselModal').style.display = 'block';
+    }
 
-        // FIXED: Check admin first, then read-only restrictions
-        const isAdmin = currentUser && currentUser.role === 'admin';
+    // Per-year operational records section of the vessel details modal
+    renderYearDataSection(vessel) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const years = this.vesselManager.getReportingYears(vessel.id);
+        const currentRecord = this.vesselManager.getYearData(vessel.id, this.currentYear) || {};
+
+        const recordRows = years.map(year => {
+            const record = vessel.yearlyData[year];
+            const inputs = this.calculator.resolveVesselInputs(this.calculator.resolveVesselYear(vessel, year), year);
+
+            return `
+                <tr class="${year === this.currentYear ? 'selected' : ''}">
+                    <td>${year}</td>
+                    <td>${inputs.energy.toLocaleString()}</td>
+                    <td>${inputs.ghgIntensity.toFixed(2)}</td>
+                    <td>${record.voyageCount ?? '-'}</td>
+                    <td><span class="status-badge ${record.verificationStatus}">${record.verificationStatus}</span></td>
+                    ${canEdit ? `
+                        <td>
+                            <button class="btn-icon danger" onclick="dashboard.removeVesselYearData(${vessel.id}, ${year})" title="Remove Record">
+                                <span>🗑️</span>
+                            </button>
+                        </td>
+                    ` : ''}
+                </tr>
+            `;
+        }).join('');
 
-        if (!isAdmin) {
-            // For non-admin users, check read-only restrictions first
-            if (currentUser && !this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager)) {
-                if (this.poolManager.isPoolReadOnly(vessel.pool)) {
-                    alert(this.permissions.getReadOnlyMessage(vessel.pool));
-                } else {
-                    alert('You do not have permission to delete this vessel.');
-                }
-                return;
-            }
-        }
-        // Admin can always delete, regardless of read-only status
+        const statusOptions = VesselManager.getValidVerificationStatuses()
+            .map(status => `<option value="${status}" ${status === (currentRecord.verificationStatus || 'forecast') ? 'selected' : ''}>${status}</option>`)
+            .join('');
 
-        if (confirm(`Are you sure you want to remove "${vessel.name}" from the pool?`)) {
-            try {
-                // Pass currentUser to removeVessel method
-                this.vesselManager.removeVessel(vesselId, currentUser);
+        return `
+            <div class="detail-section">
+                <h3>Reporting Years</h3>
+                ${years.length > 0 ? `
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Year</th>
+                                    <th>Energy (MJ)</th>
+                                    <th>Intensity (gCO2e/MJ)</th>
+                                    <th>Voyages</th>
+                                    <th>Status</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${recordRows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p>No per-year records. The default vessel data is used for every year.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="number" id="yearDataEnergy" min="0" placeholder="Energy (MJ)" class="table-input" value="${currentRecord.fuelConsumption ?? ''}">
+                        <input type="number" id="yearDataIntensity" min="0" step="0.01" placeholder="gCO2e/MJ" class="table-input" value="${currentRecord.ghgIntensity ?? ''}">
+                        <input type="number" id="yearDataVoyages" min="0" step="1" placeholder="Voyages" class="table-input" value="${currentRecord.voyageCount ?? ''}">
+                        <select id="yearDataStatus" class="table-select">${statusOptions}</select>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.saveVesselYearData(${vessel.id})">Save ${this.currentYear} Record</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-                // Clean up selection state
-                this.selectedVessels.delete(vesselId);
+    saveVesselYearData(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
 
-                // Refresh the current pool display
-                const activeTab = document.querySelector('.pool-tab-content.active');
-                if (activeTab) {
-                    const tabId = activeTab.id;
-                    const poolName = activeTab.dataset.pool;
-                    if (poolName) {
-                        this.updatePoolDisplay(poolName, tabId);
-                        // Refresh selection display to update counts
-                        this.refreshSelectionDisplay();
-                    }
-                }
+        // Blank fields clear the value, e.g. to use the intensity derived from the fuel mix
+        const readNumber = (id, parse = parseFloat) => {
+            const value = parse(document.getElementById(id).value);
+            return isNaN(value) ? null : value;
+        };
 
-                this.showNotification(`Vessel "${vessel.name}" removed successfully!`, 'success');
-            } catch (error) {
-                alert(`Error removing vessel: ${error.message}`);
-            }
+        try {
+            this.vesselManager.setYearData(vesselId, this.currentYear, {
+                fuelConsumption: readNumber('yearDataEnergy'),
+                ghgIntensity: readNumber('yearDataIntensity'),
+                voyageCount: readNumber('yearDataVoyages', value => parseInt(value, 10)),
+                verificationStatus: document.getElementById('yearDataStatus').value
+            }, currentUser);
+
+            this.refreshVesselViews(vesselId);
+            this.showNotification(`${this.currentYear} record saved`, 'success');
+        } catch (error) {
+            alert(`Error saving ${this.currentYear} record: ${error.message}`);
         }
     }
 
-    // Selection and bulk actions
-    toggleVesselSelection(vesselId) {
-        if (this.selectedVessels.has(vesselId)) {
-            this.selectedVessels.delete(vesselId);
-        } else {
-            this.selectedVessels.add(vesselId);
+    removeVesselYearData(vesselId, year) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        if (!confirm(`Remove the ${year} record? The default vessel data will be used for ${year} instead.`)) {
+            return;
+        }
+
+        try {
+            this.vesselManager.removeYearData(vesselId, year, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error removing ${year} record: ${error.message}`);
         }
-        // Don't call updateDisplay() - just refresh selection display
-        this.refreshSelectionDisplay();
     }
 
-    toggleSelectAll(tabId) {
-        const selectAllCheckbox = document.getElementById(`selectAllTable-${tabId}`);
-        const shouldSelectAll = selectAllCheckbox?.checked || false;
+    // Per-period pool membership section of the vessel details modal
+    renderPoolMembershipSection(vessel) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVessel(currentUser, vessel);
+        const memberships = this.poolManager.getVesselMemberships(vessel.id);
+        const recorded = this.poolManager.hasMembership(vessel.id, this.currentYear);
+        const yearPool = this.vesselManager.getPoolForYear(vessel, this.currentYear);
+        const canChangeYearPool = canEdit && (!yearPool || this.vesselManager.canChangeMembership(yearPool, currentUser));
+
+        const membershipRows = memberships.map(({ year, pool }) => `
+            <tr class="${year === this.currentYear ? 'selected' : ''}">
+                <td>${year}</td>
+                <td>${pool || 'No pool'}</td>
+                ${canEdit ? `
+                    <td>
+                        ${!pool ? '-' : this.vesselManager.canChangeMembership(pool, currentUser) ? `
+                            <button class="btn-icon danger" onclick="dashboard.leavePoolForYear(${vessel.id}, ${year})" title="Remove Membership">
+                                <span>🗑️</span>
+                            </button>
+                        ` : `<span title="${this.poolManager.getStatusInfo(pool)?.label || ''}">🔒</span>`}
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('');
 
-        // Get vessels for current pool only
-        const activeTab = document.querySelector('.pool-tab-content.active');
-        const poolName = activeTab?.dataset.pool;
+        const availablePools = currentUser && currentUser.role !== 'admin'
+            ? this.poolManager.getAllPools().filter(pool => currentUser.pools.includes(pool.name))
+            : this.poolManager.getAllPools();
+        const poolOptions = availablePools
+            .filter(pool => pool.name === yearPool || this.vesselManager.canChangeMembership(pool.name, currentUser))
+            .map(pool => `<option value="${pool.name}" ${pool.name === yearPool ? 'selected' : ''}>${pool.name}</option>`)
+            .join('');
 
-        let poolVessels = [];
-        if (poolName) {
-            poolVessels = this.vesselManager.getVesselsByPool(poolName);
+        return `
+            <div class="detail-section">
+                <h3>Pool Membership</h3>
+                <p><strong>${this.currentYear} Pool:</strong> ${yearPool || 'Unassigned'} ${recorded ? '' : '(current assignment, not yet recorded for this period)'}</p>
+                ${memberships.length > 0 ? `
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Year</th>
+                                    <th>Pool</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${membershipRows}</tbody>
+                        </table>
+                    </div>
+                ` : ''}
+                ${canChangeYearPool ? `
+                    <div class="fuel-mix-form">
+                        <select id="membershipPool" class="table-select">${poolOptions}</select>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.setVesselPoolForYear(${vessel.id})">Set ${this.currentYear} Pool</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-            // Apply user access filtering
-            if (this.authManager && this.authManager.userRole !== 'admin') {
-                const currentUser = this.userManager.getUser(this.authManager.currentUser);
-                poolVessels = poolVessels.filter(vessel =>
-                    currentUser && currentUser.pools.includes(vessel.pool)
-                );
-            }
+    setVesselPoolForYear(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const poolName = document.getElementById('membershipPool').value;
+
+        try {
+            this.vesselManager.moveVesselToPool(vesselId, poolName, currentUser, this.currentYear);
+            this.refreshVesselViews(vesselId);
+            this.showNotification(`${this.currentYear} pool set to ${poolName}`, 'success');
+        } catch (error) {
+            alert(`Error changing pool membership: ${error.message}`);
         }
+    }
 
-        if (shouldSelectAll) {
-            // Select all vessels in current pool
-            poolVessels.forEach(vessel => this.selectedVessels.add(vessel.id));
-        } else {
-            // Deselect all vessels in current pool
-            poolVessels.forEach(vessel => this.selectedVessels.delete(vessel.id));
+    leavePoolForYear(vesselId, year) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        if (currentUser && !this.permissions.canEditVessel(currentUser, vessel)) {
+            alert('You do not have permission to change this vessel\'s pool membership.');
+            return;
         }
 
-        this.refreshSelectionDisplay();
+        const poolName = this.poolManager.getMembership(vesselId, year);
+        if (!poolName) return;
+        if (!this.vesselManager.canChangeMembership(poolName, currentUser)) {
+            alert(this.permissions.getPoolStatusMessage(poolName, this.poolManager));
+            return;
+        }
+        if (!confirm(`Remove "${vessel.name}" from ${poolName} for ${year}?`)) {
+            return;
+        }
+
+        this.poolManager.leavePool(vesselId, year);
+        this.refreshVesselViews(vesselId);
     }
 
-    showBulkActions() {
-        if (this.selectedVessels.size === 0) {
-            alert('Please select at least one vessel for bulk actions.');
-            return;
+    // Banking and borrowing section of the vessel details modal
+    renderBankingSection(vessel, compliance, banking) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+
+        // Running history: every ledger period plus the current year
+        const years = this.calculator.bankingLedger.getVesselHistory(vessel.id).map(entry => entry.year);
+        if (!years.includes(this.currentYear)) {
+            years.push(this.currentYear);
         }
 
-        const action = prompt(`Selected ${this.selectedVessels.size} vessels. Choose action:\n\n1. Delete selected vessels\n2. Export selected vessels\n\nEnter 1 or 2:`);
+        const historyRows = years
+            .filter(year => this.calculator.complianceTargets[year] !== undefined)
+            .sort((a, b) => a - b)
+            .map(year => {
+                const result = year === this.currentYear
+                    ? compliance
+                    : this.calculator.calculateVesselCompliance(vessel, year);
+                const entry = this.calculator.bankingLedger.getEntry(vessel.id, year);
 
-        switch (action) {
-            case '1':
-                this.bulkDeleteVessels();
-                break;
-            case '2':
-                this.bulkExportVessels();
-                break;
-            default:
-                // Cancelled or invalid input
-                break;
-        }
+                return `
+                    <tr>
+                        <td>${year}</td>
+                        <td>${result.attainedComplianceBalance.toFixed(2)}</td>
+                        <td>${result.flexibility.carriedIn.toFixed(2)}</td>
+                        <td>${result.flexibility.borrowed.toFixed(2)}</td>
+                        <td>${result.flexibility.banked.toFixed(2)}</td>
+                        <td class="compliance-value ${result.complianceBalance < 0 ? 'deficit' : 'surplus'}">${result.complianceBalance.toFixed(2)}</td>
+                        <td>${entry.repayment ? entry.repayment.toFixed(2) : '-'}</td>
+                        ${canEdit ? `
+                            <td>
+                                ${entry.banked || entry.borrowed ? `
+                                    <button class="btn-icon danger" onclick="dashboard.clearLedgerEntry(${vessel.id}, ${year})" title="Clear Entry">
+                                        <span>🗑️</span>
+                                    </button>
+                                ` : ''}
+                            </td>
+                        ` : ''}
+                    </tr>
+                `;
+            }).join('');
+
+        return `
+            <div class="detail-section">
+                <h3>Banking &amp; Borrowing</h3>
+                <p><strong>Opening Balance (${this.currentYear}):</strong> ${banking.openingBalance.toFixed(2)} tCO2eq</p>
+                <p><strong>Banking Capacity:</strong> ${banking.bankingCapacity.toLocaleString()} tCO2eq</p>
+                <p><strong>Borrowing Capacity:</strong> ${banking.borrowingCapacity.toLocaleString()} tCO2eq
+                    (limit ${banking.borrowingLimit.toLocaleString()} tCO2eq, repaid ×${banking.repaymentMultiplier})
+                    ${banking.borrowedLastPeriod ? `- not available, advance borrowed in ${this.currentYear - 1}` : ''}
+                </p>
+                <div class="vessels-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Year</th>
+                                <th>Attained CB</th>
+                                <th>Carried In</th>
+                                <th>Borrowed</th>
+                                <th>Banked</th>
+                                <th>Adjusted CB</th>
+                                <th>Repayment Due</th>
+                                ${canEdit ? '<th>Actions</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>${historyRows}</tbody>
+                    </table>
+                </div>
+                ${canEdit && (banking.canBank || banking.canBorrow) ? `
+                    <div class="fuel-mix-form">
+                        <input type="number" id="ledgerAmount" min="0" step="0.01" placeholder="tCO2eq" class="table-input">
+                        ${banking.canBank ? `
+                            <button class="btn btn-primary btn-sm" onclick="dashboard.bankVesselSurplus(${vessel.id})">Bank Surplus</button>
+                        ` : ''}
+                        ${banking.canBorrow ? `
+                            <button class="btn btn-secondary btn-sm" onclick="dashboard.borrowVesselAdvance(${vessel.id})">Borrow Advance</button>
+                        ` : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `;
     }
 
-    bulkDeleteVessels() {
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (currentUser && !this.permissions.canDeleteVessel(currentUser)) {
-            alert('You do not have permission to delete vessels.');
+    bankVesselSurplus(vesselId) {
+        this.updateVesselLedger(vesselId, (vessel, amount) =>
+            this.calculator.bankSurplus(vessel, this.currentYear, amount));
+    }
+
+    borrowVesselAdvance(vesselId) {
+        this.updateVesselLedger(vesselId, (vessel, amount) =>
+            this.calculator.borrowAdvance(vessel, this.currentYear, amount));
+    }
+
+    updateVesselLedger(vesselId, record) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel || !this.canUpdateLedger(vessel)) return;
+
+        const amount = parseFloat(document.getElementById('ledgerAmount').value);
+        if (!amount || amount <= 0) {
+            alert('Please enter an amount in tCO2eq.');
             return;
         }
-        if (confirm(`Are you sure you want to delete ${this.selectedVessels.size} selected vessels? This cannot be undone.`)) {
-            const deleted = this.vesselManager.bulkDelete(Array.from(this.selectedVessels));
-            this.selectedVessels.clear();
-            this.updateDisplay();
-            this.showNotification(`${deleted} vessels deleted successfully!`, 'success');
+
+        try {
+            record(vessel, amount);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error updating banking ledger: ${error.message}`);
         }
     }
 
-    bulkExportVessels() {
-        const selectedData = Array.from(this.selectedVessels).map(id =>
-            this.vesselManager.getVessel(id)
-        ).filter(vessel => vessel !== undefined);
-
-        const exportData = {
-            vessels: selectedData,
-            exportDate: new Date().toISOString(),
-            version: '1.0',
-            selectedOnly: true
-        };
+    clearLedgerEntry(vesselId, year) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel || !this.canUpdateLedger(vessel)) return;
 
-        const dataStr = JSON.stringify(exportData, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+        if (!confirm(`Clear banking and borrowing recorded for ${year}?`)) {
+            return;
+        }
 
-        const exportFileDefaultName = `fueleu_selected_vessels_${new Date().toISOString().split('T')[0]}.json`;
+        this.calculator.bankingLedger.clearEntry(vesselId, year);
+        this.refreshVesselViews(vesselId);
+    }
 
-        const linkElement = document.createElement('a');
-        linkElement.setAttribute('href', dataUri);
-        linkElement.setAttribute('download', exportFileDefaultName);
-        linkElement.style.visibility = 'hidden';
-        document.body.appendChild(linkElement);
-        linkElement.click();
-        document.body.removeChild(linkElement);
+    // Ledger entries are vessel data and follow the same pool status rules
+    canUpdateLedger(vessel) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        if (!currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear)) {
+            return true;
+        }
 
-        this.showNotification(`${selectedData.length} selected vessels exported successfully!`, 'success');
+        alert(this.permissions.canEditPoolData(currentUser, vessel.pool, this.poolManager)
+            ? 'You do not have permission to edit this vessel.'
+            : this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
+        return false;
     }
 
-    // Data import/export
-    exportData() {
-        this.vesselManager.exportToJSON();
-        this.showNotification('Data exported successfully!', 'success');
-    }
+    // Refresh the vessel details modal and the active pool tab after a vessel change
+    refreshVesselViews(vesselId) {
+        this.viewVesselDetails(vesselId);
 
-    importData() {
-        document.getElementById('fileInput').click();
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (activeTab && activeTab.dataset.pool) {
+            this.updatePoolDisplay(activeTab.dataset.pool, activeTab.id);
+        }
     }
 
-    handleFileImport(file) {
-        if (!file) return;
+    // Fuel mix section of the vessel details modal
+    renderFuelMixSection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        // A mix aggregated from bunker delivery notes is edited through the BDN register
+        const canEdit = (!currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear)) && compliance.fuelSource !== 'bdn';
+        const fuelMix = compliance.fuelMix;
+
+        const fuelRows = fuelMix ? fuelMix.fuels.map((fuel, index) => `
+            <tr>
+                <td>${fuel.name}${fuel.rfnbo ? ' <span class="status-badge verified">RFNBO</span>' : ''}</td>
+                <td>${fuel.mass.toLocaleString()}</td>
+                <td>${fuel.energy.toLocaleString()}</td>
+                <td>${fuel.energyShare.toFixed(1)}%</td>
+                <td>${fuel.consumer ? `${FUEL_CONSUMERS[fuel.consumer].name} (${fuel.slip}% slip)` : '-'}</td>
+                <td>${fuel.ghgIntensity.toFixed(2)}</td>
+                ${canEdit ? `
+                    <td>
+                        <button class="btn-icon danger" onclick="dashboard.removeFuelFromVessel(${vessel.id}, ${index})" title="Remove Fuel">
+                            <span>🗑️</span>
+                        </button>
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('') : '';
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const result = this.vesselManager.importFromJSON(e.target.result);
-                this.updateDisplay();
-                this.showNotification(result.message, 'success');
-            } catch (error) {
-                alert(`Import failed: ${error.message}`);
-            }
-        };
-        reader.readAsText(file);
-    }
+        const fuelOptions = Object.entries(FUEL_CATALOG)
+            .map(([fuelType, fuel]) => `<option value="${fuelType}">${fuel.name}</option>`)
+            .join('');
 
-    // Report generation
-    generateVesselReport() {
-        const vessels = this.vesselManager.getAllVessels();
-        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+        const consumerOptions = Object.entries(FUEL_CONSUMERS)
+            .map(([consumer, info]) => `<option value="${consumer}">${info.name} (${info.slip}%)</option>`)
+            .join('');
 
-        const reportDiv = document.getElementById('reportOutput');
-        let html = `
-            <div class="report">
-                <h3>Vessel Details Report - ${this.currentYear}</h3>
-                <div class="report-section">
-                    <h4>Individual Vessel Performance</h4>
-                    <div class="vessel-report-table">
+        const firstFuel = FUEL_CATALOG[Object.keys(FUEL_CATALOG)[0]];
+        const factorInputs = Object.entries(FUEL_FACTOR_INPUTS)
+            .map(([field, input]) => `<input type="number" id="${input.id}" step="${input.step}" placeholder="${input.label}" title="${input.label}" class="table-input" value="${firstFuel[field] ?? ''}">`)
+            .join('');
+
+        return `
+            <div class="detail-section">
+                <h3>Fuel Mix (Well-to-Wake)</h3>
+                ${fuelMix ? `
+                    <p><strong>WtT Intensity:</strong> ${fuelMix.wttIntensity.toFixed(2)} gCO2e/MJ</p>
+                    <p><strong>TtW Intensity:</strong> ${fuelMix.ttwIntensity.toFixed(2)} gCO2e/MJ</p>
+                    ${this.renderTtwBreakdown(fuelMix)}
+                    <p><strong>Well-to-Wake Intensity:</strong> ${fuelMix.ghgIntensity.toFixed(2)} gCO2e/MJ ${fuelMix.rfnboEnergy > 0 && fuelMix.rfnboRewardFactor > 1 ? `(RFNBO counted ×${fuelMix.rfnboRewardFactor})` : ''}</p>
+                    ${compliance.fuelSource === 'bdn' ? `<p>Quantities delivered in ${this.currentYear} according to the bunker delivery notes below.</p>` : ''}
+                    <div class="vessels-table">
                         <table>
                             <thead>
                                 <tr>
-                                    <th>Vessel Name</th>
-                                    <th>IMO</th>
-                                    <th>Type</th>
-                                    <th>GHG Intensity</th>
-                                    <th>Target</th>
-                                    <th>Status</th>
+                                    <th>Fuel</th>
+                                    <th>Quantity (t)</th>
+                                    <th>Energy (MJ)</th>
+                                    <th>Share</th>
+                                    <th>Consumer</th>
+                                    <th>Intensity (gCO2e/MJ)</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
                                 </tr>
                             </thead>
-                            <tbody>
+                            <tbody>${fuelRows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p>No fuel mix recorded. Energy and GHG intensity are entered manually.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <select id="fuelMixType" class="table-select" onchange="dashboard.updateFuelMixForm()">${fuelOptions}</select>
+                        <input type="number" id="fuelMixMass" min="0" step="0.01" placeholder="Tonnes" class="table-input">
+                        ${factorInputs}
+                        <select id="fuelMixConsumer" class="table-select" title="Engine or consumer burning gas fuels (methane slip)">
+                            <option value="">Default consumer</option>
+                            ${consumerOptions}
+                        </select>
+                        <label class="checkbox-item" title="Certified renewable fuel of non-biological origin">
+                            <input type="checkbox" id="fuelMixRfnbo" ${VesselManager.canBeRfnbo(Object.keys(FUEL_CATALOG)[0]) ? '' : 'disabled'}> RFNBO
+                        </label>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addFuelToVessel(${vessel.id})">Add Fuel</button>
+                        ${fuelMix && compliance.intensitySource === 'manual' ? `
+                            <button class="btn btn-secondary btn-sm" onclick="dashboard.clearIntensityOverride(${vessel.id})">Use Fuel Mix Intensity</button>
+                        ` : ''}
+                    </div>
+                ` : ''}
+            </div>
         `;
+    }
 
-        compliance.vessels.forEach(vessel => {
-            html += `
-                <tr>
-                    <td>${vessel.name}</td>
-                    <td>${vessel.imo}</td>
-                    <td>${vessel.type}</td>
-                    <td>${vessel.ghgIntensity.toFixed(2)}</td>
-                    <td>${vessel.targetIntensity.toFixed(2)}</td>
-                    <td><span class="compliance-indicator ${vessel.status}">${vessel.status.toUpperCase()}</span></td>
-                    <td>€${vessel.potentialPenalty.toFixed(2)}</td>
-                </tr>
-            `;
-        });
+    // Port call log and zero-emission at-berth (OPS) obligation section of the vessel details modal
+    renderPortCallSection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const ops = compliance.ops;
+
+        const portCallRows = ops.portCalls.map(portCall => `
+            <tr>
+                <td>${portCall.port}${portCall.tenT ? ' <small>(TEN-T)</small>' : ''}</td>
+                <td>${new Date(portCall.date).toLocaleDateString()}</td>
+                <td>${Number(portCall.berthHours).toFixed(1)}</td>
+                <td>${portCall.opsUsed ? 'Yes' : 'No'}</td>
+                <td>${portCall.exemption ? OpsObligation.EXEMPTIONS[portCall.exemption] : '-'}</td>
+                <td><span class="status-badge ${portCall.status === 'non-compliant' ? 'non-compliant' : 'compliant'}">${OpsObligation.STATUSES[portCall.status]}</span></td>
+                <td>${portCall.penalty > 0 ? `€${portCall.penalty.toLocaleString()}` : '-'}</td>
+                ${canEdit ? `
+                    <td>
+                        <button class="btn-icon danger" onclick="dashboard.removePortCallFromVessel(${vessel.id}, ${portCall.index})" title="Remove Port Call">
+                            <span>🗑️</span>
+                        </button>
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('');
 
-        html += `
-                            </tbody>
+        const exemptionOptions = Object.entries(OpsObligation.EXEMPTIONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        return `
+            <div class="detail-section">
+                <h3>Port Calls &amp; OPS (${this.currentYear})</h3>
+                <p><strong>At-Berth Obligation:</strong> ${ops.applies ? 'Applies' : `Not applicable (${this.calculator.opsObligation.vesselTypes.join(' and ')} ships from ${this.calculator.opsObligation.fromYear})`}</p>
+                <p><strong>Power Demand at Berth:</strong> ${vessel.berthPowerDemand ? `${Number(vessel.berthPowerDemand).toLocaleString()} kW` : 'Not recorded'}</p>
+                ${ops.applies ? `
+                    <p><strong>Non-Compliant Port Calls:</strong> ${ops.nonCompliantCalls} of ${ops.totalCalls} (${ops.nonCompliantHours} h at berth)</p>
+                    <p><strong>OPS Penalty:</strong> €${ops.penalty.toLocaleString()}${ops.missingPowerDemand ? ' ⚠️ power demand at berth missing for some calls' : ''}</p>
+                ` : ''}
+                ${ops.totalCalls > 0 ? `
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Port</th>
+                                    <th>Arrival</th>
+                                    <th>At Berth (h)</th>
+                                    <th>OPS Used</th>
+                                    <th>Exemption</th>
+                                    <th>Status</th>
+                                    <th>Penalty</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${portCallRows}</tbody>
                         </table>
                     </div>
-                </div>
-                
-                <div class="report-footer">
-                    <p><em>Report generated on ${new Date().toLocaleString()}</em></p>
-                </div>
+                ` : '<p>No port calls recorded for this year.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="number" id="berthPowerDemand" min="0" step="1" placeholder="Power demand at berth (kW)" class="table-input" value="${vessel.berthPowerDemand ?? ''}">
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.saveBerthPowerDemand(${vessel.id})">Save Power Demand</button>
+                    </div>
+                    <div class="fuel-mix-form">
+                        <input type="text" id="portCallPort" placeholder="Port" class="table-input">
+                        <input type="date" id="portCallDate" class="table-input">
+                        <input type="number" id="portCallHours" min="0" step="0.1" placeholder="Hours at berth" class="table-input">
+                        <label class="checkbox-item" title="Core or comprehensive TEN-T maritime port">
+                            <input type="checkbox" id="portCallTenT" checked> TEN-T
+                        </label>
+                        <label class="checkbox-item">
+                            <input type="checkbox" id="portCallOps"> OPS used
+                        </label>
+                        <select id="portCallExemption" class="table-select">
+                            <option value="">No exemption</option>
+                            ${exemptionOptions}
+                        </select>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addPortCallToVessel(${vessel.id})">Add Port Call</button>
+                    </div>
+                ` : ''}
             </div>
         `;
-
-        reportDiv.innerHTML = html;
-    }
-
-    // Utility methods
-    closeModal() {
-        document.getElementById('vesselModal').style.display = 'none';
     }
 
-    refreshData() {
-        this.updateDisplay();
-        this.showNotification('Data refreshed successfully!', 'success');
-    }
+    renderBunkerSection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const deliveries = BunkerRegister.getDeliveries(vessel.bunkerDeliveries, this.currentYear);
+        const totalQuantity = deliveries.reduce((sum, delivery) => sum + Number(delivery.quantity), 0);
+        const optional = (value, digits) => (value !== undefined && value !== null && value !== '' ? Number(value).toFixed(digits) : '-');
+
+        const deliveryRows = deliveries.map(delivery => `
+            <tr>
+                <td>${delivery.bdnNumber}</td>
+                <td>${new Date(delivery.date).toLocaleDateString()}</td>
+                <td>${delivery.port}</td>
+                <td>${delivery.supplier}</td>
+                <td>${FUEL_CATALOG[delivery.fuelType].name}${delivery.grade ? ` <small>(${delivery.grade})</small>` : ''}</td>
+                <td>${Number(delivery.quantity).toLocaleString()}</td>
+                <td>${optional(delivery.density, 1)}</td>
+                <td>${optional(delivery.sulphur, 2)}</td>
+                <td>${optional(delivery.lcv, 2)}</td>
+                <td>${delivery.certificateId || '-'}</td>
+                ${canEdit ? `
+                    <td>
+                        <button class="btn-icon danger" onclick="dashboard.removeBunkerDeliveryFromVessel(${vessel.id}, ${delivery.index})" title="Remove BDN">
+                            <span>🗑️</span>
+                        </button>
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('');
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.textContent = message;
+        const fuelOptions = Object.entries(FUEL_CATALOG)
+            .map(([fuelType, fuel]) => `<option value="${fuelType}">${fuel.name}</option>`)
+            .join('');
 
-        // Style the notification
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 15px 25px;
-            background: ${type === 'success' ? '#d4edda' : type === 'error' ? '#f8d7da' : '#d1ecf1'};
-            color: ${type === 'success' ? '#155724' : type === 'error' ? '#721c24' : '#0c5460'};
-            border-radius: 8px;
-            box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-            z-index: 1000;
-            opacity: 0;
-            transition: opacity 0.3s ease;
+        return `
+            <div class="detail-section">
+                <h3>Bunker Delivery Notes (${this.currentYear})</h3>
+                ${deliveries.length > 0 ? `
+                    <p><strong>Delivered:</strong> ${totalQuantity.toLocaleString()} t on ${deliveries.length} BDN${deliveries.length === 1 ? '' : 's'}</p>
+                    <p><strong>Fuel Mix:</strong> ${compliance.fuelSource === 'bdn' ? 'Aggregated from these deliveries' : 'Not used, the fuel mix for this year is entered directly'}</p>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>BDN No.</th>
+                                    <th>Date</th>
+                                    <th>Port</th>
+                                    <th>Supplier</th>
+                                    <th>Fuel</th>
+                                    <th>Quantity (t)</th>
+                                    <th>Density (kg/m3)</th>
+                                    <th>Sulphur (% m/m)</th>
+                                    <th>LCV (MJ/kg)</th>
+                                    <th>Certificate</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${deliveryRows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p>No bunker delivery notes recorded for this year.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="text" id="bdnNumber" placeholder="BDN number" class="table-input">
+                        <input type="date" id="bdnDate" class="table-input">
+                        <input type="text" id="bdnPort" placeholder="Port" class="table-input">
+                        <input type="text" id="bdnSupplier" placeholder="Supplier" class="table-input">
+                        <select id="bdnFuelType" class="table-select">${fuelOptions}</select>
+                        <input type="number" id="bdnQuantity" min="0" step="0.001" placeholder="Tonnes" class="table-input">
+                    </div>
+                    <div class="fuel-mix-form">
+                        <input type="number" id="bdnDensity" min="0" step="0.1" placeholder="Density (kg/m3)" class="table-input">
+                        <input type="number" id="bdnSulphur" min="0" max="100" step="0.01" placeholder="Sulphur (% m/m)" class="table-input">
+                        <input type="number" id="bdnLcv" min="0" step="0.01" placeholder="LCV (MJ/kg)" class="table-input">
+                        <input type="text" id="bdnCertificate" placeholder="Sustainability certificate ID" class="table-input" title="Required for biofuels and RFNBOs">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addBunkerDeliveryToVessel(${vessel.id})">Add BDN</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.importBunkerDeliveries(${vessel.id})">Import CSV/JSON</button>
+                    </div>
+                ` : ''}
+            </div>
         `;
+    }
 
-        document.body.appendChild(notification);
+    addBunkerDeliveryToVessel(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const optional = id => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : parseFloat(value);
+        };
 
-        // Show notification
-        setTimeout(() => notification.style.opacity = '1', 100);
+        const delivery = {
+            bdnNumber: document.getElementById('bdnNumber').value.trim(),
+            date: document.getElementById('bdnDate').value,
+            port: document.getElementById('bdnPort').value.trim(),
+            supplier: document.getElementById('bdnSupplier').value.trim(),
+            fuelType: document.getElementById('bdnFuelType').value,
+            quantity: parseFloat(document.getElementById('bdnQuantity').value),
+            density: optional('bdnDensity'),
+            sulphur: optional('bdnSulphur'),
+            lcv: optional('bdnLcv'),
+            certificateId: document.getElementById('bdnCertificate').value.trim() || null
+        };
 
-        // Hide and remove notification
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            setTimeout(() => document.body.removeChild(notification), 300);
-        }, 3000);
+        try {
+            this.vesselManager.addBunkerDelivery(vesselId, delivery, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error adding bunker delivery note: ${error.message}`);
+        }
     }
 
-    // refreshSelectionDisplay Method
-    refreshSelectionDisplay() {
-        const activeTab = document.querySelector('.pool-tab-content.active');
-        if (!activeTab) {
-            console.warn('No active tab found for refreshSelectionDisplay');
-            return;
+    removeBunkerDeliveryFromVessel(vesselId, deliveryIndex) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        try {
+            this.vesselManager.removeBunkerDelivery(vesselId, deliveryIndex, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error removing bunker delivery note: ${error.message}`);
         }
+    }
 
-        const tabId = activeTab.id;
-        const poolName = activeTab.dataset.pool;
+    importBunkerDeliveries(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.json,.txt';
+        fileInput.style.visibility = 'hidden';
 
-        // Get current pool's vessels for accurate counts
-        let currentPoolVessels = [];
-        if (poolName) {
-            currentPoolVessels = this.vesselManager.getVesselsByPool(poolName);
+        fileInput.onchange = (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
 
-            // Apply user access filtering
-            if (this.authManager && this.authManager.userRole !== 'admin') {
-                const currentUser = this.userManager.getUser(this.authManager.currentUser);
-                currentPoolVessels = currentPoolVessels.filter(vessel =>
-                    currentUser && currentUser.pools.includes(vessel.pool)
-                );
-            }
-        }
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const { deliveries, errors } = BunkerRegister.parseImport(e.target.result);
+                    if (deliveries.length === 0) {
+                        alert(`No valid bunker delivery notes in ${file.name}${errors.length > 0 ? `:\n${errors.slice(0, 10).join('\n')}` : ''}`);
+                        return;
+                    }
 
-        // Count selected vessels in current pool only
-        const selectedInPool = currentPoolVessels.filter(vessel =>
-            this.selectedVessels.has(vessel.id)
-        ).length;
+                    const result = this.vesselManager.importBunkerDeliveries(vesselId, deliveries, currentUser);
+                    this.refreshVesselViews(vesselId);
 
-        // Update selected count
-        const selectedCountEl = document.getElementById(`selectedCount-${tabId}`);
-        if (selectedCountEl) {
-            selectedCountEl.textContent = `${selectedInPool} selected`;
+                    let message = `Imported ${result.added} bunker delivery note${result.added === 1 ? '' : 's'}`;
+                    if (result.skipped > 0) message += `, ${result.skipped} already in the register`;
+                    if (errors.length > 0) message += `, ${errors.length} with errors skipped`;
+                    this.showNotification(message, errors.length > 0 ? 'info' : 'success');
+
+                    if (errors.length > 0) {
+                        console.warn('BDN import errors:', errors);
+                    }
+                } catch (error) {
+                    console.error('BDN import failed:', error);
+                    alert(`BDN import failed: ${error.message}`);
+                }
+            };
+
+            reader.onerror = () => {
+                alert('BDN import failed: Could not read file');
+            };
+
+            reader.readAsText(file);
+        };
+
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+    }
+
+    addPortCallToVessel(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        const portCall = {
+            port: document.getElementById('portCallPort').value.trim(),
+            date: document.getElementById('portCallDate').value,
+            berthHours: parseFloat(document.getElementById('portCallHours').value),
+            tenT: document.getElementById('portCallTenT').checked,
+            opsUsed: document.getElementById('portCallOps').checked,
+            exemption: document.getElementById('portCallExemption').value || null
+        };
+
+        try {
+            this.vesselManager.addPortCall(vesselId, portCall, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error adding port call: ${error.message}`);
         }
+    }
 
-        // Update individual checkboxes
-        currentPoolVessels.forEach(vessel => {
-            const checkbox = document.querySelector(`input[onchange*="toggleVesselSelection(${vessel.id})"]`);
-            if (checkbox) {
-                checkbox.checked = this.selectedVessels.has(vessel.id);
-            }
-        });
+    removePortCallFromVessel(vesselId, portCallIndex) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
 
-        // Update row styling
-        currentPoolVessels.forEach(vessel => {
-            const row = document.querySelector(`tr:has(input[onchange*="toggleVesselSelection(${vessel.id})"])`);
-            if (row) {
-                if (this.selectedVessels.has(vessel.id)) {
-                    row.classList.add('selected');
-                } else {
-                    row.classList.remove('selected');
-                }
-            }
-        });
+        try {
+            this.vesselManager.removePortCall(vesselId, portCallIndex, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error removing port call: ${error.message}`);
+        }
+    }
 
-        // Update select all checkbox - use pool vessel count, not global
-        const selectAllTable = document.getElementById(`selectAllTable-${tabId}`);
-        if (selectAllTable && currentPoolVessels.length > 0) {
-            const allSelected = selectedInPool === currentPoolVessels.length;
-            const someSelected = selectedInPool > 0;
+    saveBerthPowerDemand(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const value = document.getElementById('berthPowerDemand').value;
 
-            selectAllTable.checked = allSelected;
-            selectAllTable.indeterminate = someSelected && !allSelected;
-        } else if (selectAllTable) {
-            selectAllTable.checked = false;
-            selectAllTable.indeterminate = false;
+        try {
+            this.vesselManager.updateVessel(vesselId, { berthPowerDemand: value === '' ? null : parseFloat(value) }, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error updating power demand at berth: ${error.message}`);
         }
     }
 
-    // Force Refresh Method
-    refreshData() {
-        console.log('🔄 Force refresh triggered');
+    // Estimate ranges used by the pool's Monte Carlo simulation
+    renderUncertaintySection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const uncertainty = compliance.uncertainty || {};
+        const energy = uncertainty.energy || {};
+        const intensity = uncertainty.intensity || {};
 
-        // Clear any cached data
-        this.selectedVessels.clear();
+        if (compliance.verificationStatus === 'verified') {
+            return '';
+        }
 
-        // Force update display
-        this.updateDisplay();
+        return `
+            <div class="detail-section">
+                <h3>Estimate Uncertainty (${this.currentYear})</h3>
+                ${uncertainty.energy ? `<p><strong>Energy Used:</strong> ${energy.min.toLocaleString()} / ${compliance.fuelConsumption.toLocaleString()} / ${energy.max.toLocaleString()} MJ (min / most likely / max)</p>` : ''}
+                ${uncertainty.intensity ? `<p><strong>GHG Intensity:</strong> ${intensity.min} / ${compliance.unrewardedIntensity.toFixed(2)} / ${intensity.max} gCO2e/MJ (min / most likely / max)</p>` : ''}
+                ${!uncertainty.energy && !uncertainty.intensity ? '<p>No estimate ranges: the current figures are treated as certain.</p>' : ''}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="number" id="uncertaintyEnergyMin" min="0" placeholder="Energy min (MJ)" class="table-input" value="${energy.min ?? ''}">
+                        <input type="number" id="uncertaintyEnergyMax" min="0" placeholder="Energy max (MJ)" class="table-input" value="${energy.max ?? ''}">
+                        <input type="number" id="uncertaintyIntensityMin" min="0" step="0.01" placeholder="Intensity min" class="table-input" value="${intensity.min ?? ''}">
+                        <input type="number" id="uncertaintyIntensityMax" min="0" step="0.01" placeholder="Intensity max" class="table-input" value="${intensity.max ?? ''}">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.saveUncertainty(${vessel.id})">Save</button>
+                    </div>
+                    <p><small>The most likely values are the current figures. Leave a range empty to keep that figure fixed.</small></p>
+                ` : ''}
+            </div>
+        `;
+    }
 
-        this.showNotification('Data refreshed successfully!', 'success');
+    saveUncertainty(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        // A range needs both ends; empty fields clear it
+        const readRange = (minId, maxId) => {
+            const min = document.getElementById(minId).value;
+            const max = document.getElementById(maxId).value;
+            return min === '' && max === '' ? null : { min: parseFloat(min), max: parseFloat(max) };
+        };
+
+        const energy = readRange('uncertaintyEnergyMin', 'uncertaintyEnergyMax');
+        const intensity = readRange('uncertaintyIntensityMin', 'uncertaintyIntensityMax');
+        const uncertainty = energy || intensity ? { energy, intensity } : null;
+
+        try {
+            this.vesselManager.setUncertainty(vesselId, this.currentYear, uncertainty, currentUser);
+            this.refreshVesselViews(vesselId);
+            this.showNotification(`Estimate ranges of "${vessel.name}" updated`, 'success');
+        } catch (error) {
+            alert(`Error updating estimate ranges: ${error.message}`);
+        }
     }
 
-    // generate pool specific summary method
-    generatePoolSummary(poolName = null) {
-        let vessels;
-        let reportTitle;
+    // Wind-assisted propulsion section of the vessel details modal
+    renderWindAssistSection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const windReward = compliance.windReward;
 
-        if (poolName) {
-            // Get vessels for specific pool only
-            vessels = this.vesselManager.getVesselsByPool(poolName);
-            reportTitle = `${poolName} Summary Report`;
+        return `
+            <div class="detail-section">
+                <h3>Wind-Assisted Propulsion</h3>
+                ${windReward.windPropulsionPower > 0 ? `
+                    <p><strong>Wind Propulsion Power:</strong> ${windReward.windPropulsionPower.toLocaleString()} kW</p>
+                    <p><strong>Main Engine Power:</strong> ${windReward.mainEnginePower.toLocaleString()} kW</p>
+                    <p><strong>Power Ratio:</strong> ${(windReward.ratio * 100).toFixed(1)}%</p>
+                    <p><strong>Reward Factor:</strong> ×${windReward.factor}${windReward.factor < 1 ? ' applied to the GHG intensity' : ' (ratio below the first reward step)'}</p>
+                ` : '<p>No wind-assisted propulsion installed.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="number" id="windPropulsionPower" min="0" step="1" placeholder="Wind power (kW)" class="table-input" value="${vessel.windPropulsionPower ?? ''}">
+                        <input type="number" id="mainEnginePower" min="0" step="1" placeholder="Main engine power (kW)" class="table-input" value="${vessel.mainEnginePower ?? ''}">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.saveWindAssist(${vessel.id})">Save</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-            // Apply user access filtering if not admin
-            if (this.authManager && this.authManager.userRole !== 'admin') {
-                const currentUser = this.userManager.getUser(this.authManager.currentUser);
-                vessels = vessels.filter(vessel =>
-                    currentUser && currentUser.pools.includes(vessel.pool)
-                );
-            }
-        } else {
-            // Get all vessels (fallback for old calls)
-            vessels = this.vesselManager.getAllVessels();
-            reportTitle = 'All Pools Summary Report';
+    saveWindAssist(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        // Empty fields clear the installation
+        const readPower = id => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : parseFloat(value);
+        };
+
+        try {
+            this.vesselManager.setWindAssist(vesselId, readPower('windPropulsionPower'), readPower('mainEnginePower'), currentUser);
+            this.refreshVesselViews(vesselId);
+            this.showNotification(`Wind-assisted propulsion of "${vessel.name}" updated`, 'success');
+        } catch (error) {
+            alert(`Error updating wind-assisted propulsion: ${error.message}`);
         }
+    }
 
-        if (vessels.length === 0) {
-            alert(`No vessels found in ${poolName || 'the system'}.`);
+    // Tank-to-wake intensity split by greenhouse gas
+    renderTtwBreakdown(fuelMix) {
+        const gases = [
+            ['CO2', fuelMix.ttwBreakdown.co2],
+            ['CH4 (combustion)', fuelMix.ttwBreakdown.ch4],
+            ['CH4 (slip)', fuelMix.ttwBreakdown.ch4Slip],
+            ['N2O', fuelMix.ttwBreakdown.n2o]
+        ];
+
+        return `
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>TtW by Gas</th>
+                            <th>gCO2e/MJ</th>
+                            <th>Share of TtW</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${gases.map(([gas, intensity]) => `
+                            <tr>
+                                <td>${gas}</td>
+                                <td>${intensity.toFixed(3)}</td>
+                                <td>${fuelMix.ttwIntensity > 0 ? ((intensity / fuelMix.ttwIntensity) * 100).toFixed(1) : '0.0'}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p><small>GWP100: CH4 ×${GWP100.CH4}, N2O ×${GWP100.N2O}</small></p>
+        `;
+    }
+
+    addFuelToVessel(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const fuelType = document.getElementById('fuelMixType').value;
+        const mass = parseFloat(document.getElementById('fuelMixMass').value);
+
+        if (!mass || mass <= 0) {
+            alert('Please enter the fuel quantity in tonnes.');
             return;
         }
 
-        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
-        const stats = {
-            total: vessels.length,
-            // Add other stats as needed
-        };
+        // Non-fossil fuels not listed as RFNBO can be flagged when certified as such
+        const fuel = { fuelType, mass };
+        if (document.getElementById('fuelMixRfnbo').checked) {
+            if (!VesselManager.canBeRfnbo(fuelType)) {
+                alert(`${FUEL_CATALOG[fuelType].name} is a fossil fuel and cannot be certified as RFNBO.`);
+                return;
+            }
+            fuel.category = 'rfnbo';
+        }
 
-        // Calculate surplus and deficit vessel counts
-        const surplusVessels = compliance.vessels.filter(v => v.status === 'compliant').length;
-        const deficitVessels = compliance.vessels.filter(v => v.status === 'non-compliant').length;
+        // Factors from a proof of sustainability or a supplier certificate replace the catalog defaults
+        for (const [field, input] of Object.entries(FUEL_FACTOR_INPUTS)) {
+            const text = document.getElementById(input.id).value;
+            if (text === '') continue;
 
-        // Build individual vessel table
-        let vesselTableHtml = `<tbody>`;
+            const factor = parseFloat(text);
+            if (isNaN(factor)) {
+                alert(`Please enter a number for ${input.label}.`);
+                return;
+            }
+            if (factor !== FUEL_CATALOG[fuelType][field]) {
+                fuel[field] = factor;
+            }
+        }
 
-        compliance.vessels.forEach(vessel => {
-            const complianceBalanceText = vessel.complianceBalance < 0
-                ? `${vessel.complianceBalance.toFixed(2)}`
-                : `+${vessel.complianceBalance.toFixed(2)}`;
+        // The consumer class only matters for gas fuels with methane slip
+        const consumer = document.getElementById('fuelMixConsumer').value;
+        if (consumer && FUEL_CATALOG[fuelType].methaneSlip) {
+            fuel.consumer = consumer;
+        }
 
-            vesselTableHtml += `
-                <tr class="vessel-row ${vessel.status}">
-                    <td class="vessel-name">${vessel.name}</td>
-                    <td>${vessel.imo}</td>
-                    <td class="vessel-type">${vessel.type}</td>
-                    <td class="owner-name">${this.getUserDisplayName(vessel.owner)}</td>
-                    <td class="ghg-value">${vessel.ghgIntensity.toFixed(2)}</td>
-                    <td class="compliance-value ${vessel.complianceBalance < 0 ? 'deficit' : 'surplus'}">${complianceBalanceText}</td>
-                    <td><span class="status-badge ${vessel.status}">${vessel.status}</span></td>
-                </tr>
-            `;
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+        this.updateVesselFuels(vessel, [...(yearData.fuels || []), fuel]);
+    }
+
+    // Catalog factors of the selected fuel; the RFNBO flag is only offered for fuels that can be certified as RFNBO
+    updateFuelMixForm() {
+        const fuelType = document.getElementById('fuelMixType').value;
+        Object.entries(FUEL_FACTOR_INPUTS).forEach(([field, input]) => {
+            document.getElementById(input.id).value = FUEL_CATALOG[fuelType][field] ?? '';
         });
 
-        vesselTableHtml += `</tbody>`;
+        const checkbox = document.getElementById('fuelMixRfnbo');
+        const allowed = VesselManager.canBeRfnbo(fuelType);
 
-        // Create complete HTML document with pool-specific title
-        const reportHtml = this.createPrintableReport(
-            stats,
-            compliance,
-            surplusVessels,
-            deficitVessels,
-            vesselTableHtml,
-            reportTitle,
-            poolName
-        );
+        checkbox.disabled = !allowed;
+        if (!allowed) {
+            checkbox.checked = false;
+        }
+    }
 
-        // Open in new window
-        const newWindow = window.open('', '_blank', 'width=1200,height=800');
-        newWindow.document.write(reportHtml);
-        newWindow.document.close();
+    removeFuelFromVessel(vesselId, fuelIndex) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
 
-        // Show success notification
-        this.showNotification(`${poolName || 'Pool'} Summary report opened in new tab!`, 'success');
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+        const fuels = (yearData.fuels || []).filter((fuel, index) => index !== fuelIndex);
+        this.updateVesselFuels(vessel, fuels);
     }
 
-    createPrintableReport(stats, compliance, surplusVessels, deficitVessels, vesselTableHtml, reportTitle = 'Pool Summary Report', poolName = null) {
-        const poolInfo = poolName ? `for ${poolName}` : 'for All Pools';
+    clearIntensityOverride(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        if (!confirm(`Replace the manual GHG intensity of "${vessel.name}" with the value derived from its fuel mix?`)) {
+            return;
+        }
+
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+        this.updateVesselFuels(vessel, yearData.fuels, { ghgIntensity: null });
+    }
+
+    updateVesselFuels(vessel, fuels, extraUpdates = {}) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        const updates = { fuels, ...extraUpdates };
+
+        // The fuel mix of the selected year's record is edited when there is one
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+
+        // Without a fuel mix the vessel needs its manual energy and intensity back
+        if (fuels.length === 0 && (!yearData.fuelConsumption || !yearData.ghgIntensity)) {
+            alert('Cannot remove the last fuel: this vessel has no manual energy and GHG intensity figures.');
+            return;
+        }
+
+        try {
+            if (yearData.dataYear) {
+                this.vesselManager.setYearData(vessel.id, yearData.dataYear, updates, currentUser);
+            } else {
+                this.vesselManager.updateVessel(vessel.id, updates, currentUser);
+            }
+            this.refreshVesselViews(vessel.id);
+        } catch (error) {
+            alert(`Error updating fuel mix: ${error.message}`);
+        }
+    }
+
+    // Voyage records and scope section of the vessel details modal
+    renderVoyageSection(vessel, compliance) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canEdit = !currentUser || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+        const scope = compliance.voyageScope;
+
+        const portLabel = (port, type) => `${port} <small>(${VoyageScope.PORT_TYPES[type]})</small>`;
+        const voyageRows = scope ? scope.voyages.map((voyage, index) => `
+            <tr>
+                <td>${portLabel(voyage.departurePort, voyage.departureType)}</td>
+                <td>${portLabel(voyage.arrivalPort, voyage.arrivalType)}</td>
+                <td>${Number(voyage.energy).toLocaleString()}</td>
+                <td>${Number(voyage.atBerthEnergy || 0).toLocaleString()}</td>
+                <td>${VoyageScope.CATEGORIES[voyage.category]} (${(voyage.share * 100).toFixed(0)}%)</td>
+                <td>${voyage.inScopeEnergy.toLocaleString()}</td>
+                ${canEdit ? `
+                    <td>
+                        <button class="btn-icon danger" onclick="dashboard.removeVoyageFromVessel(${vessel.id}, ${index})" title="Remove Voyage">
+                            <span>🗑️</span>
+                        </button>
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('') : '';
+
+        const portTypeOptions = Object.entries(VoyageScope.PORT_TYPES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
 
         return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>${reportTitle}</title>
-            <style>
-                * {
-                    margin: 0;
-                    padding: 0;
-                    box-sizing: border-box;
-                }
-                
-                body {
-                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                    line-height: 1.6;
-                    color: #333;
-                    background: #f8f9fa;
-                    padding: 20px;
-                }
-                
+            <div class="detail-section">
+                <h3>Voyages (${this.currentYear})</h3>
+                ${scope ? `
+                    <p><strong>Intra-EU Energy:</strong> ${scope.intraEUEnergy.toLocaleString()} MJ</p>
+                    <p><strong>Extra-EU Energy (in scope):</strong> ${scope.extraEUEnergy.toLocaleString()} MJ</p>
+                    <p><strong>At-Berth Energy:</strong> ${scope.atBerthEnergy.toLocaleString()} MJ</p>
+                    <p><strong>In-Scope Share:</strong> ${(scope.scopeShare * 100).toFixed(1)}%</p>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>From</th>
+                                    <th>To</th>
+                                    <th>Energy at Sea (MJ)</th>
+                                    <th>At Berth (MJ)</th>
+                                    <th>Scope</th>
+                                    <th>In Scope (MJ)</th>
+                                    ${canEdit ? '<th>Actions</th>' : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${voyageRows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p>No voyages recorded. All energy entered for the vessel is treated as in scope.</p>'}
+                ${canEdit ? `
+                    <div class="fuel-mix-form">
+                        <input type="text" id="voyageDeparturePort" placeholder="From port" class="table-input">
+                        <select id="voyageDepartureType" class="table-select">${portTypeOptions}</select>
+                        <input type="text" id="voyageArrivalPort" placeholder="To port" class="table-input">
+                        <select id="voyageArrivalType" class="table-select">${portTypeOptions}</select>
+                        <input type="number" id="voyageEnergy" min="0" placeholder="Energy at sea (MJ)" class="table-input">
+                        <input type="number" id="voyageBerthEnergy" min="0" placeholder="At berth (MJ)" class="table-input">
+                        <label class="checkbox-item" title="Voyage to an outermost region exempted by the Member State">
+                            <input type="checkbox" id="voyageExempt"> Exempt
+                        </label>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addVoyageToVessel(${vessel.id})">Add Voyage</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    addVoyageToVessel(vesselId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+
+        const voyage = {
+            departurePort: document.getElementById('voyageDeparturePort').value.trim(),
+            departureType: document.getElementById('voyageDepartureType').value,
+            arrivalPort: document.getElementById('voyageArrivalPort').value.trim(),
+            arrivalType: document.getElementById('voyageArrivalType').value,
+            energy: parseFloat(document.getElementById('voyageEnergy').value) || 0,
+            atBerthEnergy: parseFloat(document.getElementById('voyageBerthEnergy').value) || 0,
+            exempt: document.getElementById('voyageExempt').checked
+        };
+
+        try {
+            this.vesselManager.addVoyage(vesselId, this.currentYear, voyage, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error adding voyage: ${error.message}`);
+        }
+    }
+
+    removeVoyageFromVessel(vesselId, voyageIndex) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+
+        // Without voyages the vessel needs its manual energy figure back
+        if (yearData.voyages.length === 1 && !VesselManager.hasFuelMix(yearData) && !yearData.fuelConsumption) {
+            alert('Cannot remove the last voyage: this vessel has no manual energy figure.');
+            return;
+        }
+
+        try {
+            this.vesselManager.removeVoyage(vesselId, this.currentYear, voyageIndex, currentUser);
+            this.refreshVesselViews(vesselId);
+        } catch (error) {
+            alert(`Error removing voyage: ${error.message}`);
+        }
+    }
+
+    editVessel(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+
+        // Check ownership and whether the pool's status still allows data edits
+        if (currentUser && !this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear)) {
+            if (!this.permissions.canEditPoolData(currentUser, vessel.pool, this.poolManager)) {
+                alert(this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
+            } else {
+                alert('You do not have permission to edit this vessel.');
+            }
+            return;
+        }
+
+        console.log('Editing vessel:', vesselId, vessel);
+
+        // Find the current active tab to determine which form to populate
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (!activeTab) {
+            alert('No active pool tab found.');
+            return;
+        }
+
+        const tabId = activeTab.id;
+
+        // Pre-fill form with vessel data using pool-specific IDs
+        const vesselNameEl = document.getElementById(`vesselName-${tabId}`);
+        const imoNumberEl = document.getElementById(`imoNumber-${tabId}`);
+        const vesselTypeEl = document.getElementById(`vesselType-${tabId}`);
+        const fuelConsumptionEl = document.getElementById(`fuelConsumption-${tabId}`);
+        const ghgIntensityEl = document.getElementById(`ghgIntensity-${tabId}`);
+        const vesselOwnerEl = document.getElementById(`vesselOwner-${tabId}`);
+
+        if (vesselNameEl) vesselNameEl.value = vessel.name;
+        if (imoNumberEl) imoNumberEl.value = vessel.imo;
+        if (vesselTypeEl) vesselTypeEl.value = vessel.type;
+        // Energy and intensity of the selected reporting year
+        const yearData = this.calculator.resolveVesselYear(vessel, this.currentYear);
+        if (fuelConsumptionEl) fuelConsumptionEl.value = yearData.fuelConsumption ?? '';
+        if (ghgIntensityEl) ghgIntensityEl.value = yearData.ghgIntensity ?? '';
+        if (vesselOwnerEl) vesselOwnerEl.value = vessel.owner || '';
+
+        // Enter edit mode
+        this.enterEditMode(vesselId);
+
+        // Scroll to form
+        const addVesselSection = document.getElementById(`addVesselSection-${tabId}`);
+        if (addVesselSection) {
+            addVesselSection.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    removeVessel(vesselId) {
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (!vessel) return;
+
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+
+        // Removing a vessel is a membership change, so the pool must still be open
+        if (currentUser && !this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager, this.currentYear)) {
+            if (!this.permissions.canChangePoolMembership(currentUser, vessel.pool, this.poolManager)) {
+                alert(this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
+            } else {
+                alert('You do not have permission to delete this vessel.');
+            }
+            return;
+        }
+
+        if (confirm(`Are you sure you want to remove "${vessel.name}" from the pool?`)) {
+            try {
+                // Pass currentUser to removeVessel method
+                this.vesselManager.removeVessel(vesselId, currentUser);
+
+                // Clean up selection state
+                this.selectedVessels.delete(vesselId);
+
+                // Refresh the current pool display
+                const activeTab = document.querySelector('.pool-tab-content.active');
+                if (activeTab) {
+                    const tabId = activeTab.id;
+                    const poolName = activeTab.dataset.pool;
+                    if (poolName) {
+                        this.updatePoolDisplay(poolName, tabId);
+                        // Refresh selection display to update counts
+                        this.refreshSelectionDisplay();
+                    }
+                }
+
+                this.showNotification(`Vessel "${vessel.name}" removed successfully!`, 'success');
+            } catch (error) {
+                alert(`Error removing vessel: ${error.message}`);
+            }
+        }
+    }
+
+    // Selection and bulk actions
+    toggleVesselSelection(vesselId) {
+        if (this.selectedVessels.has(vesselId)) {
+            this.selectedVessels.delete(vesselId);
+        } else {
+            this.selectedVessels.add(vesselId);
+        }
+        // Don't call updateDisplay() - just refresh selection display
+        this.refreshSelectionDisplay();
+    }
+
+    toggleSelectAll(tabId) {
+        const selectAllCheckbox = document.getElementById(`selectAllTable-${tabId}`);
+        const shouldSelectAll = selectAllCheckbox?.checked || false;
+
+        // Get vessels for current pool only
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        const poolName = activeTab?.dataset.pool;
+
+        let poolVessels = [];
+        if (poolName) {
+            poolVessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+
+            // Apply user access filtering
+            if (this.authManager && this.authManager.userRole !== 'admin') {
+                const currentUser = this.userManager.getUser(this.authManager.currentUser);
+                poolVessels = poolVessels.filter(vessel =>
+                    currentUser && currentUser.pools.includes(poolName)
+                );
+            }
+        }
+
+        if (shouldSelectAll) {
+            // Select all vessels in current pool
+            poolVessels.forEach(vessel => this.selectedVessels.add(vessel.id));
+        } else {
+            // Deselect all vessels in current pool
+            poolVessels.forEach(vessel => this.selectedVessels.delete(vessel.id));
+        }
+
+        this.refreshSelectionDisplay();
+    }
+
+    showBulkActions() {
+        if (this.selectedVessels.size === 0) {
+            alert('Please select at least one vessel for bulk actions.');
+            return;
+        }
+
+        const action = prompt(`Selected ${this.selectedVessels.size} vessels. Choose action:\n\n1. Delete selected vessels\n2. Export selected vessels\n\nEnter 1 or 2:`);
+
+        switch (action) {
+            case '1':
+                this.bulkDeleteVessels();
+                break;
+            case '2':
+                this.bulkExportVessels();
+                break;
+            default:
+                // Cancelled or invalid input
+                break;
+        }
+    }
+
+    bulkDeleteVessels() {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (currentUser && !this.permissions.canDeleteVessel(currentUser)) {
+            alert('You do not have permission to delete vessels.');
+            return;
+        }
+        if (confirm(`Are you sure you want to delete ${this.selectedVessels.size} selected vessels? This cannot be undone.`)) {
+            const deleted = this.vesselManager.bulkDelete(Array.from(this.selectedVessels));
+            this.selectedVessels.clear();
+            this.updateDisplay();
+            this.showNotification(`${deleted} vessels deleted successfully!`, 'success');
+        }
+    }
+
+    bulkExportVessels() {
+        const selectedData = Array.from(this.selectedVessels).map(id =>
+            this.vesselManager.getVessel(id)
+        ).filter(vessel => vessel !== undefined);
+
+        const exportData = {
+            vessels: selectedData,
+            exportDate: new Date().toISOString(),
+            version: '1.0',
+            selectedOnly: true
+        };
+
+        const dataStr = JSON.stringify(exportData, null, 2);
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+
+        const exportFileDefaultName = `fueleu_selected_vessels_${new Date().toISOString().split('T')[0]}.json`;
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', exportFileDefaultName);
+        linkElement.style.visibility = 'hidden';
+        document.body.appendChild(linkElement);
+        linkElement.click();
+        document.body.removeChild(linkElement);
+
+        this.showNotification(`${selectedData.length} selected vessels exported successfully!`, 'success');
+    }
+
+    // Data import/export
+    exportData() {
+        this.vesselManager.exportToJSON();
+        this.showNotification('Data exported successfully!', 'success');
+    }
+
+    importData() {
+        document.getElementById('fileInput').click();
+    }
+
+    handleFileImport(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const result = this.vesselManager.importFromJSON(e.target.result);
+                this.updateDisplay();
+                this.showNotification(result.message, 'success');
+            } catch (error) {
+                alert(`Import failed: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Report generation
+    generateVesselReport() {
+        const vessels = this.vesselManager.getAllVessels();
+        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+
+        const reportDiv = document.getElementById('reportOutput');
+        let html = `
+            <div class="report">
+                <h3>Vessel Details Report - ${this.currentYear}</h3>
+                <div class="report-section">
+                    <h4>Individual Vessel Performance</h4>
+                    <div class="vessel-report-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Vessel Name</th>
+                                    <th>IMO</th>
+                                    <th>Type</th>
+                                    <th>GHG Intensity</th>
+                                    <th>Wind Factor</th>
+                                    <th>Target</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+        `;
+
+        compliance.vessels.forEach(vessel => {
+            html += `
+                <tr>
+                    <td>${vessel.name}</td>
+                    <td>${vessel.imo}</td>
+                    <td>${vessel.type}</td>
+                    <td>${vessel.ghgIntensity.toFixed(2)}</td>
+                    <td>×${vessel.windReward.factor}</td>
+                    <td>${vessel.targetIntensity.toFixed(2)}</td>
+                    <td><span class="compliance-indicator ${vessel.status}">${vessel.status.toUpperCase()}</span></td>
+                    <td>€${vessel.potentialPenalty.toLocaleString()}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                
+                <div class="report-footer">
+                    <p><em>Report generated on ${new Date().toLocaleString()}</em></p>
+                </div>
+            </div>
+        `;
+
+        reportDiv.innerHTML = html;
+    }
+
+    // Utility methods
+    closeModal() {
+        document.getElementById('vesselModal').style.display = 'none';
+    }
+
+    refreshData() {
+        this.updateDisplay();
+        this.showNotification('Data refreshed successfully!', 'success');
+    }
+
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+
+        // Style the notification
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 15px 25px;
+            background: ${type === 'success' ? '#d4edda' : type === 'error' ? '#f8d7da' : '#d1ecf1'};
+            color: ${type === 'success' ? '#155724' : type === 'error' ? '#721c24' : '#0c5460'};
+            border-radius: 8px;
+            box-shadow: 0 4px 8px rgba(0,0,0,0.1);
+            z-index: 1000;
+            opacity: 0;
+            transition: opacity 0.3s ease;
+        `;
+
+        document.body.appendChild(notification);
+
+        // Show notification
+        setTimeout(() => notification.style.opacity = '1', 100);
+
+        // Hide and remove notification
+        setTimeout(() => {
+            notification.style.opacity = '0';
+            setTimeout(() => document.body.removeChild(notification), 300);
+        }, 3000);
+    }
+
+    // refreshSelectionDisplay Method
+    refreshSelectionDisplay() {
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (!activeTab) {
+            console.warn('No active tab found for refreshSelectionDisplay');
+            return;
+        }
+
+        const tabId = activeTab.id;
+        const poolName = activeTab.dataset.pool;
+
+        // Get current pool's vessels for accurate counts
+        let currentPoolVessels = [];
+        if (poolName) {
+            currentPoolVessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+
+            // Apply user access filtering
+            if (this.authManager && this.authManager.userRole !== 'admin') {
+                const currentUser = this.userManager.getUser(this.authManager.currentUser);
+                currentPoolVessels = currentPoolVessels.filter(vessel =>
+                    currentUser && currentUser.pools.includes(poolName)
+                );
+            }
+        }
+
+        // Count selected vessels in current pool only
+        const selectedInPool = currentPoolVessels.filter(vessel =>
+            this.selectedVessels.has(vessel.id)
+        ).length;
+
+        // Update selected count
+        const selectedCountEl = document.getElementById(`selectedCount-${tabId}`);
+        if (selectedCountEl) {
+            selectedCountEl.textContent = `${selectedInPool} selected`;
+        }
+
+        // Update individual checkboxes
+        currentPoolVessels.forEach(vessel => {
+            const checkbox = document.querySelector(`input[onchange*="toggleVesselSelection(${vessel.id})"]`);
+            if (checkbox) {
+                checkbox.checked = this.selectedVessels.has(vessel.id);
+            }
+        });
+
+        // Update row styling
+        currentPoolVessels.forEach(vessel => {
+            const row = document.querySelector(`tr:has(input[onchange*="toggleVesselSelection(${vessel.id})"])`);
+            if (row) {
+                if (this.selectedVessels.has(vessel.id)) {
+                    row.classList.add('selected');
+                } else {
+                    row.classList.remove('selected');
+                }
+            }
+        });
+
+        // Update select all checkbox - use pool vessel count, not global
+        const selectAllTable = document.getElementById(`selectAllTable-${tabId}`);
+        if (selectAllTable && currentPoolVessels.length > 0) {
+            const allSelected = selectedInPool === currentPoolVessels.length;
+            const someSelected = selectedInPool > 0;
+
+            selectAllTable.checked = allSelected;
+            selectAllTable.indeterminate = someSelected && !allSelected;
+        } else if (selectAllTable) {
+            selectAllTable.checked = false;
+            selectAllTable.indeterminate = false;
+        }
+    }
+
+    // Force Refresh Method
+    refreshData() {
+        console.log('🔄 Force refresh triggered');
+
+        // Clear any cached data
+        this.selectedVessels.clear();
+
+        // Force update display
+        this.updateDisplay();
+
+        this.showNotification('Data refreshed successfully!', 'success');
+    }
+
+    // generate pool specific summary method
+    generatePoolSummary(poolName = null) {
+        let vessels;
+        let reportTitle;
+
+        if (poolName) {
+            // Get vessels for specific pool only
+            vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+            reportTitle = `${poolName} Summary Report`;
+
+            // Apply user access filtering if not admin
+            if (this.authManager && this.authManager.userRole !== 'admin') {
+                const currentUser = this.userManager.getUser(this.authManager.currentUser);
+                vessels = vessels.filter(vessel =>
+                    currentUser && currentUser.pools.includes(poolName)
+                );
+            }
+        } else {
+            // Get all vessels (fallback for old calls)
+            vessels = this.vesselManager.getAllVessels();
+            reportTitle = 'All Pools Summary Report';
+        }
+
+        if (vessels.length === 0) {
+            alert(`No vessels found in ${poolName || 'the system'}.`);
+            return;
+        }
+
+        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+        const allocation = poolName ? this.calculatePoolAllocation(poolName, compliance) : null;
+        const settlement = allocation ? this.poolSettlement.calculateSettlement(allocation, this.poolManager.getPoolPricing(poolName)) : null;
+        const stats = {
+            total: vessels.length,
+            // Add other stats as needed
+        };
+
+        // Calculate surplus and deficit vessel counts
+        const surplusVessels = compliance.vessels.filter(v => v.status === 'compliant').length;
+        const deficitVessels = compliance.vessels.filter(v => v.status === 'non-compliant').length;
+
+        // Build individual vessel table
+        let vesselTableHtml = `<tbody>`;
+
+        compliance.vessels.forEach(vessel => {
+            const complianceBalanceText = vessel.complianceBalance < 0
+                ? `${vessel.complianceBalance.toFixed(2)}`
+                : `+${vessel.complianceBalance.toFixed(2)}`;
+
+            vesselTableHtml += `
+                <tr class="vessel-row ${vessel.status}">
+                    <td class="vessel-name">${vessel.name}</td>
+                    <td>${vessel.imo}</td>
+                    <td class="vessel-type">${vessel.type}</td>
+                    <td class="owner-name">${this.getUserDisplayName(vessel.owner)}</td>
+                    <td class="ghg-value">${vessel.ghgIntensity.toFixed(2)}</td>
+                    <td class="ghg-value">×${vessel.windReward.factor}</td>
+                    <td class="compliance-value ${vessel.complianceBalance < 0 ? 'deficit' : 'surplus'}">${complianceBalanceText}</td>
+                    <td><span class="status-badge ${vessel.status}">${vessel.status}</span></td>
+                </tr>
+            `;
+        });
+
+        vesselTableHtml += `</tbody>`;
+
+        // Create complete HTML document with pool-specific title
+        const reportHtml = this.createPrintableReport(
+            stats,
+            compliance,
+            surplusVessels,
+            deficitVessels,
+            vesselTableHtml,
+            reportTitle,
+            poolName,
+            allocation,
+            settlement
+        );
+
+        // Open in new window
+        const newWindow = window.open('', '_blank', 'width=1200,height=800');
+        newWindow.document.write(reportHtml);
+        newWindow.document.close();
+
+        // Show success notification
+        this.showNotification(`${poolName || 'Pool'} Summary report opened in new tab!`, 'success');
+    }
+
+    createPrintableReport(stats, compliance, surplusVessels, deficitVessels, vesselTableHtml, reportTitle = 'Pool Summary Report', poolName = null, allocation = null, settlement = null) {
+        const poolInfo = poolName ? `for ${poolName}` : 'for All Pools';
+
+        return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${reportTitle}</title>
+            <style>
+                * {
+                    margin: 0;
+                    padding: 0;
+                    box-sizing: border-box;
+                }
+                
+                body {
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    line-height: 1.6;
+                    color: #333;
+                    background: #f8f9fa;
+                    padding: 20px;
+                }
+                
                 .report-container {
                     max-width: 1000px;
                     margin: 0 auto;
@@ -1812,899 +3174,2511 @@ export default class Dashboard {
             </style>
         </head>
         <body>
-            <div class="report-container">
-                <div class="report-header">
-                    <h1>FuelEU Maritime ${reportTitle}</h1>
-                    <p>Comprehensive Compliance Analysis</p>
+            <div class="report-container">
+                <div class="report-header">
+                    <h1>FuelEU Maritime ${reportTitle}</h1>
+                    <p>Comprehensive Compliance Analysis</p>
+                </div>
+                
+                <div class="download-section">
+                    <button class="download-btn" onclick="window.print()">📄 Download as PDF</button>
+                    <p style="margin-top: 10px; font-size: 0.9rem; color: #666;">
+                        Click the button above to save this report as PDF
+                    </p>
+                </div>
+                
+                <div class="section">
+                    <h2>Pool Overview</h2>
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <label>Analysis Year:</label>
+                            <value>${compliance.summary.complianceYear}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Target Intensity:</label>
+                            <value>${Number(compliance.summary.poolTargetIntensity).toFixed(2)} gCO2e/MJ</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Name:</label>
+                            <value>${poolName || 'All Pools'}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Total Vessels:</label>
+                            <value>${stats.total}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Surplus Vessels:</label>
+                            <value>${surplusVessels}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Deficit Vessels:</label>
+                            <value>${deficitVessels}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Average GHG Intensity:</label>
+                            <value>${compliance.summary.poolAverageIntensity.toFixed(3)} gCO2e/MJ</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Net Compliance Balance:</label>
+                            <value class="compliance-balance ${compliance.summary.poolComplianceBalance < 0 ? 'deficit' : 'surplus'}">
+                                ${compliance.summary.poolComplianceBalance < 0 ?
+                `${compliance.summary.poolComplianceBalance.toFixed(2)} tCO2eq` :
+                `${compliance.summary.poolComplianceBalance.toFixed(2)} tCO2eq`}
+                            </value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Status:</label>
+                            <value class="status-${compliance.summary.poolCompliant ? 'compliant' : 'non-compliant'}">
+                                ${compliance.summary.poolCompliant ? '✅ Compliant' : '❌ Non-Compliant'}
+                            </value>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="section">
+                    <h2>Individual Vessel Performance</h2>
+                    <table class="vessel-table">
+                        <thead>
+                            <tr>
+                                <th>Vessel Name</th>
+                                <th>IMO</th>
+                                <th>Type</th>
+                                <th>Owner</th>
+                                <th>GHG Intensity</th>
+                                <th>Wind Factor</th>
+                                <th>Compliance Balance</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        ${vesselTableHtml}
+                    </table>
+                </div>
+                
+                ${allocation ? this.createAllocationReportSection(allocation) : ''}
+
+                ${settlement ? this.createSettlementReportSection(settlement) : ''}
+
+                ${this.createPenaltyReportSection(compliance)}
+
+                ${this.createRfnboReportSection(compliance)}
+
+                ${this.createOpsReportSection(compliance)}
+
+                ${compliance.vessels.length > 0 ? `
+                    <div class="section">
+                        <h2>Regulatory Carbon Cost (EU ETS + FuelEU) at €${this.marketPrices.getEuaPrice()}/EUA</h2>
+                        ${this.renderCarbonCostTables(CarbonCost.calculatePoolCost(compliance, this.marketPrices.getEuaPrice()), compliance.vessels[0].ets)}
+                    </div>
+                ` : ''}
+
+                <div class="report-footer">
+                    <p>Report generated on ${new Date().toLocaleString()}</p>
+                    <p>Calculated with regulation profile v${compliance.summary.regulationVersion}</p>
+                    <p>FuelEU Maritime Compliance Pool Management System</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    // Surplus allocation section of the printable pool report
+    createAllocationReportSection(allocation) {
+        const memberRows = allocation.members.map(member => `
+            <tr class="vessel-row">
+                <td class="vessel-name">${member.name}</td>
+                <td class="owner-name">${this.getUserDisplayName(member.owner)}</td>
+                <td class="compliance-value ${member.complianceBalance < 0 ? 'deficit' : 'surplus'}">${member.complianceBalance.toFixed(2)}</td>
+                <td class="ghg-value">${member.transfer > 0 ? '+' : ''}${member.transfer.toFixed(2)}</td>
+                <td class="compliance-value ${member.postPoolingBalance < 0 ? 'deficit' : 'surplus'}">${member.postPoolingBalance.toFixed(2)}</td>
+                <td class="ghg-value">€${member.penalty.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+                <div class="section">
+                    <h2>Surplus Allocation</h2>
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <label>Strategy:</label>
+                            <value>${PoolAllocator.STRATEGIES[allocation.strategy]}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Surplus Transferred:</label>
+                            <value>${allocation.transferred.toLocaleString()} tCO2eq</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Post-Pooling Penalty:</label>
+                            <value>€${allocation.postPoolingPenalty.toLocaleString()}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pooling Rules:</label>
+                            <value class="status-${allocation.valid ? 'compliant' : 'non-compliant'}">
+                                ${allocation.valid ? '✅ Satisfied' : '❌ Violated'}
+                            </value>
+                        </div>
+                    </div>
+                    ${allocation.violations.length > 0 ? `
+                        <ul>${allocation.violations.map(violation => `<li>${violation}</li>`).join('')}</ul>
+                    ` : ''}
+                    <table class="vessel-table">
+                        <thead>
+                            <tr>
+                                <th>Vessel Name</th>
+                                <th>Owner</th>
+                                <th>CB Before Pooling</th>
+                                <th>Transfer</th>
+                                <th>CB After Pooling</th>
+                                <th>Penalty After Pooling</th>
+                            </tr>
+                        </thead>
+                        <tbody>${memberRows}</tbody>
+                    </table>
+                </div>
+        `;
+    }
+
+    // Owner settlement summary section of the printable pool report
+    createSettlementReportSection(settlement) {
+        const ownerRows = settlement.owners.map(owner => `
+            <tr class="vessel-row">
+                <td class="owner-name">${this.getUserDisplayName(owner.owner)}</td>
+                <td class="ghg-value">${owner.surrendered.toLocaleString()}</td>
+                <td class="ghg-value">${owner.received.toLocaleString()}</td>
+                <td class="ghg-value">€${owner.receivable.toLocaleString()}</td>
+                <td class="ghg-value">€${owner.payable.toLocaleString()}</td>
+                <td class="compliance-value ${owner.net < 0 ? 'deficit' : 'surplus'}">€${owner.net.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+                <div class="section">
+                    <h2>Member Settlement</h2>
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <label>Pool Price:</label>
+                            <value>€${settlement.pricing.price.toLocaleString()} (${PoolSettlement.PRICING_BASES[settlement.pricing.basis]})</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Total Settlement Value:</label>
+                            <value>€${settlement.totalValue.toLocaleString()}</value>
+                        </div>
+                    </div>
+                    ${settlement.owners.length > 0 ? `
+                        <table class="vessel-table">
+                            <thead>
+                                <tr>
+                                    <th>Owner</th>
+                                    <th>Surplus Given (tCO2eq)</th>
+                                    <th>Surplus Received (tCO2eq)</th>
+                                    <th>Receivable</th>
+                                    <th>Payable</th>
+                                    <th>Net</th>
+                                </tr>
+                            </thead>
+                            <tbody>${ownerRows}</tbody>
+                        </table>
+                    ` : '<p>No surplus is transferred between members in this period.</p>'}
+                </div>
+        `;
+    }
+
+    // Printable settlement statement per owner for the selected year
+    generateSettlementStatements(poolName) {
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        if (vessels.length === 0) {
+            alert(`No vessels found in ${poolName}.`);
+            return;
+        }
+
+        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+        const allocation = this.calculatePoolAllocation(poolName, compliance);
+
+        if (!allocation.valid && !confirm(`The ${this.currentYear} allocation breaks the pooling rules:\n\n${allocation.violations.join('\n')}\n\nGenerate settlement statements anyway?`)) {
+            return;
+        }
+
+        const settlement = this.poolSettlement.calculateSettlement(allocation, this.poolManager.getPoolPricing(poolName));
+        if (settlement.owners.length === 0) {
+            alert(`No surplus is transferred between members of ${poolName} in ${this.currentYear}.`);
+            return;
+        }
+
+        const newWindow = window.open('', '_blank', 'width=1200,height=800');
+        newWindow.document.write(this.createSettlementStatements(poolName, settlement));
+        newWindow.document.close();
+
+        this.showNotification(`${poolName} settlement statements opened in new tab!`, 'success');
+    }
+
+    createSettlementStatements(poolName, settlement) {
+        const statements = settlement.owners.map(owner => {
+            const transferRows = settlement.transfers
+                .filter(transfer => !transfer.internal && (transfer.payer === owner.owner || transfer.payee === owner.owner))
+                .map(transfer => `
+                    <tr>
+                        <td>${transfer.fromVessel} (${this.getUserDisplayName(transfer.payee)})</td>
+                        <td>${transfer.toVessel} (${this.getUserDisplayName(transfer.payer)})</td>
+                        <td>${transfer.amount.toLocaleString()}</td>
+                        <td>${transfer.payee === owner.owner ? '+' : '-'}€${transfer.value.toLocaleString()}</td>
+                    </tr>
+                `).join('');
+
+            const obligationLines = settlement.obligations
+                .filter(obligation => obligation.payer === owner.owner || obligation.payee === owner.owner)
+                .map(obligation => obligation.payer === owner.owner
+                    ? `<li>Pay €${obligation.amount.toLocaleString()} to ${this.getUserDisplayName(obligation.payee)}</li>`
+                    : `<li>Receive €${obligation.amount.toLocaleString()} from ${this.getUserDisplayName(obligation.payer)}</li>`)
+                .join('');
+
+            return `
+                <div class="statement">
+                    <h2>${this.getUserDisplayName(owner.owner)}</h2>
+                    <p>${poolName} - reporting period ${settlement.year}</p>
+                    <table>
+                        <tr><th>Surplus given (tCO2eq)</th><td>${owner.surrendered.toLocaleString()}</td></tr>
+                        <tr><th>Surplus received (tCO2eq)</th><td>${owner.received.toLocaleString()}</td></tr>
+                        <tr><th>Receivable</th><td>€${owner.receivable.toLocaleString()}</td></tr>
+                        <tr><th>Payable</th><td>€${owner.payable.toLocaleString()}</td></tr>
+                        <tr><th>Net settlement</th><td class="${owner.net < 0 ? 'deficit' : 'surplus'}">€${owner.net.toLocaleString()}</td></tr>
+                    </table>
+                    ${transferRows ? `
+                        <h3>Transfers</h3>
+                        <table>
+                            <thead>
+                                <tr><th>From Vessel</th><th>To Vessel</th><th>tCO2eq</th><th>Value</th></tr>
+                            </thead>
+                            <tbody>${transferRows}</tbody>
+                        </table>
+                    ` : '<p>Only internal transfers between own vessels.</p>'}
+                    ${obligationLines ? `<h3>Payments</h3><ul>${obligationLines}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <title>${poolName} Settlement Statements ${settlement.year}</title>
+            <style>
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; padding: 20px; }
+                h1, h2 { color: #1e3c72; }
+                .statement { max-width: 900px; margin: 0 auto 40px; padding-bottom: 30px; border-bottom: 2px solid #e1e5e9; page-break-after: always; }
+                table { width: 100%; border-collapse: collapse; margin: 10px 0 20px; }
+                th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e1e5e9; }
+                .deficit { color: #dc3545; font-weight: bold; }
+                .surplus { color: #28a745; font-weight: bold; }
+                .download-btn { background: #dc3545; color: white; padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; }
+                @media print { .download-btn { display: none; } }
+            </style>
+        </head>
+        <body>
+            <h1>FuelEU Maritime Pool Settlement Statements</h1>
+            <p>Price: €${settlement.pricing.price.toLocaleString()} (${PoolSettlement.PRICING_BASES[settlement.pricing.basis]})
+                ${settlement.allocationValid ? '' : ' - <strong class="deficit">allocation breaks the pooling rules</strong>'}</p>
+            <button class="download-btn" onclick="window.print()">📄 Download as PDF</button>
+            ${statements}
+            <p>Generated on ${new Date().toLocaleString()} with regulation profile v${this.calculator.regulationProfile.version}</p>
+        </body>
+        </html>
+        `;
+    }
+
+    // Penalty breakdown section of the printable pool report
+    createPenaltyReportSection(compliance) {
+        const penalizedVessels = compliance.vessels.filter(vessel => vessel.potentialPenalty > 0);
+        const poolPenalty = compliance.summary.poolPenaltyBreakdown;
+
+        const penaltyRows = penalizedVessels.map(vessel => `
+            <tr class="vessel-row non-compliant">
+                <td class="vessel-name">${vessel.name}</td>
+                <td class="compliance-value deficit">${vessel.complianceBalance.toFixed(2)}</td>
+                <td class="ghg-value">${vessel.penaltyBreakdown.vlsfoEquivalentTonnes.toLocaleString()}</td>
+                <td class="ghg-value">€${vessel.penaltyBreakdown.basePenalty.toLocaleString()}</td>
+                <td class="ghg-value">${vessel.penaltyBreakdown.consecutiveDeficitPeriods} (×${vessel.penaltyBreakdown.escalationFactor.toFixed(2)})</td>
+                <td class="ghg-value">€${vessel.potentialPenalty.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+                <div class="section">
+                    <h2>Penalty Exposure</h2>
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <label>Pool VLSFO-Equivalent Deficit:</label>
+                            <value>${poolPenalty.vlsfoEquivalentTonnes.toLocaleString()} t</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Base Penalty:</label>
+                            <value>€${poolPenalty.basePenalty.toLocaleString()}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Escalation Factor:</label>
+                            <value>×${poolPenalty.escalationFactor.toFixed(2)}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool Potential Penalty:</label>
+                            <value>€${poolPenalty.penalty.toLocaleString()}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Sum of Vessel Penalties (before pooling):</label>
+                            <value>€${compliance.summary.totalPotentialPenalty.toLocaleString()}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>OPS At-Berth Penalty:</label>
+                            <value>€${compliance.summary.totalOpsPenalty.toLocaleString()}</value>
+                        </div>
+                    </div>
+                    ${penalizedVessels.length > 0 ? `
+                        <table class="vessel-table">
+                            <thead>
+                                <tr>
+                                    <th>Vessel Name</th>
+                                    <th>Compliance Balance (tCO2eq)</th>
+                                    <th>VLSFO-Eq. (t)</th>
+                                    <th>Base Penalty</th>
+                                    <th>Consecutive Periods</th>
+                                    <th>Penalty</th>
+                                </tr>
+                            </thead>
+                            <tbody>${penaltyRows}</tbody>
+                        </table>
+                    ` : '<p>No vessel has a deficit in this period.</p>'}
                 </div>
-                
-                <div class="download-section">
-                    <button class="download-btn" onclick="window.print()">📄 Download as PDF</button>
-                    <p style="margin-top: 10px; font-size: 0.9rem; color: #666;">
-                        Click the button above to save this report as PDF
-                    </p>
+        `;
+    }
+
+    // RFNBO sub-target section of the printable pool report
+    createRfnboReportSection(compliance) {
+        const rfnbo = compliance.summary.poolRfnbo;
+
+        const vesselRows = compliance.vessels.map(vessel => `
+            <tr class="vessel-row ${vessel.rfnbo.met ? 'compliant' : 'non-compliant'}">
+                <td class="vessel-name">${vessel.name}</td>
+                <td class="ghg-value">${vessel.rfnbo.energy.toLocaleString()}</td>
+                <td class="ghg-value">${vessel.rfnbo.share.toFixed(2)}%</td>
+                <td class="ghg-value">${vessel.rfnbo.shortfallEnergy.toLocaleString()}</td>
+                <td class="ghg-value">€${vessel.rfnbo.penalty.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+                <div class="section">
+                    <h2>RFNBO Sub-Target</h2>
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <label>Pool RFNBO Share:</label>
+                            <value>${rfnbo.share.toFixed(2)}%</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Sub-Target:</label>
+                            <value>${rfnbo.subTarget.toFixed(2)}% ${rfnbo.applies ? (rfnbo.met ? '(met)' : '(missed)') : `(from ${rfnbo.subTargetFromYear})`}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Reward Factor:</label>
+                            <value>×${rfnbo.rewardFactor}</value>
+                        </div>
+                        <div class="summary-item">
+                            <label>Pool RFNBO Penalty:</label>
+                            <value>€${rfnbo.penalty.toLocaleString()}</value>
+                        </div>
+                    </div>
+                    ${rfnbo.applies ? `
+                        <table class="vessel-table">
+                            <thead>
+                                <tr>
+                                    <th>Vessel Name</th>
+                                    <th>RFNBO Energy (MJ)</th>
+                                    <th>Share</th>
+                                    <th>Shortfall (MJ)</th>
+                                    <th>RFNBO Penalty</th>
+                                </tr>
+                            </thead>
+                            <tbody>${vesselRows}</tbody>
+                        </table>
+                    ` : ''}
+                </div>
+        `;
+    }
+
+    // Zero-emission at-berth (OPS) section of the printable pool report
+    createOpsReportSection(compliance) {
+        const coveredVessels = compliance.vessels.filter(vessel => vessel.ops.applies);
+
+        const vesselRows = coveredVessels.map(vessel => `
+            <tr class="vessel-row ${vessel.ops.nonCompliantCalls > 0 ? 'non-compliant' : 'compliant'}">
+                <td class="vessel-name">${vessel.name}</td>
+                <td class="ghg-value">${vessel.ops.totalCalls}</td>
+                <td class="ghg-value">${vessel.ops.connectedCalls}</td>
+                <td class="ghg-value">${vessel.ops.exemptCalls}</td>
+                <td class="ghg-value">${vessel.ops.nonCompliantCalls} (${vessel.ops.nonCompliantHours} h)</td>
+                <td class="ghg-value">€${vessel.ops.penalty.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+                <div class="section">
+                    <h2>Zero-Emission at Berth (OPS)</h2>
+                    ${coveredVessels.length > 0 ? `
+                        <div class="summary-grid">
+                            <div class="summary-item">
+                                <label>Non-Compliant Port Calls:</label>
+                                <value>${compliance.summary.opsNonCompliantCalls}</value>
+                            </div>
+                            <div class="summary-item">
+                                <label>OPS Penalty:</label>
+                                <value>€${compliance.summary.totalOpsPenalty.toLocaleString()}</value>
+                            </div>
+                        </div>
+                        <table class="vessel-table">
+                            <thead>
+                                <tr>
+                                    <th>Vessel Name</th>
+                                    <th>Port Calls</th>
+                                    <th>OPS Used</th>
+                                    <th>Exempt</th>
+                                    <th>Non-Compliant</th>
+                                    <th>OPS Penalty</th>
+                                </tr>
+                            </thead>
+                            <tbody>${vesselRows}</tbody>
+                        </table>
+                    ` : `<p>No vessel in this pool is covered by the at-berth obligation in ${compliance.summary.complianceYear}.</p>`}
+                </div>
+        `;
+    }
+
+    // Record each vessel's outcome for the current year so later deficits escalate
+    recordPeriodOutcome(poolName) {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.hasAdminOverride(currentUser)) {
+            alert('Only administrators can record reporting period outcomes.');
+            return;
+        }
+
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        if (vessels.length === 0) {
+            alert(`No vessels found in ${poolName}.`);
+            return;
+        }
+
+        if (!confirm(`Record the ${this.currentYear} compliance outcome for ${vessels.length} vessels in ${poolName}?\n\nDeficits recorded here increase the penalty of consecutive deficit periods.`)) {
+            return;
+        }
+
+        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+        const allocation = this.calculatePoolAllocation(poolName, compliance);
+        if (!allocation.valid && !confirm(`The ${this.currentYear} allocation breaks the pooling rules:\n\n${allocation.violations.join('\n')}\n\nRecord the balances before pooling instead?`)) {
+            return;
+        }
+
+        compliance.vessels.forEach((vessel, index) => {
+            // Outcomes are recorded after pooling when the allocation is valid
+            const member = allocation.valid ? allocation.members[index] : null;
+            this.calculator.penaltyHistory.recordOutcome(vessel.id, this.currentYear, {
+                complianceBalance: member ? member.postPoolingBalance : vessel.complianceBalance,
+                penalty: member ? member.penalty : vessel.potentialPenalty
+            });
+
+            // The period's membership is fixed once its outcome is recorded
+            this.poolManager.joinPool(vessel.id, this.currentYear, poolName);
+        });
+
+        this.showNotification(`${this.currentYear} outcome recorded for ${poolName}`, 'success');
+    }
+
+    enterEditMode(vesselId) {
+        this.editingVesselId = parseInt(vesselId);
+        console.log('Entered edit mode for vessel:', this.editingVesselId);
+
+        // Find the current active tab
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (!activeTab) {
+            console.warn('No active tab found for enterEditMode');
+            return;
+        }
+
+        // Update button appearance using pool-specific selector
+        const addButton = activeTab.querySelector('.btn-icon.add');
+        if (addButton) {
+            const addSpan = addButton.querySelector('span');
+            if (addSpan) {
+                addSpan.textContent = '✏️';
+            }
+            addButton.title = 'Update Vessel';
+            addButton.classList.add('editing');
+        }
+
+        // Update instructions using pool-specific selector
+        const instructions = activeTab.querySelector('.form-instructions p');
+        if (instructions) {
+            instructions.innerHTML = '<strong>Edit Mode:</strong> Modify fields and click ✏️ to update vessel.';
+        }
+
+        // Highlight the row being edited in the vessel table
+        const vesselRows = document.querySelectorAll('.vessel-row');
+        vesselRows.forEach(row => {
+            const checkbox = row.querySelector('input[onchange*="' + vesselId + '"]');
+            if (checkbox) {
+                row.classList.add('editing');
+            }
+        });
+    }
+
+    //Edit Mode Methods
+    exitEditMode() {
+        this.editingVesselId = null;
+
+        // Find the current active tab
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (!activeTab) {
+            console.warn('No active tab found for exitEditMode');
+            return;
+        }
+
+        const tabId = activeTab.id;
+
+        // Reset button appearance using pool-specific selectors
+        const addButton = activeTab.querySelector('.btn-icon.add');
+        if (addButton) {
+            const addSpan = addButton.querySelector('span');
+            if (addSpan) {
+                addSpan.textContent = '+';
+            }
+            addButton.title = 'Add Vessel';
+            addButton.classList.remove('editing');
+        }
+
+        // Reset instructions using pool-specific selector
+        const instructions = activeTab.querySelector('.form-instructions p');
+        if (instructions) {
+            instructions.innerHTML = '<strong>Instructions:</strong> Fill in all fields and click + to add vessel to the fleet.';
+        }
+
+        // Remove editing highlight from vessel rows
+        const editingRows = document.querySelectorAll('.vessel-row.editing');
+        editingRows.forEach(row => row.classList.remove('editing'));
+    }
+
+    // 🆕 HELPER METHOD
+    canUserEdit(vessel) {
+        if (!this.authManager) return true;
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        return currentUser && this.permissions.canEditVessel(currentUser, vessel);
+    }
+
+    //Pool Overview Title method
+    updatePoolOverviewTitle(selectedPool, vessels) {
+        const titleElement = document.getElementById('poolOverviewTitle');
+        if (titleElement) {
+            if (selectedPool) {
+                const poolInfo = this.poolManager.getPool(selectedPool);
+                const poolDesc = poolInfo ? ` - ${poolInfo.description}` : '';
+                titleElement.textContent = `${selectedPool} Overview${poolDesc} - ${this.currentYear} (Target Intensity: ${this.getTargetIntensity().toFixed(2)} gCO2e/MJ)`;
+            } else {
+                const poolCount = this.poolManager.getAllPools().length;
+                titleElement.textContent = `All Pools Overview (${poolCount} pools) - ${this.currentYear} (Target Intensity: ${this.getTargetIntensity().toFixed(2)} gCO2e/MJ)`;
+            }
+        }
+    }
+
+    getUserDisplayName(userId) {
+        if (!userId) return 'Unassigned';
+
+        const user = this.userManager.getUser(userId);
+        return user ? (user.name || userId) : userId;
+    }
+
+    // Regulation Profile Methods
+    displayRegulationProfiles() {
+        const container = document.getElementById('regulationProfileList');
+        if (!container) return;
+
+        const regulationManager = this.calculator.regulationManager;
+        const activeVersion = regulationManager.getActiveProfile().version;
+
+        let html = `
+            <div class="pools-management-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Version</th>
+                            <th>Name</th>
+                            <th>Reference</th>
+                            <th>Trajectory</th>
+                            <th>Penalty</th>
+                            <th>Banking / Borrowing</th>
+                            <th>Created</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+
+        regulationManager.getAllProfiles().forEach(profile => {
+            const isActive = profile.version === activeVersion;
+            const trajectory = Object.entries(profile.reductionTrajectory)
+                .map(([year, reduction]) => `${year}: ${(reduction * 100).toFixed(1)}%`)
+                .join(', ');
+
+            html += `
+                <tr>
+                    <td>v${profile.version}</td>
+                    <td>${profile.name}</td>
+                    <td>${profile.referenceGHGIntensity.toFixed(2)}</td>
+                    <td class="regulation-trajectory-cell">${trajectory}</td>
+                    <td>€${profile.penaltyEurPerTonneVlsfo}/t VLSFO (+${(profile.penaltyEscalationRate * 100).toFixed(0)}%/yr)</td>
+                    <td>${(profile.bankingLimit * 100).toFixed(1)}% / ${(profile.borrowingLimit * 100).toFixed(1)}%</td>
+                    <td>${profile.builtIn ? 'Built-in' : `${new Date(profile.created).toLocaleDateString()} (${profile.createdBy})`}</td>
+                    <td class="actions-col">
+                        ${isActive ? '<span class="status-badge writable">Active</span>' : `
+                            <div class="action-buttons">
+                                <button class="btn btn-sm" onclick="dashboard.activateRegulationProfile(${profile.version})">Activate</button>
+                                ${profile.builtIn ? '' : `
+                                    <button class="btn-icon danger" onclick="dashboard.deleteRegulationProfile(${profile.version})" title="Delete Version">
+                                        <span>🗑️</span>
+                                    </button>
+                                `}
+                            </div>
+                        `}
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    showRegulationModal() {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canEditRegulation(currentUser)) {
+            alert('You do not have permission to edit regulation profiles.');
+            return;
+        }
+
+        // New versions start from the active profile
+        const profile = this.calculator.regulationManager.getActiveProfile();
+
+        document.getElementById('regulationModalTitle').textContent = `New Version (based on v${profile.version})`;
+        document.getElementById('regulationName').value = profile.name;
+        document.getElementById('regulationReference').value = profile.referenceGHGIntensity;
+        document.getElementById('regulationLastYear').value = profile.lastYear;
+        document.getElementById('regulationPenaltyRate').value = profile.penaltyEurPerTonneVlsfo;
+        document.getElementById('regulationVlsfoEnergy').value = profile.vlsfoEnergyPerTonne;
+        document.getElementById('regulationEscalation').value = (profile.penaltyEscalationRate * 100).toFixed(1);
+        document.getElementById('regulationBankingLimit').value = (profile.bankingLimit * 100).toFixed(1);
+        document.getElementById('regulationBorrowingLimit').value = (profile.borrowingLimit * 100).toFixed(1);
+        document.getElementById('regulationRepayment').value = profile.borrowingRepaymentMultiplier;
+        document.getElementById('regulationExtraEUShare').value = (profile.extraEUEnergyShare * 100).toFixed(0);
+        document.getElementById('regulationOutermostExemption').value = profile.outermostExemptionLastYear;
+
+        document.getElementById('regulationTrajectory').innerHTML = Object.entries(profile.reductionTrajectory)
+            .map(([year, reduction]) => `
+                <div class="trajectory-step">
+                    <label for="regulationStep-${year}">${year}</label>
+                    <input type="number" id="regulationStep-${year}" data-year="${year}" step="0.1" min="0" max="100" value="${(reduction * 100).toFixed(1)}">
                 </div>
-                
-                <div class="section">
-                    <h2>Pool Overview</h2>
-                    <div class="summary-grid">
-                        <div class="summary-item">
-                            <label>Analysis Year:</label>
-                            <value>2025</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Target Intensity:</label>
-                            <value>89.34 gCO2e/MJ</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Pool Name:</label>
-                            <value>${poolName || 'All Pools'}</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Total Vessels:</label>
-                            <value>${stats.total}</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Surplus Vessels:</label>
-                            <value>${surplusVessels}</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Deficit Vessels:</label>
-                            <value>${deficitVessels}</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Pool Average GHG Intensity:</label>
-                            <value>${compliance.summary.poolAverageIntensity.toFixed(3)} gCO2e/MJ</value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Pool Net Compliance Balance:</label>
-                            <value class="compliance-balance ${compliance.summary.poolComplianceBalance < 0 ? 'deficit' : 'surplus'}">
-                                ${compliance.summary.poolComplianceBalance < 0 ?
-                `${compliance.summary.poolComplianceBalance.toFixed(2)} tCO2eq` :
-                `${compliance.summary.poolComplianceBalance.toFixed(2)} tCO2eq`}
-                            </value>
-                        </div>
-                        <div class="summary-item">
-                            <label>Pool Status:</label>
-                            <value class="status-${compliance.summary.poolCompliant ? 'compliant' : 'non-compliant'}">
-                                ${compliance.summary.poolCompliant ? '✅ Compliant' : '❌ Non-Compliant'}
-                            </value>
+            `).join('');
+
+        document.getElementById('regulationModal').style.display = 'block';
+    }
+
+    saveRegulationProfile() {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canEditRegulation(currentUser)) {
+            alert('You do not have permission to edit regulation profiles.');
+            return;
+        }
+
+        const reductionTrajectory = {};
+        document.querySelectorAll('#regulationTrajectory input[data-year]').forEach(input => {
+            reductionTrajectory[input.dataset.year] = parseFloat(input.value) / 100;
+        });
+
+        const changes = {
+            name: document.getElementById('regulationName').value.trim(),
+            referenceGHGIntensity: parseFloat(document.getElementById('regulationReference').value),
+            reductionTrajectory,
+            lastYear: parseInt(document.getElementById('regulationLastYear').value),
+            penaltyEurPerTonneVlsfo: parseFloat(document.getElementById('regulationPenaltyRate').value),
+            vlsfoEnergyPerTonne: parseFloat(document.getElementById('regulationVlsfoEnergy').value),
+            penaltyEscalationRate: parseFloat(document.getElementById('regulationEscalation').value) / 100,
+            bankingLimit: parseFloat(document.getElementById('regulationBankingLimit').value) / 100,
+            borrowingLimit: parseFloat(document.getElementById('regulationBorrowingLimit').value) / 100,
+            borrowingRepaymentMultiplier: parseFloat(document.getElementById('regulationRepayment').value),
+            extraEUEnergyShare: parseFloat(document.getElementById('regulationExtraEUShare').value) / 100,
+            outermostExemptionLastYear: parseInt(document.getElementById('regulationOutermostExemption').value)
+        };
+
+        try {
+            const regulationManager = this.calculator.regulationManager;
+            const profile = regulationManager.createProfileVersion(changes, currentUser.id);
+
+            if (document.getElementById('regulationActivate').checked) {
+                this.activateRegulationProfile(profile.version, false);
+            }
+
+            this.displayRegulationProfiles();
+            this.closeRegulationModal();
+            this.showNotification(`Regulation profile v${profile.version} saved!`, 'success');
+        } catch (error) {
+            alert(`Error saving regulation profile: ${error.message}`);
+        }
+    }
+
+    activateRegulationProfile(version, askConfirmation = true) {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canEditRegulation(currentUser)) {
+            alert('You do not have permission to change the active regulation profile.');
+            return;
+        }
+
+        if (askConfirmation && !confirm(`Activate regulation profile v${version}? All compliance figures will be recalculated with it.`)) {
+            return;
+        }
+
+        try {
+            this.calculator.regulationManager.setActiveProfile(version);
+            this.calculator.loadRegulationProfile();
+            this.refreshYearSelector();
+            this.displayRegulationProfiles();
+            this.showNotification(`Regulation profile v${version} is now active`, 'success');
+        } catch (error) {
+            alert(`Error activating regulation profile: ${error.message}`);
+        }
+    }
+
+    deleteRegulationProfile(version) {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canEditRegulation(currentUser)) {
+            alert('You do not have permission to delete regulation profiles.');
+            return;
+        }
+
+        if (!confirm(`Delete regulation profile v${version}? This action cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            this.calculator.regulationManager.deleteProfile(version);
+            this.displayRegulationProfiles();
+            this.showNotification(`Regulation profile v${version} deleted`, 'success');
+        } catch (error) {
+            alert(`Error deleting regulation profile: ${error.message}`);
+        }
+    }
+
+    closeRegulationModal() {
+        document.getElementById('regulationModal').style.display = 'none';
+    }
+
+    // User Management Methods
+    refreshUserList() {
+        this.displayUserManagement();
+    }
+
+    displayUserManagement() {
+        const container = document.getElementById('userManagementList');
+        if (!container) {
+            console.warn('User management container not found');
+            return;
+        }
+
+        const users = this.userManager.getAllUsers();
+
+        let html = `
+            <div class="users-management-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>User ID</th>
+                            <th>Display Name</th>
+                            <th>Role</th>
+                            <th>Pool Access</th>
+                            <th>Vessels Owned</th>
+                            <th>Created</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+
+        users.forEach(user => {
+            const vesselCount = this.vesselManager.getVesselsByOwner(user.id).length;
+            const createdDate = user.created ? new Date(user.created).toLocaleDateString() : 'N/A';
+            const poolAccess = user.pools.join(', ') || 'None';
+
+            html += `
+                <tr>
+                    <td class="user-id">${user.id}</td>
+                    <td class="user-name">${user.name}</td>
+                    <td>
+                        <span class="role-badge ${user.role}">${user.role.toUpperCase()}</span>
+                    </td>
+                    <td class="pool-access">${poolAccess}</td>
+                    <td class="vessel-count">${vesselCount}</td>
+                    <td>${createdDate}</td>
+                    <td class="actions-col">
+                        <div class="action-buttons">
+                            <button class="btn-icon" onclick="dashboard.editUser('${user.id}')" title="Edit User">
+                                <span>✏️</span>
+                            </button>
+                            ${user.id !== 'admin' ? `
+                                <button class="btn-icon danger" onclick="dashboard.deleteUser('${user.id}')" title="Delete User">
+                                    <span>🗑️</span>
+                                </button>
+                            ` : '<span class="protected">Protected</span>'}
                         </div>
-                    </div>
-                </div>
-                
-                <div class="section">
-                    <h2>Individual Vessel Performance</h2>
-                    <table class="vessel-table">
-                        <thead>
-                            <tr>
-                                <th>Vessel Name</th>
-                                <th>IMO</th>
-                                <th>Type</th>
-                                <th>Owner</th>
-                                <th>GHG Intensity</th>
-                                <th>Compliance Balance</th>
-                                <th>Status</th>
-                            </tr>
-                        </thead>
-                        ${vesselTableHtml}
-                    </table>
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    showCreateUserModal() {
+        this.resetUserModal();
+        this.populatePoolCheckboxes();
+        document.getElementById('userModalTitle').textContent = 'Create New User';
+        document.getElementById('userModalSubmit').textContent = 'Create User';
+        document.getElementById('userModalSubmit').onclick = () => this.createUser();
+        document.getElementById('userModal').style.display = 'block';
+    }
+
+    editUser(userId) {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canCreatePool(currentUser)) { // Reusing pool permission for user management
+            alert('You do not have permission to edit users.');
+            return;
+        }
+
+        const user = this.userManager.getUser(userId);
+        if (!user) {
+            alert('User not found.');
+            return;
+        }
+
+        // Populate form with existing data
+        document.getElementById('userId').value = user.id;
+        document.getElementById('userId').disabled = true; // Can't change user ID
+        document.getElementById('userName').value = user.name || '';
+
+        // Handle role dropdown - disable for admin user
+        const roleSelect = document.getElementById('userRole');
+        roleSelect.value = user.role;
+
+        if (userId === 'admin') {
+            roleSelect.disabled = true;
+            roleSelect.style.backgroundColor = '#f5f5f5';
+            roleSelect.style.color = '#666';
+        } else {
+            roleSelect.disabled = false;
+            roleSelect.style.backgroundColor = '';
+            roleSelect.style.color = '';
+        }
+        document.getElementById('userPassword').value = ''; // Don't show existing password
+
+        // this.populatePoolCheckboxes(user.pools);
+        // Special handling for admin pool access
+        if (userId === 'admin') {
+            this.populatePoolCheckboxes('all'); // Pass 'all' for admin
+        } else {
+            this.populatePoolCheckboxes(user.pools);
+        }
+
+        // Update modal for edit mode
+        document.getElementById('userModalTitle').textContent = 'Edit User';
+        document.getElementById('userModalSubmit').textContent = 'Update User';
+        document.getElementById('userModalSubmit').onclick = () => this.updateUser(userId);
+
+        document.getElementById('userModal').style.display = 'block';
+    }
+
+    populatePoolCheckboxes(selectedPools = []) {
+        const container = document.getElementById('userPoolAccess');
+        const pools = this.poolManager.getAllPools();
+
+        let html = '';
+
+        // Check if this is for admin user
+        if (selectedPools === 'all') {
+            // Admin gets all pools access - show but disable checkboxes
+            html += '<div class="admin-pool-notice"><p><strong>Admin Access:</strong> Automatic access to all pools</p></div>';
+            pools.forEach(pool => {
+                html += `
+                <div class="checkbox-item">
+                    <label>
+                        <input type="checkbox" value="${pool.name}" checked disabled>
+                        <span class="admin-pool-label">${pool.name} - ${pool.description || 'No description'}</span>
+                    </label>
                 </div>
-                
-                <div class="report-footer">
-                    <p>Report generated on ${new Date().toLocaleString()}</p>
-                    <p>FuelEU Maritime Compliance Pool Management System</p>
+            `;
+            });
+        } else {
+            // Regular users get selectable checkboxes
+            pools.forEach(pool => {
+                const isChecked = selectedPools.includes(pool.name) ? 'checked' : '';
+                html += `
+                <div class="checkbox-item">
+                    <label>
+                        <input type="checkbox" value="${pool.name}" ${isChecked}>
+                        ${pool.name} - ${pool.description || 'No description'}
+                    </label>
                 </div>
-            </div>
-        </body>
-        </html>
-        `;
+            `;
+            });
+        }
+
+        container.innerHTML = html;
     }
 
-    enterEditMode(vesselId) {
-        this.editingVesselId = parseInt(vesselId);
-        console.log('Entered edit mode for vessel:', this.editingVesselId);
+    createUser() {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canCreatePool(currentUser)) {
+            alert('You do not have permission to create users.');
+            return;
+        }
 
-        // Find the current active tab
-        const activeTab = document.querySelector('.pool-tab-content.active');
-        if (!activeTab) {
-            console.warn('No active tab found for enterEditMode');
+        const userId = document.getElementById('userId').value.trim();
+        const name = document.getElementById('userName').value.trim();
+        const role = document.getElementById('userRole').value;
+        const password = document.getElementById('userPassword').value;
+
+        // Get selected pools
+        const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked');
+        const pools = Array.from(poolCheckboxes).map(cb => cb.value);
+
+        if (!userId || !name || !password) {
+            alert('User ID, name, and password are required');
             return;
         }
 
-        // Update button appearance using pool-specific selector
-        const addButton = activeTab.querySelector('.btn-icon.add');
-        if (addButton) {
-            const addSpan = addButton.querySelector('span');
-            if (addSpan) {
-                addSpan.textContent = '✏️';
-            }
-            addButton.title = 'Update Vessel';
-            addButton.classList.add('editing');
+        try {
+            // Add to UserManager
+            this.userManager.createUser({ id: userId, name, role, pools });
+
+            // Add to AuthManager using the clean interface
+            this.authManager.addUser(userId, { password, role, pools });
+
+            this.displayUserManagement();
+            this.updatePoolLists();
+            this.closeUserModal();
+            this.showNotification(`User "${name}" created and can now login!`, 'success');
+        } catch (error) {
+            alert(`Error creating user: ${error.message}`);
+        }
+    }
+
+    updateUser(userId) {
+        // This should only be called from the user management interface
+        // Add a check to prevent accidental calls
+        if (!document.getElementById('userModal') ||
+            document.getElementById('userModal').style.display === 'none') {
+            console.warn('updateUser called but user modal is not open');
+            return;
         }
 
-        // Update instructions using pool-specific selector
-        const instructions = activeTab.querySelector('.form-instructions p');
-        if (instructions) {
-            instructions.innerHTML = '<strong>Edit Mode:</strong> Modify fields and click ✏️ to update vessel.';
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canCreatePool(currentUser)) {
+            alert('You do not have permission to edit users.');
+            return;
+        }
+
+        const name = document.getElementById('userName').value.trim();
+        const role = document.getElementById('userRole').value;
+        const password = document.getElementById('userPassword').value;
+
+        // Handle pool access
+        let pools;
+        if (userId === 'admin') {
+            // Admin automatically gets all pools
+            pools = this.poolManager.getAllPools().map(pool => pool.name);
+        } else {
+            // Regular users get selected pools
+            const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked:not([disabled])');
+            pools = Array.from(poolCheckboxes).map(cb => cb.value);
+        }
+
+        // Prevent admin role changes
+        const currentRole = userId === 'admin' ? 'admin' : role;
+
+        // const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked');
+        // const pools = Array.from(poolCheckboxes).map(cb => cb.value);
+
+        if (!name) {
+            alert('User name is required');
+            return;
+        }
+
+        try {
+            const updates = { name, role: currentRole, pools };
+            this.userManager.updateUser(userId, updates);
+
+            // Update AuthManager
+            const authUpdates = { role: currentRole, pools };
+            if (password) authUpdates.password = password;
+            this.authManager.updateUserData(userId, authUpdates);
+
+            // IMPORTANT: Force refresh of login dropdown to show updated pools
+            this.authManager.updateLoginDropdown();
+
+            this.displayUserManagement();
+            this.updatePoolLists();
+            this.closeUserModal();
+            this.showNotification(`User "${name}" updated successfully!`, 'success');
+        } catch (error) {
+            alert(`Error updating user: ${error.message}`);
+        }
+    }
+
+    deleteUser(userId) {
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        if (!this.permissions.canCreatePool(currentUser)) {
+            alert('You do not have permission to delete users.');
+            return;
+        }
+
+        const user = this.userManager.getUser(userId);
+        if (!user) {
+            alert('User not found.');
+            return;
+        }
+
+        const vesselCount = this.vesselManager.getVesselsByOwner(userId).length;
+        let confirmMessage = `Are you sure you want to delete user "${user.name}"?`;
+
+        if (vesselCount > 0) {
+            confirmMessage += `\n\nThis user owns ${vesselCount} vessels. These vessels will need to be reassigned to another owner.`;
+        }
+
+        if (!confirm(confirmMessage)) {
+            return;
+        }
+
+        try {
+            // Handle vessels owned by this user
+            if (vesselCount > 0) {
+                const vessels = this.vesselManager.getVesselsByOwner(userId);
+                vessels.forEach(vessel => {
+                    // Reassign to admin or ask for reassignment
+                    this.vesselManager.updateVessel(vessel.id, { owner: 'admin' }, currentUser);
+                });
+            }
+
+            this.userManager.deleteUser(userId);
+
+            // Remove from auth system
+            if (window.authManager && window.authManager.users[userId]) {
+                delete window.authManager.users[userId];
+            }
+
+            this.displayUserManagement();
+            this.updatePoolLists();
+            this.updateDisplay(); // Refresh vessel list
+            this.showNotification(`User "${user.name}" deleted successfully!`, 'success');
+        } catch (error) {
+            alert(`Error deleting user: ${error.message}`);
         }
+    }
 
-        // Highlight the row being edited in the vessel table
-        const vesselRows = document.querySelectorAll('.vessel-row');
-        vesselRows.forEach(row => {
-            const checkbox = row.querySelector('input[onchange*="' + vesselId + '"]');
-            if (checkbox) {
-                row.classList.add('editing');
-            }
-        });
+    resetUserModal() {
+        document.getElementById('userId').value = '';
+        document.getElementById('userId').disabled = false;
+        document.getElementById('userName').value = '';
+        document.getElementById('userRole').value = 'user';
+        document.getElementById('userPassword').value = '';
+        document.getElementById('userPoolAccess').innerHTML = '';
     }
 
-    //Edit Mode Methods
-    exitEditMode() {
-        this.editingVesselId = null;
+    closeUserModal() {
+        document.getElementById('userModal').style.display = 'none';
+        this.resetUserModal();
+    }
 
-        // Find the current active tab
-        const activeTab = document.querySelector('.pool-tab-content.active');
-        if (!activeTab) {
-            console.warn('No active tab found for exitEditMode');
-            return;
-        }
+    submitUserForm() {
+        // This will be overridden by the onclick handlers
+    }
 
-        const tabId = activeTab.id;
+    // method to generate dynamic tabs
+    generatePoolTabs() {
+        const tabsContainer = document.getElementById('dynamicTabs');
+        if (!tabsContainer || !this.authManager) return;
 
-        // Reset button appearance using pool-specific selectors
-        const addButton = activeTab.querySelector('.btn-icon.add');
-        if (addButton) {
-            const addSpan = addButton.querySelector('span');
-            if (addSpan) {
-                addSpan.textContent = '+';
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        let availablePools = [];
+
+        if (currentUser.role === 'admin') {
+            // Admin sees management tab plus all pools
+            availablePools = [{ name: 'Management', isManagement: true }];
+            availablePools.push(...this.poolManager.getAllPools());
+        } else {
+            // Regular users see only their assigned pools
+            if (this.authManager.selectedPool) {
+                const selectedPoolData = this.poolManager.getPool(this.authManager.selectedPool);
+                if (selectedPoolData) {
+                    availablePools = [selectedPoolData];
+                }
             }
-            addButton.title = 'Add Vessel';
-            addButton.classList.remove('editing');
         }
 
-        // Reset instructions using pool-specific selector
-        const instructions = activeTab.querySelector('.form-instructions p');
-        if (instructions) {
-            instructions.innerHTML = '<strong>Instructions:</strong> Fill in all fields and click + to add vessel to the fleet.';
-        }
+        let tabsHTML = '';
+        availablePools.forEach((pool, index) => {
+            const isActive = index === 0 ? 'active' : '';
+            const tabId = pool.isManagement ? 'management' : pool.name.toLowerCase().replace(/\s+/g, '-');
+            const statusInfo = pool.isManagement ? null : this.poolManager.getStatusInfo(pool.name);
+            const isReadOnly = !!statusInfo && !statusInfo.dataEditable;
+            const readOnlyClass = isReadOnly ? 'pool-tab-readonly' : '';
 
-        // Remove editing highlight from vessel rows
-        const editingRows = document.querySelectorAll('.vessel-row.editing');
-        editingRows.forEach(row => row.classList.remove('editing'));
-    }
+            tabsHTML += `
+            <div class="tab ${isActive} ${readOnlyClass}" onclick="dashboard.switchPoolTab('${tabId}', '${pool.name}')">
+                ${pool.isManagement ? 'Pool & User Management' : pool.name}
+                ${statusInfo && pool.status !== 'open' ? ` ${statusInfo.icon}` : ''}
+            </div>
+        `;
+        });
 
-    // 🆕 HELPER METHOD
-    canUserEdit(vessel) {
-        if (!this.authManager) return true;
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        return currentUser && this.permissions.canEditVessel(currentUser, vessel);
-    }
+        tabsContainer.innerHTML = tabsHTML;
 
-    //Pool Overview Title method
-    updatePoolOverviewTitle(selectedPool, vessels) {
-        const titleElement = document.getElementById('poolOverviewTitle');
-        if (titleElement) {
-            if (selectedPool) {
-                const poolInfo = this.poolManager.getPool(selectedPool);
-                const poolDesc = poolInfo ? ` - ${poolInfo.description}` : '';
-                titleElement.textContent = `${selectedPool} Overview${poolDesc} - 2025 (Target Intensity: 89.34 gCO2e/MJ)`;
-            } else {
-                const poolCount = this.poolManager.getAllPools().length;
-                titleElement.textContent = `All Pools Overview (${poolCount} pools) - 2025 (Target Intensity: 89.34 gCO2e/MJ)`;
-            }
-        }
-    }
+        // Generate corresponding tab content
+        this.generatePoolTabContent(availablePools);
 
-    getUserDisplayName(userId) {
-        if (!userId) return 'Unassigned';
+        // Automatically load the first tab
+        if (availablePools.length > 0) {
+            const firstPool = availablePools[0];
+            const firstTabId = firstPool.isManagement ? 'management' : firstPool.name.toLowerCase().replace(/\s+/g, '-');
 
-        const user = this.userManager.getUser(userId);
-        return user ? (user.name || userId) : userId;
+            setTimeout(() => {
+                if (!firstPool.isManagement) {
+                    this.updatePoolDisplay(firstPool.name, firstTabId);
+                    this.bindPoolControls(firstTabId);
+                } else {
+                    setTimeout(() => {
+                        this.displayPoolManagement();
+                        this.displayRegulationProfiles();
+                        this.displayUserManagement();
+                    }, 100);
+                }
+            }, 200);
+        }
     }
 
-    // User Management Methods
-    refreshUserList() {
-        this.displayUserManagement();
-    }
+    // generate pool-specific content
+    generatePoolTabContent(pools) {
+        // Remove existing tab content
+        const existingContent = document.querySelectorAll('.pool-tab-content');
+        existingContent.forEach(content => content.remove());
 
-    displayUserManagement() {
-        const container = document.getElementById('userManagementList');
-        if (!container) {
-            console.warn('User management container not found');
-            return;
-        }
+        // Get current user to check if admin
+        const currentUser = this.userManager.getUser(this.authManager.currentUser);
 
-        const users = this.userManager.getAllUsers();
+        // Find where to insert content (after tabs)
+        const tabsElement = document.getElementById('dynamicTabs');
 
-        let html = `
-            <div class="users-management-table">
-                <table>
-                    <thead>
-                        <tr>
-                            <th>User ID</th>
-                            <th>Display Name</th>
-                            <th>Role</th>
-                            <th>Pool Access</th>
-                            <th>Vessels Owned</th>
-                            <th>Created</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
+        pools.forEach((pool, index) => {
+            const isActive = index === 0 ? 'active' : '';
+            const tabId = pool.isManagement ? 'management' : pool.name.toLowerCase().replace(/\s+/g, '-');
+            // Membership and data restrictions follow the pool's lifecycle status
+            const statusInfo = pool.isManagement ? null : this.poolManager.getStatusInfo(pool.name);
+            const isReadOnly = !!statusInfo && !this.permissions.canEditPoolData(currentUser, pool.name, this.poolManager);
+            const membershipLocked = !!statusInfo && !this.permissions.canChangePoolMembership(currentUser, pool.name, this.poolManager);
+            const readOnlyModeClass = membershipLocked ? 'readonly-mode' : '';
 
-        users.forEach(user => {
-            const vesselCount = this.vesselManager.getVesselsByOwner(user.id).length;
-            const createdDate = user.created ? new Date(user.created).toLocaleDateString() : 'N/A';
-            const poolAccess = user.pools.join(', ') || 'None';
+            let contentHTML = '';
 
-            html += `
-                <tr>
-                    <td class="user-id">${user.id}</td>
-                    <td class="user-name">${user.name}</td>
-                    <td>
-                        <span class="role-badge ${user.role}">${user.role.toUpperCase()}</span>
-                    </td>
-                    <td class="pool-access">${poolAccess}</td>
-                    <td class="vessel-count">${vesselCount}</td>
-                    <td>${createdDate}</td>
-                    <td class="actions-col">
-                        <div class="action-buttons">
-                            <button class="btn-icon" onclick="dashboard.editUser('${user.id}')" title="Edit User">
-                                <span>✏️</span>
-                            </button>
-                            ${user.id !== 'admin' ? `
-                                <button class="btn-icon danger" onclick="dashboard.deleteUser('${user.id}')" title="Delete User">
-                                    <span>🗑️</span>
-                                </button>
-                            ` : '<span class="protected">Protected</span>'}
+            if (pool.isManagement) {
+                // Management tab content (existing code)
+                contentHTML = `
+                <div id="${tabId}" class="pool-tab-content tab-content ${isActive}">
+                    <!-- System Data Management -->
+                    <div class="card">
+                        <h2>System Data Management</h2>
+                        <div class="data-management-controls">
+                            <button class="btn btn-primary" onclick="dashboard.exportAllData()" title="Download system backup">Export All Data</button>
+                            <button class="btn btn-secondary" onclick="dashboard.importAllData()" title="Restore from backup file">Import Data</button>
+                            <button class="btn btn-secondary" onclick="dashboard.exportComplianceWorkbook()" title="Download compliance results for all pools as an Excel workbook">Export Excel</button>
                         </div>
-                    </td>
-                </tr>
+                        <div class="data-info">
+                            <p><strong>Export:</strong> Downloads all vessels, pools, and users as a backup file</p>
+                            <p><strong>Import:</strong> Restores data from a previously exported backup file</p>
+                            <p><strong>Export Excel:</strong> Downloads the year's vessel list and compliance results of every pool as an Excel workbook</p>
+                            <p><em>Note: Admin settings are preserved during import</em></p>
+                        </div>
+                    </div>
+                    <div class="card">
+                        <h2>Pool Management</h2>
+                        <div class="pool-management-controls">
+                            <button class="btn btn-primary" onclick="dashboard.showCreatePoolModal()">Create Pool</button>
+                            <button class="btn btn-secondary" onclick="dashboard.refreshPoolList()">Refresh</button>
+                        </div>
+                        <div id="poolManagementList"></div>
+                    </div>
+                    <div class="card">
+                        <h2>Regulation Profiles</h2>
+                        <div class="regulation-management-controls">
+                            <button class="btn btn-primary" onclick="dashboard.showRegulationModal()">New Version</button>
+                        </div>
+                        <div id="regulationProfileList"></div>
+                    </div>
+                    <div class="card">
+                        <h2>User Management</h2>
+                        <div class="user-management-controls">
+                            <button class="btn btn-primary" onclick="dashboard.showCreateUserModal()">Create User</button>
+                            <button class="btn btn-secondary" onclick="dashboard.refreshUserList()">Refresh</button>
+                        </div>
+                        <div id="userManagementList"></div>
+                    </div>
+                </div>
             `;
-        });
-
-        html += `
-                    </tbody>
-                </table>
-            </div>
-        `;
+            } else {
+                const isAdmin = currentUser && currentUser.role === 'admin';
 
-        container.innerHTML = html;
-    }
+                const readOnlyNotice = membershipLocked ? `
+                    <div class="card readonly-notice">
+                        <h3>${statusInfo.icon} ${statusInfo.label}</h3>
+                        <p>${this.permissions.getPoolStatusMessage(pool.name, this.poolManager)}${isAdmin ? ' Move the pool back to an earlier status in Pool Management to make changes.' : ''}</p>
+                    </div>
+                ` : '';
 
-    showCreateUserModal() {
-        this.resetUserModal();
-        this.populatePoolCheckboxes();
-        document.getElementById('userModalTitle').textContent = 'Create New User';
-        document.getElementById('userModalSubmit').textContent = 'Create User';
-        document.getElementById('userModalSubmit').onclick = () => this.createUser();
-        document.getElementById('userModal').style.display = 'block';
-    }
+                contentHTML = `
+                    <div id="${tabId}" class="pool-tab-content tab-content ${isActive}" data-pool="${pool.name}">
+                        ${readOnlyNotice}
+                        <div id="rfnboWarning-${tabId}"></div>
+                        
+                        <div class="pool-summary">
+                            <h2 id="poolOverviewTitle-${tabId}">${this.getPoolOverviewTitle(pool.name)}</h2>
+                            <div class="pool-stats">
+                                <div class="stat-card">
+                                    <div class="stat-number" id="totalVessels-${tabId}">0</div>
+                                    <div class="stat-label">Total Vessels</div>
+                                </div>
+                                <div class="stat-card">
+                                    <div class="stat-number" id="compliantVessels-${tabId}">0</div>
+                                    <div class="stat-label">Compliant Vessels</div>
+                                </div>
+                                <div class="stat-card">
+                                    <div class="stat-number" id="poolDeficit-${tabId}">0.0</div>
+                                    <div class="stat-label">Pool Deficit (tCO2eq)</div>
+                                </div>
+                                <div class="stat-card">
+                                    <div class="stat-number" id="poolSurplus-${tabId}">0.0</div>
+                                    <div class="stat-label">Pool Surplus (tCO2eq)</div>
+                                </div>
+                                <div class="stat-card">
+                                    <div class="stat-number" id="netComplianceBalance-${tabId}">0.0</div>
+                                    <div class="stat-label">Pool Status (tCO2eq)</div>
+                                </div>
+                            </div>
+                        </div>
 
-    editUser(userId) {
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (!this.permissions.canCreatePool(currentUser)) { // Reusing pool permission for user management
-            alert('You do not have permission to edit users.');
-            return;
-        }
+                        <div class="card">
+                            <h2>Surplus Allocation</h2>
+                            <div id="poolAllocation-${tabId}"></div>
+                        </div>
 
-        const user = this.userManager.getUser(userId);
-        if (!user) {
-            alert('User not found.');
-            return;
-        }
+                        <div class="card">
+                            <h2>Sensitivity: Vessels Driving the Pool Result</h2>
+                            <div id="sensitivity-${tabId}"></div>
+                        </div>
 
-        // Populate form with existing data
-        document.getElementById('userId').value = user.id;
-        document.getElementById('userId').disabled = true; // Can't change user ID
-        document.getElementById('userName').value = user.name || '';
+                        <div class="card">
+                            <h2>Regulatory Carbon Cost (EU ETS + FuelEU)</h2>
+                            <div class="fuel-mix-form">
+                                <label for="euaPrice-${tabId}">EUA price (EUR/tCO2e)</label>
+                                <input type="number" id="euaPrice-${tabId}" min="0" step="0.01" class="table-input" value="${this.marketPrices.getEuaPrice()}">
+                                <button class="btn btn-secondary btn-sm" onclick="dashboard.updateEuaPrice('${pool.name}', '${tabId}')">Apply</button>
+                            </div>
+                            <div id="carbonCost-${tabId}"></div>
+                        </div>
 
-        // Handle role dropdown - disable for admin user
-        const roleSelect = document.getElementById('userRole');
-        roleSelect.value = user.role;
+                        <div class="card">
+                            <h2>Compliance Uncertainty (Monte Carlo)</h2>
+                            <div class="fuel-mix-form">
+                                <label for="monteCarloIterations-${tabId}">Iterations</label>
+                                <input type="number" id="monteCarloIterations-${tabId}" min="1" max="${MonteCarloSimulator.MAX_ITERATIONS}" step="100" class="table-input" value="${MonteCarloSimulator.DEFAULT_ITERATIONS}">
+                                <button class="btn btn-primary btn-sm" onclick="dashboard.runMonteCarlo('${pool.name}', '${tabId}')">Run Simulation</button>
+                            </div>
+                            <div id="monteCarlo-${tabId}"><p><small>Draws the energy and GHG intensity of vessels with estimate ranges (set in the vessel details) and reruns the pool calculation.</small></p></div>
+                        </div>
 
-        if (userId === 'admin') {
-            roleSelect.disabled = true;
-            roleSelect.style.backgroundColor = '#f5f5f5';
-            roleSelect.style.color = '#666';
-        } else {
-            roleSelect.disabled = false;
-            roleSelect.style.backgroundColor = '';
-            roleSelect.style.color = '';
-        }
-        document.getElementById('userPassword').value = ''; // Don't show existing password
+                        <div class="card">
+                            <h2>Least-Cost Compliance Plan</h2>
+                            <div class="fuel-mix-form">
+                                <button class="btn btn-primary btn-sm" onclick="dashboard.openCompliancePlan('${pool.name}')">Optimize Pool</button>
+                            </div>
+                            <p><small>Cheapest mix of fuel blending, pool surplus, borrowing and penalty payment bringing the pool to zero deficit, at the fuel prices and availability set in the plan.</small></p>
+                        </div>
 
-        // this.populatePoolCheckboxes(user.pools);
-        // Special handling for admin pool access
-        if (userId === 'admin') {
-            this.populatePoolCheckboxes('all'); // Pass 'all' for admin
-        } else {
-            this.populatePoolCheckboxes(user.pools);
-        }
+                        <div class="card">
+                            <h2>Fleet Projection to ${this.calculator.regulationProfile.lastYear}</h2>
+                            <div class="fuel-mix-form">
+                                <button class="btn btn-primary btn-sm" onclick="dashboard.openFleetProjection('${pool.name}')">Open Projection</button>
+                            </div>
+                            <p><small>Pool intensity against the target for every year, with planned retrofits, fuel switches, efficiency gains, scrapping and newbuild deliveries.</small></p>
+                        </div>
 
-        // Update modal for edit mode
-        document.getElementById('userModalTitle').textContent = 'Edit User';
-        document.getElementById('userModalSubmit').textContent = 'Update User';
-        document.getElementById('userModalSubmit').onclick = () => this.updateUser(userId);
+                        <div class="card">
+                            <h2>What-If Scenarios</h2>
+                            <div class="fuel-mix-form">
+                                <button class="btn btn-primary btn-sm" onclick="dashboard.createScenario('${pool.name}', '${tabId}')">New Scenario from Pool</button>
+                            </div>
+                            <div id="scenarios-${tabId}"></div>
+                        </div>
 
-        document.getElementById('userModal').style.display = 'block';
-    }
+                        <div class="add-vessel-section" id="addVesselSection-${tabId}">
+                            <div class="card">
+                                <h2>Add New Vessel</h2>
+                                <div class="add-vessel-single-row-table">
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th class="vessel-name-col">Vessel Name</th>
+                                                <th class="imo-col">IMO</th>
+                                                <th class="type-col">Type</th>
+                                                <th class="admin-only owner-col">Owner</th>
+                                                <th class="energy-col">FuelEU Energy (MJ)</th>
+                                                <th class="ghg-col">Avg. GHG Intensity (gCO2eq/MJ)</th>
+                                                <th class="actions-col">Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            <tr class="add-vessel-row">
+                                                <td><input type="text" id="vesselName-${tabId}" required placeholder="Enter vessel name" class="table-input"></td>
+                                                <td><input type="text" id="imoNumber-${tabId}" pattern="[0-9]{7}" required placeholder="7 digits" class="table-input"></td>
+                                                <td>
+                                                    <select id="vesselType-${tabId}" required class="table-select">
+                                                        <option value="">Select Type</option>
+                                                        <option value="container">Container Ship</option>
+                                                        <option value="bulk">Bulk Carrier</option>
+                                                        <option value="tanker">Tanker</option>
+                                                        <option value="passenger">Passenger Ship</option>
+                                                        <option value="ro-ro">RoRo</option>
+                                                        <option value="general">General Cargo</option>
+                                                        <option value="other">Other</option>
+                                                    </select>
+                                                </td>
+                                                <td class="admin-only">
+                                                    <select id="vesselOwner-${tabId}" class="table-select">
+                                                        <option value="">Select Owner</option>
+                                                    </select>
+                                                </td>
+                                                <td><input type="number" id="fuelConsumption-${tabId}" min="0" required placeholder="e.g., 45,000,000" class="table-input"></td>
+                                                <td><input type="number" id="ghgIntensity-${tabId}" step="0.01" required placeholder="e.g., 89.25" class="table-input"></td>
+                                                <td class="actions-col">
+                                                    <div class="action-buttons">
+                                                        <button type="button" class="btn-icon add" onclick="dashboard.addVesselToPool('${pool.name}', '${tabId}')" title="Add Vessel">
+                                                            <span>+</span>
+                                                        </button>
+                                                        <button type="button" class="btn-icon clear" onclick="dashboard.clearPoolForm('${tabId}')" title="Clear Form">
+                                                            <span>×</span>
+                                                        </button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </div>
 
-    populatePoolCheckboxes(selectedPools = []) {
-        const container = document.getElementById('userPoolAccess');
-        const pools = this.poolManager.getAllPools();
+                        <div class="card">
+                            <h2>Vessel Fleet - ${pool.name}</h2>
+                            <div class="fleet-info-expanded">
+                                <div class="fleet-stats">
+                                    <span id="selectedCount-${tabId}">0 selected</span>
+                                    <span class="vessel-count" id="vesselCount-${tabId}">0 vessels total</span>
+                                </div>
+                                
+                                <div class="fleet-controls-inline">
+                                    <div class="search-filter-group">
+                                        <div class="control-item">
+                                            <input type="text" id="searchVessels-${tabId}" placeholder="Search vessel or IMO" class="control-input-inline">
+                                        </div>
+                                        <div class="control-item">
+                                            <select id="vesselFilter-${tabId}" class="control-select-inline">
+                                                <option value="">All Status</option>
+                                                <option value="compliant">Compliant</option>
+                                                <option value="non-compliant">Non-Compliant</option>
+                                            </select>
+                                        </div>
+                                    </div>
+                                    
+                                    <div class="action-buttons-group">
+                                        <button class="btn btn-outline btn-sm" ${membershipLocked ? 'disabled' : ''} title="${membershipLocked ? statusInfo.label : 'Feature coming soon'}">Bulk Actions</button>
+                                        <button class="btn btn-sm" onclick="dashboard.refreshPoolData('${pool.name}')">Refresh</button>
+                                        <button class="btn btn-outline btn-sm" ${isReadOnly ? 'disabled' : ''} title="${isReadOnly ? statusInfo.label : 'Import vessels from a CSV file or Excel workbook'}" onclick="dashboard.importVesselsFromCSV('${pool.name}')">Import Data</button>
+                                        <button class="btn btn-outline btn-sm" ${isReadOnly ? 'disabled' : ''} title="${isReadOnly ? statusInfo.label : 'Import an EU MRV emissions report export'}" onclick="dashboard.importMrvReport('${pool.name}')">Import MRV</button>
+                                        <button class="btn btn-outline btn-sm" ${isReadOnly ? 'disabled' : ''} title="${isReadOnly ? statusInfo.label : 'Import daily noon reports and roll them up into voyages and annual figures'}" onclick="dashboard.importNoonReports('${pool.name}')">Import Noon Reports</button>
+                                        <button class="btn btn-secondary btn-sm" onclick="dashboard.exportPoolData('${pool.name}')">Export Data</button>
+                                        <button class="btn btn-secondary btn-sm" onclick="dashboard.exportComplianceWorkbook('${pool.name}')" title="Download vessels and compliance results as an Excel workbook">Export Excel</button>
+                                        <button class="btn btn-primary btn-sm" onclick="dashboard.generatePoolSummary('${pool.name}')">Pool Summary</button>
+                                        <button class="btn btn-secondary btn-sm" onclick="dashboard.generateSettlementStatements('${pool.name}')">Settlement</button>
+                                        ${isAdmin ? `<button class="btn btn-outline btn-sm" onclick="dashboard.recordPeriodOutcome('${pool.name}')" title="Record this period's outcome for penalty escalation">Record Outcome</button>` : ''}
+                                    </div>
+                                </div>
+                            </div>
+                            <div id="vesselsList-${tabId}"></div>
+                        </div>
+                    </div>
+                `;
+            }
 
-        let html = '';
+            tabsElement.insertAdjacentHTML('afterend', contentHTML);
+        });
 
-        // Check if this is for admin user
-        if (selectedPools === 'all') {
-            // Admin gets all pools access - show but disable checkboxes
-            html += '<div class="admin-pool-notice"><p><strong>Admin Access:</strong> Automatic access to all pools</p></div>';
-            pools.forEach(pool => {
-                html += `
-                <div class="checkbox-item">
-                    <label>
-                        <input type="checkbox" value="${pool.name}" checked disabled>
-                        <span class="admin-pool-label">${pool.name} - ${pool.description || 'No description'}</span>
-                    </label>
-                </div>
-            `;
-            });
-        } else {
-            // Regular users get selectable checkboxes
-            pools.forEach(pool => {
-                const isChecked = selectedPools.includes(pool.name) ? 'checked' : '';
-                html += `
-                <div class="checkbox-item">
-                    <label>
-                        <input type="checkbox" value="${pool.name}" ${isChecked}>
-                        ${pool.name} - ${pool.description || 'No description'}
-                    </label>
-                </div>
-            `;
-            });
-        }
+        // After inserting the content, populate owner dropdowns for admin users
+        if (currentUser && currentUser.role === 'admin') {
+            setTimeout(() => {
+                console.log('🔧 Populating owner dropdowns for admin...');
 
-        container.innerHTML = html;
-    }
+                pools.forEach(pool => {
+                    if (!pool.isManagement) {
+                        const tabId = pool.name.toLowerCase().replace(/\s+/g, '-');
+                        const ownerSelect = document.getElementById(`vesselOwner-${tabId}`);
 
-    createUser() {
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (!this.permissions.canCreatePool(currentUser)) {
-            alert('You do not have permission to create users.');
-            return;
-        }
+                        if (ownerSelect) {
+                            // Ensure the element is visible first
+                            ownerSelect.style.display = 'block';
+                            ownerSelect.parentElement.style.display = 'table-cell';
 
-        const userId = document.getElementById('userId').value.trim();
-        const name = document.getElementById('userName').value.trim();
-        const role = document.getElementById('userRole').value;
-        const password = document.getElementById('userPassword').value;
+                            // Populate the dropdown
+                            const allUsers = this.userManager.getAllUsers();
+                            ownerSelect.innerHTML = '<option value="">Select Owner</option>';
 
-        // Get selected pools
-        const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked');
-        const pools = Array.from(poolCheckboxes).map(cb => cb.value);
+                            allUsers.forEach(user => {
+                                const option = document.createElement('option');
+                                option.value = user.id;
+                                option.textContent = user.name || user.id;
+                                ownerSelect.appendChild(option);
+                            });
 
-        if (!userId || !name || !password) {
-            alert('User ID, name, and password are required');
-            return;
-        }
+                            console.log(`Populated owner dropdown for ${tabId}:`, ownerSelect.options.length);
+                        } else {
+                            console.warn(`Owner select not found for ${tabId}`);
+                        }
+                    }
+                });
 
-        try {
-            // Add to UserManager
-            this.userManager.createUser({ id: userId, name, role, pools });
+                // Force visibility of all admin elements after population
+                document.querySelectorAll('.admin-only').forEach(el => {
+                    if (el.tagName.toLowerCase() === 'th' || el.tagName.toLowerCase() === 'td') {
+                        el.style.display = 'table-cell';
+                    } else {
+                        el.style.display = 'block';
+                    }
+                });
 
-            // Add to AuthManager using the clean interface
-            this.authManager.addUser(userId, { password, role, pools });
+                console.log('🎯 Admin interface setup complete');
 
-            this.displayUserManagement();
-            this.updatePoolLists();
-            this.closeUserModal();
-            this.showNotification(`User "${name}" created and can now login!`, 'success');
-        } catch (error) {
-            alert(`Error creating user: ${error.message}`);
+            }, 300); // Increased delay to ensure DOM is fully ready
         }
     }
 
-    updateUser(userId) {
-        // This should only be called from the user management interface
-        // Add a check to prevent accidental calls
-        if (!document.getElementById('userModal') ||
-            document.getElementById('userModal').style.display === 'none') {
-            console.warn('updateUser called but user modal is not open');
-            return;
-        }
+    // new tab switching method
+    switchPoolTab(tabId, poolName) {
+        // Hide all tab contents
+        document.querySelectorAll('.pool-tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
 
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (!this.permissions.canCreatePool(currentUser)) {
-            alert('You do not have permission to edit users.');
-            return;
-        }
+        // Remove active class from all tabs
+        document.querySelectorAll('.tab').forEach(tab => {
+            tab.classList.remove('active');
+        });
 
-        const name = document.getElementById('userName').value.trim();
-        const role = document.getElementById('userRole').value;
-        const password = document.getElementById('userPassword').value;
+        // Show selected tab content and mark tab as active
+        document.getElementById(tabId).classList.add('active');
+        event.target.classList.add('active');
 
-        // Handle pool access
-        let pools;
-        if (userId === 'admin') {
-            // Admin automatically gets all pools
-            pools = this.poolManager.getAllPools().map(pool => pool.name);
+        this.currentView = tabId;
+        this.currentPool = poolName === 'Management' ? null : poolName;
+
+        // Refresh content for the selected pool
+        if (poolName !== 'Management') {
+            this.updatePoolDisplay(poolName, tabId);
+            this.bindPoolControls(tabId);
         } else {
-            // Regular users get selected pools
-            const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked:not([disabled])');
-            pools = Array.from(poolCheckboxes).map(cb => cb.value);
+            // Wait a bit longer for management tab elements to be ready
+            setTimeout(() => {
+                this.displayPoolManagement();
+                this.displayRegulationProfiles();
+                this.displayUserManagement();
+            }, 300);
         }
+    }
 
-        // Prevent admin role changes
-        const currentRole = userId === 'admin' ? 'admin' : role;
-
-        // const poolCheckboxes = document.querySelectorAll('#userPoolAccess input[type="checkbox"]:checked');
-        // const pools = Array.from(poolCheckboxes).map(cb => cb.value);
+    // pool-specific update method
+    updatePoolDisplay(poolName, tabId) {
+        // Get vessels for this specific pool
+        let vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
 
-        if (!name) {
-            alert('User name is required');
-            return;
+        // Apply user access filtering
+        if (this.authManager && this.authManager.userRole !== 'admin') {
+            const currentUser = this.userManager.getUser(this.authManager.currentUser);
+            vessels = vessels.filter(vessel =>
+                currentUser && currentUser.pools.includes(poolName)
+            );
         }
 
-        try {
-            const updates = { name, role: currentRole, pools };
-            this.userManager.updateUser(userId, updates);
-
-            // Update AuthManager
-            const authUpdates = { role: currentRole, pools };
-            if (password) authUpdates.password = password;
-            this.authManager.updateUserData(userId, authUpdates);
-
-            // IMPORTANT: Force refresh of login dropdown to show updated pools
-            this.authManager.updateLoginDropdown();
+        // Calculate compliance
+        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
 
-            this.displayUserManagement();
-            this.updatePoolLists();
-            this.closeUserModal();
-            this.showNotification(`User "${name}" updated successfully!`, 'success');
-        } catch (error) {
-            alert(`Error updating user: ${error.message}`);
+        const titleElement = document.getElementById(`poolOverviewTitle-${tabId}`);
+        if (titleElement) {
+            titleElement.textContent = this.getPoolOverviewTitle(poolName);
         }
-    }
 
-    deleteUser(userId) {
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (!this.permissions.canCreatePool(currentUser)) {
-            alert('You do not have permission to delete users.');
-            return;
-        }
+        // Clean up any stale selections
+        this.cleanupSelections();
 
-        const user = this.userManager.getUser(userId);
-        if (!user) {
-            alert('User not found.');
-            return;
-        }
+        // Update pool-specific stats
+        this.updatePoolStats(compliance.summary, tabId);
+        this.displayRfnboWarning(compliance, tabId);
+        this.displayPoolAllocation(poolName, compliance, tabId);
+        this.displaySensitivity(compliance, tabId);
+        this.displayCarbonCost(compliance, tabId);
+        this.displayScenarios(poolName, tabId);
+        this.displayPoolVessels(vessels, tabId);
 
-        const vesselCount = this.vesselManager.getVesselsByOwner(userId).length;
-        let confirmMessage = `Are you sure you want to delete user "${user.name}"?`;
+        // Bind controls after display is updated
+        this.bindPoolControls(tabId);
+    }
 
-        if (vesselCount > 0) {
-            confirmMessage += `\n\nThis user owns ${vesselCount} vessels. These vessels will need to be reassigned to another owner.`;
-        }
+    // Vessels ranked by how much they move the pool compliance balance
+    displaySensitivity(compliance, tabId) {
+        const container = document.getElementById(`sensitivity-${tabId}`);
+        if (!container) return;
 
-        if (!confirm(confirmMessage)) {
+        if (compliance.vessels.length === 0) {
+            container.innerHTML = '<p>No vessels in this pool for the selected year.</p>';
             return;
         }
 
-        try {
-            // Handle vessels owned by this user
-            if (vesselCount > 0) {
-                const vessels = this.vesselManager.getVesselsByOwner(userId);
-                vessels.forEach(vessel => {
-                    // Reassign to admin or ask for reassignment
-                    this.vesselManager.updateVessel(vessel.id, { owner: 'admin' }, currentUser);
-                });
-            }
+        const analysis = this.sensitivityAnalysis.analyze(compliance);
+        const signed = value => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+
+        const rows = analysis.vessels.map(vessel => `
+            <tr>
+                <td>${vessel.rank}</td>
+                <td>${vessel.name}</td>
+                <td>${this.getUserDisplayName(vessel.owner)}</td>
+                <td class="${vessel.complianceBalance >= 0 ? 'surplus-value' : 'deficit-value'}">${vessel.complianceBalance.toFixed(2)}</td>
+                <td>${vessel.energyShare}%</td>
+                <td>${signed(vessel.intensityImpact)}</td>
+                <td>${signed(vessel.energyImpact)}</td>
+                ${analysis.poolDeficit > 0 ? `<td>${vessel.intensityCutToClose.toFixed(2)}</td>` : ''}
+                <td class="${vessel.removal.poolCompliant ? 'surplus-value' : 'deficit-value'}">
+                    ${signed(vessel.removal.balanceChange)} → ${vessel.removal.poolBalance.toLocaleString()}
+                    <br><small>penalty ${vessel.removal.penaltyChange > 0 ? '+' : vessel.removal.penaltyChange < 0 ? '-' : ''}€${Math.abs(vessel.removal.penaltyChange).toLocaleString()}</small>
+                </td>
+            </tr>
+        `).join('');
 
-            this.userManager.deleteUser(userId);
+        container.innerHTML = `
+            <p>
+                <strong>Pool Balance:</strong> ${analysis.poolComplianceBalance.toLocaleString()} tCO2eq
+                ${analysis.poolDeficit > 0 ? `&nbsp;|&nbsp; <strong>Deficit to Close:</strong> ${analysis.poolDeficit.toLocaleString()} tCO2eq` : ''}
+            </p>
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Rank</th>
+                            <th>Vessel</th>
+                            <th>Owner</th>
+                            <th>Balance (tCO2eq)</th>
+                            <th>Energy Share</th>
+                            <th>Per 1 gCO2e/MJ Lower Intensity</th>
+                            <th>Per 1% Less Energy</th>
+                            ${analysis.poolDeficit > 0 ? '<th>Intensity Cut Closing Pool Deficit (gCO2e/MJ)</th>' : ''}
+                            <th>Remove Vessel (pool balance)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p><small>Changes in pool compliance balance (tCO2eq). Vessels are ranked by the balance gained per gCO2e/MJ, so the first vessel is the biggest lever on the pool result.</small></p>
+        `;
+    }
 
-            // Remove from auth system
-            if (window.authManager && window.authManager.users[userId]) {
-                delete window.authManager.users[userId];
-            }
+    // EU ETS allowance cost and FuelEU penalties per vessel, owner and for the pool
+    displayCarbonCost(compliance, tabId) {
+        const container = document.getElementById(`carbonCost-${tabId}`);
+        if (!container) return;
 
-            this.displayUserManagement();
-            this.updatePoolLists();
-            this.updateDisplay(); // Refresh vessel list
-            this.showNotification(`User "${user.name}" deleted successfully!`, 'success');
-        } catch (error) {
-            alert(`Error deleting user: ${error.message}`);
+        if (compliance.vessels.length === 0) {
+            container.innerHTML = '<p>No vessels in this pool for the selected year.</p>';
+            return;
         }
-    }
 
-    resetUserModal() {
-        document.getElementById('userId').value = '';
-        document.getElementById('userId').disabled = false;
-        document.getElementById('userName').value = '';
-        document.getElementById('userRole').value = 'user';
-        document.getElementById('userPassword').value = '';
-        document.getElementById('userPoolAccess').innerHTML = '';
+        const cost = CarbonCost.calculatePoolCost(compliance, this.marketPrices.getEuaPrice());
+        container.innerHTML = this.renderCarbonCostTables(cost, compliance.vessels[0].ets);
     }
 
-    closeUserModal() {
-        document.getElementById('userModal').style.display = 'none';
-        this.resetUserModal();
-    }
+    renderCarbonCostTables(cost, ets) {
+        const euro = value => `€${value.toLocaleString()}`;
+
+        const vesselRows = cost.vessels.map(vessel => `
+            <tr>
+                <td>${vessel.name}</td>
+                <td>${this.getUserDisplayName(vessel.owner)}</td>
+                <td>${vessel.etsEmissions.toLocaleString()}</td>
+                <td>${vessel.etsAllowances.toLocaleString()}</td>
+                <td>${euro(vessel.etsCost)}</td>
+                <td>${euro(vessel.fuelEUPenalty)}</td>
+                <td><strong>${euro(vessel.totalCost)}</strong></td>
+            </tr>
+        `).join('');
+
+        const ownerRows = cost.owners.map(owner => `
+            <tr>
+                <td>${this.getUserDisplayName(owner.owner)}</td>
+                <td>${owner.vessels}</td>
+                <td>${owner.etsAllowances.toLocaleString()}</td>
+                <td>${euro(owner.etsCost)}</td>
+                <td>${euro(owner.fuelEUPenalty)}</td>
+                <td><strong>${euro(owner.totalCost)}</strong></td>
+            </tr>
+        `).join('');
 
-    submitUserForm() {
-        // This will be overridden by the onclick handlers
+        return `
+            <p>
+                <strong>ETS Phase-In ${cost.year}:</strong> ${(ets.phaseIn * 100).toFixed(0)}% of ${ets.nonCO2Covered ? 'CO2, CH4 and N2O' : 'CO2'} emissions
+                &nbsp;|&nbsp; <strong>Pool Total:</strong> ${euro(cost.pool.totalCost)}
+                (ETS ${euro(cost.pool.etsCost)} + FuelEU ${euro(cost.pool.fuelEUPenalty)} after pooling)
+            </p>
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Vessel</th>
+                            <th>Owner</th>
+                            <th>ETS Emissions (tCO2e)</th>
+                            <th>EUAs</th>
+                            <th>ETS Cost</th>
+                            <th>FuelEU Penalties</th>
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>${vesselRows}</tbody>
+                </table>
+            </div>
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Owner</th>
+                            <th>Vessels</th>
+                            <th>EUAs</th>
+                            <th>ETS Cost</th>
+                            <th>FuelEU Penalties</th>
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>${ownerRows}</tbody>
+                </table>
+            </div>
+        `;
     }
 
-    // method to generate dynamic tabs
-    generatePoolTabs() {
-        const tabsContainer = document.getElementById('dynamicTabs');
-        if (!tabsContainer || !this.authManager) return;
-
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        let availablePools = [];
-
-        if (currentUser.role === 'admin') {
-            // Admin sees management tab plus all pools
-            availablePools = [{ name: 'Management', isManagement: true }];
-            availablePools.push(...this.poolManager.getAllPools());
-        } else {
-            // Regular users see only their assigned pools
-            if (this.authManager.selectedPool) {
-                const selectedPoolData = this.poolManager.getPool(this.authManager.selectedPool);
-                if (selectedPoolData) {
-                    availablePools = [selectedPoolData];
-                }
-            }
+    updateEuaPrice(poolName, tabId) {
+        try {
+            this.marketPrices.setEuaPrice(parseFloat(document.getElementById(`euaPrice-${tabId}`).value));
+            this.updatePoolDisplay(poolName, tabId);
+        } catch (error) {
+            alert(`Error updating EUA price: ${error.message}`);
         }
+    }
 
-        let tabsHTML = '';
-        availablePools.forEach((pool, index) => {
-            const isActive = index === 0 ? 'active' : '';
-            const tabId = pool.isManagement ? 'management' : pool.name.toLowerCase().replace(/\s+/g, '-');
-            const isReadOnly = !pool.isManagement && (pool.readOnly || false);
-            const readOnlyClass = isReadOnly ? 'pool-tab-readonly' : '';
-
-            tabsHTML += `
-            <div class="tab ${isActive} ${readOnlyClass}" onclick="dashboard.switchPoolTab('${tabId}', '${pool.name}')">
-                ${pool.isManagement ? 'Pool & User Management' : pool.name}
-                ${isReadOnly ? ' 🔒' : ''}
-            </div>
-        `;
-        });
+    runMonteCarlo(poolName, tabId) {
+        const container = document.getElementById(`monteCarlo-${tabId}`);
+        if (!container) return;
 
-        tabsContainer.innerHTML = tabsHTML;
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        if (vessels.length === 0) {
+            container.innerHTML = '<p>No vessels in this pool for the selected year.</p>';
+            return;
+        }
 
-        // Generate corresponding tab content
-        this.generatePoolTabContent(availablePools);
+        try {
+            const iterations = parseInt(document.getElementById(`monteCarloIterations-${tabId}`).value, 10);
+            const result = this.monteCarloSimulator.simulate(vessels, this.currentYear, iterations);
+            container.innerHTML = this.renderMonteCarloResult(result);
+        } catch (error) {
+            alert(`Error running simulation: ${error.message}`);
+        }
+    }
 
-        // Automatically load the first tab
-        if (availablePools.length > 0) {
-            const firstPool = availablePools[0];
-            const firstTabId = firstPool.isManagement ? 'management' : firstPool.name.toLowerCase().replace(/\s+/g, '-');
+    renderMonteCarloResult(result) {
+        const euro = value => `€${value.toLocaleString()}`;
 
-            setTimeout(() => {
-                if (!firstPool.isManagement) {
-                    this.updatePoolDisplay(firstPool.name, firstTabId);
-                    this.bindPoolControls(firstTabId);
-                } else {
-                    setTimeout(() => {
-                        this.displayPoolManagement();
-                        this.displayUserManagement();
-                    }, 100);
-                }
-            }, 200);
+        if (result.uncertainVessels === 0) {
+            return `<p>None of the ${result.totalVessels} vessels has an estimate range for ${result.year} (or all records are verified), so the result is fixed: balance ${result.deterministic.balance.toFixed(2)} tCO2eq, penalty ${euro(result.deterministic.penalty)}.</p>`;
         }
+
+        return `
+            <div class="pool-stats">
+                <div class="stat-card">
+                    <div class="stat-number ${result.probabilityCompliant >= 90 ? 'surplus-value' : 'deficit-value'}">${result.probabilityCompliant}%</div>
+                    <div class="stat-label">Probability Pool Ends Compliant</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${result.deficit.p50.toLocaleString()} / ${result.deficit.p90.toLocaleString()}</div>
+                    <div class="stat-label">P50 / P90 Deficit (tCO2eq)</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${euro(result.penalty.p50)} / ${euro(result.penalty.p90)}</div>
+                    <div class="stat-label">P50 / P90 Penalty</div>
+                </div>
+            </div>
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Current Estimate</th>
+                            <th>Mean</th>
+                            <th>P10</th>
+                            <th>P50</th>
+                            <th>P90</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>Pool Balance (tCO2eq)</td>
+                            <td>${result.deterministic.balance.toLocaleString()}</td>
+                            <td>${result.balance.mean.toLocaleString()}</td>
+                            <td>${result.balance.p10.toLocaleString()}</td>
+                            <td>${result.balance.p50.toLocaleString()}</td>
+                            <td>${result.balance.p90.toLocaleString()}</td>
+                        </tr>
+                        <tr>
+                            <td>Pool Penalty</td>
+                            <td>${euro(result.deterministic.penalty)}</td>
+                            <td>${euro(result.penalty.mean)}</td>
+                            <td>${euro(result.penalty.p10)}</td>
+                            <td>${euro(result.penalty.p50)}</td>
+                            <td>${euro(result.penalty.p90)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <p><small>${result.iterations.toLocaleString()} iterations, ${result.uncertainVessels} of ${result.totalVessels} vessels with estimate ranges. P90: 90% of runs end at or below this value.</small></p>
+        `;
     }
 
-    // generate pool-specific content
-    generatePoolTabContent(pools) {
-        // Remove existing tab content
-        const existingContent = document.querySelectorAll('.pool-tab-content');
-        existingContent.forEach(content => content.remove());
+    // Least-cost compliance plan of a pool, shown in the vessel modal with the fuel prices it uses
+    openCompliancePlan(poolName) {
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        if (vessels.length === 0) {
+            alert('No vessels in this pool for the selected year.');
+            return;
+        }
 
-        // Get current user to check if admin
-        const currentUser = this.userManager.getUser(this.authManager.currentUser);
+        const plan = this.complianceOptimizer.optimize(vessels, this.currentYear, this.marketPrices.getPrices());
+        const fuelPrices = this.marketPrices.getFuelPrices();
+        const fuelAvailability = this.marketPrices.getFuelAvailability();
+        const euro = value => `€${value.toLocaleString()}`;
+        const dropInFuels = Object.keys(FUEL_CATALOG).filter(fuelType => FUEL_CATALOG[fuelType].category !== 'fossil');
 
-        // Find where to insert content (after tabs)
-        const tabsElement = document.getElementById('dynamicTabs');
+        const blendFuelRows = plan.vessels.filter(vesselPlan => !vesselPlan.fuelMixKnown).map(vesselPlan => `
+            <tr>
+                <td>${vesselPlan.name}</td>
+                <td>${dropInFuels.map(fuelType => `
+                    <label><input type="checkbox" class="blend-fuel-${vesselPlan.vesselId}" value="${fuelType}" ${vesselPlan.blendFuels.includes(fuelType) ? 'checked' : ''}> ${FUEL_CATALOG[fuelType].name}</label>
+                `).join('')}</td>
+            </tr>
+        `).join('');
+
+        const priceRows = Object.entries(FUEL_CATALOG).map(([fuelType, fuel]) => `
+            <tr>
+                <td>${fuel.name}</td>
+                <td>${fuel.category}</td>
+                <td><input type="number" id="fuelPrice-${fuelType}" min="0" step="1" class="table-input" value="${fuelPrices[fuelType] !== undefined ? fuelPrices[fuelType] : ''}" placeholder="Not offered"></td>
+                <td>${fuel.category === 'fossil' ? '-' : `<input type="number" id="fuelAvailability-${fuelType}" min="0" step="1" class="table-input" value="${fuelAvailability[fuelType] !== undefined ? fuelAvailability[fuelType] : ''}" placeholder="Unlimited">`}</td>
+            </tr>
+        `).join('');
+
+        const vesselRows = plan.vessels.map(vesselPlan => `
+            <tr>
+                <td>${vesselPlan.name}</td>
+                <td>${this.getUserDisplayName(vesselPlan.owner)}</td>
+                <td class="${vesselPlan.complianceBalance >= 0 ? 'surplus-value' : 'deficit-value'}">${vesselPlan.complianceBalance.toFixed(2)}</td>
+                <td><ul>${ComplianceOptimizer.describePlan(vesselPlan).map(action => `<li>${action}</li>`).join('')}</ul></td>
+                <td class="${vesselPlan.postPoolingBalance >= 0 ? 'surplus-value' : 'deficit-value'}">${vesselPlan.postPoolingBalance.toFixed(2)}</td>
+                <td><strong>${euro(vesselPlan.cost)}</strong></td>
+            </tr>
+        `).join('');
 
-        pools.forEach((pool, index) => {
-            const isActive = index === 0 ? 'active' : '';
-            const tabId = pool.isManagement ? 'management' : pool.name.toLowerCase().replace(/\s+/g, '-');
-            const isReadOnly = !pool.isManagement && (pool.readOnly || false);
-            const readOnlyModeClass = isReadOnly ? 'readonly-mode' : '';
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Least-Cost Compliance Plan: ${poolName} (${plan.year})</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <h3>Pool Plan</h3>
+                    <p><strong>Balance before Plan:</strong> ${plan.baselineBalance.toFixed(2)} tCO2eq (penalty ${euro(plan.baselinePenalty)})</p>
+                    <p><strong>Pool Surplus Used:</strong> ${plan.surplusUsed.toLocaleString()} tCO2eq</p>
+                    <p><strong>Fuel Blending:</strong> ${plan.blendReduction.toLocaleString()} tCO2eq for ${euro(plan.blendCost)}</p>
+                    <p><strong>Borrowing:</strong> ${plan.borrowed.toLocaleString()} tCO2eq, ${euro(plan.borrowingCost)} expected repayment cost</p>
+                    <p><strong>Penalty:</strong> ${plan.penaltyDeficit.toLocaleString()} tCO2eq at ${euro(plan.penaltyPerTonne)}/tCO2eq = ${euro(plan.penalty)}</p>
+                    <p><strong>Expected Cost:</strong> ${euro(plan.totalCost)} (saves ${euro(Number((plan.baselinePenalty - plan.totalCost).toFixed(2)))} against paying the penalty)</p>
+                    ${plan.bankable > 0 ? `<p><strong>Bankable Surplus:</strong> ${plan.bankable.toLocaleString()} tCO2eq</p>` : ''}
+                </div>
 
-            let contentHTML = '';
+                <div class="detail-section">
+                    <h3>Recommended Actions per Vessel</h3>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Vessel</th>
+                                    <th>Owner</th>
+                                    <th>Balance (tCO2eq)</th>
+                                    <th>Actions</th>
+                                    <th>Balance after Plan</th>
+                                    <th>Expected Cost</th>
+                                </tr>
+                            </thead>
+                            <tbody>${vesselRows}</tbody>
+                        </table>
+                    </div>
+                </div>
 
-            if (pool.isManagement) {
-                // Management tab content (existing code)
-                contentHTML = `
-                <div id="${tabId}" class="pool-tab-content tab-content ${isActive}">
-                    <!-- System Data Management -->
-                    <div class="card">
-                        <h2>System Data Management</h2>
-                        <div class="data-management-controls">
-                            <button class="btn btn-primary" onclick="dashboard.exportAllData()" title="Download system backup">Export All Data</button>
-                            <button class="btn btn-secondary" onclick="dashboard.importAllData()" title="Restore from backup file">Import Data</button>
-                        </div>
-                        <div class="data-info">
-                            <p><strong>Export:</strong> Downloads all vessels, pools, and users as a backup file</p>
-                            <p><strong>Import:</strong> Restores data from a previously exported backup file</p>
-                            <p><em>Note: Admin settings are preserved during import</em></p>
-                        </div>
+                ${blendFuelRows ? `
+                <div class="detail-section">
+                    <h3>Drop-in Fuels for Vessels without a Fuel Mix</h3>
+                    <p><small>These vessels report only an intensity, so their engines' fuel family is unknown. Tick the fuels each can burn; none are blended otherwise.</small></p>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Vessel</th>
+                                    <th>Allowed Fuels</th>
+                                </tr>
+                            </thead>
+                            <tbody>${blendFuelRows}</tbody>
+                        </table>
                     </div>
-                    <div class="card">
-                        <h2>Pool Management</h2>
-                        <div class="pool-management-controls">
-                            <button class="btn btn-primary" onclick="dashboard.showCreatePoolModal()">Create Pool</button>
-                            <button class="btn btn-secondary" onclick="dashboard.refreshPoolList()">Refresh</button>
-                        </div>
-                        <div id="poolManagementList"></div>
+                </div>
+                ` : ''}
+
+                <div class="detail-section">
+                    <h3>Fuel Prices and Availability</h3>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Fuel</th>
+                                    <th>Category</th>
+                                    <th>Price (EUR/t)</th>
+                                    <th>Available (t/year)</th>
+                                </tr>
+                            </thead>
+                            <tbody>${priceRows}</tbody>
+                        </table>
                     </div>
-                    <div class="card">
-                        <h2>User Management</h2>
-                        <div class="user-management-controls">
-                            <button class="btn btn-primary" onclick="dashboard.showCreateUserModal()">Create User</button>
-                            <button class="btn btn-secondary" onclick="dashboard.refreshUserList()">Refresh</button>
-                        </div>
-                        <div id="userManagementList"></div>
+                    <div class="fuel-mix-form">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.saveFuelPrices('${poolName}')">Save and Re-optimize</button>
                     </div>
+                    <p><small>Only renewable and RFNBO fuels with a price are blended, and only into the fuel family a vessel burns today (oil, LNG or methanol). Borrowing is costed at the repayment multiplier times the cheapest abatement available.</small></p>
                 </div>
-            `;
-            } else {
-                // Pool-specific content with admin-aware read-only handling
-                const isAdmin = currentUser && currentUser.role === 'admin';
-                const showReadOnlyNotice = isReadOnly && !isAdmin; // Only show notice to non-admin users
 
-                const readOnlyNotice = showReadOnlyNotice ? `
-                    <div class="card readonly-notice">
-                        <h3>🔒 Read-Only Mode</h3>
-                        <p>This pool is currently in read-only mode. Users cannot add, edit, or delete vessels. Contact your administrator to make changes.</p>
-                    </div>
-                ` : '';
+            </div>
+        `;
 
-                // Admin gets a different notice in read-only pools
-                const adminReadOnlyNotice = isReadOnly && isAdmin ? `
-                    <div class="card admin-readonly-notice" style="background: rgba(255, 193, 7, 0.1); border-left: 4px solid #ffc107;">
-                        <h3 style="color: #856404;">⚠️ Pool in Read-Only Mode</h3>
-                        <p style="color: #856404; margin: 0;">This pool is set to read-only for users. As admin, you can still make changes. Users will see restrictions.</p>
-                    </div>
-                ` : '';
+        document.getElementById('vesselModal').style.display = 'block';
+    }
 
-                contentHTML = `
-                    <div id="${tabId}" class="pool-tab-content tab-content ${isActive}" data-pool="${pool.name}">
-                        ${readOnlyNotice}
-                        ${adminReadOnlyNotice}
-                        
-                        <div class="pool-summary">
-                            <h2 id="poolOverviewTitle-${tabId}">${pool.name} Overview - 2025 (Target Intensity: 89.34 gCO2e/MJ)${isReadOnly ? ' 🔒' : ''}</h2>
-                            <div class="pool-stats">
-                                <div class="stat-card">
-                                    <div class="stat-number" id="totalVessels-${tabId}">0</div>
-                                    <div class="stat-label">Total Vessels</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-number" id="compliantVessels-${tabId}">0</div>
-                                    <div class="stat-label">Compliant Vessels</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-number" id="poolDeficit-${tabId}">0.0</div>
-                                    <div class="stat-label">Pool Deficit (tCO2eq)</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-number" id="poolSurplus-${tabId}">0.0</div>
-                                    <div class="stat-label">Pool Surplus (tCO2eq)</div>
-                                </div>
-                                <div class="stat-card">
-                                    <div class="stat-number" id="netComplianceBalance-${tabId}">0.0</div>
-                                    <div class="stat-label">Pool Status (tCO2eq)</div>
-                                </div>
-                            </div>
-                        </div>
+    saveFuelPrices(poolName) {
+        try {
+            Object.entries(FUEL_CATALOG).forEach(([fuelType, fuel]) => {
+                const price = document.getElementById(`fuelPrice-${fuelType}`).value;
+                if (price !== '') {
+                    this.marketPrices.setFuelPrice(fuelType, parseFloat(price));
+                }
 
-                        <div class="add-vessel-section" id="addVesselSection-${tabId}">
-                            <div class="card">
-                                <h2>Add New Vessel${isReadOnly ? ' (Admin Override)' : ''}</h2>
-                                <div class="add-vessel-single-row-table">
-                                    <table>
-                                        <thead>
-                                            <tr>
-                                                <th class="vessel-name-col">Vessel Name</th>
-                                                <th class="imo-col">IMO</th>
-                                                <th class="type-col">Type</th>
-                                                <th class="admin-only owner-col">Owner</th>
-                                                <th class="energy-col">FuelEU Energy (MJ)</th>
-                                                <th class="ghg-col">Avg. GHG Intensity (gCO2eq/MJ)</th>
-                                                <th class="actions-col">Actions</th>
-                                            </tr>
-                                        </thead>
-                                        <tbody>
-                                            <tr class="add-vessel-row">
-                                                <td><input type="text" id="vesselName-${tabId}" required placeholder="Enter vessel name" class="table-input"></td>
-                                                <td><input type="text" id="imoNumber-${tabId}" pattern="[0-9]{7}" required placeholder="7 digits" class="table-input"></td>
-                                                <td>
-                                                    <select id="vesselType-${tabId}" required class="table-select">
-                                                        <option value="">Select Type</option>
-                                                        <option value="container">Container Ship</option>
-                                                        <option value="bulk">Bulk Carrier</option>
-                                                        <option value="tanker">Tanker</option>
-                                                        <option value="passenger">Passenger Ship</option>
-                                                        <option value="ro-ro">RoRo</option>
-                                                        <option value="general">General Cargo</option>
-                                                        <option value="other">Other</option>
-                                                    </select>
-                                                </td>
-                                                <td class="admin-only">
-                                                    <select id="vesselOwner-${tabId}" class="table-select">
-                                                        <option value="">Select Owner</option>
-                                                    </select>
-                                                </td>
-                                                <td><input type="number" id="fuelConsumption-${tabId}" min="0" required placeholder="e.g., 45,000,000" class="table-input"></td>
-                                                <td><input type="number" id="ghgIntensity-${tabId}" step="0.01" required placeholder="e.g., 89.25" class="table-input"></td>
-                                                <td class="actions-col">
-                                                    <div class="action-buttons">
-                                                        <button type="button" class="btn-icon add" onclick="dashboard.addVesselToPool('${pool.name}', '${tabId}')" title="Add Vessel">
-                                                            <span>+</span>
-                                                        </button>
-                                                        <button type="button" class="btn-icon clear" onclick="dashboard.clearPoolForm('${tabId}')" title="Clear Form">
-                                                            <span>×</span>
-                                                        </button>
-                                                    </div>
-                                                </td>
-                                            </tr>
-                                        </tbody>
-                                    </table>
-                                </div>
-                            </div>
+                if (fuel.category !== 'fossil') {
+                    const tonnes = document.getElementById(`fuelAvailability-${fuelType}`).value;
+                    this.marketPrices.setFuelAvailability(fuelType, tonnes === '' ? null : parseFloat(tonnes));
+                }
+            });
+            this.vesselManager.getVesselsByPool(poolName, this.currentYear).forEach(vessel => {
+                const checkboxes = document.querySelectorAll(`.blend-fuel-${vessel.id}`);
+                if (checkboxes.length > 0) {
+                    this.marketPrices.setBlendFuels(vessel.id, Array.from(checkboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value));
+                }
+            });
+            this.openCompliancePlan(poolName);
+        } catch (error) {
+            alert(`Error saving fuel prices: ${error.message}`);
+        }
+    }
+
+    // Multi-year projection of a pool with its planned fleet changes, shown in the vessel modal
+    openFleetProjection(poolName) {
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        const deliveries = this.fleetPlanManager.getDeliveries(poolName);
+        const projection = this.fleetProjection.project(vessels, deliveries, vesselId => this.fleetPlanManager.getChanges(vesselId), this.currentYear);
+        const euro = value => `€${value.toLocaleString()}`;
+
+        const yearRows = projection.rows.map(row => `
+            <tr>
+                <td>${row.year}</td>
+                <td>${row.vessels}${row.newbuilds > 0 ? ` <small>(${row.newbuilds} new)</small>` : ''}</td>
+                <td>${row.reductionTarget}%</td>
+                <td>${row.poolAverageIntensity !== null ? row.poolAverageIntensity.toFixed(2) : '-'}</td>
+                <td>${row.poolTargetIntensity.toFixed(2)}</td>
+                <td class="${row.poolComplianceBalance >= 0 ? 'surplus-value' : 'deficit-value'}">${row.poolComplianceBalance.toFixed(2)}</td>
+                <td>${euro(row.penalty)}${row.escalationFactor > 1 ? ` <small>(x${row.escalationFactor})</small>` : ''}</td>
+                <td>${euro(row.cumulativePenalty)}</td>
+            </tr>
+        `).join('');
+
+        const plannedVessels = [
+            ...vessels.map(vessel => ({ id: vessel.id, name: vessel.name })),
+            ...deliveries.map(newbuild => ({ id: newbuild.id, name: `${newbuild.name} (newbuild)` }))
+        ];
+
+        const changeRows = plannedVessels.flatMap(vessel => this.fleetPlanManager.getChanges(vessel.id).map((change, index) => `
+            <tr>
+                <td>${vessel.name}</td>
+                <td>${change.year}</td>
+                <td>${FleetPlanManager.CHANGE_TYPES[change.type]}</td>
+                <td>${this.describeFleetChange(change)}</td>
+                <td>
+                    <button class="btn-icon danger" onclick="dashboard.removeFleetChange('${poolName}', '${vessel.id}', ${index})" title="Remove Change">
+                        <span>🗑️</span>
+                    </button>
+                </td>
+            </tr>
+        `)).join('');
+
+        const deliveryRows = deliveries.map(newbuild => `
+            <tr>
+                <td>${newbuild.name}</td>
+                <td>${newbuild.type}</td>
+                <td>${newbuild.deliveryYear}</td>
+                <td>${newbuild.fuelConsumption.toLocaleString()}</td>
+                <td>${newbuild.fuelType ? FUEL_CATALOG[newbuild.fuelType].name : `${newbuild.ghgIntensity} gCO2e/MJ`}</td>
+                <td>
+                    <button class="btn-icon danger" onclick="dashboard.removeFleetDelivery('${poolName}', '${newbuild.id}')" title="Remove Newbuild">
+                        <span>🗑️</span>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        const fuelOptions = Object.entries(FUEL_CATALOG)
+            .map(([fuelType, fuel]) => `<option value="${fuelType}">${fuel.name}</option>`)
+            .join('');
+
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Fleet Projection: ${poolName} (${projection.baseYear}-${projection.endYear})</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <h3>Pool Intensity vs Target</h3>
+                    <p>
+                        <strong>Cumulative Penalty Exposure:</strong> ${euro(projection.cumulativePenalty)}
+                        &nbsp;|&nbsp; <strong>First Deficit Year:</strong> ${projection.firstDeficitYear || 'None'}
+                    </p>
+                    ${this.renderProjectionChart(projection.rows)}
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Year</th>
+                                    <th>Vessels</th>
+                                    <th>Reduction</th>
+                                    <th>Pool Intensity</th>
+                                    <th>Target</th>
+                                    <th>Balance (tCO2eq)</th>
+                                    <th>Penalty</th>
+                                    <th>Cumulative Penalty</th>
+                                </tr>
+                            </thead>
+                            <tbody>${yearRows}</tbody>
+                        </table>
+                    </div>
+                    <p><small>Starts from the ${projection.baseYear} data and pool membership. Deficit years in a row escalate the pool penalty; banking, borrowing and OPS obligations are not projected.</small></p>
+                </div>
+
+                <div class="detail-section">
+                    <h3>Planned Changes</h3>
+                    ${changeRows ? `
+                        <div class="vessels-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Vessel</th>
+                                        <th>Year</th>
+                                        <th>Change</th>
+                                        <th>Details</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${changeRows}</tbody>
+                            </table>
                         </div>
+                    ` : '<p>No planned changes yet.</p>'}
+                    <div class="fuel-mix-form">
+                        <select id="fleetChangeVessel" class="table-select">
+                            ${plannedVessels.map(vessel => `<option value="${vessel.id}">${vessel.name}</option>`).join('')}
+                        </select>
+                        <select id="fleetChangeType" class="table-select">
+                            ${Object.entries(FleetPlanManager.CHANGE_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                        </select>
+                        <input type="number" id="fleetChangeYear" min="2025" max="2050" step="1" placeholder="Year" class="table-input">
+                        <input type="number" id="fleetChangeValue" min="0" max="100" step="0.1" placeholder="Saving / improvement / share (%)" class="table-input">
+                        <select id="fleetChangeFuel" class="table-select">${fuelOptions}</select>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addFleetChange('${poolName}')">Add Change</button>
+                    </div>
+                    <p><small>The fuel is used by fuel switches only; scrapping needs only the year.</small></p>
+                </div>
 
-                        <div class="card">
-                            <h2>Vessel Fleet - ${pool.name}</h2>
-                            <div class="fleet-info-expanded">
-                                <div class="fleet-stats">
-                                    <span id="selectedCount-${tabId}">0 selected</span>
-                                    <span class="vessel-count" id="vesselCount-${tabId}">0 vessels total</span>
-                                </div>
-                                
-                                <div class="fleet-controls-inline">
-                                    <div class="search-filter-group">
-                                        <div class="control-item">
-                                            <input type="text" id="searchVessels-${tabId}" placeholder="Search vessel or IMO" class="control-input-inline">
-                                        </div>
-                                        <div class="control-item">
-                                            <select id="vesselFilter-${tabId}" class="control-select-inline">
-                                                <option value="">All Status</option>
-                                                <option value="compliant">Compliant</option>
-                                                <option value="non-compliant">Non-Compliant</option>
-                                            </select>
-                                        </div>
-                                    </div>
-                                    
-                                    <div class="action-buttons-group">
-                                        <button class="btn btn-outline btn-sm" ${isReadOnly && !isAdmin ? 'disabled' : ''} title="${isReadOnly && !isAdmin ? 'Read-only mode' : 'Feature coming soon'}">Bulk Actions</button>
-                                        <button class="btn btn-sm" onclick="dashboard.refreshPoolData('${pool.name}')">Refresh</button>
-                                        <button class="btn btn-outline btn-sm" ${isReadOnly && !isAdmin ? 'disabled' : ''} title="${isReadOnly && !isAdmin ? 'Read-only mode' : 'Feature coming soon'}">Import Data</button>
-                                        <button class="btn btn-secondary btn-sm" onclick="dashboard.exportPoolData('${pool.name}')">Export Data</button>
-                                        <button class="btn btn-primary btn-sm" onclick="dashboard.generatePoolSummary('${pool.name}')">Pool Summary</button>
-                                    </div>
-                                </div>
-                            </div>
-                            <div id="vesselsList-${tabId}"></div>
+                <div class="detail-section">
+                    <h3>Newbuild Deliveries</h3>
+                    ${deliveryRows ? `
+                        <div class="vessels-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Type</th>
+                                        <th>Delivery</th>
+                                        <th>Energy (MJ/year)</th>
+                                        <th>Fuel</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${deliveryRows}</tbody>
+                            </table>
                         </div>
+                    ` : ''}
+                    <div class="fuel-mix-form">
+                        <input type="text" id="newbuildName" placeholder="Vessel name" class="table-input">
+                        <select id="newbuildType" class="table-select">
+                            ${VesselManager.getValidVesselTypes().map(type => `<option value="${type}">${type}</option>`).join('')}
+                        </select>
+                        <input type="number" id="newbuildYear" min="2025" max="2050" step="1" placeholder="Delivery year" class="table-input">
+                        <input type="number" id="newbuildEnergy" min="0" placeholder="Energy (MJ/year)" class="table-input">
+                        <select id="newbuildFuel" class="table-select">${fuelOptions}</select>
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addFleetDelivery('${poolName}')">Add Newbuild</button>
                     </div>
-                `;
-            }
+                </div>
+            </div>
+        `;
 
-            tabsElement.insertAdjacentHTML('afterend', contentHTML);
-        });
+        document.getElementById('vesselModal').style.display = 'block';
+    }
 
-        // After inserting the content, populate owner dropdowns for admin users
-        if (currentUser && currentUser.role === 'admin') {
-            setTimeout(() => {
-                console.log('🔧 Populating owner dropdowns for admin...');
+    describeFleetChange(change) {
+        switch (change.type) {
+            case 'retrofit':
+                return `${change.energySaving}% less energy`;
+            case 'fuel-switch':
+                return `${change.share}% of energy from ${FUEL_CATALOG[change.fuelType].name}`;
+            case 'efficiency':
+                return `${change.annualImprovement}% less energy each year`;
+            default:
+                return 'Leaves the fleet';
+        }
+    }
 
-                pools.forEach(pool => {
-                    if (!pool.isManagement) {
-                        const tabId = pool.name.toLowerCase().replace(/\s+/g, '-');
-                        const ownerSelect = document.getElementById(`vesselOwner-${tabId}`);
+    // Line chart of the projected pool intensity against the target intensity (inline SVG)
+    renderProjectionChart(rows) {
+        const width = 720;
+        const height = 260;
+        const margin = { top: 20, right: 20, bottom: 30, left: 50 };
+        const values = rows.flatMap(row => [row.poolTargetIntensity, row.poolAverageIntensity]).filter(value => value !== null);
+        if (rows.length < 2 || values.length === 0) {
+            return '';
+        }
+
+        const maxValue = Math.ceil(Math.max(...values) / 10) * 10;
+        const x = index => margin.left + (index * (width - margin.left - margin.right)) / (rows.length - 1);
+        const y = value => height - margin.bottom - (value * (height - margin.top - margin.bottom)) / maxValue;
+        const line = field => rows
+            .map((row, index) => row[field] !== null ? `${x(index).toFixed(1)},${y(row[field]).toFixed(1)}` : null)
+            .filter(point => point !== null)
+            .join(' ');
+
+        const gridLines = [0, 0.25, 0.5, 0.75, 1].map(step => {
+            const value = maxValue * step;
+            return `
+                <line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e0e0e0"/>
+                <text x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11">${value.toFixed(0)}</text>
+            `;
+        }).join('');
 
-                        if (ownerSelect) {
-                            // Ensure the element is visible first
-                            ownerSelect.style.display = 'block';
-                            ownerSelect.parentElement.style.display = 'table-cell';
+        const yearLabels = rows
+            .map((row, index) => row.year % 5 === 0 || index === 0 ? `<text x="${x(index)}" y="${height - 10}" text-anchor="middle" font-size="11">${row.year}</text>` : '')
+            .join('');
 
-                            // Populate the dropdown
-                            const allUsers = this.userManager.getAllUsers();
-                            ownerSelect.innerHTML = '<option value="">Select Owner</option>';
+        const deficitMarkers = rows
+            .map((row, index) => row.deficit > 0 && row.poolAverageIntensity !== null ? `<circle cx="${x(index)}" cy="${y(row.poolAverageIntensity)}" r="3" fill="#dc3545"><title>${row.year}: deficit ${row.deficit.toLocaleString()} tCO2eq</title></circle>` : '')
+            .join('');
 
-                            allUsers.forEach(user => {
-                                const option = document.createElement('option');
-                                option.value = user.id;
-                                option.textContent = user.name || user.id;
-                                ownerSelect.appendChild(option);
-                            });
+        return `
+            <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Projected pool GHG intensity against target">
+                ${gridLines}
+                ${yearLabels}
+                <polyline points="${line('poolTargetIntensity')}" fill="none" stroke="#6c757d" stroke-width="2" stroke-dasharray="6 4"/>
+                <polyline points="${line('poolAverageIntensity')}" fill="none" stroke="#007bff" stroke-width="2"/>
+                ${deficitMarkers}
+            </svg>
+            <p><small>Solid: pool GHG intensity; dashed: target (gCO2e/MJ); red points: deficit years.</small></p>
+        `;
+    }
 
-                            console.log(`Populated owner dropdown for ${tabId}:`, ownerSelect.options.length);
-                        } else {
-                            console.warn(`Owner select not found for ${tabId}`);
-                        }
-                    }
-                });
+    addFleetChange(poolName) {
+        const vesselId = document.getElementById('fleetChangeVessel').value;
+        const type = document.getElementById('fleetChangeType').value;
+        const value = parseFloat(document.getElementById('fleetChangeValue').value);
+        const change = { type, year: parseInt(document.getElementById('fleetChangeYear').value, 10) };
 
-                // Force visibility of all admin elements after population
-                document.querySelectorAll('.admin-only').forEach(el => {
-                    if (el.tagName.toLowerCase() === 'th' || el.tagName.toLowerCase() === 'td') {
-                        el.style.display = 'table-cell';
-                    } else {
-                        el.style.display = 'block';
-                    }
-                });
+        if (type === 'retrofit') {
+            change.energySaving = value;
+        } else if (type === 'efficiency') {
+            change.annualImprovement = value;
+        } else if (type === 'fuel-switch') {
+            change.fuelType = document.getElementById('fleetChangeFuel').value;
+            change.share = value;
+        }
 
-                console.log('🎯 Admin interface setup complete');
+        try {
+            // Real vessel ids are numbers, newbuild ids are strings
+            const vessel = this.vesselManager.getVesselsByPool(poolName, this.currentYear).find(v => String(v.id) === vesselId);
+            this.fleetPlanManager.addChange(vessel ? vessel.id : vesselId, change);
+            this.openFleetProjection(poolName);
+        } catch (error) {
+            alert(`Error adding planned change: ${error.message}`);
+        }
+    }
 
-            }, 300); // Increased delay to ensure DOM is fully ready
+    removeFleetChange(poolName, vesselId, changeIndex) {
+        const vessel = this.vesselManager.getVesselsByPool(poolName, this.currentYear).find(v => String(v.id) === vesselId);
+        this.fleetPlanManager.removeChange(vessel ? vessel.id : vesselId, changeIndex);
+        this.openFleetProjection(poolName);
+    }
+
+    addFleetDelivery(poolName) {
+        const newbuild = {
+            name: document.getElementById('newbuildName').value.trim(),
+            type: document.getElementById('newbuildType').value,
+            deliveryYear: parseInt(document.getElementById('newbuildYear').value, 10),
+            fuelConsumption: parseFloat(document.getElementById('newbuildEnergy').value),
+            fuelType: document.getElementById('newbuildFuel').value,
+            owner: this.authManager ? this.authManager.currentUser : null
+        };
+
+        try {
+            this.fleetPlanManager.addDelivery(poolName, newbuild);
+            this.openFleetProjection(poolName);
+        } catch (error) {
+            alert(`Error adding newbuild: ${error.message}`);
         }
     }
 
-    // new tab switching method
-    switchPoolTab(tabId, poolName) {
-        // Hide all tab contents
-        document.querySelectorAll('.pool-tab-content').forEach(content => {
-            content.classList.remove('active');
-        });
+    removeFleetDelivery(poolName, deliveryId) {
+        if (!confirm('Remove this newbuild and its planned changes?')) {
+            return;
+        }
 
-        // Remove active class from all tabs
-        document.querySelectorAll('.tab').forEach(tab => {
-            tab.classList.remove('active');
-        });
+        this.fleetPlanManager.removeDelivery(poolName, deliveryId);
+        this.openFleetProjection(poolName);
+    }
 
-        // Show selected tab content and mark tab as active
-        document.getElementById(tabId).classList.add('active');
-        event.target.classList.add('active');
+    // Saved what-if scenarios of a pool
+    displayScenarios(poolName, tabId) {
+        const container = document.getElementById(`scenarios-${tabId}`);
+        if (!container) return;
 
-        this.currentView = tabId;
-        this.currentPool = poolName === 'Management' ? null : poolName;
+        const scenarios = this.scenarioManager.getScenarios(poolName);
+        if (scenarios.length === 0) {
+            container.innerHTML = '<p>No scenarios yet. A scenario copies the pool\'s vessels so fuel changes can be tested without touching the real records.</p>';
+            return;
+        }
 
-        // Refresh content for the selected pool
-        if (poolName !== 'Management') {
-            this.updatePoolDisplay(poolName, tabId);
-            this.bindPoolControls(tabId);
-        } else {
-            // Wait a bit longer for management tab elements to be ready
-            setTimeout(() => {
-                this.displayPoolManagement();
-                this.displayUserManagement();
-            }, 300);
+        container.innerHTML = `
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Scenario</th>
+                            <th>Year</th>
+                            <th>Vessels</th>
+                            <th>Created</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${scenarios.map(scenario => `
+                            <tr>
+                                <td>${scenario.name}</td>
+                                <td>${scenario.year}</td>
+                                <td>${scenario.vessels.length}</td>
+                                <td>${new Date(scenario.created).toLocaleDateString()} (${this.getUserDisplayName(scenario.createdBy)})</td>
+                                <td>
+                                    <div class="action-buttons">
+                                        <button class="btn btn-sm" onclick="dashboard.openScenario('${poolName}', ${scenario.id})">Open</button>
+                                        <button class="btn-icon danger" onclick="dashboard.deleteScenario('${poolName}', ${scenario.id}, '${tabId}')" title="Delete Scenario">
+                                            <span>🗑️</span>
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    createScenario(poolName, tabId) {
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
+        const name = prompt(`Name of the new ${this.currentYear} scenario for ${poolName}:`);
+        if (name === null) return;
+
+        try {
+            const createdBy = this.authManager ? this.authManager.currentUser : null;
+            const scenario = this.scenarioManager.createScenario(poolName, name, this.currentYear, vessels, createdBy);
+            this.displayScenarios(poolName, tabId);
+            this.openScenario(poolName, scenario.id);
+        } catch (error) {
+            alert(`Error creating scenario: ${error.message}`);
         }
     }
 
-    // pool-specific update method
-    updatePoolDisplay(poolName, tabId) {
-        // Get vessels for this specific pool
-        let vessels = this.vesselManager.getVesselsByPool(poolName);
+    deleteScenario(poolName, scenarioId, tabId) {
+        const scenario = this.scenarioManager.getScenario(poolName, scenarioId);
+        if (!scenario || !confirm(`Delete scenario "${scenario.name}"?`)) {
+            return;
+        }
 
-        // Apply user access filtering
-        if (this.authManager && this.authManager.userRole !== 'admin') {
-            const currentUser = this.userManager.getUser(this.authManager.currentUser);
-            vessels = vessels.filter(vessel =>
-                currentUser && currentUser.pools.includes(vessel.pool)
-            );
+        this.scenarioManager.deleteScenario(poolName, scenarioId);
+        this.displayScenarios(poolName, tabId);
+    }
+
+    // Scenario editor with the baseline and scenario results side by side, shown in the vessel modal
+    openScenario(poolName, scenarioId) {
+        const scenario = this.scenarioManager.getScenario(poolName, scenarioId);
+        if (!scenario) return;
+
+        const baselineVessels = this.vesselManager.getVesselsByPool(poolName, scenario.year);
+        const comparison = this.scenarioSimulator.compare(baselineVessels, scenario.vessels, scenario.year);
+
+        const metricLabels = {
+            poolComplianceBalance: 'Pool Compliance Balance (tCO2eq)',
+            poolComplianceSurplus: 'Pool Surplus (tCO2eq)',
+            poolComplianceDeficit: 'Pool Deficit (tCO2eq)',
+            poolAverageIntensity: 'Average GHG Intensity (gCO2e/MJ)',
+            poolPotentialPenalty: 'Pool Penalty (EUR)',
+            compliantVessels: 'Compliant Vessels',
+            totalVessels: 'Vessels'
+        };
+
+        const metricRows = comparison.metrics.map(({ metric, baseline, scenario: value, change }) => `
+            <tr>
+                <td>${metricLabels[metric]}</td>
+                <td>${baseline.toLocaleString()}</td>
+                <td>${value.toLocaleString()}</td>
+                <td class="${change === 0 ? '' : ((change > 0) === (metric !== 'poolPotentialPenalty' && metric !== 'poolComplianceDeficit' && metric !== 'poolAverageIntensity') ? 'surplus-value' : 'deficit-value')}">${change > 0 ? '+' : ''}${change.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        const vesselRows = comparison.vessels.map(vessel => `
+            <tr>
+                <td>${vessel.name}${vessel.hypothetical ? ' <small>(hypothetical)</small>' : ''}</td>
+                <td>${vessel.baselineIntensity !== null ? vessel.baselineIntensity.toFixed(2) : '-'}</td>
+                <td>${vessel.ghgIntensity.toFixed(2)}</td>
+                <td>${vessel.baselineBalance !== null ? vessel.baselineBalance.toFixed(2) : '-'}</td>
+                <td>${vessel.complianceBalance.toFixed(2)}</td>
+                <td>€${vessel.penalty.toLocaleString()}</td>
+                <td>
+                    <button class="btn-icon danger" onclick="dashboard.removeScenarioVessel('${poolName}', ${scenario.id}, '${vessel.id}')" title="Remove from Scenario">
+                        <span>🗑️</span>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        const vesselOptions = scenario.vessels
+            .map(vessel => `<option value="${vessel.id}">${vessel.name}</option>`)
+            .join('');
+        const fuelOptions = Object.entries(FUEL_CATALOG)
+            .map(([fuelType, fuel]) => `<option value="${fuelType}">${fuel.name}</option>`)
+            .join('');
+
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Scenario: ${scenario.name} (${poolName}, ${scenario.year})</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <h3>Baseline vs Scenario</h3>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Baseline</th>
+                                    <th>Scenario</th>
+                                    <th>Change</th>
+                                </tr>
+                            </thead>
+                            <tbody>${metricRows}</tbody>
+                        </table>
+                    </div>
+                    ${comparison.removed.length > 0 ? `<p><strong>Removed:</strong> ${comparison.removed.map(vessel => vessel.name).join(', ')}</p>` : ''}
+                </div>
+
+                <div class="detail-section">
+                    <h3>Scenario Vessels</h3>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Vessel</th>
+                                    <th>Baseline Intensity</th>
+                                    <th>Scenario Intensity</th>
+                                    <th>Baseline Balance</th>
+                                    <th>Scenario Balance</th>
+                                    <th>Penalty</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>${vesselRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <h3>Change Fuel Mix</h3>
+                    <div class="fuel-mix-form">
+                        <select id="scenarioBlendVessel" class="table-select">${vesselOptions}</select>
+                        <select id="scenarioBlendFuel" class="table-select">${fuelOptions}</select>
+                        <input type="number" id="scenarioBlendShare" min="1" max="100" step="1" placeholder="Share of energy (%)" class="table-input">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.applyScenarioBlend('${poolName}', ${scenario.id})">Apply Blend</button>
+                    </div>
+                    <p><small>A share of 100% switches the vessel to the selected fuel.</small></p>
+                </div>
+
+                <div class="detail-section">
+                    <h3>Add Hypothetical Vessel</h3>
+                    <div class="fuel-mix-form">
+                        <input type="text" id="scenarioVesselName" placeholder="Vessel name" class="table-input">
+                        <select id="scenarioVesselType" class="table-select">
+                            ${VesselManager.getValidVesselTypes().map(type => `<option value="${type}">${type}</option>`).join('')}
+                        </select>
+                        <input type="number" id="scenarioVesselEnergy" min="0" placeholder="Energy (MJ)" class="table-input">
+                        <input type="number" id="scenarioVesselIntensity" min="0" step="0.01" placeholder="GHG intensity" class="table-input">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.addScenarioVessel('${poolName}', ${scenario.id})">Add Vessel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('vesselModal').style.display = 'block';
+    }
+
+    // Scenario vessel ids come back from the markup as strings
+    findScenarioVessel(scenario, vesselId) {
+        return scenario.vessels.find(vessel => String(vessel.id) === String(vesselId)) || null;
+    }
+
+    applyScenarioBlend(poolName, scenarioId) {
+        const scenario = this.scenarioManager.getScenario(poolName, scenarioId);
+        if (!scenario) return;
+
+        const vessel = this.findScenarioVessel(scenario, document.getElementById('scenarioBlendVessel').value);
+        const fuelType = document.getElementById('scenarioBlendFuel').value;
+        const share = parseFloat(document.getElementById('scenarioBlendShare').value) / 100;
+
+        try {
+            const blended = this.scenarioSimulator.blendFuel(vessel, scenario.year, fuelType, share);
+            this.scenarioManager.replaceVessel(poolName, scenarioId, blended);
+            this.openScenario(poolName, scenarioId);
+        } catch (error) {
+            alert(`Error changing fuel mix: ${error.message}`);
         }
+    }
 
-        // Calculate compliance
-        const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
+    addScenarioVessel(poolName, scenarioId) {
+        const vessel = {
+            name: document.getElementById('scenarioVesselName').value.trim(),
+            type: document.getElementById('scenarioVesselType').value,
+            fuelConsumption: parseFloat(document.getElementById('scenarioVesselEnergy').value),
+            ghgIntensity: parseFloat(document.getElementById('scenarioVesselIntensity').value),
+            owner: this.authManager ? this.authManager.currentUser : null
+        };
 
-        // Clean up any stale selections
-        this.cleanupSelections();
+        if (!vessel.name || !(vessel.fuelConsumption > 0) || !(vessel.ghgIntensity > 0)) {
+            alert('Please enter a name, a positive energy figure and a positive GHG intensity.');
+            return;
+        }
 
-        // Update pool-specific stats
-        this.updatePoolStats(compliance.summary, tabId);
-        this.displayPoolVessels(vessels, tabId);
+        this.scenarioManager.addVessel(poolName, scenarioId, vessel);
+        this.openScenario(poolName, scenarioId);
+    }
 
-        // Bind controls after display is updated
-        this.bindPoolControls(tabId);
+    removeScenarioVessel(poolName, scenarioId, vesselId) {
+        const scenario = this.scenarioManager.getScenario(poolName, scenarioId);
+        const vessel = scenario && this.findScenarioVessel(scenario, vesselId);
+        if (!vessel) return;
+
+        this.scenarioManager.removeVessel(poolName, scenarioId, vessel.id);
+        this.openScenario(poolName, scenarioId);
+    }
+
+    // Warn when the pool misses the RFNBO sub-target in the selected year
+    displayRfnboWarning(compliance, tabId) {
+        const container = document.getElementById(`rfnboWarning-${tabId}`);
+        if (!container) return;
+
+        const rfnbo = compliance.summary.poolRfnbo;
+        const belowSubTarget = rfnbo.applies ? !rfnbo.met : rfnbo.share < rfnbo.subTarget;
+        if (!belowSubTarget || compliance.vessels.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Ahead of the sub-target, warn with the shortfall the current fuel mix would leave
+        if (!rfnbo.applies) {
+            const projectedShortfall = Math.max(0, (rfnbo.subTarget / 100) * compliance.summary.totalEnergyConsumption - rfnbo.energy);
+
+            container.innerHTML = `
+                <div class="card rfnbo-warning">
+                    <h3>⚠️ RFNBO Sub-Target from ${rfnbo.subTargetFromYear}</h3>
+                    <p>
+                        RFNBO share of the pool's energy is ${rfnbo.share.toFixed(2)}% in ${this.currentYear}; a sub-target of ${rfnbo.subTarget.toFixed(2)}% applies from ${rfnbo.subTargetFromYear}.
+                        With this year's energy use, ${Number(projectedShortfall.toFixed(0)).toLocaleString()} MJ more RFNBO energy would be needed.
+                    </p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="card rfnbo-warning">
+                <h3>⚠️ RFNBO Sub-Target at Risk (${this.currentYear})</h3>
+                <p>
+                    RFNBO share of the pool's energy is ${rfnbo.share.toFixed(2)}% against a sub-target of ${rfnbo.subTarget.toFixed(2)}%.
+                    ${rfnbo.shortfallEnergy.toLocaleString()} MJ of RFNBO energy is missing (penalty €${rfnbo.penalty.toLocaleString()}).
+                    ${compliance.summary.rfnboVesselsBelowTarget} vessel(s) are below the sub-target on their own.
+                </p>
+            </div>
+        `;
     }
 
     updatePoolStats(summary, tabId) {
@@ -2759,6 +5733,118 @@ export default class Dashboard {
         }
     }
 
+    // Surplus allocation for the selected year, using the pool's saved strategy
+    calculatePoolAllocation(poolName, compliance) {
+        const settings = this.poolManager.getAllocationSettings(poolName, this.currentYear);
+        return this.poolAllocator.allocate(compliance.vessels, this.currentYear, settings.strategy, settings.manualTransfers);
+    }
+
+    displayPoolAllocation(poolName, compliance, tabId) {
+        const container = document.getElementById(`poolAllocation-${tabId}`);
+        if (!container) return;
+
+        if (compliance.vessels.length === 0) {
+            container.innerHTML = '<p>No vessels in this pool for the selected year.</p>';
+            return;
+        }
+
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const canAllocate = !currentUser || this.permissions.canAllocatePool(currentUser, poolName, this.poolManager);
+        const allocation = this.calculatePoolAllocation(poolName, compliance);
+        const editTransfers = canAllocate && allocation.strategy === 'manual';
+
+        const strategyOptions = Object.entries(PoolAllocator.STRATEGIES)
+            .map(([value, label]) => `<option value="${value}" ${value === allocation.strategy ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const memberRows = allocation.members.map(member => `
+            <tr>
+                <td class="vessel-name">${member.name}</td>
+                <td class="owner-name">${this.getUserDisplayName(member.owner)}</td>
+                <td class="compliance-value ${member.complianceBalance < 0 ? 'deficit' : 'surplus'}">${member.complianceBalance.toFixed(2)}</td>
+                <td>
+                    ${editTransfers
+                        ? `<input type="number" step="0.01" class="table-input" data-vessel-id="${member.vesselId}" value="${member.transfer}">`
+                        : `${member.transfer > 0 ? '+' : ''}${member.transfer.toFixed(2)}`}
+                </td>
+                <td class="compliance-value ${member.postPoolingBalance < 0 ? 'deficit' : 'surplus'}">${member.postPoolingBalance.toFixed(2)}</td>
+                <td>€${member.penalty.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="fuel-mix-form">
+                <label for="allocationStrategy-${tabId}"><strong>Strategy:</strong></label>
+                <select id="allocationStrategy-${tabId}" class="table-select" ${canAllocate ? '' : 'disabled'}
+                        onchange="dashboard.setPoolAllocationStrategy('${poolName}', this.value)">
+                    ${strategyOptions}
+                </select>
+                ${editTransfers ? `<button class="btn btn-primary btn-sm" onclick="dashboard.saveManualAllocation('${poolName}', '${tabId}')">Apply Manual Allocation</button>` : ''}
+            </div>
+            <p>
+                <strong>Transferred:</strong> ${allocation.transferred.toLocaleString()} tCO2eq |
+                <strong>Post-Pooling Penalty:</strong> €${allocation.postPoolingPenalty.toLocaleString()} |
+                <strong>Allocation:</strong> ${allocation.valid ? '✅ Valid' : '❌ Invalid'}
+            </p>
+            ${allocation.violations.length > 0 ? `
+                <ul class="allocation-violations">
+                    ${allocation.violations.map(violation => `<li>${violation}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="vessels-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Vessel Name</th>
+                            <th>Owner</th>
+                            <th>CB Before Pooling (tCO2eq)</th>
+                            <th>Transfer (tCO2eq)</th>
+                            <th>CB After Pooling (tCO2eq)</th>
+                            <th>Penalty After Pooling</th>
+                        </tr>
+                    </thead>
+                    <tbody>${memberRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    setPoolAllocationStrategy(poolName, strategy) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        if (currentUser && !this.permissions.canAllocatePool(currentUser, poolName, this.poolManager)) {
+            alert('You cannot change the pool allocation.');
+            return;
+        }
+
+        const settings = this.poolManager.getAllocationSettings(poolName, this.currentYear);
+        this.poolManager.setAllocationSettings(poolName, this.currentYear, { ...settings, strategy });
+
+        const activeTab = document.querySelector('.pool-tab-content.active');
+        if (activeTab) {
+            this.updatePoolDisplay(poolName, activeTab.id);
+        }
+    }
+
+    saveManualAllocation(poolName, tabId) {
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        if (currentUser && !this.permissions.canAllocatePool(currentUser, poolName, this.poolManager)) {
+            alert('You cannot change the pool allocation.');
+            return;
+        }
+
+        const manualTransfers = {};
+        document.querySelectorAll(`#poolAllocation-${tabId} input[data-vessel-id]`).forEach(input => {
+            const transfer = parseFloat(input.value);
+            if (!isNaN(transfer) && transfer !== 0) {
+                manualTransfers[input.dataset.vesselId] = transfer;
+            }
+        });
+
+        this.poolManager.setAllocationSettings(poolName, this.currentYear, { strategy: 'manual', manualTransfers });
+        this.updatePoolDisplay(poolName, tabId);
+        this.showNotification('Manual allocation saved', 'success');
+    }
+
     // Update the displayPoolVessels method in your Dashboard class
 
     displayPoolVessels(vessels, tabId) {
@@ -2774,20 +5860,19 @@ export default class Dashboard {
         const compliance = this.calculator.calculatePoolCompliance(vessels, this.currentYear);
         const vesselsWithCompliance = compliance.vessels;
 
-        // Check if current pool is read-only and user role
+        // Check what the pool's lifecycle status still allows
         const activeTab = document.querySelector('.pool-tab-content.active');
         const poolName = activeTab?.dataset.pool;
-        const isPoolReadOnly = poolName ? this.poolManager.isPoolReadOnly(poolName) : false;
         const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        const isAdmin = currentUser && currentUser.role === 'admin';
+        const isPoolReadOnly = poolName ? !this.permissions.canEditPoolData(currentUser, poolName, this.poolManager) : false;
 
         let tableHtml = `
-        <div class="vessels-table ${isPoolReadOnly && !isAdmin ? 'readonly-pool-table' : ''}">
+        <div class="vessels-table ${isPoolReadOnly ? 'readonly-pool-table' : ''}">
             <table>
                 <thead>
                     <tr>
                         <th class="select-col">
-                            <input type="checkbox" id="selectAllTable-${tabId}" onchange="dashboard.toggleSelectAll('${tabId}')" ${isPoolReadOnly && !isAdmin ? 'disabled' : ''}>
+                            <input type="checkbox" id="selectAllTable-${tabId}" onchange="dashboard.toggleSelectAll('${tabId}')" ${isPoolReadOnly ? 'disabled' : ''}>
                         </th>
                         <th>Vessel Name</th>
                         <th>IMO</th>
@@ -2809,16 +5894,16 @@ export default class Dashboard {
                 ? `${vessel.complianceBalance.toFixed(2)}`
                 : `+${vessel.complianceBalance.toFixed(2)}`;
 
-            // Check individual permissions for this vessel - admin overrides read-only
-            const canEdit = isAdmin || this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager);
-            const canDelete = isAdmin || this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager);
+            // Check individual permissions for this vessel within the pool's status
+            const canEdit = this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
+            const canDelete = this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager, this.currentYear);
 
             tableHtml += `
             <tr class="${isSelected ? 'selected' : ''} ${vessel.status}">
                 <td class="select-col">
                     <input type="checkbox" ${isSelected ? 'checked' : ''} 
                         onchange="dashboard.toggleVesselSelection(${vessel.id})"
-                        ${isPoolReadOnly && !isAdmin ? 'disabled' : ''}>
+                        ${isPoolReadOnly ? 'disabled' : ''}>
                 </td>
                 <td class="vessel-name">${vessel.name}</td>
                 <td>${vessel.imo}</td>
@@ -2836,16 +5921,16 @@ export default class Dashboard {
                             <span>👁</span>
                         </button>
                         ${canEdit ? `
-                            <button class="btn-icon" onclick="dashboard.editVessel(${vessel.id})" title="${isAdmin && isPoolReadOnly ? 'Edit (Admin Override)' : 'Edit'}">
+                            <button class="btn-icon" onclick="dashboard.editVessel(${vessel.id})" title="Edit">
                                 <span>✏️</span>
                             </button>
                         ` : `
-                            <span class="readonly-indicator" title="${isPoolReadOnly ? 'Read-only pool' : 'No permission'}">
+                            <span class="readonly-indicator" title="${isPoolReadOnly ? this.poolManager.getStatusInfo(poolName).label : 'No permission'}">
                                 ${isPoolReadOnly ? '🔒' : 'Read Only'}
                             </span>
                         `}
                         ${canDelete ? `
-                            <button class="btn-icon danger" onclick="dashboard.removeVessel(${vessel.id})" title="${isAdmin && isPoolReadOnly ? 'Delete (Admin Override)' : 'Remove'}">
+                            <button class="btn-icon danger" onclick="dashboard.removeVessel(${vessel.id})" title="Remove">
                                 <span>🗑️</span>
                             </button>
                         ` : ''}
@@ -2873,10 +5958,10 @@ export default class Dashboard {
     addVesselToPool(poolName, tabId) {
         const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
 
-        // Check if user can create vessels in this pool (considering read-only status)
-        if (currentUser && !this.permissions.canCreateVesselInPool(currentUser, poolName, this.poolManager)) {
-            if (this.poolManager.isPoolReadOnly(poolName)) {
-                alert(this.permissions.getReadOnlyMessage(poolName));
+        // Check if user can create vessels in this pool (considering its lifecycle status)
+        if (!this.editingVesselId && currentUser && !this.permissions.canCreateVesselInPool(currentUser, poolName, this.poolManager)) {
+            if (!this.permissions.canChangePoolMembership(currentUser, poolName, this.poolManager)) {
+                alert(this.permissions.getPoolStatusMessage(poolName, this.poolManager));
             } else {
                 alert('You do not have permission to create vessels in this pool.');
             }
@@ -2893,6 +5978,13 @@ export default class Dashboard {
                 pool: poolName
             };
 
+            // Blank energy/intensity fields are allowed for vessels with a fuel mix
+            ['fuelConsumption', 'ghgIntensity'].forEach(field => {
+                if (isNaN(vesselData[field])) {
+                    delete vesselData[field];
+                }
+            });
+
             // Set owner
             if (currentUser) {
                 if (currentUser.role === 'admin') {
@@ -2905,18 +5997,18 @@ export default class Dashboard {
             }
 
             if (this.editingVesselId) {
-                // Edit mode - also check read-only permissions
+                // Edit mode - also check the pool's lifecycle status
                 const vessel = this.vesselManager.getVessel(this.editingVesselId);
-                if (!this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager)) {
-                    if (this.poolManager.isPoolReadOnly(vessel.pool)) {
-                        alert(this.permissions.getReadOnlyMessage(vessel.pool));
+                if (!this.permissions.canEditVesselInPool(currentUser, vessel, this.poolManager, this.currentYear)) {
+                    if (!this.permissions.canEditPoolData(currentUser, vessel.pool, this.poolManager)) {
+                        alert(this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
                     } else {
                         alert('You do not have permission to edit this vessel.');
                     }
                     return;
                 }
 
-                this.vesselManager.updateVessel(this.editingVesselId, vesselData, currentUser);
+                this.saveVesselEdits(this.editingVesselId, vesselData, currentUser);
                 this.showNotification(`Vessel "${vesselData.name}" updated successfully!`, 'success');
                 this.exitEditMode();
             } else {
@@ -2935,6 +6027,33 @@ export default class Dashboard {
         }
     }
 
+    /**
+     * Apply the edit form to a vessel. Energy and intensity go to the selected year's
+     * record when there is one; a pool change is a membership change from the
+     * selected year on, so earlier reporting periods keep their pool.
+     */
+    saveVesselEdits(vesselId, vesselData, currentUser) {
+        const { pool, ...fields } = vesselData;
+
+        // Moved first so a new owner is checked against the new pool
+        const vessel = this.vesselManager.getVessel(vesselId);
+        if (pool && pool !== this.vesselManager.getPoolForYear(vessel, this.currentYear)) {
+            this.vesselManager.moveVesselToPool(vesselId, pool, currentUser, this.currentYear);
+        }
+
+        if (this.vesselManager.getYearData(vesselId, this.currentYear)) {
+            const { fuelConsumption, ghgIntensity, ...vesselFields } = fields;
+            const yearUpdates = {};
+            if (fuelConsumption !== undefined) yearUpdates.fuelConsumption = fuelConsumption;
+            if (ghgIntensity !== undefined) yearUpdates.ghgIntensity = ghgIntensity;
+
+            this.vesselManager.setYearData(vesselId, this.currentYear, yearUpdates, currentUser);
+            this.vesselManager.updateVessel(vesselId, vesselFields, currentUser);
+        } else {
+            this.vesselManager.updateVessel(vesselId, fields, currentUser);
+        }
+    }
+
     clearPoolForm(tabId) {
         document.getElementById(`vesselName-${tabId}`).value = '';
         document.getElementById(`imoNumber-${tabId}`).value = '';
@@ -3011,7 +6130,7 @@ export default class Dashboard {
     }
 
     exportPoolData(poolName) {
-        const vessels = this.vesselManager.getVesselsByPool(poolName);
+        const vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
         const exportData = {
             pool: poolName,
             vessels: vessels,
@@ -3034,6 +6153,178 @@ export default class Dashboard {
         this.showNotification(`${poolName} data exported!`, 'success');
     }
 
+    /**
+     * Excel workbook of the year's results: a summary sheet with one row per pool, the
+     * vessel list (importable again through Import Data) and one sheet of compliance
+     * results per pool. Without a pool name it covers every pool the user can see.
+     */
+    exportComplianceWorkbook(poolName = null) {
+        try {
+            const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+            const poolNames = poolName
+                ? [poolName]
+                : (currentUser ? this.vesselManager.getAvailablePoolsForUser(currentUser) : this.poolManager.getAllPools()).map(pool => pool.name);
+            const year = this.currentYear;
+
+            const pools = poolNames.map(name => ({
+                name,
+                compliance: this.calculator.calculatePoolCompliance(this.vesselManager.getVesselsByPool(name, year), year)
+            }));
+
+            const workbook = new XlsxWorkbook();
+            const statusLabel = compliant => (compliant ? 'Compliant' : 'Non-compliant');
+
+            workbook.addSheet('Summary', [
+                { header: 'Pool', width: 24 },
+                { header: 'Year', width: 8 },
+                { header: 'Regulation', width: 14 },
+                { header: 'Vessels', width: 9, format: 'integer' },
+                { header: 'Compliant', width: 11, format: 'integer' },
+                { header: 'Non-Compliant', width: 14, format: 'integer' },
+                { header: 'Compliance Rate', width: 16, format: 'percent' },
+                { header: 'Energy (MJ)', width: 18, format: 'integer' },
+                { header: 'Average Intensity (gCO2e/MJ)', width: 28, format: 'decimal' },
+                { header: 'Target Intensity (gCO2e/MJ)', width: 27, format: 'decimal' },
+                { header: 'Pool Balance (tCO2e)', width: 20, format: 'decimal' },
+                { header: 'Pool Penalty (EUR)', width: 18, format: 'currency' },
+                { header: 'Vessel Penalties (EUR)', width: 21, format: 'currency' },
+                { header: 'ETS Allowances (t)', width: 18, format: 'decimal' },
+                { header: 'Status', width: 14 }
+            ], pools.map(({ name, compliance: { summary } }) => [
+                name,
+                year,
+                summary.regulationVersion,
+                summary.totalVessels,
+                summary.compliantVessels,
+                summary.nonCompliantVessels,
+                summary.complianceRate / 100,
+                summary.totalEnergyConsumption,
+                summary.totalVessels > 0 ? summary.poolAverageIntensity : null,
+                Number(summary.poolTargetIntensity),
+                summary.poolComplianceBalance,
+                summary.poolPotentialPenalty,
+                summary.totalPotentialPenalty,
+                summary.totalEtsAllowances,
+                statusLabel(summary.poolCompliant)
+            ]));
+
+            // Energy and intensity are the vessel's own inputs for the year (blank where a fuel mix
+            // is recorded), under the headers the vessel import maps, so the sheet can be edited and
+            // imported again to update the vessels with matching IMO numbers
+            workbook.addSheet('Vessels', [
+                { header: 'Vessel Name', width: 24 },
+                { header: 'IMO Number', width: 12 },
+                { header: 'Vessel Type', width: 12 },
+                { header: 'Pool', width: 20 },
+                { header: 'Owner', width: 20 },
+                { header: 'Energy (MJ)', width: 18, format: 'integer' },
+                { header: 'GHG Intensity (gCO2e/MJ)', width: 24, format: 'decimal' },
+                { header: 'Energy in Scope (MJ)', width: 20, format: 'integer' },
+                { header: 'Attained Intensity (gCO2e/MJ)', width: 28, format: 'decimal' },
+                { header: 'Target Intensity (gCO2e/MJ)', width: 27, format: 'decimal' },
+                { header: 'Compliance Balance (tCO2e)', width: 26, format: 'decimal' },
+                { header: 'Potential Penalty (EUR)', width: 22, format: 'currency' },
+                { header: 'Status', width: 14 }
+            ], pools.flatMap(({ name, compliance }) => compliance.vessels.map(vessel => {
+                const inputs = CsvImport.getVesselInputs(this.vesselManager, this.vesselManager.getVessel(vessel.id), year);
+                return [
+                    vessel.name,
+                    vessel.imo,
+                    vessel.type,
+                    name,
+                    this.getUserDisplayName(vessel.owner),
+                    inputs.fuelConsumption,
+                    inputs.ghgIntensity,
+                    vessel.fuelConsumption,
+                    vessel.ghgIntensity,
+                    vessel.targetIntensity,
+                    vessel.complianceBalance,
+                    vessel.potentialPenalty,
+                    statusLabel(vessel.status === 'compliant')
+                ];
+            })));
+
+            pools.forEach(({ name, compliance: { vessels, summary } }) => {
+                const rows = vessels.map(vessel => [
+                    vessel.name,
+                    vessel.imo,
+                    this.getUserDisplayName(vessel.owner),
+                    vessel.fuelConsumption,
+                    vessel.ghgIntensity,
+                    vessel.targetIntensity,
+                    Number((vessel.deviationPercent / 100).toFixed(4)),
+                    vessel.attainedComplianceBalance,
+                    vessel.flexibility.carriedIn,
+                    vessel.flexibility.banked,
+                    vessel.flexibility.borrowed,
+                    vessel.complianceBalance,
+                    vessel.potentialPenalty,
+                    vessel.ets.allowances,
+                    statusLabel(vessel.status === 'compliant')
+                ]);
+
+                // The pool penalty applies to the net balance, so it differs from the sum of vessel penalties
+                if (vessels.length > 0) {
+                    rows.push([
+                        'Pool total',
+                        null,
+                        null,
+                        summary.totalEnergyConsumption,
+                        summary.poolAverageIntensity,
+                        summary.poolTargetIntensity,
+                        Number((-summary.poolDeviation / summary.poolTargetIntensity).toFixed(4)),
+                        null,
+                        summary.poolCarriedIn,
+                        summary.poolBanked,
+                        summary.poolBorrowed,
+                        summary.poolComplianceBalance,
+                        summary.poolPotentialPenalty,
+                        summary.totalEtsAllowances,
+                        statusLabel(summary.poolCompliant)
+                    ]);
+                }
+
+                workbook.addSheet(name, [
+                    { header: 'Vessel Name', width: 24 },
+                    { header: 'IMO Number', width: 12 },
+                    { header: 'Owner', width: 20 },
+                    { header: 'Energy (MJ)', width: 18, format: 'integer' },
+                    { header: 'GHG Intensity (gCO2e/MJ)', width: 24, format: 'decimal' },
+                    { header: 'Target Intensity (gCO2e/MJ)', width: 27, format: 'decimal' },
+                    { header: 'Deviation', width: 11, format: 'percent' },
+                    { header: 'Attained Balance (tCO2e)', width: 24, format: 'decimal' },
+                    { header: 'Carried In (tCO2e)', width: 18, format: 'decimal' },
+                    { header: 'Banked (tCO2e)', width: 15, format: 'decimal' },
+                    { header: 'Borrowed (tCO2e)', width: 17, format: 'decimal' },
+                    { header: 'Compliance Balance (tCO2e)', width: 26, format: 'decimal' },
+                    { header: 'Penalty (EUR)', width: 16, format: 'currency' },
+                    { header: 'ETS Allowances (t)', width: 18, format: 'decimal' },
+                    { header: 'Status', width: 14 }
+                ], rows);
+            });
+
+            const blob = workbook.toBlob();
+            const url = URL.createObjectURL(blob);
+            const scope = poolName ? poolName.toLowerCase().replace(/\s+/g, '_') : 'all_pools';
+            const filename = `fueleu_${scope}_${year}_${new Date().toISOString().split('T')[0]}.xlsx`;
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            URL.revokeObjectURL(url);
+
+            this.showNotification(`Compliance results exported as ${filename}`, 'success');
+        } catch (error) {
+            console.error('Excel export failed:', error);
+            alert(`Excel export failed: ${error.message}`);
+        }
+    }
+
     filterAndDisplayVessels(tabId) {
         const activeTab = document.querySelector('.pool-tab-content.active');
         const poolName = activeTab?.dataset.pool;
@@ -3041,13 +6332,13 @@ export default class Dashboard {
         if (!poolName) return;
 
         // Get base vessels for this pool
-        let vessels = this.vesselManager.getVesselsByPool(poolName);
+        let vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
 
         // Apply user access filtering
         if (this.authManager && this.authManager.userRole !== 'admin') {
             const currentUser = this.userManager.getUser(this.authManager.currentUser);
             vessels = vessels.filter(vessel =>
-                currentUser && currentUser.pools.includes(vessel.pool)
+                currentUser && currentUser.pools.includes(poolName)
             );
         }
 
@@ -3094,13 +6385,13 @@ export default class Dashboard {
         if (!poolName) return;
 
         // Get base vessels for this pool
-        let vessels = this.vesselManager.getVesselsByPool(poolName);
+        let vessels = this.vesselManager.getVesselsByPool(poolName, this.currentYear);
 
         // Apply user access filtering
         if (this.authManager && this.authManager.userRole !== 'admin') {
             const currentUser = this.userManager.getUser(this.authManager.currentUser);
             vessels = vessels.filter(vessel =>
-                currentUser && currentUser.pools.includes(vessel.pool)
+                currentUser && currentUser.pools.includes(poolName)
             );
         }
 
@@ -3385,33 +6676,31 @@ export default class Dashboard {
         }
     }
 
-    // Add this method to your Dashboard class for CSV vessel import
-    importVesselsFromCSV() {
-        // Create file input for CSV files
+    // EU MRV emissions report import: parse, preview the changes, then apply
+    importMrvReport(poolName) {
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.csv';
+        fileInput.accept = '.csv,.txt';
         fileInput.style.visibility = 'hidden';
 
         fileInput.onchange = (event) => {
             const file = event.target.files[0];
             if (!file) return;
 
-            // Validate file type
-            if (!file.name.toLowerCase().endsWith('.csv')) {
-                alert('Please select a CSV file');
-                return;
-            }
-
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    this.processCSVData(e.target.result);
+                    this.showMrvPreview(poolName, file.name, e.target.result);
                 } catch (error) {
-                    console.error('CSV import failed:', error);
-                    alert(`CSV import failed: ${error.message}`);
+                    console.error('MRV import failed:', error);
+                    alert(`MRV import failed: ${error.message}`);
                 }
             };
+
+            reader.onerror = () => {
+                alert('MRV import failed: Could not read file');
+            };
+
             reader.readAsText(file);
         };
 
@@ -3420,224 +6709,587 @@ export default class Dashboard {
         document.body.removeChild(fileInput);
     }
 
-    // Process CSV data and import vessels
-    processCSVData(csvText) {
-        // Parse CSV using a simple parser (you can use Papa Parse library if available)
-        const lines = csvText.trim().split('\n');
+    showMrvPreview(poolName, fileName, text) {
+        const { reports, errors } = this.mrvImport.parse(text);
+        const source = {
+            fileName,
+            importedAt: new Date().toISOString(),
+            importedBy: this.authManager ? this.authManager.currentUser : null
+        };
+        const entries = this.mrvImport.preview(reports, this.vesselManager.getAllVessels(), source);
+        this.pendingMrvImport = { poolName, entries };
+
+        const fieldLabels = {
+            energy: 'Energy in scope (MJ)',
+            ghgIntensity: 'GHG intensity',
+            fuels: 'Fuels',
+            voyages: 'Voyage records',
+            voyageCount: 'Voyages'
+        };
+        const format = value => (value === null || value === undefined ? '-' : typeof value === 'number' ? value.toLocaleString() : value);
+
+        const rows = entries.map((entry, index) => `
+            <tr>
+                <td><input type="checkbox" class="mrv-entry" data-index="${index}" ${entry.action === 'create' || entry.action === 'update' ? 'checked' : 'disabled'}></td>
+                <td>${entry.name} <small>(IMO ${entry.imo})</small></td>
+                <td>${entry.year}</td>
+                <td><span class="status-badge ${entry.action === 'error' ? 'non-compliant' : entry.action === 'unchanged' ? 'verified' : 'reported'}">${entry.action}</span></td>
+                <td>
+                    ${entry.changes.map(change => `<div><strong>${fieldLabels[change.field]}:</strong> ${entry.action === 'create' ? '' : `${format(change.before)} → `}${format(change.after)}</div>`).join('')}
+                    ${entry.hasYearRecord && entry.action === 'update' ? '<div><small>Replaces the existing year record</small></div>' : ''}
+                    ${[...entry.warnings, ...entry.errors].map(message => `<div><small>⚠️ ${message}</small></div>`).join('')}
+                </td>
+            </tr>
+        `).join('');
 
-        if (lines.length < 2) {
-            throw new Error('CSV file must contain at least a header row and one data row');
-        }
+        document.getElementById('modalContent').innerHTML = `
+            <h2>EU MRV Import Preview: ${fileName}</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <p>${entries.length} ship report(s) found. New vessels are added to <strong>${poolName}</strong>; existing vessels (matched by IMO) get the reporting year's record replaced.</p>
+                    ${errors.length > 0 ? `<p><strong>Skipped rows:</strong></p><ul>${errors.map(error => `<li>${error}</li>`).join('')}</ul>` : ''}
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Vessel</th>
+                                    <th>Year</th>
+                                    <th>Action</th>
+                                    <th>Changes</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    <div class="fuel-mix-form">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.applyMrvImport()">Import Selected</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.closeModal()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
 
-        // Parse header row
-        const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+        document.getElementById('vesselModal').style.display = 'block';
+    }
 
-        // Expected headers (flexible mapping)
-        const headerMap = {
-            'vessel_name': ['vessel_name', 'name', 'vessel name', 'ship_name'],
-            'imo': ['imo', 'imo_number', 'imo number'],
-            'type': ['type', 'vessel_type', 'vessel type', 'ship_type'],
-            'fuel_consumption': ['fuel_consumption', 'fuel consumption', 'fuel_cons', 'energy', 'energy_mj'],
-            'ghg_intensity': ['ghg_intensity', 'ghg intensity', 'ghg_int', 'ghg', 'co2_intensity']
-        };
+    applyMrvImport() {
+        if (!this.pendingMrvImport) return;
+
+        const { poolName, entries } = this.pendingMrvImport;
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const selected = Array.from(document.querySelectorAll('.mrv-entry:checked')).map(input => entries[Number(input.dataset.index)]);
+
+        let created = 0;
+        let updated = 0;
+        const failures = [];
+
+        selected.forEach(entry => {
+            try {
+                // A vessel created earlier in this import takes further years as updates
+                const vessel = this.vesselManager.getAllVessels().find(v => v.imo === entry.imo);
 
-        // Map headers to expected fields
-        const fieldMapping = {};
-        for (const [expectedField, possibleHeaders] of Object.entries(headerMap)) {
-            const foundHeader = headers.find(h => possibleHeaders.includes(h));
-            if (foundHeader) {
-                fieldMapping[expectedField] = headers.indexOf(foundHeader);
+                if (vessel) {
+                    // The stored year record becomes exactly the previewed one
+                    this.vesselManager.replaceYearData(vessel.id, entry.year, entry.record, currentUser);
+                    updated++;
+                } else {
+                    this.vesselManager.addVessel({
+                        name: entry.name,
+                        imo: entry.imo,
+                        type: entry.type,
+                        pool: poolName,
+                        owner: this.authManager ? this.authManager.currentUser : null,
+                        // Reported figures stay with their year; other years are not given this year's fuels
+                        yearlyData: { [entry.year]: entry.record }
+                    }, currentUser);
+                    created++;
+                }
+            } catch (error) {
+                failures.push(`${entry.name} ${entry.year}: ${error.message}`);
             }
-        }
+        });
 
-        // Validate required fields are present
-        const requiredFields = ['vessel_name', 'imo', 'type', 'fuel_consumption', 'ghg_intensity'];
-        const missingFields = requiredFields.filter(field => !(field in fieldMapping));
+        this.pendingMrvImport = null;
+        this.closeModal();
+        this.updateDisplay();
 
-        if (missingFields.length > 0) {
-            throw new Error(`Missing required columns: ${missingFields.join(', ')}. Please check your CSV headers.`);
+        if (failures.length > 0) {
+            alert(`MRV import finished with errors:\n\n${failures.join('\n')}`);
         }
+        this.showNotification(`MRV import: ${created} vessel(s) created, ${updated} vessel-year record(s) updated`, failures.length > 0 ? 'info' : 'success');
+    }
 
-        // Process data rows
-        const vessels = [];
-        const errors = [];
-        const duplicateIMOs = [];
+    importNoonReports(poolName) {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.txt';
+        fileInput.style.visibility = 'hidden';
 
-        for (let i = 1; i < lines.length; i++) {
-            try {
-                const values = this.parseCSVLine(lines[i]);
+        fileInput.onchange = (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
 
-                if (values.length < headers.length) {
-                    errors.push(`Row ${i + 1}: Incomplete data`);
-                    continue;
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    this.showNoonReportPreview(poolName, file.name, e.target.result);
+                } catch (error) {
+                    console.error('Noon report import failed:', error);
+                    alert(`Noon report import failed: ${error.message}`);
                 }
+            };
 
-                // Extract vessel data
-                const vesselData = {
-                    name: values[fieldMapping.vessel_name]?.trim(),
-                    imo: values[fieldMapping.imo]?.trim(),
-                    type: values[fieldMapping.type]?.trim().toLowerCase(),
-                    fuelConsumption: parseFloat(values[fieldMapping.fuel_consumption]),
-                    ghgIntensity: parseFloat(values[fieldMapping.ghg_intensity])
-                };
-
-                // Validate vessel data
-                const validation = this.validateVesselData(vesselData, i + 1);
-                if (!validation.isValid) {
-                    errors.push(`Row ${i + 1}: ${validation.error}`);
-                    continue;
-                }
+            reader.onerror = () => {
+                alert('Noon report import failed: Could not read file');
+            };
 
-                // Check for duplicate IMO in current import
-                if (vessels.some(v => v.imo === vesselData.imo)) {
-                    duplicateIMOs.push(`Row ${i + 1}: Duplicate IMO ${vesselData.imo} in import file`);
-                    continue;
-                }
+            reader.readAsText(file);
+        };
 
-                // Check if vessel already exists in system
-                if (this.vesselManager.vessels.some(v => v.imo === vesselData.imo)) {
-                    duplicateIMOs.push(`Row ${i + 1}: Vessel with IMO ${vesselData.imo} already exists in system`);
-                    continue;
-                }
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+    }
+
+    showNoonReportPreview(poolName, fileName, text) {
+        const { feeds, errors } = this.noonReportImport.parse(text);
+        const source = {
+            fileName,
+            importedAt: new Date().toISOString(),
+            importedBy: this.authManager ? this.authManager.currentUser : null
+        };
+        const entries = this.noonReportImport.preview(feeds, this.vesselManager.getVesselsByPool(poolName), source);
+        this.pendingNoonReportImport = { poolName, entries };
+
+        const fieldLabels = {
+            energy: 'Energy in scope (MJ)',
+            ghgIntensity: 'GHG intensity',
+            fuels: 'Fuels',
+            voyages: 'Voyage records'
+        };
+        const format = value => (value === null || value === undefined ? '-' : typeof value === 'number' ? value.toLocaleString() : value);
+
+        // Years with anomalies are left unselected until reviewed
+        const rows = entries.map((entry, index) => `
+            <tr>
+                <td><input type="checkbox" class="noon-entry" data-index="${index}" ${entry.action === 'update' ? (entry.anomalies.length === 0 ? 'checked' : '') : 'disabled'}></td>
+                <td>${entry.name} <small>(IMO ${entry.imo})</small></td>
+                <td>${entry.year}</td>
+                <td>
+                    ${entry.rollup.firstDate} to ${entry.rollup.lastDate}<br>
+                    <small>${entry.rollup.seaDays} at sea, ${entry.rollup.portDays} in port, ${Number(entry.rollup.distance.toFixed(1)).toLocaleString()} nm, ${entry.record.verificationStatus}</small>
+                </td>
+                <td><span class="status-badge ${entry.action === 'error' ? 'non-compliant' : entry.action === 'unchanged' ? 'verified' : 'reported'}">${entry.action}</span></td>
+                <td>
+                    ${entry.changes.map(change => `<div><strong>${fieldLabels[change.field]}:</strong> ${format(change.before)} → ${format(change.after)}</div>`).join('')}
+                    ${entry.hasYearRecord && entry.action === 'update' ? '<div><small>Replaces the existing year record</small></div>' : ''}
+                    ${entry.errors.map(message => `<div><small>❌ ${message}</small></div>`).join('')}
+                    ${entry.anomalies.map(anomaly => `<div><small>⚠️ ${anomaly.date}: ${anomaly.message}</small></div>`).join('')}
+                </td>
+            </tr>
+        `).join('');
+
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Noon Report Import Preview: ${fileName}</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <p>${entries.length} vessel-year roll-up(s) found for vessels of <strong>${poolName}</strong>. Each selected year replaces the vessel's fuel mix and voyage records for that year; only a complete year without missing days is imported as reported.</p>
+                    ${errors.length > 0 ? `<p><strong>Skipped rows:</strong></p><ul>${errors.map(error => `<li>${error}</li>`).join('')}</ul>` : ''}
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Vessel</th>
+                                    <th>Year</th>
+                                    <th>Reports</th>
+                                    <th>Action</th>
+                                    <th>Changes and Anomalies</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    <div class="fuel-mix-form">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.applyNoonReportImport()">Import Selected</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.closeModal()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('vesselModal').style.display = 'block';
+    }
+
+    applyNoonReportImport() {
+        if (!this.pendingNoonReportImport) return;
 
-                vessels.push(vesselData);
+        const { entries } = this.pendingNoonReportImport;
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const selected = Array.from(document.querySelectorAll('.noon-entry:checked')).map(input => entries[Number(input.dataset.index)]);
+
+        let updated = 0;
+        const failures = [];
 
+        selected.forEach(entry => {
+            try {
+                // As for MRV reports, the roll-up replaces the year record as previewed
+                this.vesselManager.replaceYearData(entry.vesselId, entry.year, entry.record, currentUser);
+                updated++;
             } catch (error) {
-                errors.push(`Row ${i + 1}: ${error.message}`);
+                failures.push(`${entry.name} ${entry.year}: ${error.message}`);
             }
+        });
+
+        this.pendingNoonReportImport = null;
+        this.closeModal();
+        this.updateDisplay();
+
+        if (failures.length > 0) {
+            alert(`Noon report import finished with errors:\n\n${failures.join('\n')}`);
         }
+        this.showNotification(`Noon report import: ${updated} vessel-year record(s) updated`, failures.length > 0 ? 'info' : 'success');
+    }
 
-        // Show import summary
-        this.showImportSummary(vessels, errors, duplicateIMOs);
+    // Vessel import from CSV or Excel: read the file, map its columns, preview the rows, then import
+    importVesselsFromCSV(poolName = null) {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.txt,.xlsx';
+        fileInput.style.visibility = 'hidden';
+
+        fileInput.onchange = (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = async (e) => {
+                try {
+                    const bytes = new Uint8Array(e.target.result);
+                    let parsed;
+                    let source;
+
+                    // Excel workbooks are ZIP archives, starting with "PK"
+                    if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+                        const sheets = await XlsxWorkbook.read(e.target.result);
+                        const sheet = sheets.find(entry => entry.name.toLowerCase() === 'vessels') || sheets[0];
+                        if (!sheet) {
+                            throw new Error('Workbook contains no sheets');
+                        }
+                        parsed = XlsxWorkbook.toTable(sheet);
+                        source = `Excel workbook, sheet "${sheet.name}"`;
+                    } else {
+                        const { text, encoding } = CsvImport.decode(e.target.result);
+                        parsed = CsvImport.parse(text);
+                        source = `${CsvImport.DELIMITERS[parsed.delimiter] || parsed.delimiter} separated, ${encoding}`;
+                    }
+
+                    if (parsed.rows.length === 0) {
+                        throw new Error('File must contain at least a header row and one data row');
+                    }
+
+                    this.pendingCsvImport = { poolName, fileName: file.name, source, parsed, result: null };
+                    this.showCsvMapping();
+                } catch (error) {
+                    console.error('Vessel import failed:', error);
+                    alert(`Vessel import failed: ${error.message}`);
+                }
+            };
+
+            reader.onerror = () => {
+                alert('Vessel import failed: Could not read file');
+            };
+
+            reader.readAsArrayBuffer(file);
+        };
+
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
     }
 
-    // Parse CSV line handling quoted values
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    showCsvMapping() {
+        if (!this.pendingCsvImport) return;
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        const { poolName, fileName, source, parsed } = this.pendingCsvImport;
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
+        const isAdmin = !currentUser || currentUser.role === 'admin';
+        const saved = this.importMappingManager.getMapping(currentUser ? currentUser.id : null, 'vessels');
+        const mapping = this.pendingCsvImport.mapping || CsvImport.suggestMapping(parsed.headers, saved);
+        const options = this.pendingCsvImport.options || {
+            unit: saved && saved.unit ? saved.unit : 'MJ',
+            fuelType: saved && saved.fuelType ? saved.fuelType : 'VLSFO',
+            pool: poolName,
+            owner: currentUser ? currentUser.id : null
+        };
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
+        const sampleRow = parsed.rows[0].values;
+        const columnOptions = selected => parsed.headers
+            .map((header, index) => `<option value="${index}" ${selected === index ? 'selected' : ''}>${header}${sampleRow[index] ? ` (e.g. ${sampleRow[index]})` : ''}</option>`)
+            .join('');
+
+        const fieldRows = Object.entries(CsvImport.FIELDS).map(([field, definition]) => `
+            <tr>
+                <td>${definition.label}${definition.required ? ' *' : ''}</td>
+                <td>
+                    <select id="csvMap-${field}" class="table-select">
+                        <option value="">Not in file</option>
+                        ${columnOptions(mapping[field])}
+                    </select>
+                </td>
+                <td>
+                    ${field === 'fuelConsumption' ? `
+                        <select id="csvUnit" class="table-select">
+                            ${Object.entries(CsvImport.ENERGY_UNITS).map(([unit, info]) => `<option value="${unit}" ${options.unit === unit ? 'selected' : ''}>${info.label}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${field === 'fuelType' ? `
+                        <select id="csvFuelType" class="table-select" title="Fuel assumed for tonnes of fuel where the file has no fuel type">
+                            ${Object.entries(FUEL_CATALOG).map(([fuelType, fuel]) => `<option value="${fuelType}" ${options.fuelType === fuelType ? 'selected' : ''}>${fuel.name}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${field === 'pool' ? `
+                        <select id="csvDefaultPool" class="table-select" title="Pool for rows without one">
+                            ${(currentUser ? this.vesselManager.getAvailablePoolsForUser(currentUser) : this.poolManager.getAllPools())
+                                .map(pool => `<option value="${pool.name}" ${options.pool === pool.name ? 'selected' : ''}>${pool.name}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${field === 'owner' && isAdmin ? `
+                        <select id="csvDefaultOwner" class="table-select" title="Owner for rows without one">
+                            ${this.userManager.getAllUsers().map(user => `<option value="${user.id}" ${options.owner === user.id ? 'selected' : ''}>${user.name}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${field === 'owner' && !isAdmin ? '<small>Vessels you import are owned by you</small>' : ''}
+                </td>
+            </tr>
+        `).join('');
+
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Vessel Import: ${fileName}</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <p><strong>File:</strong> ${parsed.rows.length} data row(s), ${source}</p>
+                    <p>Choose the file column for each field. Your choices are remembered for the next import.</p>
+                    <div class="vessels-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Field</th>
+                                    <th>Column</th>
+                                    <th>Unit / Default</th>
+                                </tr>
+                            </thead>
+                            <tbody>${fieldRows}</tbody>
+                        </table>
+                    </div>
+                    <div class="fuel-mix-form">
+                        <button class="btn btn-primary btn-sm" onclick="dashboard.previewCsvImport()">Preview</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.downloadCSVTemplate()">Download Template</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.closeModal()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
 
-        result.push(current);
-        return result;
+        document.getElementById('vesselModal').style.display = 'block';
     }
 
-    // Validate individual vessel data
-    validateVesselData(vessel, rowNumber) {
-        // Check required fields
-        if (!vessel.name || vessel.name.length === 0) {
-            return { isValid: false, error: 'Vessel name is required' };
-        }
+    previewCsvImport() {
+        if (!this.pendingCsvImport) return;
 
-        if (!vessel.imo || !/^\d{7}$/.test(vessel.imo)) {
-            return { isValid: false, error: 'IMO number must be exactly 7 digits' };
-        }
+        const { parsed } = this.pendingCsvImport;
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
 
-        const validTypes = ['container', 'bulk', 'tanker', 'passenger', 'ro-ro', 'general'];
-        if (!vessel.type || !validTypes.includes(vessel.type)) {
-            return { isValid: false, error: `Vessel type must be one of: ${validTypes.join(', ')}` };
-        }
+        const mapping = {};
+        Object.keys(CsvImport.FIELDS).forEach(field => {
+            const value = document.getElementById(`csvMap-${field}`).value;
+            if (value !== '') {
+                mapping[field] = Number(value);
+            }
+        });
 
-        if (isNaN(vessel.fuelConsumption) || vessel.fuelConsumption <= 0) {
-            return { isValid: false, error: 'Fuel consumption must be a positive number' };
+        const missing = Object.entries(CsvImport.FIELDS)
+            .filter(([field, definition]) => definition.required && mapping[field] === undefined)
+            .map(([, definition]) => definition.label);
+        if (missing.length > 0) {
+            alert(`Please choose a column for: ${missing.join(', ')}`);
+            return;
         }
 
-        if (isNaN(vessel.ghgIntensity) || vessel.ghgIntensity <= 0) {
-            return { isValid: false, error: 'GHG intensity must be a positive number' };
-        }
+        const defaultOwner = document.getElementById('csvDefaultOwner');
+        const options = {
+            unit: document.getElementById('csvUnit').value,
+            fuelType: document.getElementById('csvFuelType').value,
+            pool: document.getElementById('csvDefaultPool').value,
+            owner: defaultOwner ? defaultOwner.value : currentUser.id,
+            year: this.currentYear,
+            currentUser
+        };
 
-        return { isValid: true };
+        this.importMappingManager.saveMapping(currentUser ? currentUser.id : null, 'vessels',
+            CsvImport.describeMapping(parsed.headers, mapping, options));
+
+        const result = this.csvImport.buildVessels(parsed, mapping, options);
+        this.pendingCsvImport = { ...this.pendingCsvImport, mapping, options, result };
+        this.showCsvPreview();
     }
 
-    // Show import summary and confirmation
-    showImportSummary(vessels, errors, duplicateIMOs) {
-        let summary = `Import Summary:\n\n`;
-        summary += `✅ Valid vessels ready to import: ${vessels.length}\n`;
+    showCsvPreview() {
+        const { fileName, result } = this.pendingCsvImport;
+        const { vessels, unchanged, errors } = result;
+        const updateCount = vessels.filter(entry => entry.vesselId !== null).length;
 
-        if (errors.length > 0) {
-            summary += `❌ Rows with errors: ${errors.length}\n`;
-        }
+        const vesselRows = vessels.slice(0, 50).map(({ rowNumber, vessel, vesselId, changes }) => `
+            <tr>
+                <td>${rowNumber}</td>
+                <td>${vesselId !== null ? `Update: ${changes.map(field => CsvImport.FIELDS[field].label).join(', ')}` : 'New'}</td>
+                <td>${vessel.name}</td>
+                <td>${vessel.imo}</td>
+                <td>${vessel.type}</td>
+                <td>${typeof vessel.fuelConsumption === 'number' ? vessel.fuelConsumption.toLocaleString() : 'Fuel mix'}</td>
+                <td>${typeof vessel.ghgIntensity === 'number' ? vessel.ghgIntensity.toFixed(2) : 'Fuel mix'}</td>
+                <td>${vessel.pool}</td>
+                <td>${this.getUserDisplayName(vessel.owner)}</td>
+            </tr>
+        `).join('');
 
-        if (duplicateIMOs.length > 0) {
-            summary += `⚠️ Duplicate IMOs skipped: ${duplicateIMOs.length}\n`;
-        }
+        document.getElementById('modalContent').innerHTML = `
+            <h2>Vessel Import Preview: ${fileName}</h2>
+            <div class="vessel-details">
+                <div class="detail-section">
+                    <div class="pool-stats">
+                        <div class="stat-card">
+                            <div class="stat-number">${vessels.length - updateCount}</div>
+                            <div class="stat-label">New Vessels</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${updateCount}</div>
+                            <div class="stat-label">Vessels To Update</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${unchanged.length}</div>
+                            <div class="stat-label">Unchanged</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number ${errors.length > 0 ? 'deficit-value' : ''}">${errors.length}</div>
+                            <div class="stat-label">Rows With Errors</div>
+                        </div>
+                    </div>
+                    ${errors.length > 0 ? `
+                        <p><strong>Rows with errors</strong> (not imported):</p>
+                        <ul>
+                            ${errors.slice(0, 20).map(entry => `<li>Line ${entry.rowNumber}: ${entry.errors.join('; ')}</li>`).join('')}
+                            ${errors.length > 20 ? `<li>... and ${errors.length - 20} more in the error report</li>` : ''}
+                        </ul>
+                    ` : ''}
+                    ${vessels.length > 0 ? `
+                        <div class="vessels-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Line</th>
+                                        <th>Action</th>
+                                        <th>Name</th>
+                                        <th>IMO</th>
+                                        <th>Type</th>
+                                        <th>Energy (MJ)</th>
+                                        <th>GHG Intensity</th>
+                                        <th>Pool</th>
+                                        <th>Owner</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${vesselRows}</tbody>
+                            </table>
+                        </div>
+                        ${vessels.length > 50 ? `<p><small>Showing the first 50 of ${vessels.length} vessels.</small></p>` : ''}
+                    ` : ''}
+                    <div class="fuel-mix-form">
+                        ${vessels.length > 0 ? `<button class="btn btn-primary btn-sm" onclick="dashboard.applyCsvImport()">Import ${vessels.length} Vessel(s)</button>` : ''}
+                        ${errors.length > 0 ? '<button class="btn btn-secondary btn-sm" onclick="dashboard.downloadCsvErrorReport()">Download Error Report</button>' : ''}
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.showCsvMapping()">Back to Mapping</button>
+                        <button class="btn btn-secondary btn-sm" onclick="dashboard.closeModal()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
 
-        if (errors.length > 0 || duplicateIMOs.length > 0) {
-            summary += `\nErrors:\n${[...errors, ...duplicateIMOs].join('\n')}`;
-        }
+    downloadCsvErrorReport() {
+        if (!this.pendingCsvImport || !this.pendingCsvImport.result) return;
 
-        if (vessels.length === 0) {
-            alert('No valid vessels to import. Please check your CSV file and try again.');
-            return;
-        }
+        const { fileName, parsed, result } = this.pendingCsvImport;
+        const report = CsvImport.buildErrorReport(parsed.headers, result.errors);
+
+        // BOM so spreadsheet programs open the report as UTF-8
+        const blob = new Blob(['\uFEFF' + report], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
 
-        summary += `\n\nDo you want to proceed with importing ${vessels.length} vessel(s)?`;
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName.replace(/\.[^.]*$/, '')}-errors.csv`;
+        link.style.visibility = 'hidden';
 
-        if (confirm(summary)) {
-            this.importValidVessels(vessels);
-        }
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
     }
 
-    // Import validated vessels into the system
-    importValidVessels(vessels) {
+    applyCsvImport() {
+        if (!this.pendingCsvImport || !this.pendingCsvImport.result) return;
+
+        const { result } = this.pendingCsvImport;
+        const currentUser = this.authManager ? this.userManager.getUser(this.authManager.currentUser) : null;
         let importedCount = 0;
-        const currentPool = this.getCurrentPool();
 
-        vessels.forEach(vesselData => {
+        // Rows matching an existing vessel go through the edit path, so a pool change is a membership change for the year
+        result.vessels.forEach(({ rowNumber, vessel, vesselId, updates }) => {
             try {
-                // Convert to the format expected by vesselManager
-                const vessel = {
-                    name: vesselData.name,
-                    imo: vesselData.imo,
-                    type: vesselData.type,
-                    energy: vesselData.fuelConsumption, // Assuming energy = fuel consumption
-                    ghgIntensity: vesselData.ghgIntensity,
-                    poolId: currentPool.id,
-                    ownerId: this.authManager.currentUser?.id || 'admin'
-                };
-
-                this.vesselManager.addVessel(vessel);
+                if (vesselId !== null) {
+                    this.saveVesselEdits(vesselId, updates, currentUser);
+                } else {
+                    this.vesselManager.addVessel({ ...vessel }, currentUser);
+                }
                 importedCount++;
-
             } catch (error) {
-                console.error(`Failed to import vessel ${vesselData.name}:`, error);
+                const values = this.pendingCsvImport.parsed.rows.find(row => row.rowNumber === rowNumber).values;
+                result.errors.push({ rowNumber, values, errors: [error.message] });
             }
         });
 
-        // Refresh the display
-        this.updateVesselFleet();
+        const failed = result.vessels.length - importedCount;
+        result.vessels = [];
+        this.updateDisplay();
+
+        if (failed > 0) {
+            // Keep the preview open so the error report covers the vessels that failed to import
+            this.showCsvPreview();
+            this.showNotification(`Imported ${importedCount} vessel(s); ${failed} could not be saved`, 'error');
+            return;
+        }
 
-        // Show success message
+        this.pendingCsvImport = null;
+        this.closeModal();
         this.showNotification(`Successfully imported ${importedCount} vessel(s)`, 'success');
     }
 
-    // Add this method to download CSV template
+    // Template for the vessel CSV import; the "#" comment lines are skipped on import
     downloadCSVTemplate() {
-        const csvTemplate = `vessel_name,imo,type,fuel_consumption,ghg_intensity
-"MV Ocean Star",1234567,container,85000,75.5
-"Bulk Carrier Alpha",2345678,bulk,92000,82.3
-"Tanker Beta",3456789,tanker,78000,71.2
-"Passenger Ferry",4567890,passenger,45000,68.9
-"RoRo Gamma",5678901,ro-ro,55000,74.1
-
-# Instructions:
-# vessel_name: Name of the vessel (use quotes if contains commas)
+        const csvTemplate = `# Instructions:
+# vessel_name: Name of the vessel (use quotes if it contains commas)
 # imo: 7-digit IMO number (must be unique)
 # type: container, bulk, tanker, passenger, ro-ro, or general
-# fuel_consumption: Annual fuel consumption in MJ (positive number)
-# ghg_intensity: GHG intensity in gCO2e/MJ (positive number)`;
+# fuel_consumption: Annual energy used in MJ (or GJ / tonnes of fuel, chosen at import)
+# ghg_intensity: GHG intensity in gCO2e/MJ (positive number)
+# pool, owner: optional; rows without them use the pool and owner chosen at import
+vessel_name,imo,type,fuel_consumption,ghg_intensity,pool,owner
+"MV Ocean Star",1234567,container,85000,75.5,,
+"Bulk Carrier Alpha",2345678,bulk,92000,82.3,,
+"Tanker Beta",3456789,tanker,78000,71.2,,
+"Passenger Ferry",4567890,passenger,45000,68.9,,
+"RoRo Gamma",5678901,ro-ro,55000,74.1,,`;
 
         const blob = new Blob([csvTemplate], { type: 'text/csv;charset=utf-8;' });
         const url = URL.createObjectURL(blob);
@@ -3656,48 +7308,48 @@ export default class Dashboard {
         this.showNotification('CSV template downloaded successfully', 'success');
     }
 
-    // NEW: Toggle pool read-only status
-    togglePoolReadOnly(poolName) {
+    // Move a pool to another lifecycle status
+    transitionPool(poolName, toStatus) {
+        if (!toStatus) return;
+
         const currentUser = this.userManager.getUser(this.authManager.currentUser);
-        if (!this.permissions.canSetPoolReadOnly(currentUser)) {
-            alert('You do not have permission to change pool read-only status.');
+        if (!this.permissions.canTransitionPool(currentUser, poolName, toStatus, this.poolManager)) {
+            alert('You do not have permission to change this pool\'s status.');
+            this.displayPoolManagement();
             return;
         }
 
-        const pool = this.poolManager.getPool(poolName);
-        if (!pool) {
-            alert('Pool not found.');
+        const fromInfo = this.poolManager.getStatusInfo(poolName);
+        const toInfo = PoolManager.LIFECYCLE_STATES[toStatus];
+        const effects = [
+            toInfo.membershipOpen ? 'Vessels can join and leave the pool.' : 'Vessels can no longer join or leave the pool.',
+            toInfo.dataEditable ? 'Vessel data can be edited.' : 'Vessel data can no longer be edited.'
+        ];
+
+        if (!confirm(`Move pool "${poolName}" from ${fromInfo.label} to ${toInfo.label}?\n\n${effects.join('\n')}`)) {
+            this.displayPoolManagement();
             return;
         }
 
-        const currentStatus = pool.readOnly || false;
-        const newStatus = !currentStatus;
-        const action = newStatus ? 'read-only' : 'writable';
-
-        if (confirm(`Are you sure you want to make pool "${poolName}" ${action}?${newStatus ? '\n\nUsers will not be able to add, edit, or delete vessels in this pool.' : '\n\nUsers will regain full access to modify vessels in this pool.'}`)) {
-            try {
-                this.poolManager.setPoolReadOnly(poolName, newStatus);
-                this.displayPoolManagement();
+        try {
+            this.poolManager.transitionPool(poolName, toStatus, currentUser.id);
+            this.displayPoolManagement();
 
-                // Refresh pool tabs to show read-only indicators
-                setTimeout(() => {
-                    this.generatePoolTabs();
+            // Refresh pool tabs to show the new status
+            setTimeout(() => {
+                this.generatePoolTabs();
 
-                    // FIXED: Ensure admin-only elements remain visible after tab regeneration
-                    this.updateInterfaceForUser();
+                // FIXED: Ensure admin-only elements remain visible after tab regeneration
+                this.updateInterfaceForUser();
 
-                    // Additional fix: Force visibility of admin elements
-                    this.ensureAdminElementsVisible();
+                // Additional fix: Force visibility of admin elements
+                this.ensureAdminElementsVisible();
 
-                }, 100);
+            }, 100);
 
-                this.showNotification(
-                    `Pool "${poolName}" is now ${action}!`,
-                    'success'
-                );
-            } catch (error) {
-                alert(`Error changing pool status: ${error.message}`);
-            }
+            this.showNotification(`Pool "${poolName}" is now ${toInfo.label.toLowerCase()}!`, 'success');
+        } catch (error) {
+            alert(`Error changing pool status: ${error.message}`);
         }
     }
 
@@ -3765,9 +7417,9 @@ export default class Dashboard {
         console.log('Current User:', currentUser);
         console.log('Vessel:', vessel);
         console.log('Is Admin:', currentUser?.role === 'admin');
-        console.log('Pool Read-Only:', this.poolManager.isPoolReadOnly(vessel?.pool));
+        console.log('Pool Status:', this.poolManager.getPoolStatus(vessel?.pool));
         console.log('Can Delete (general):', this.permissions.canDeleteVessel(currentUser));
-        console.log('Can Delete In Pool:', this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager));
+        console.log('Can Delete In Pool:', this.permissions.canDeleteVesselInPool(currentUser, vessel, this.poolManager, this.currentYear));
         console.log('Vessel Owner:', vessel?.owner);
         console.log('User ID:', currentUser?.id);
         console.log('Owns Vessel:', vessel?.owner === currentUser?.id);
@@ -3812,7 +7464,7 @@ export default class Dashboard {
         const allPools = this.poolManager.getAllPools();
         console.log('All pools from PoolManager:');
         allPools.forEach(pool => {
-            console.log(`- ${pool.name}: readOnly = ${pool.readOnly}, lastUpdated = ${pool.lastUpdated}`);
+            console.log(`- ${pool.name}: status = ${pool.status}, lastUpdated = ${pool.lastUpdated}`);
         });
 
         // Check localStorage directly
@@ -3823,7 +7475,7 @@ export default class Dashboard {
             const parsedPools = JSON.parse(storedPools);
             console.log('Parsed localStorage pools:');
             Object.values(parsedPools).forEach(pool => {
-                console.log(`- ${pool.name}: readOnly = ${pool.readOnly}`);
+                console.log(`- ${pool.name}: status = ${pool.status}`);
             });
         }
 
@@ -3844,11 +7496,11 @@ export default class Dashboard {
             console.log('VesselManager pools count:', vesselManagerPools.length);
 
             dashboardPools.forEach(pool => {
-                console.log(`Dashboard - ${pool.name}: readOnly = ${pool.readOnly}`);
+                console.log(`Dashboard - ${pool.name}: status = ${pool.status}`);
             });
 
             vesselManagerPools.forEach(pool => {
-                console.log(`VesselManager - ${pool.name}: readOnly = ${pool.readOnly}`);
+                console.log(`VesselManager - ${pool.name}: status = ${pool.status}`);
             });
         }
         console.log('=== END MANAGER DEBUG ===');
@@ -3863,7 +7515,7 @@ export default class Dashboard {
 
         // Step 2: Lock a pool
         console.log('Step 2: Locking Pool A');
-        this.poolManager.setPoolReadOnly('Pool A', true);
+        this.poolManager.transitionPool('Pool A', 'locked');
         this.debugPoolStatus();
 
         // Step 3: Check if VesselManager sees the same data
@@ -0,0 +1,162 @@
+// FuelEU Maritime default fuel properties (Annex II)
+// lcv: lower calorific value (MJ/g)
+// wtt: well-to-tank emission factor (gCO2e/MJ)
+// cfCO2 / cfCH4 / cfN2O: tank-to-wake emission factors (g gas / g fuel)
+// Bio and RFNBO pathways use typical default values - replace them with the
+// values from the fuel's proof of sustainability where available.
+// Fuels with methaneSlip lose part of the fuel unburnt in the consumer; when no
+// consumer is entered, defaultConsumer is assumed.
+
+// Global warming potentials over 100 years used by the regulation
+export const GWP100 = {
+    CO2: 1,
+    CH4: 25,
+    N2O: 298
+};
+
+export const FUEL_CATALOG = {
+    HFO: {
+        name: 'Heavy Fuel Oil (HFO)',
+        category: 'fossil',
+        lcv: 0.0405,
+        wtt: 13.5,
+        cfCO2: 3.114,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    VLSFO: {
+        name: 'Very Low Sulphur Fuel Oil (VLSFO)',
+        category: 'fossil',
+        lcv: 0.041,
+        wtt: 13.2,
+        cfCO2: 3.151,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    MGO: {
+        name: 'Marine Gas Oil (MGO/MDO)',
+        category: 'fossil',
+        lcv: 0.0427,
+        wtt: 14.4,
+        cfCO2: 3.206,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    LNG: {
+        name: 'Liquefied Natural Gas (LNG)',
+        category: 'fossil',
+        lcv: 0.0491,
+        wtt: 18.5,
+        cfCO2: 2.750,
+        cfCH4: 0,
+        cfN2O: 0.00011,
+        methaneSlip: true,
+        defaultConsumer: 'LNG_OTTO_MS'
+    },
+    LPG: {
+        name: 'Liquefied Petroleum Gas (LPG)',
+        category: 'fossil',
+        lcv: 0.046,
+        wtt: 7.8,
+        cfCO2: 3.000,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    METHANOL: {
+        name: 'Methanol (natural gas)',
+        category: 'fossil',
+        lcv: 0.0199,
+        wtt: 31.3,
+        cfCO2: 1.375,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    BIO_DIESEL: {
+        name: 'Biodiesel (FAME/HVO)',
+        category: 'biofuel',
+        lcv: 0.0372,
+        wtt: 20.8,
+        cfCO2: 0,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    BIO_LNG: {
+        name: 'Bio-LNG',
+        category: 'biofuel',
+        lcv: 0.05,
+        wtt: 15.0,
+        cfCO2: 0,
+        cfCH4: 0,
+        cfN2O: 0.00011,
+        methaneSlip: true,
+        defaultConsumer: 'LNG_OTTO_MS'
+    },
+    BIO_METHANOL: {
+        name: 'Bio-methanol',
+        category: 'biofuel',
+        lcv: 0.0199,
+        wtt: 17.0,
+        cfCO2: 0,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    E_METHANOL: {
+        name: 'e-Methanol',
+        category: 'rfnbo',
+        lcv: 0.0199,
+        wtt: 10.0,
+        cfCO2: 0,
+        cfCH4: 0.00005,
+        cfN2O: 0.00018
+    },
+    E_AMMONIA: {
+        name: 'e-Ammonia',
+        category: 'rfnbo',
+        lcv: 0.0186,
+        wtt: 5.0,
+        cfCO2: 0,
+        cfCH4: 0,
+        cfN2O: 0
+    },
+    E_HYDROGEN: {
+        name: 'e-Hydrogen',
+        category: 'rfnbo',
+        lcv: 0.12,
+        wtt: 3.6,
+        cfCO2: 0,
+        cfCH4: 0,
+        cfN2O: 0
+    }
+};
+
+// Engine / fuel consumer classes with the default methane slip (% of fuel mass)
+export const FUEL_CONSUMERS = {
+    LNG_OTTO_MS: {
+        name: 'LNG Otto (dual fuel medium speed)',
+        slip: 3.1
+    },
+    LNG_OTTO_SS: {
+        name: 'LNG Otto (dual fuel slow speed)',
+        slip: 1.7
+    },
+    LNG_DIESEL: {
+        name: 'LNG Diesel (dual fuel slow speed)',
+        slip: 0.2
+    },
+    LBSI: {
+        name: 'Lean-burn spark-ignited (LBSI)',
+        slip: 2.6
+    },
+    BOILER: {
+        name: 'Steam turbines and boilers',
+        slip: 0.01
+    }
+};
+
+export function getFuelDefaults(fuelType) {
+    return FUEL_CATALOG[fuelType] || null;
+}
+
+export function getFuelTypes() {
+    return Object.keys(FUEL_CATALOG);
+}
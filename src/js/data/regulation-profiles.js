@@ -0,0 +1,79 @@
+// Built-in regulation profiles
+// reductionTrajectory: reduction vs. the reference intensity, applying from the given year
+// until the next step. Admin edits are stored as new versions by RegulationManager.
+
+const REGULATION_PROFILES = [
+    {
+        version: 1,
+        name: 'FuelEU Maritime - Regulation (EU) 2023/1805',
+        effectiveFrom: '2025-01-01',
+        builtIn: true,
+
+        // FuelEU Maritime baseline GHG intensity (gCO2e/MJ)
+        referenceGHGIntensity: 91.16,
+
+        reductionTrajectory: {
+            2025: 0.02,
+            2030: 0.06,
+            2035: 0.145,
+            2040: 0.31,
+            2045: 0.62,
+            2050: 0.80
+        },
+        lastYear: 2050,
+
+        // Penalty = |CB| / (GHG intensity x VLSFO energy content) x EUR per tonne VLSFO-equivalent,
+        // increased by the escalation rate for each further consecutive period with a penalty
+        penaltyEurPerTonneVlsfo: 2400,
+        vlsfoEnergyPerTonne: 41000, // MJ per tonne VLSFO
+        penaltyEscalationRate: 0.10,
+
+        // Share of the energy-based limit (target intensity x energy used). Surplus banking
+        // is not capped; advances are capped at 2% and repaid with a 1.1 multiplier next period
+        bankingLimit: 1,
+        borrowingLimit: 0.02,
+        borrowingRepaymentMultiplier: 1.1,
+
+        // Share of energy counted on voyages into or out of the EU; Member States may
+        // exempt voyages to their outermost regions until the given year
+        extraEUEnergyShare: 0.5,
+        outermostExemptionLastYear: 2029,
+
+        // RFNBO energy counts with the reward factor in the intensity until the given year.
+        // The RFNBO sub-target (share of energy used) applies from rfnboSubTargetFromYear, with
+        // its shortfall penalised per tonne VLSFO-equivalent of missing RFNBO energy
+        rfnboRewardFactor: 2,
+        rfnboRewardLastYear: 2033,
+        rfnboSubTarget: 0.02,
+        rfnboSubTargetFromYear: 2034,
+        rfnboPenaltyEurPerTonneVlsfo: 2400,
+
+        // Wind-assisted propulsion reward: factor applied to the GHG intensity from the given
+        // ratio of wind propulsion power to main engine power (the highest step reached applies)
+        windRewardFactors: {
+            0.05: 0.99,
+            0.1: 0.97,
+            0.15: 0.95
+        },
+
+        // Zero-emission at-berth obligation (OPS) at TEN-T ports for the given ship types.
+        // Stays shorter than opsMinBerthHours are exempt; each non-compliant call is penalised
+        // per kWh of electrical power demand at berth over the time at berth
+        opsFromYear: 2030,
+        opsVesselTypes: ['container', 'passenger'],
+        opsMinBerthHours: 2,
+        opsPenaltyEurPerKWh: 1.5,
+
+        // EU ETS: share of the in-scope tank-to-wake emissions to surrender allowances for,
+        // applying from the given year until the next step. CH4 and N2O are covered from
+        // etsNonCO2FromYear, CO2 only before
+        etsPhaseIn: {
+            2024: 0.4,
+            2025: 0.7,
+            2026: 1
+        },
+        etsNonCO2FromYear: 2026
+    }
+];
+
+export default REGULATION_PROFILES;
@@ -0,0 +1,158 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+import ScenarioSimulator from './scenario-simulator.js';
+
+// Reported-data fields a projected vessel does not carry into future years
+const DROPPED_FIELDS = ['yearlyData', 'voyages', 'portCalls', 'bunkerDeliveries', 'fuelSource', 'dataYear'];
+
+export default class FleetProjection {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.simulator = new ScenarioSimulator(calculator);
+    }
+
+    // Fuel entries with their mass scaled, so the mix keeps its intensity at a new energy figure
+    static scaleFuels(fuels, factor) {
+        return fuels.map(fuel => ({ ...fuel, mass: Number((fuel.mass * factor).toFixed(3)) }));
+    }
+
+    static getFuelsEnergy(fuels) {
+        return fuels.reduce((sum, fuel) => {
+            const lcv = typeof fuel.lcv === 'number' ? fuel.lcv : FUEL_CATALOG[fuel.fuelType].lcv;
+            return sum + fuel.mass * 1000000 * lcv;
+        }, 0);
+    }
+
+    /**
+     * Starting record of a vessel for the projection: its in-scope energy and fuel mix
+     * in the base year, as a plain record with a projection id so no ledger or penalty
+     * history applies. OPS port calls are not projected.
+     */
+    getBaseRecord(vessel, baseYear) {
+        const data = this.calculator.resolveVesselYear(vessel, baseYear);
+        const inputs = this.calculator.resolveVesselInputs(data, baseYear);
+        const fuels = this.simulator.getFuelMix(vessel, baseYear);
+        const fuelsEnergy = FleetProjection.getFuelsEnergy(fuels);
+
+        const record = { ...data, id: `projection-${vessel.id}`, vesselId: vessel.id, ghgIntensity: null };
+        DROPPED_FIELDS.forEach(field => delete record[field]);
+        record.fuels = fuelsEnergy > 0 ? FleetProjection.scaleFuels(fuels, inputs.energy / fuelsEnergy) : fuels;
+        record.fuelConsumption = inputs.energy;
+        return record;
+    }
+
+    // Starting record of a newbuild from its delivery year
+    getDeliveryRecord(newbuild) {
+        const record = {
+            id: newbuild.id,
+            vesselId: newbuild.id,
+            name: newbuild.name,
+            type: newbuild.type,
+            owner: newbuild.owner,
+            pool: newbuild.pool,
+            newbuild: true,
+            fuelConsumption: newbuild.fuelConsumption
+        };
+
+        if (newbuild.fuelType) {
+            const lcv = FUEL_CATALOG[newbuild.fuelType].lcv;
+            record.fuels = [{ fuelType: newbuild.fuelType, mass: Number((newbuild.fuelConsumption / (lcv * 1000000)).toFixed(3)) }];
+        } else {
+            record.ghgIntensity = newbuild.ghgIntensity;
+        }
+        return record;
+    }
+
+    /**
+     * Vessel record for a projection year with the planned changes dated up to that
+     * year applied in date order, or null once the vessel is scrapped
+     */
+    applyChanges(record, changes, year) {
+        let projected = record;
+
+        for (const change of changes.filter(entry => entry.year <= year)) {
+            if (change.type === 'scrap') {
+                return null;
+            }
+
+            if (change.type === 'fuel-switch') {
+                projected = this.simulator.blendFuel(projected, year, change.fuelType, change.share / 100);
+            } else {
+                // Energy saving from the retrofit year, or compounded each year from the start year
+                const factor = change.type === 'retrofit'
+                    ? 1 - change.energySaving / 100
+                    : Math.pow(1 - change.annualImprovement / 100, year - change.year + 1);
+
+                projected = {
+                    ...projected,
+                    fuelConsumption: projected.fuelConsumption * factor,
+                    fuels: projected.fuels ? FleetProjection.scaleFuels(projected.fuels, factor) : projected.fuels
+                };
+            }
+        }
+
+        return projected;
+    }
+
+    /**
+     * Pool projection from the base year to the last year of the regulation profile.
+     * Pool membership is taken as of the base year; newbuilds join from their delivery
+     * year. The pool penalty escalates over consecutive projected deficit years.
+     * getChanges(vesselId) returns the planned changes of a vessel or newbuild.
+     */
+    project(vessels, deliveries, getChanges, baseYear, endYear = this.calculator.regulationProfile.lastYear) {
+        const baseRecords = vessels.map(vessel => this.getBaseRecord(vessel, baseYear));
+        const rows = [];
+        let consecutiveDeficits = 0;
+        let cumulativePenalty = 0;
+
+        for (let year = baseYear; year <= endYear; year++) {
+            if (this.calculator.complianceTargets[year] === undefined) continue;
+
+            const records = [
+                ...baseRecords.map(record => this.applyChanges(record, getChanges(record.vesselId), year)),
+                ...deliveries
+                    .filter(newbuild => newbuild.deliveryYear <= year)
+                    .map(newbuild => this.applyChanges(this.getDeliveryRecord(newbuild), getChanges(newbuild.id), year))
+            ].filter(record => record !== null);
+
+            const compliance = this.calculator.calculatePoolCompliance(records, year);
+            const summary = compliance.summary;
+
+            const penalty = this.calculator.penaltyEngine.calculatePenalty(summary.poolComplianceBalance, summary.poolAverageIntensity, consecutiveDeficits);
+            consecutiveDeficits = penalty.penalty > 0 ? consecutiveDeficits + 1 : 0;
+            cumulativePenalty += penalty.penalty;
+
+            rows.push({
+                year,
+                vessels: records.length,
+                newbuilds: records.filter(record => record.newbuild).length,
+                energy: summary.totalEnergyConsumption,
+                reductionTarget: summary.reductionTarget,
+                poolAverageIntensity: records.length > 0 ? summary.poolAverageIntensity : null,
+                poolTargetIntensity: summary.poolTargetIntensity,
+                poolComplianceBalance: summary.poolComplianceBalance,
+                surplus: Number(Math.max(0, summary.poolComplianceBalance).toFixed(2)),
+                deficit: Number(Math.max(0, -summary.poolComplianceBalance).toFixed(2)),
+                escalationFactor: penalty.escalationFactor,
+                penalty: penalty.penalty,
+                cumulativePenalty: Number(cumulativePenalty.toFixed(2)),
+                vesselResults: compliance.vessels.map(result => ({
+                    vesselId: result.vesselId,
+                    name: result.name,
+                    newbuild: !!result.newbuild,
+                    energy: result.fuelConsumption,
+                    ghgIntensity: result.ghgIntensity,
+                    complianceBalance: result.complianceBalance
+                }))
+            });
+        }
+
+        return {
+            baseYear,
+            endYear,
+            rows,
+            cumulativePenalty: Number(cumulativePenalty.toFixed(2)),
+            firstDeficitYear: (rows.find(row => row.deficit > 0) || { year: null }).year
+        };
+    }
+}
@@ -0,0 +1,139 @@
+import FleetProjection from './fleet-projection.js';
+
+export default class MonteCarloSimulator {
+    static DEFAULT_ITERATIONS = 2000;
+    static MAX_ITERATIONS = 20000;
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    // Draw from a triangular distribution; random() returns a number in [0, 1)
+    static sampleTriangular(min, mode, max, random = Math.random) {
+        if (max <= min) {
+            return min;
+        }
+
+        const u = random();
+        const split = (mode - min) / (max - min);
+        return u < split
+            ? min + Math.sqrt(u * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    // Value below which the given share of the sorted values falls (linear interpolation)
+    static percentile(sorted, share) {
+        if (sorted.length === 0) {
+            return 0;
+        }
+
+        const position = (sorted.length - 1) * share;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    static summarize(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        return {
+            mean: Number(mean.toFixed(2)),
+            p10: Number(MonteCarloSimulator.percentile(sorted, 0.1).toFixed(2)),
+            p50: Number(MonteCarloSimulator.percentile(sorted, 0.5).toFixed(2)),
+            p90: Number(MonteCarloSimulator.percentile(sorted, 0.9).toFixed(2))
+        };
+    }
+
+    /**
+     * Sampling inputs of a vessel for the year, or null when its figures are fixed:
+     * no ranges recorded, or the year's record is verified. The most likely values
+     * are the vessel's current energy and (pre-wind-reward) intensity, kept within
+     * the range.
+     */
+    getSamplingInputs(vessel, year) {
+        const data = this.calculator.resolveVesselYear(vessel, year);
+        const uncertainty = data.uncertainty;
+        if (!uncertainty || (!uncertainty.energy && !uncertainty.intensity) || data.verificationStatus === 'verified') {
+            return null;
+        }
+
+        const inputs = this.calculator.resolveVesselInputs(data, year);
+        const toRange = (range, value) => range
+            ? { min: range.min, mode: Math.min(range.max, Math.max(range.min, value)), max: range.max }
+            : { min: value, mode: value, max: value };
+
+        const record = { ...data };
+        delete record.yearlyData;
+        delete record.voyages;
+        delete record.dataYear;
+
+        return {
+            record,
+            fuelsEnergy: inputs.fuelMix ? FleetProjection.getFuelsEnergy(data.fuels) : 0,
+            energy: toRange(uncertainty.energy, inputs.energy),
+            intensity: toRange(uncertainty.intensity, inputs.unrewardedIntensity)
+        };
+    }
+
+    // Vessel record with a sampled in-scope energy and intensity; a fuel mix is scaled to the energy
+    static sampleVessel(inputs, random) {
+        const energy = MonteCarloSimulator.sampleTriangular(inputs.energy.min, inputs.energy.mode, inputs.energy.max, random);
+        const ghgIntensity = MonteCarloSimulator.sampleTriangular(inputs.intensity.min, inputs.intensity.mode, inputs.intensity.max, random);
+
+        return {
+            ...inputs.record,
+            fuelConsumption: energy,
+            ghgIntensity,
+            fuels: inputs.fuelsEnergy > 0 ? FleetProjection.scaleFuels(inputs.record.fuels, energy / inputs.fuelsEnergy) : inputs.record.fuels
+        };
+    }
+
+    /**
+     * Run the pool compliance calculation with the energy and intensity of every
+     * vessel with uncertainty ranges drawn from triangular (min / most likely / max)
+     * distributions. Returns the probability that the pool ends compliant and the
+     * distribution of the pool balance, deficit and pooled penalty.
+     */
+    simulate(vessels, year, iterations = MonteCarloSimulator.DEFAULT_ITERATIONS, random = Math.random) {
+        if (!(Number.isInteger(iterations) && iterations > 0 && iterations <= MonteCarloSimulator.MAX_ITERATIONS)) {
+            throw new Error(`Iterations must be a whole number between 1 and ${MonteCarloSimulator.MAX_ITERATIONS}`);
+        }
+
+        const samplingInputs = vessels.map(vessel => this.getSamplingInputs(vessel, year));
+        const deterministic = this.calculator.calculatePoolCompliance(vessels, year).summary;
+
+        const balances = [];
+        const deficits = [];
+        const penalties = [];
+        let compliantRuns = 0;
+
+        for (let run = 0; run < iterations; run++) {
+            const sampled = vessels.map((vessel, index) =>
+                samplingInputs[index] ? MonteCarloSimulator.sampleVessel(samplingInputs[index], random) : vessel);
+            const summary = this.calculator.calculatePoolCompliance(sampled, year).summary;
+
+            balances.push(summary.poolComplianceBalance);
+            deficits.push(Math.max(0, -summary.poolComplianceBalance));
+            penalties.push(summary.poolPotentialPenalty);
+            if (summary.poolCompliant) {
+                compliantRuns++;
+            }
+        }
+
+        return {
+            year,
+            iterations,
+            uncertainVessels: samplingInputs.filter(inputs => inputs !== null).length,
+            totalVessels: vessels.length,
+            probabilityCompliant: Number(((compliantRuns / iterations) * 100).toFixed(1)),
+            deterministic: {
+                balance: deterministic.poolComplianceBalance,
+                penalty: deterministic.poolPotentialPenalty
+            },
+            balance: MonteCarloSimulator.summarize(balances),
+            deficit: MonteCarloSimulator.summarize(deficits),
+            penalty: MonteCarloSimulator.summarize(penalties)
+        };
+    }
+}
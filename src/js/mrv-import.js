@@ -0,0 +1,303 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+import VesselManager from './vessel-management.js';
+import CsvImport from './csv-import.js';
+
+// EU MRV annual emissions report export, one row per ship, reporting period, fuel
+// type and voyage category, e.g.
+//   IMO Number,Name,Ship Type,Reporting Period,Fuel Type,Voyage Category,Fuel Consumption [m tonnes],CO2 Emissions [m tonnes],Number of Voyages
+// Rows are combined per ship and period into a vessel-year record: a fuel mix in
+// tonnes, and one aggregate voyage per MRV category so the FuelEU scope applies.
+// Fuel on rows without a category counts in the fuel mix but not in the scope.
+export default class MrvImport {
+    static HEADERS = {
+        imo: ['imo number', 'imo', 'imo_number'],
+        name: ['name', 'ship name', 'vessel name'],
+        shipType: ['ship type', 'vessel type', 'type'],
+        year: ['reporting period', 'reporting year', 'year'],
+        fuelType: ['fuel type', 'fuel'],
+        category: ['voyage category', 'category', 'emission source'],
+        mass: ['fuel consumption [m tonnes]', 'fuel consumption (t)', 'fuel consumption', 'tonnes'],
+        co2: ['co2 emissions [m tonnes]', 'co2 emissions (t)', 'co2 emissions', 'co2'],
+        voyages: ['number of voyages', 'voyages']
+    };
+
+    static REQUIRED_HEADERS = ['imo', 'name', 'shipType', 'year', 'fuelType', 'mass'];
+
+    // MRV fuel names onto catalog fuels; catalog keys and names are accepted as well
+    static FUEL_ALIASES = {
+        'hfo': 'HFO',
+        'heavy fuel oil': 'HFO',
+        'lfo': 'VLSFO',
+        'light fuel oil': 'VLSFO',
+        'mdo': 'MGO',
+        'mgo': 'MGO',
+        'mdo/mgo': 'MGO',
+        'diesel/gas oil': 'MGO',
+        'lng': 'LNG',
+        'lpg': 'LPG',
+        'lpg (propane)': 'LPG',
+        'lpg (butane)': 'LPG',
+        'methanol': 'METHANOL'
+    };
+
+    // MRV voyage categories as aggregate voyages between port types
+    static CATEGORIES = {
+        'intra-eu': { label: 'Voyages between EU ports', departureType: 'eu', arrivalType: 'eu' },
+        'departing': { label: 'Voyages departing from EU ports', departureType: 'eu', arrivalType: 'non-eu' },
+        'arriving': { label: 'Voyages to EU ports', departureType: 'non-eu', arrivalType: 'eu' },
+        'at-berth': { label: 'At berth in EU ports', departureType: 'eu', arrivalType: 'eu' }
+    };
+
+    static CATEGORY_ALIASES = {
+        'intra-eu': 'intra-eu',
+        'between ms ports': 'intra-eu',
+        'voyages between ports under a ms jurisdiction': 'intra-eu',
+        'departing': 'departing',
+        'outgoing': 'departing',
+        'departed from ms ports': 'departing',
+        'arriving': 'arriving',
+        'incoming': 'arriving',
+        'to ms ports': 'arriving',
+        'at-berth': 'at-berth',
+        'at berth': 'at-berth',
+        'in port': 'at-berth',
+        'within ms ports at berth': 'at-berth'
+    };
+
+    // MRV ship types onto the vessel types used here, first keyword match wins
+    static SHIP_TYPES = [
+        ['ro-pax', 'passenger'],
+        ['passenger', 'passenger'],
+        ['cruise', 'passenger'],
+        ['container', 'container'],
+        ['ro-ro', 'ro-ro'],
+        ['vehicle', 'ro-ro'],
+        ['bulk', 'bulk'],
+        ['tanker', 'tanker'],
+        ['gas carrier', 'tanker'],
+        ['lng carrier', 'tanker']
+    ];
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    static resolveFuelType(value) {
+        const key = String(value || '').trim().toLowerCase();
+        if (MrvImport.FUEL_ALIASES[key]) {
+            return MrvImport.FUEL_ALIASES[key];
+        }
+
+        return Object.keys(FUEL_CATALOG).find(fuelType =>
+            fuelType.toLowerCase() === key || FUEL_CATALOG[fuelType].name.toLowerCase() === key) || null;
+    }
+
+    static resolveShipType(value) {
+        const key = String(value || '').trim().toLowerCase();
+        if (VesselManager.getValidVesselTypes().includes(key)) {
+            return key;
+        }
+
+        const match = MrvImport.SHIP_TYPES.find(([keyword]) => key.includes(keyword));
+        return match ? match[1] : 'general';
+    }
+
+    /**
+     * Parse the export into one report per ship and reporting period. Rows with
+     * errors are skipped and listed in errors.
+     */
+    parse(text) {
+        const parsed = CsvImport.parse(text);
+        if (parsed.rows.length === 0) {
+            throw new Error('MRV file must contain a header row and at least one data row');
+        }
+
+        const delimiter = parsed.delimiter;
+        const headers = parsed.headers.map(header => header.toLowerCase());
+
+        const columns = {};
+        Object.entries(MrvImport.HEADERS).forEach(([field, aliases]) => {
+            const index = headers.findIndex(header => aliases.includes(header));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        });
+
+        const missing = MrvImport.REQUIRED_HEADERS.filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required columns: ${missing.map(field => MrvImport.HEADERS[field][0]).join(', ')}`);
+        }
+
+        const reports = new Map();
+        const errors = [];
+
+        parsed.rows.forEach(({ rowNumber, values }) => {
+            const value = field => (columns[field] !== undefined ? values[columns[field]] : undefined);
+
+            const imo = String(value('imo') || '').trim();
+            const year = parseInt(value('year'), 10);
+            const fuelType = MrvImport.resolveFuelType(value('fuelType'));
+            const mass = CsvImport.parseNumber(value('mass'), delimiter);
+            const categoryText = String(value('category') || '').trim().toLowerCase();
+            const category = categoryText ? MrvImport.CATEGORY_ALIASES[categoryText] : null;
+
+            const rowErrors = [];
+            if (!/^\d{7}$/.test(imo)) rowErrors.push('IMO number must be exactly 7 digits');
+            if (!Number.isInteger(year)) rowErrors.push('reporting period must be a year');
+            if (!fuelType) rowErrors.push(`unknown fuel type "${value('fuelType')}"`);
+            if (!(mass >= 0)) rowErrors.push('fuel consumption must be zero or a positive number of tonnes');
+            if (categoryText && !category) rowErrors.push(`unknown voyage category "${value('category')}"`);
+
+            if (rowErrors.length > 0) {
+                errors.push(`Row ${rowNumber}: ${rowErrors.join(', ')}`);
+                return;
+            }
+
+            const key = `${imo}-${year}`;
+            if (!reports.has(key)) {
+                reports.set(key, {
+                    imo,
+                    year,
+                    name: String(value('name') || '').trim(),
+                    type: MrvImport.resolveShipType(value('shipType')),
+                    shipType: String(value('shipType') || '').trim(),
+                    fuels: {},
+                    categories: {},
+                    voyageCounts: {},
+                    co2: null,
+                    co2AtBerth: null
+                });
+            }
+
+            const report = reports.get(key);
+            const energy = mass * FUEL_CATALOG[fuelType].lcv * 1000000; // MJ
+
+            report.fuels[fuelType] = (report.fuels[fuelType] || 0) + mass;
+            if (category) {
+                report.categories[category] = (report.categories[category] || 0) + energy;
+            }
+
+            const co2 = CsvImport.parseNumber(value('co2'), delimiter);
+            if (co2 >= 0) {
+                report.co2 = (report.co2 || 0) + co2;
+                if (category === 'at-berth') {
+                    report.co2AtBerth = (report.co2AtBerth || 0) + co2;
+                }
+            }
+
+            // The voyage count repeats on each fuel row of a category; count it once per category
+            const voyages = parseInt(value('voyages'), 10);
+            if (Number.isInteger(voyages) && voyages >= 0 && category !== 'at-berth') {
+                report.voyageCounts[category || 'total'] = voyages;
+            }
+        });
+
+        return { reports: [...reports.values()], errors };
+    }
+
+    /**
+     * Vessel-year record for a report, with the source file and import time
+     */
+    static buildYearRecord(report, source) {
+        const voyages = Object.entries(report.categories).map(([category, energy]) => {
+            const definition = MrvImport.CATEGORIES[category];
+            const berth = category === 'at-berth';
+
+            return {
+                departurePort: definition.label,
+                departureType: definition.departureType,
+                arrivalPort: definition.label,
+                arrivalType: definition.arrivalType,
+                energy: berth ? 0 : Number(energy.toFixed(0)),
+                atBerthEnergy: berth ? Number(energy.toFixed(0)) : 0
+            };
+        });
+
+        const record = {
+            fuels: Object.entries(report.fuels)
+                .filter(([, mass]) => mass > 0)
+                .map(([fuelType, mass]) => ({ fuelType, mass: Number(mass.toFixed(3)) })),
+            verificationStatus: 'reported',
+            importSource: {
+                format: 'EU MRV',
+                fileName: source.fileName,
+                importedAt: source.importedAt,
+                importedBy: source.importedBy
+            }
+        };
+
+        if (voyages.length > 0) record.voyages = voyages;
+        if (Object.keys(report.voyageCounts).length > 0) {
+            record.voyageCount = Object.values(report.voyageCounts).reduce((sum, count) => sum + count, 0);
+        }
+        if (report.co2 !== null) {
+            record.mrvEmissions = {
+                co2: Number(report.co2.toFixed(2)),
+                co2AtBerth: report.co2AtBerth !== null ? Number(report.co2AtBerth.toFixed(2)) : null
+            };
+        }
+
+        return record;
+    }
+
+    // Energy in scope and intensity of a vessel record for the year, for the diff
+    summarize(vessel, year) {
+        const data = this.calculator.resolveVesselYear(vessel, year);
+        const inputs = this.calculator.resolveVesselInputs(data, year);
+
+        return {
+            energy: Number((inputs.energy || 0).toFixed(0)),
+            ghgIntensity: typeof inputs.ghgIntensity === 'number' ? Number(inputs.ghgIntensity.toFixed(2)) : null,
+            fuels: (data.fuels || []).map(fuel => `${fuel.fuelType} ${fuel.mass.toLocaleString()} t`).join(', ') || '-',
+            voyages: data.voyages ? data.voyages.length : 0,
+            voyageCount: data.voyageCount ?? null
+        };
+    }
+
+    /**
+     * Diff of each report against the vessel with the same IMO: a new vessel is
+     * created, an existing one gets its year record replaced. Records failing
+     * validation carry their errors and are not applied.
+     */
+    preview(reports, vessels, source) {
+        return reports.map(report => {
+            const record = MrvImport.buildYearRecord(report, source);
+            const existing = vessels.find(vessel => vessel.imo === report.imo) || null;
+            const errors = VesselManager.validateYearData(report.year, record);
+
+            const after = this.summarize(record, report.year);
+            const before = existing ? this.summarize(existing, report.year) : null;
+
+            const changes = ['energy', 'ghgIntensity', 'fuels', 'voyages', 'voyageCount']
+                .filter(field => !before || before[field] !== after[field])
+                .map(field => ({ field, before: before ? before[field] : null, after: after[field] }));
+
+            const warnings = [];
+            if (existing && report.name && existing.name.toLowerCase() !== report.name.toLowerCase()) {
+                warnings.push(`Name in file "${report.name}" differs from "${existing.name}"`);
+            }
+            if (!existing && !report.name) {
+                errors.push('Ship name is required to create a vessel');
+            }
+
+            let action = 'create';
+            if (existing) {
+                action = changes.length > 0 ? 'update' : 'unchanged';
+            }
+
+            return {
+                imo: report.imo,
+                year: report.year,
+                name: existing ? existing.name : report.name,
+                type: report.type,
+                vesselId: existing ? existing.id : null,
+                hasYearRecord: !!(existing && existing.yearlyData && existing.yearlyData[report.year]),
+                action: errors.length > 0 ? 'error' : action,
+                record,
+                changes,
+                warnings,
+                errors
+            };
+        });
+    }
+}
@@ -0,0 +1,439 @@
+import { FUEL_CATALOG } from './data/fuel-catalog.js';
+import VesselManager from './vessel-management.js';
+import VoyageScope from './voyage-scope.js';
+import MrvImport from './mrv-import.js';
+import CsvImport from './csv-import.js';
+import BunkerRegister from './bunker-register.js';
+
+// Daily noon reports, one row per ship and day, e.g.
+//   IMO Number,Date,Status,Port,Port Type,Distance (nm),Hours Steaming,HFO Consumption (t),HFO ROB (t),HFO Bunkered (t)
+// Fuel columns are "<fuel> Consumption", "<fuel> ROB" and "<fuel> Bunkered" for any
+// fuel or grade. Port days name the port and its type; a voyage runs from one port
+// to the next, and fuel used alongside counts as energy at berth of the arrival port.
+export default class NoonReportImport {
+    static HEADERS = {
+        imo: ['imo number', 'imo', 'imo_number'],
+        name: ['name', 'ship name', 'vessel name', 'vessel'],
+        date: ['date', 'report date', 'noon date', 'date (utc)'],
+        status: ['status', 'port/sea', 'sea/port', 'condition'],
+        port: ['port', 'port name', 'current port'],
+        portType: ['port type', 'port_type'],
+        distance: ['distance (nm)', 'distance', 'distance sailed'],
+        hours: ['hours steaming', 'steaming hours', 'hours underway', 'steaming time (h)']
+    };
+
+    static REQUIRED_HEADERS = ['imo', 'date', 'status'];
+
+    // "<fuel> Consumption (t)", "<fuel> ROB", "<fuel> Bunkered [t]", ...
+    static FUEL_COLUMN = /^(.+?)\s+(consumption|cons|rob|bunkered|received)\s*(\(t\)|\[t\]|\(mt\))?$/;
+
+    static FUEL_FIELDS = { consumption: 'consumption', cons: 'consumption', rob: 'rob', bunkered: 'bunkered', received: 'bunkered' };
+
+    // Noon report status onto sea (including anchorage) or port days
+    static STATUS_ALIASES = {
+        'sea': 'sea',
+        'at sea': 'sea',
+        'steaming': 'sea',
+        'sailing': 'sea',
+        'underway': 'sea',
+        'anchor': 'anchor',
+        'at anchor': 'anchor',
+        'anchorage': 'anchor',
+        'drifting': 'anchor',
+        'port': 'port',
+        'in port': 'port',
+        'at berth': 'port',
+        'alongside': 'port'
+    };
+
+    // ROB differences within max(1 t, 1% of the expected ROB) are treated as sounding noise
+    static ROB_TOLERANCE_TONNES = 1;
+    static ROB_TOLERANCE_SHARE = 0.01;
+
+    // A day's report can span more than 24 hours when clocks are retarded
+    static MAX_DAILY_HOURS = 25;
+
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.mrvImport = new MrvImport(calculator);
+    }
+
+    // ISO dates, or day-first dates as written in most noon report templates
+    static parseDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) {
+            return NoonReportImport.formatDate(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+
+        match = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+        if (match) {
+            return NoonReportImport.formatDate(Number(match[3]), Number(match[2]), Number(match[1]));
+        }
+        return null;
+    }
+
+    static formatDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+    }
+
+    /**
+     * Parse the feed into the reports of each ship, in date order. Rows with errors
+     * (including negative figures and repeated dates) are skipped and listed in errors.
+     */
+    parse(text) {
+        const parsed = CsvImport.parse(text);
+        if (parsed.rows.length === 0) {
+            throw new Error('Noon report file must contain a header row and at least one data row');
+        }
+
+        const delimiter = parsed.delimiter;
+        const headers = parsed.headers.map(header => header.toLowerCase());
+
+        const columns = {};
+        Object.entries(NoonReportImport.HEADERS).forEach(([field, aliases]) => {
+            const index = headers.findIndex(header => aliases.includes(header));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        });
+
+        const missing = NoonReportImport.REQUIRED_HEADERS.filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required columns: ${missing.map(field => NoonReportImport.HEADERS[field][0]).join(', ')}`);
+        }
+
+        const fuelColumns = [];
+        headers.forEach((header, index) => {
+            const match = header.match(NoonReportImport.FUEL_COLUMN);
+            if (!match) return;
+
+            const fuelType = BunkerRegister.resolveFuelType(match[1]);
+            if (!fuelType) {
+                throw new Error(`Unknown fuel in column "${header}"`);
+            }
+            fuelColumns.push({ index, fuelType, field: NoonReportImport.FUEL_FIELDS[match[2]] });
+        });
+
+        if (!fuelColumns.some(column => column.field === 'consumption')) {
+            throw new Error('Noon report file must have at least one "<fuel> Consumption" column');
+        }
+
+        const feeds = new Map();
+        const errors = [];
+
+        parsed.rows.forEach(({ rowNumber, values }) => {
+            const value = field => (columns[field] !== undefined ? values[columns[field]] : undefined);
+            const number = text => (String(text || '').trim() === '' ? null : CsvImport.parseNumber(text, delimiter));
+
+            const imo = String(value('imo') || '').trim();
+            const date = NoonReportImport.parseDate(value('date'));
+            const statusText = String(value('status') || '').trim().toLowerCase();
+            const status = NoonReportImport.STATUS_ALIASES[statusText];
+            const port = String(value('port') || '').trim();
+            const portType = String(value('portType') || '').trim().toLowerCase();
+            const distance = number(value('distance'));
+            const hours = number(value('hours'));
+
+            const rowErrors = [];
+            if (!/^\d{7}$/.test(imo)) rowErrors.push('IMO number must be exactly 7 digits');
+            if (!date) rowErrors.push(`invalid date "${value('date')}"`);
+            if (!status) rowErrors.push(`unknown status "${value('status')}"`);
+            if (status === 'port' && !port) rowErrors.push('port is required on port days');
+            if (status === 'port' && !VoyageScope.PORT_TYPES[portType]) {
+                rowErrors.push(`port type must be one of: ${Object.keys(VoyageScope.PORT_TYPES).join(', ')}`);
+            }
+            if (distance !== null && !(distance >= 0)) rowErrors.push('distance must be zero or a positive number of nautical miles');
+            if (hours !== null && !(hours >= 0)) rowErrors.push('hours steaming must be zero or a positive number');
+
+            const consumption = {};
+            const rob = {};
+            const bunkered = {};
+            const targets = { consumption, rob, bunkered };
+            fuelColumns.forEach(column => {
+                const amount = number(values[column.index]);
+                if (amount === null) return;
+
+                if (!(amount >= 0)) {
+                    rowErrors.push(`${column.fuelType} ${column.field} must be zero or a positive number of tonnes`);
+                    return;
+                }
+                const target = targets[column.field];
+                target[column.fuelType] = (target[column.fuelType] || 0) + amount;
+            });
+
+            if (imo && date && feeds.has(imo) && feeds.get(imo).reports.some(report => report.date === date)) {
+                rowErrors.push(`second report for ${date}`);
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(`Row ${rowNumber}: ${rowErrors.join(', ')}`);
+                return;
+            }
+
+            if (!feeds.has(imo)) {
+                feeds.set(imo, { imo, name: String(value('name') || '').trim(), reports: [] });
+            }
+
+            feeds.get(imo).reports.push({
+                rowNumber,
+                date,
+                status,
+                port: status === 'port' ? port : null,
+                portType: status === 'port' ? portType : null,
+                distance: distance || 0,
+                hours: hours || 0,
+                consumption,
+                rob,
+                bunkered
+            });
+        });
+
+        const result = [...feeds.values()];
+        result.forEach(feed => feed.reports.sort((a, b) => a.date.localeCompare(b.date)));
+        return { feeds: result, errors };
+    }
+
+    // Energy (MJ) of the fuel used on a day
+    static getEnergy(consumption) {
+        return Object.entries(consumption).reduce((sum, [fuelType, tonnes]) => sum + tonnes * FUEL_CATALOG[fuelType].lcv * 1000000, 0);
+    }
+
+    /**
+     * Check the sequence of one ship's reports and roll it up into voyages and
+     * annual figures. Anomalies (missing days, ROB jumps, implausible days and
+     * fuel used outside any port-to-port voyage) are returned per year.
+     */
+    analyze(feed) {
+        const years = {};
+        const anomalies = [];
+        const voyages = [];
+
+        const getYear = year => years[year] || (years[year] = {
+            year,
+            firstDate: null,
+            lastDate: null,
+            days: 0,
+            seaDays: 0,
+            portDays: 0,
+            missingDays: 0,
+            distance: 0,
+            hoursSteaming: 0,
+            fuels: {},
+            energy: 0,
+            openEnergy: 0,
+            voyages: []
+        });
+        const flag = (date, message) => anomalies.push({ year: Number(date.slice(0, 4)), date, message });
+        const addTo = (totals, year, amount) => {
+            totals[year] = (totals[year] || 0) + amount;
+        };
+
+        let lastPort = null; // last port of call
+        let alongside = null; // voyage whose arrival port the ship is in
+        let atSea = { energy: {}, distance: 0 }; // since leaving the last port
+
+        feed.reports.forEach((report, index) => {
+            const previous = feed.reports[index - 1];
+            const year = Number(report.date.slice(0, 4));
+            const totals = getYear(year);
+            const energy = NoonReportImport.getEnergy(report.consumption);
+            const tonnes = Object.values(report.consumption).reduce((sum, amount) => sum + amount, 0);
+
+            if (previous) {
+                const gap = NoonReportImport.daysBetween(previous.date, report.date);
+                if (gap > 1) {
+                    totals.missingDays += gap - 1;
+                    flag(report.date, `${gap - 1} day(s) without a noon report since ${previous.date}`);
+                } else {
+                    // ROB continuity: previous ROB less the day's consumption plus any bunkers received
+                    Object.keys(report.rob).forEach(fuelType => {
+                        if (previous.rob[fuelType] === undefined) return;
+
+                        const expected = previous.rob[fuelType] - (report.consumption[fuelType] || 0) + (report.bunkered[fuelType] || 0);
+                        const tolerance = Math.max(NoonReportImport.ROB_TOLERANCE_TONNES, expected * NoonReportImport.ROB_TOLERANCE_SHARE);
+                        if (Math.abs(report.rob[fuelType] - expected) > tolerance) {
+                            flag(report.date, `${fuelType} ROB ${report.rob[fuelType].toLocaleString()} t does not follow from the ${Number(expected.toFixed(2)).toLocaleString()} t expected`);
+                        }
+                    });
+                }
+            }
+
+            if (report.hours > NoonReportImport.MAX_DAILY_HOURS) {
+                flag(report.date, `${report.hours} hours steaming in one day`);
+            }
+            if (report.status === 'sea' && tonnes === 0) {
+                flag(report.date, 'At sea without fuel consumption');
+            }
+
+            totals.firstDate = totals.firstDate || report.date;
+            totals.lastDate = report.date;
+            totals.days++;
+            totals[report.status === 'port' ? 'portDays' : 'seaDays']++;
+            totals.distance += report.distance;
+            totals.hoursSteaming += report.hours;
+            totals.energy += energy;
+            Object.entries(report.consumption).forEach(([fuelType, amount]) => addTo(totals.fuels, fuelType, amount));
+
+            if (report.status !== 'port') {
+                alongside = null;
+                addTo(atSea.energy, year, energy);
+                atSea.distance += report.distance;
+                return;
+            }
+
+            // Arrival at a new port closes the passage from the last port of call
+            if (!alongside || alongside.arrivalPort !== report.port) {
+                if (!lastPort) {
+                    Object.entries(atSea.energy).forEach(([openYear, openEnergy]) => {
+                        if (openEnergy > 0) {
+                            getYear(openYear).openEnergy += openEnergy;
+                            flag(report.date, `${Math.round(openEnergy).toLocaleString()} MJ used before the first port report is not in any voyage`);
+                        }
+                    });
+                }
+
+                alongside = {
+                    departurePort: lastPort ? lastPort.port : report.port,
+                    departureType: lastPort ? lastPort.portType : report.portType,
+                    arrivalPort: report.port,
+                    arrivalType: report.portType,
+                    energy: lastPort ? atSea.energy : {},
+                    atBerthEnergy: {},
+                    distance: lastPort ? atSea.distance : 0
+                };
+                voyages.push(alongside);
+                lastPort = report;
+                atSea = { energy: {}, distance: 0 };
+            }
+
+            addTo(alongside.atBerthEnergy, year, energy);
+        });
+
+        // A passage still under way at the end of the feed has no arrival port yet
+        Object.entries(atSea.energy).forEach(([openYear, openEnergy]) => {
+            if (openEnergy > 0) {
+                getYear(openYear).openEnergy += openEnergy;
+                const lastDate = feed.reports[feed.reports.length - 1].date;
+                flag(lastDate, `${Math.round(openEnergy).toLocaleString()} MJ used after the last port report is not in any voyage`);
+            }
+        });
+
+        // Voyages crossing the new year count their energy in the year it was used
+        voyages.forEach(voyage => {
+            new Set([...Object.keys(voyage.energy), ...Object.keys(voyage.atBerthEnergy)]).forEach(year => {
+                getYear(year).voyages.push({
+                    departurePort: voyage.departurePort,
+                    departureType: voyage.departureType,
+                    arrivalPort: voyage.arrivalPort,
+                    arrivalType: voyage.arrivalType,
+                    energy: Number((voyage.energy[year] || 0).toFixed(0)),
+                    atBerthEnergy: Number((voyage.atBerthEnergy[year] || 0).toFixed(0)),
+                    distance: Number(voyage.distance.toFixed(1))
+                });
+            });
+        });
+
+        return {
+            imo: feed.imo,
+            name: feed.name,
+            years: Object.values(years)
+                .map(totals => ({
+                    ...totals,
+                    year: Number(totals.year),
+                    complete: totals.firstDate === `${totals.year}-01-01` && totals.lastDate === `${totals.year}-12-31` && totals.missingDays === 0,
+                    anomalies: anomalies.filter(anomaly => anomaly.year === Number(totals.year))
+                }))
+                .sort((a, b) => a.year - b.year)
+        };
+    }
+
+    /**
+     * Vessel-year record from the annual roll-up. Only a complete year without
+     * gaps counts as reported; a partial feed is kept as a forecast.
+     */
+    static buildYearRecord(rollup, source) {
+        const record = {
+            fuels: Object.entries(rollup.fuels)
+                .filter(([, mass]) => mass > 0)
+                .map(([fuelType, mass]) => ({ fuelType, mass: Number(mass.toFixed(3)) })),
+            verificationStatus: rollup.complete ? 'reported' : 'forecast',
+            importSource: {
+                format: 'Noon report',
+                fileName: source.fileName,
+                importedAt: source.importedAt,
+                importedBy: source.importedBy
+            },
+            noonReports: {
+                from: rollup.firstDate,
+                to: rollup.lastDate,
+                days: rollup.days,
+                seaDays: rollup.seaDays,
+                portDays: rollup.portDays,
+                missingDays: rollup.missingDays,
+                distance: Number(rollup.distance.toFixed(1)),
+                hoursSteaming: Number(rollup.hoursSteaming.toFixed(1)),
+                energy: Number(rollup.energy.toFixed(0)),
+                openEnergy: Number(rollup.openEnergy.toFixed(0)),
+                anomalies: rollup.anomalies.length
+            }
+        };
+
+        if (rollup.voyages.length > 0) record.voyages = rollup.voyages;
+        return record;
+    }
+
+    /**
+     * Diff of each vessel-year roll-up against the vessel with the same IMO. Noon
+     * reports only update vessels already in the list. Years with anomalies are
+     * listed with them so they can be reviewed before import.
+     */
+    preview(feeds, vessels, source) {
+        return feeds.flatMap(feed => {
+            const analysis = this.analyze(feed);
+            const existing = vessels.find(vessel => vessel.imo === feed.imo) || null;
+
+            return analysis.years.map(rollup => {
+                const record = NoonReportImport.buildYearRecord(rollup, source);
+                const errors = existing ? [] : [`No vessel with IMO ${feed.imo} to update`];
+                errors.push(...VesselManager.validateYearData(rollup.year, record));
+                if (record.fuels.length === 0) {
+                    errors.push('No fuel consumption reported for the year');
+                }
+
+                const after = this.mrvImport.summarize(record, rollup.year);
+                const before = existing ? this.mrvImport.summarize(existing, rollup.year) : null;
+                const changes = ['energy', 'ghgIntensity', 'fuels', 'voyages']
+                    .filter(field => !before || before[field] !== after[field])
+                    .map(field => ({ field, before: before ? before[field] : null, after: after[field] }));
+
+                let action = 'error';
+                if (errors.length === 0) {
+                    action = changes.length > 0 ? 'update' : 'unchanged';
+                }
+
+                return {
+                    imo: feed.imo,
+                    year: rollup.year,
+                    name: existing ? existing.name : feed.name || `IMO ${feed.imo}`,
+                    vesselId: existing ? existing.id : null,
+                    hasYearRecord: !!(existing && existing.yearlyData && existing.yearlyData[rollup.year]),
+                    action,
+                    record,
+                    rollup,
+                    changes,
+                    anomalies: rollup.anomalies,
+                    errors
+                };
+            });
+        });
+    }
+}
@@ -0,0 +1,111 @@
+// Zero-emission at-berth obligation: from the given year container and passenger ships
+// moored at a TEN-T port must connect to onshore power supply (OPS) for their electrical
+// power demand at berth, unless the port call is exempted
+export default class OpsObligation {
+    static EXEMPTIONS = {
+        'zero-emission-technology': 'Zero-emission technology used at berth',
+        'unscheduled-call': 'Unscheduled port call for safety or saving life at sea',
+        'emergency': 'Emergency putting the ship or crew at immediate risk',
+        'ops-unavailable': 'No OPS connection available at the berth',
+        'ops-incompatible': 'OPS at the berth incompatible with the ship',
+        'exceptional-circumstances': 'Exceptional circumstances confirmed by the port'
+    };
+
+    static STATUSES = {
+        'connected': 'OPS used',
+        'exempt': 'Exempt',
+        'short-stay': 'Short stay',
+        'not-covered': 'Not covered',
+        'non-compliant': 'Non-compliant'
+    };
+
+    constructor(profile) {
+        this.fromYear = profile.opsFromYear;
+        this.vesselTypes = profile.opsVesselTypes;
+        this.minBerthHours = profile.opsMinBerthHours;
+        this.penaltyEurPerKWh = profile.opsPenaltyEurPerKWh;
+    }
+
+    appliesTo(vessel, year) {
+        return year >= this.fromYear && this.vesselTypes.includes(vessel.type);
+    }
+
+    static getPortCallYear(portCall) {
+        // Year as written; Date would shift New Year's Day calls back a year west of UTC
+        const match = /^(\d{4})-/.exec(String(portCall.date || ''));
+        return match ? Number(match[1]) : new Date(portCall.date).getFullYear();
+    }
+
+    /**
+     * Obligation status of one port call of a ship covered by the obligation
+     */
+    classifyPortCall(portCall) {
+        if (!portCall.tenT) return 'not-covered';
+        if (portCall.opsUsed) return 'connected';
+        if (portCall.exemption) return 'exempt';
+        if (Number(portCall.berthHours) < this.minBerthHours) return 'short-stay';
+        return 'non-compliant';
+    }
+
+    /**
+     * Port calls of a vessel in the given year with the OPS penalty for the
+     * non-compliant ones: EUR per kWh x electrical power demand at berth (kW) x
+     * time at berth rounded up to the whole hour
+     */
+    evaluate(vessel, year) {
+        const applies = this.appliesTo(vessel, year);
+        const portCalls = (vessel.portCalls || [])
+            .map((portCall, index) => ({ ...portCall, index }))
+            .filter(portCall => OpsObligation.getPortCallYear(portCall) === year);
+
+        const results = portCalls.map(portCall => {
+            const status = applies ? this.classifyPortCall(portCall) : 'not-covered';
+            const powerDemand = Number(portCall.powerDemand) || Number(vessel.berthPowerDemand) || 0;
+            const penalty = status === 'non-compliant'
+                ? this.penaltyEurPerKWh * powerDemand * Math.ceil(Number(portCall.berthHours))
+                : 0;
+
+            return { ...portCall, status, powerDemand, penalty: Number(penalty.toFixed(2)) };
+        });
+
+        const nonCompliant = results.filter(portCall => portCall.status === 'non-compliant');
+
+        return {
+            applies,
+            portCalls: results,
+            totalCalls: results.length,
+            connectedCalls: results.filter(portCall => portCall.status === 'connected').length,
+            exemptCalls: results.filter(portCall => portCall.status === 'exempt' || portCall.status === 'short-stay').length,
+            nonCompliantCalls: nonCompliant.length,
+            nonCompliantHours: Number(nonCompliant.reduce((sum, portCall) => sum + Number(portCall.berthHours), 0).toFixed(1)),
+            missingPowerDemand: nonCompliant.some(portCall => portCall.powerDemand <= 0),
+            penalty: Number(nonCompliant.reduce((sum, portCall) => sum + portCall.penalty, 0).toFixed(2))
+        };
+    }
+
+    static validatePortCall(portCall, label = 'Port call') {
+        const errors = [];
+
+        if (!portCall.port || !portCall.port.trim()) {
+            errors.push(`${label}: port is required`);
+        }
+
+        if (!portCall.date || isNaN(new Date(portCall.date).getTime())) {
+            errors.push(`${label}: a valid arrival date is required`);
+        }
+
+        if (!(Number(portCall.berthHours) >= 0)) {
+            errors.push(`${label}: time at berth must be zero or a positive number of hours`);
+        }
+
+        if (portCall.exemption && !OpsObligation.EXEMPTIONS[portCall.exemption]) {
+            errors.push(`${label}: invalid exemption. Must be one of: ${Object.keys(OpsObligation.EXEMPTIONS).join(', ')}`);
+        }
+
+        if (portCall.powerDemand !== undefined && portCall.powerDemand !== null && !(Number(portCall.powerDemand) >= 0)) {
+            errors.push(`${label}: power demand must be zero or a positive number of kW`);
+        }
+
+        return errors;
+    }
+}
@@ -0,0 +1,65 @@
+export default class PenaltyEngine {
+    constructor(profile) {
+        this.penaltyEurPerTonneVlsfo = profile.penaltyEurPerTonneVlsfo;
+        this.vlsfoEnergyPerTonne = profile.vlsfoEnergyPerTonne;
+        this.escalationRate = profile.penaltyEscalationRate;
+    }
+
+    /**
+     * Escalation factor for the nth consecutive period with a penalty
+     */
+    getEscalationFactor(consecutivePeriods) {
+        return 1 + Math.max(0, consecutivePeriods - 1) * this.escalationRate;
+    }
+
+    /**
+     * Calculate the FuelEU penalty for a compliance balance (tCO2eq)
+     * attained at the given GHG intensity (gCO2e/MJ)
+     */
+    calculatePenalty(complianceBalance, ghgIntensity, previousConsecutiveDeficits = 0) {
+        if (complianceBalance >= 0 || !(ghgIntensity > 0)) {
+            return {
+                vlsfoEquivalentTonnes: 0,
+                basePenalty: 0,
+                consecutiveDeficitPeriods: 0,
+                escalationFactor: 1,
+                penalty: 0
+            };
+        }
+
+        // Convert the deficit into tonnes of VLSFO with the same energy content
+        const deficitGrams = Math.abs(complianceBalance) * 1000000;
+        const vlsfoEquivalentTonnes = deficitGrams / (ghgIntensity * this.vlsfoEnergyPerTonne);
+        const basePenalty = vlsfoEquivalentTonnes * this.penaltyEurPerTonneVlsfo;
+
+        const consecutiveDeficitPeriods = previousConsecutiveDeficits + 1;
+        const escalationFactor = this.getEscalationFactor(consecutiveDeficitPeriods);
+
+        return {
+            vlsfoEquivalentTonnes: Number(vlsfoEquivalentTonnes.toFixed(2)),
+            basePenalty: Number(basePenalty.toFixed(2)),
+            consecutiveDeficitPeriods,
+            escalationFactor: Number(escalationFactor.toFixed(2)),
+            penalty: Number((basePenalty * escalationFactor).toFixed(2))
+        };
+    }
+
+    /**
+     * Combine vessel penalty breakdowns into a pool breakdown
+     */
+    summarizePenalties(breakdowns) {
+        const totals = breakdowns.reduce((sum, breakdown) => ({
+            vlsfoEquivalentTonnes: sum.vlsfoEquivalentTonnes + breakdown.vlsfoEquivalentTonnes,
+            basePenalty: sum.basePenalty + breakdown.basePenalty,
+            penalty: sum.penalty + breakdown.penalty
+        }), { vlsfoEquivalentTonnes: 0, basePenalty: 0, penalty: 0 });
+
+        return {
+            vlsfoEquivalentTonnes: Number(totals.vlsfoEquivalentTonnes.toFixed(2)),
+            basePenalty: Number(totals.basePenalty.toFixed(2)),
+            escalationFactor: totals.basePenalty > 0 ? Number((totals.penalty / totals.basePenalty).toFixed(2)) : 1,
+            penalty: Number(totals.penalty.toFixed(2)),
+            escalatedVessels: breakdowns.filter(breakdown => breakdown.escalationFactor > 1).length
+        };
+    }
+}
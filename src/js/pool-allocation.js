@@ -0,0 +1,187 @@
+// Tolerance (tCO2eq) for rounding when checking that pooling conserves the total balance
+const BALANCE_TOLERANCE = 0.01;
+
+export default class PoolAllocator {
+    static STRATEGIES = {
+        'pro-rata': 'Pro-rata',
+        'largest-deficit-first': 'Largest Deficit First',
+        'manual': 'Manual'
+    };
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Allocate pool surplus to deficit members. vesselResults are the per-vessel
+     * results of calculatePoolCompliance; manualTransfers maps vesselId to the
+     * balance received (+) or given (-) for the manual strategy.
+     */
+    allocate(vesselResults, year, strategy = 'pro-rata', manualTransfers = {}) {
+        if (!PoolAllocator.STRATEGIES[strategy]) {
+            throw new Error(`Unknown allocation strategy: ${strategy}`);
+        }
+
+        const members = vesselResults.map(vessel => ({
+            vesselId: vessel.id,
+            name: vessel.name,
+            owner: vessel.owner,
+            ghgIntensity: vessel.ghgIntensity,
+            complianceBalance: vessel.complianceBalance,
+            transfer: 0
+        }));
+
+        let flows;
+        if (strategy === 'pro-rata') {
+            flows = this.allocateProRata(members);
+        } else if (strategy === 'largest-deficit-first') {
+            flows = this.allocateLargestDeficitFirst(members);
+        } else {
+            flows = this.allocateManual(members, manualTransfers);
+        }
+
+        members.forEach(member => {
+            member.transfer = Number(member.transfer.toFixed(2));
+            member.postPoolingBalance = Number((member.complianceBalance + member.transfer).toFixed(2));
+
+            const previousDeficits = member.vesselId !== undefined
+                ? this.calculator.penaltyHistory.getConsecutiveDeficitYears(member.vesselId, year)
+                : 0;
+            member.penaltyBreakdown = this.calculator.penaltyEngine.calculatePenalty(
+                member.postPoolingBalance, member.ghgIntensity, previousDeficits
+            );
+            member.penalty = member.penaltyBreakdown.penalty;
+        });
+
+        const totalSurplus = members.reduce((sum, m) => sum + Math.max(0, m.complianceBalance), 0);
+        const totalDeficit = members.reduce((sum, m) => sum + Math.max(0, -m.complianceBalance), 0);
+        const transferred = members.reduce((sum, m) => sum + Math.max(0, m.transfer), 0);
+        const violations = PoolAllocator.validate(members);
+
+        return {
+            strategy,
+            year,
+            members,
+            flows: flows.map(flow => ({ ...flow, amount: Number(flow.amount.toFixed(2)) })),
+            totalSurplus: Number(totalSurplus.toFixed(2)),
+            totalDeficit: Number(totalDeficit.toFixed(2)),
+            transferred: Number(transferred.toFixed(2)),
+            poolBalance: Number((totalSurplus - totalDeficit).toFixed(2)),
+            postPoolingPenalty: Number(members.reduce((sum, m) => sum + m.penalty, 0).toFixed(2)),
+            valid: violations.length === 0,
+            violations
+        };
+    }
+
+    // Every deficit member receives the same share of its deficit, funded
+    // by surplus members in proportion to their surplus
+    allocateProRata(members) {
+        const surplusMembers = members.filter(m => m.complianceBalance > 0);
+        const deficitMembers = members.filter(m => m.complianceBalance < 0);
+        const totalSurplus = surplusMembers.reduce((sum, m) => sum + m.complianceBalance, 0);
+        const totalDeficit = deficitMembers.reduce((sum, m) => sum - m.complianceBalance, 0);
+        const transferred = Math.min(totalSurplus, totalDeficit);
+        const flows = [];
+
+        if (transferred <= 0) return flows;
+
+        surplusMembers.forEach(giver => {
+            deficitMembers.forEach(receiver => {
+                const amount = transferred * (giver.complianceBalance / totalSurplus) * (-receiver.complianceBalance / totalDeficit);
+                giver.transfer -= amount;
+                receiver.transfer += amount;
+                flows.push({ from: giver.vesselId, to: receiver.vesselId, amount });
+            });
+        });
+
+        return flows;
+    }
+
+    // Cover the largest deficits completely first, drawing on the largest surpluses first
+    allocateLargestDeficitFirst(members) {
+        const givers = members
+            .filter(m => m.complianceBalance > 0)
+            .sort((a, b) => b.complianceBalance - a.complianceBalance)
+            .map(member => ({ member, available: member.complianceBalance }));
+        const receivers = members
+            .filter(m => m.complianceBalance < 0)
+            .sort((a, b) => a.complianceBalance - b.complianceBalance);
+        const flows = [];
+
+        receivers.forEach(receiver => {
+            let need = -receiver.complianceBalance;
+
+            givers.forEach(giver => {
+                if (need <= 0 || giver.available <= 0) return;
+
+                const amount = Math.min(need, giver.available);
+                giver.available -= amount;
+                giver.member.transfer -= amount;
+                receiver.transfer += amount;
+                need -= amount;
+                flows.push({ from: giver.member.vesselId, to: receiver.vesselId, amount });
+            });
+        });
+
+        return flows;
+    }
+
+    // Apply user-entered transfers; givers are matched to receivers pro-rata
+    allocateManual(members, manualTransfers) {
+        members.forEach(member => {
+            const transfer = Number(manualTransfers[member.vesselId]);
+            member.transfer = isNaN(transfer) ? 0 : transfer;
+        });
+
+        const givers = members.filter(m => m.transfer < 0);
+        const receivers = members.filter(m => m.transfer > 0);
+        const totalGiven = givers.reduce((sum, m) => sum - m.transfer, 0);
+        const totalReceived = receivers.reduce((sum, m) => sum + m.transfer, 0);
+        const flows = [];
+
+        if (totalGiven <= 0 || totalReceived <= 0) return flows;
+
+        givers.forEach(giver => {
+            receivers.forEach(receiver => {
+                flows.push({
+                    from: giver.vesselId,
+                    to: receiver.vesselId,
+                    amount: Math.min(totalGiven, totalReceived) * (-giver.transfer / totalGiven) * (receiver.transfer / totalReceived)
+                });
+            });
+        });
+
+        return flows;
+    }
+
+    /**
+     * Check the pooling rules: the pool balance is not negative, transfers
+     * conserve the total, no deficit ship ends worse off and no surplus ship
+     * ends in deficit
+     */
+    static validate(members) {
+        const violations = [];
+
+        const poolBalance = members.reduce((sum, m) => sum + m.complianceBalance, 0);
+        if (poolBalance < -BALANCE_TOLERANCE) {
+            violations.push(`Pool compliance balance is negative (${poolBalance.toFixed(2)} tCO2eq)`);
+        }
+
+        const netTransfer = members.reduce((sum, m) => sum + m.transfer, 0);
+        if (Math.abs(netTransfer) > BALANCE_TOLERANCE * Math.max(1, members.length)) {
+            violations.push(`Transfers do not balance: ${netTransfer.toFixed(2)} tCO2eq unaccounted for`);
+        }
+
+        members.forEach(member => {
+            if (member.complianceBalance < 0 && member.postPoolingBalance < member.complianceBalance - BALANCE_TOLERANCE) {
+                violations.push(`${member.name}: deficit ship would end with a larger deficit after pooling`);
+            }
+
+            if (member.complianceBalance >= 0 && member.postPoolingBalance < -BALANCE_TOLERANCE) {
+                violations.push(`${member.name}: surplus ship would end with a deficit after pooling`);
+            }
+        });
+
+        return violations;
+    }
+}
@@ -0,0 +1,118 @@
+export default class PoolSettlement {
+    static PRICING_BASES = {
+        'tco2eq': 'EUR per tCO2eq',
+        'vlsfo-tonne': 'EUR per tonne VLSFO-equivalent'
+    };
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Value of a compliance balance transfer (tCO2eq) received by a ship
+     * with the given GHG intensity
+     */
+    getTransferValue(amount, pricing, receiverIntensity) {
+        if (pricing.basis === 'vlsfo-tonne') {
+            // Same conversion as the penalty: tonnes of VLSFO with the energy content of the balance
+            const vlsfoTonnes = (amount * 1000000) / (receiverIntensity * this.calculator.regulationProfile.vlsfoEnergyPerTonne);
+            return vlsfoTonnes * pricing.price;
+        }
+
+        return amount * pricing.price;
+    }
+
+    /**
+     * Compute who owes whom for a pool allocation. Owners of deficit ships pay
+     * owners of the surplus ships that covered them; transfers between ships
+     * of the same owner are internal and not settled.
+     */
+    calculateSettlement(allocation, pricing) {
+        const membersById = new Map(allocation.members.map(member => [member.vesselId, member]));
+        const owners = {};
+        const pairBalances = {};
+
+        const ownerEntry = owner => {
+            if (!owners[owner]) {
+                owners[owner] = { owner, payable: 0, receivable: 0, surrendered: 0, received: 0 };
+            }
+            return owners[owner];
+        };
+
+        const transfers = allocation.flows.map(flow => {
+            const giver = membersById.get(flow.from);
+            const receiver = membersById.get(flow.to);
+            const payer = receiver.owner;
+            const payee = giver.owner;
+            const internal = payer === payee;
+            const value = internal ? 0 : this.getTransferValue(flow.amount, pricing, receiver.ghgIntensity);
+
+            ownerEntry(payee).surrendered += flow.amount;
+            ownerEntry(payer).received += flow.amount;
+
+            if (!internal) {
+                ownerEntry(payer).payable += value;
+                ownerEntry(payee).receivable += value;
+
+                // Keep one running balance per owner pair so mutual debts net out
+                const [first, second] = [payer, payee].sort();
+                const key = `${first}|${second}`;
+                pairBalances[key] = (pairBalances[key] || 0) + (payer === first ? value : -value);
+            }
+
+            return {
+                fromVessel: giver.name,
+                toVessel: receiver.name,
+                payer,
+                payee,
+                amount: flow.amount,
+                value: Number(value.toFixed(2)),
+                internal
+            };
+        });
+
+        const obligations = Object.entries(pairBalances)
+            .filter(([, balance]) => Math.abs(balance) >= 0.01)
+            .map(([key, balance]) => {
+                const [first, second] = key.split('|');
+                return {
+                    payer: balance > 0 ? first : second,
+                    payee: balance > 0 ? second : first,
+                    amount: Number(Math.abs(balance).toFixed(2))
+                };
+            });
+
+        const ownerSummaries = Object.values(owners).map(entry => ({
+            owner: entry.owner,
+            surrendered: Number(entry.surrendered.toFixed(2)),
+            received: Number(entry.received.toFixed(2)),
+            payable: Number(entry.payable.toFixed(2)),
+            receivable: Number(entry.receivable.toFixed(2)),
+            net: Number((entry.receivable - entry.payable).toFixed(2))
+        })).sort((a, b) => b.net - a.net);
+
+        return {
+            year: allocation.year,
+            pricing,
+            transfers,
+            obligations,
+            owners: ownerSummaries,
+            totalValue: Number(transfers.reduce((sum, transfer) => sum + transfer.value, 0).toFixed(2)),
+            allocationValid: allocation.valid
+        };
+    }
+
+    static validatePricing(pricing) {
+        const errors = [];
+
+        if (!(pricing.price >= 0)) {
+            errors.push('Pool price must be zero or a positive number');
+        }
+
+        if (!PoolSettlement.PRICING_BASES[pricing.basis]) {
+            errors.push(`Invalid pricing basis. Must be one of: ${Object.keys(PoolSettlement.PRICING_BASES).join(', ')}`);
+        }
+
+        return errors;
+    }
+}
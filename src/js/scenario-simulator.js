@@ -0,0 +1,128 @@
+import { FUEL_CATALOG, GWP100 } from './data/fuel-catalog.js';
+
+// Pool figures shown side by side for the baseline and a scenario
+const COMPARED_METRICS = [
+    'poolComplianceBalance',
+    'poolComplianceSurplus',
+    'poolComplianceDeficit',
+    'poolAverageIntensity',
+    'poolPotentialPenalty',
+    'compliantVessels',
+    'totalVessels'
+];
+
+export default class ScenarioSimulator {
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Fuel mix of a vessel for the year. A vessel with only a manual energy figure
+     * and intensity gets one custom fuel entry reproducing both, so part of its
+     * energy can be replaced by another fuel.
+     */
+    getFuelMix(vessel, year) {
+        const data = this.calculator.resolveVesselYear(vessel, year);
+        const inputs = this.calculator.resolveVesselInputs(data, year);
+
+        if (inputs.fuelMix && inputs.intensitySource === 'fuel-mix') {
+            return data.fuels.map(fuel => ({ ...fuel }));
+        }
+
+        // VLSFO combustion factors, with the WtT factor chosen to match the reported intensity
+        const vlsfo = FUEL_CATALOG.VLSFO;
+        const ttwPerMJ = (vlsfo.cfCO2 * GWP100.CO2 + vlsfo.cfCH4 * GWP100.CH4 + vlsfo.cfN2O * GWP100.N2O) / vlsfo.lcv;
+        const energy = inputs.fuelMix ? inputs.fuelMix.totalEnergy : data.fuelConsumption;
+
+        return [{
+            fuelType: 'CURRENT',
+            name: 'Current fuel (reported intensity)',
+            category: 'fossil',
+            mass: Number((energy / (vlsfo.lcv * 1000000)).toFixed(3)),
+            lcv: vlsfo.lcv,
+            wtt: Number((inputs.unrewardedIntensity - ttwPerMJ).toFixed(3)),
+            cfCO2: vlsfo.cfCO2,
+            cfCH4: vlsfo.cfCH4,
+            cfN2O: vlsfo.cfN2O
+        }];
+    }
+
+    /**
+     * Replace a share of the vessel's energy with another catalog fuel, keeping the
+     * energy used. A share of 1 switches the vessel to the new fuel entirely.
+     * Returns a modified copy; the vessel passed in is not changed.
+     */
+    blendFuel(vessel, year, fuelType, share) {
+        const defaults = FUEL_CATALOG[fuelType];
+        if (!defaults) {
+            throw new Error(`Unknown fuel type: ${fuelType}`);
+        }
+        if (!(share > 0 && share <= 1)) {
+            throw new Error('Blend share must be between 0 and 100%');
+        }
+
+        const currentFuels = this.getFuelMix(vessel, year);
+        const energy = currentFuels.reduce((sum, fuel) => {
+            const lcv = typeof fuel.lcv === 'number' ? fuel.lcv : FUEL_CATALOG[fuel.fuelType].lcv;
+            return sum + fuel.mass * 1000000 * lcv;
+        }, 0);
+
+        const fuels = [
+            ...currentFuels
+                .map(fuel => ({ ...fuel, mass: Number((fuel.mass * (1 - share)).toFixed(3)) }))
+                .filter(fuel => fuel.mass > 0),
+            { fuelType, mass: Number(((energy * share) / (defaults.lcv * 1000000)).toFixed(3)) }
+        ];
+
+        return this.withFuels(vessel, year, fuels);
+    }
+
+    // Copy of the vessel using the given fuel mix (and its intensity) for the year
+    withFuels(vessel, year, fuels) {
+        const copy = JSON.parse(JSON.stringify(vessel));
+        const record = copy.yearlyData && copy.yearlyData[year];
+        const target = record || copy;
+
+        target.fuels = fuels;
+        target.ghgIntensity = null;
+        return copy;
+    }
+
+    /**
+     * Pool compliance of the baseline (real) vessels and the scenario vessels for
+     * the same year, with the change of each compared figure
+     */
+    compare(baselineVessels, scenarioVessels, year) {
+        const baseline = this.calculator.calculatePoolCompliance(baselineVessels, year);
+        const scenario = this.calculator.calculatePoolCompliance(scenarioVessels, year);
+
+        const metrics = COMPARED_METRICS.map(metric => ({
+            metric,
+            baseline: Number(baseline.summary[metric]),
+            scenario: Number(scenario.summary[metric]),
+            change: Number((scenario.summary[metric] - baseline.summary[metric]).toFixed(2))
+        }));
+
+        const baselineById = new Map(baseline.vessels.map(vessel => [vessel.id, vessel]));
+        const vessels = scenario.vessels.map(vessel => {
+            const before = baselineById.get(vessel.id);
+            return {
+                id: vessel.id,
+                name: vessel.name,
+                hypothetical: !before,
+                baselineIntensity: before ? before.ghgIntensity : null,
+                ghgIntensity: vessel.ghgIntensity,
+                baselineBalance: before ? before.complianceBalance : null,
+                complianceBalance: vessel.complianceBalance,
+                penalty: vessel.potentialPenalty
+            };
+        });
+
+        const scenarioIds = new Set(scenario.vessels.map(vessel => vessel.id));
+        const removed = baseline.vessels
+            .filter(vessel => !scenarioIds.has(vessel.id))
+            .map(vessel => ({ id: vessel.id, name: vessel.name, complianceBalance: vessel.complianceBalance }));
+
+        return { year, baseline, scenario, metrics, vessels, removed };
+    }
+}
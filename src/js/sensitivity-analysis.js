@@ -0,0 +1,77 @@
+// How each vessel moves the pool result, from the per-vessel results of calculatePoolCompliance.
+// The compliance balance is linear in intensity and energy, so the effects are exact.
+export default class SensitivityAnalysis {
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Pooled penalty of a set of vessel results, computed as calculatePoolCompliance does:
+     * the net deficit at the average intensity, with the members' escalation
+     */
+    calculatePoolPenalty(results) {
+        const energy = results.reduce((sum, result) => sum + result.fuelConsumption, 0);
+        if (results.length === 0 || !(energy > 0)) {
+            return 0;
+        }
+
+        const balance = results.reduce((sum, result) => sum + result.complianceBalance, 0);
+        const averageIntensity = results.reduce((sum, result) => sum + result.fuelConsumption * result.ghgIntensity, 0) / energy;
+        const base = this.calculator.penaltyEngine.calculatePenalty(balance, averageIntensity).basePenalty;
+        const escalation = this.calculator.penaltyEngine.summarizePenalties(results.map(result => result.penaltyBreakdown)).escalationFactor;
+
+        return Number((base * (base > 0 ? escalation : 1)).toFixed(2));
+    }
+
+    /**
+     * Per vessel: pool balance change per 1 gCO2e/MJ lower intensity and per 1% less
+     * energy, and the pool balance and penalty without the vessel. Vessels are ranked
+     * by the balance gained per gCO2e/MJ (their in-scope energy).
+     */
+    analyze(compliance) {
+        const summary = compliance.summary;
+        const poolDeficit = Math.max(0, -summary.poolComplianceBalance);
+
+        const vessels = compliance.vessels.map(result => {
+            const intensityImpact = result.fuelConsumption / 1000000; // tCO2eq per gCO2e/MJ
+            const energyImpact = -result.attainedComplianceBalance / 100; // tCO2eq per 1% less energy
+            const others = compliance.vessels.filter(other => other !== result);
+            const balanceWithout = summary.poolComplianceBalance - result.complianceBalance;
+            const penaltyWithout = this.calculatePoolPenalty(others);
+
+            return {
+                vesselId: result.id,
+                name: result.name,
+                owner: result.owner,
+                ghgIntensity: result.ghgIntensity,
+                complianceBalance: result.complianceBalance,
+                energyShare: Number(((result.fuelConsumption / summary.totalEnergyConsumption) * 100).toFixed(1)),
+                intensityImpact: Number(intensityImpact.toFixed(2)),
+                energyImpact: Number(energyImpact.toFixed(2)),
+                // Intensity cut on this vessel alone that closes the pool deficit
+                intensityCutToClose: poolDeficit > 0 && intensityImpact > 0 ? Number((poolDeficit / intensityImpact).toFixed(2)) : 0,
+                removal: {
+                    balanceChange: Number((-result.complianceBalance).toFixed(2)),
+                    poolBalance: Number(balanceWithout.toFixed(2)),
+                    poolCompliant: balanceWithout >= 0,
+                    penalty: penaltyWithout,
+                    penaltyChange: Number((penaltyWithout - summary.poolPotentialPenalty).toFixed(2))
+                }
+            };
+        });
+
+        vessels
+            .sort((a, b) => b.intensityImpact - a.intensityImpact)
+            .forEach((vessel, index) => {
+                vessel.rank = index + 1;
+            });
+
+        return {
+            year: summary.complianceYear,
+            poolComplianceBalance: summary.poolComplianceBalance,
+            poolPenalty: summary.poolPotentialPenalty,
+            poolDeficit: Number(poolDeficit.toFixed(2)),
+            vessels
+        };
+    }
+}
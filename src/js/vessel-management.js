@@ -1,6 +1,10 @@
 import PoolManager from './core/poolManager.js';
 import UserManager from './core/userManager.js';
 import { PermissionManager } from './core/permissions.js';
+import { FUEL_CATALOG, FUEL_CONSUMERS } from './data/fuel-catalog.js';
+import VoyageScope from './voyage-scope.js';
+import OpsObligation from './ops-obligation.js';
+import BunkerRegister from './bunker-register.js';
 
 export default class VesselManager {
     constructor() {
@@ -46,6 +50,10 @@ export default class VesselManager {
                 status: "non-compliant",
                 owner: "user1",
                 pool: "Pool A",
+                yearlyData: {
+                    2025: { fuelConsumption: 14500000, ghgIntensity: 94.25, voyageCount: 9, verificationStatus: "reported" },
+                    2026: { fuelConsumption: 14100000, ghgIntensity: 90.80, voyageCount: 9, verificationStatus: "forecast" }
+                },
                 dateAdded: new Date('2024-01-15').toISOString(),
                 lastUpdated: new Date().toISOString()
             },
@@ -146,15 +154,16 @@ export default class VesselManager {
             throw new Error('You do not have permission to create vessels');
         }
 
-        // NEW: Check if pool is read-only (admin can still add to read-only pools)
-        if (vesselData.pool && this.poolManager.isPoolReadOnly(vesselData.pool)) {
-            if (!currentUser || currentUser.role !== 'admin') {
-                throw new Error(`Cannot add vessels to read-only pool "${vesselData.pool}". Contact your administrator.`);
-            }
+        // Vessels can only join pools whose lifecycle status is open for membership
+        if (vesselData.pool && !this.canChangeMembership(vesselData.pool, currentUser)) {
+            throw new Error(this.permissions.getPoolStatusMessage(vesselData.pool, this.poolManager));
         }
 
         // Enhanced validation with pool and owner requirements
-        const requiredFields = ['name', 'imo', 'type', 'fuelConsumption', 'ghgIntensity'];
+        // Energy and intensity can be derived from a fuel mix or come from year records instead of being entered
+        const requiredFields = VesselManager.hasFuelMix(vesselData) || VesselManager.hasYearlyData(vesselData)
+            ? ['name', 'imo', 'type']
+            : ['name', 'imo', 'type', 'fuelConsumption', 'ghgIntensity'];
 
         // Add pool and owner requirements based on user role
         if (currentUser) {
@@ -214,6 +223,17 @@ export default class VesselManager {
             throw new Error('GHG intensity must be greater than 0');
         }
 
+        const fuelErrors = VesselManager.validateFuels(vesselData.fuels);
+        if (fuelErrors.length > 0) {
+            throw new Error(fuelErrors.join('; '));
+        }
+
+        const yearErrors = Object.entries(vesselData.yearlyData || {})
+            .flatMap(([year, record]) => VesselManager.validateYearData(Number(year), record));
+        if (yearErrors.length > 0) {
+            throw new Error(yearErrors.join('; '));
+        }
+
         const vessel = {
             id: Date.now() + Math.floor(Math.random() * 1000),
             ...vesselData,
@@ -243,7 +263,7 @@ export default class VesselManager {
         const isAdmin = currentUser && currentUser.role === 'admin';
 
         if (isAdmin) {
-            // Admin can always delete, even from read-only pools
+            // Admin can delete any vessel while the pool is open for membership changes
             console.log('Admin deleting vessel:', vessel.name);
         } else {
             // For non-admin users, check permissions
@@ -255,11 +275,10 @@ export default class VesselManager {
             if (!canDelete) {
                 throw new Error('You do not have permission to delete this vessel');
             }
+        }
 
-            // Check if pool is read-only (for non-admin users)
-            if (this.poolManager.isPoolReadOnly(vessel.pool)) {
-                throw new Error(`Cannot delete vessels from read-only pool "${vessel.pool}". Contact your administrator.`);
-            }
+        if (vessel.pool && !this.canChangeMembership(vessel.pool, currentUser)) {
+            throw new Error(this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
         }
 
         const initialLength = this.vessels.length;
@@ -272,6 +291,7 @@ export default class VesselManager {
         }
 
         this.saveToStorage();
+        this.poolManager.removeVesselMemberships(vesselId);
 
         // Update pool vessel count
         if (vesselPool) {
@@ -283,8 +303,18 @@ export default class VesselManager {
     }
 
     // New pool-related methods
-    getVesselsByPool(poolName) {
-        return this.vessels.filter(vessel => vessel.pool === poolName);
+    // With a year, membership recorded for that reporting period takes precedence over vessel.pool
+    getVesselsByPool(poolName, year = null) {
+        if (year === null) {
+            return this.vessels.filter(vessel => vessel.pool === poolName);
+        }
+
+        return this.vessels.filter(vessel => this.getPoolForYear(vessel, year) === poolName);
+    }
+
+    // vessel.pool applies only to periods without a recorded membership; null means no pool
+    getPoolForYear(vessel, year) {
+        return this.poolManager ? this.poolManager.getVesselPool(vessel, year) : vessel.pool;
     }
 
     getVesselsByOwner(ownerId) {
@@ -352,11 +382,9 @@ export default class VesselManager {
             throw new Error('You do not have permission to edit this vessel');
         }
 
-        // NEW: Check if current pool is read-only (admin can still edit in read-only pools)
-        if (this.poolManager.isPoolReadOnly(vessel.pool)) {
-            if (!currentUser || currentUser.role !== 'admin') {
-                throw new Error(`Cannot edit vessels in read-only pool "${vessel.pool}". Contact your administrator.`);
-            }
+        // No data edits once the pool has been submitted to the verifier
+        if (!this.canEditPoolData(vessel.pool, currentUser)) {
+            throw new Error(this.permissions.getPoolStatusMessage(vessel.pool, this.poolManager));
         }
 
         // If pool is being changed, validate new pool
@@ -365,12 +393,12 @@ export default class VesselManager {
                 throw new Error(`Pool "${updates.pool}" does not exist`);
             }
 
-            // NEW: Check if target pool is read-only
-            if (this.poolManager.isPoolReadOnly(updates.pool)) {
-                if (!currentUser || currentUser.role !== 'admin') {
-                    throw new Error(`Cannot move vessels to read-only pool "${updates.pool}". Contact your administrator.`);
+            // Both pools must still be open for membership changes
+            [vessel.pool, updates.pool].forEach(poolName => {
+                if (poolName && !this.canChangeMembership(poolName, currentUser)) {
+                    throw new Error(this.permissions.getPoolStatusMessage(poolName, this.poolManager));
                 }
-            }
+            });
 
             // Check if current user can move vessel to new pool
             if (currentUser && currentUser.role !== 'admin') {
@@ -416,6 +444,50 @@ export default class VesselManager {
             throw new Error('GHG intensity must be greater than 0');
         }
 
+        if (updates.fuels) {
+            const fuelErrors = VesselManager.validateFuels(updates.fuels);
+            if (fuelErrors.length > 0) {
+                throw new Error(fuelErrors.join('; '));
+            }
+        }
+
+        if (updates.voyages) {
+            const voyageErrors = VesselManager.validateVoyages(updates.voyages);
+            if (voyageErrors.length > 0) {
+                throw new Error(voyageErrors.join('; '));
+            }
+        }
+
+        const windErrors = VesselManager.validateWindAssist({ ...vessel, ...updates });
+        if (windErrors.length > 0) {
+            throw new Error(windErrors.join('; '));
+        }
+
+        if (updates.portCalls) {
+            const portCallErrors = VesselManager.validatePortCalls(updates.portCalls);
+            if (portCallErrors.length > 0) {
+                throw new Error(portCallErrors.join('; '));
+            }
+        }
+
+        if (updates.bunkerDeliveries) {
+            const bunkerErrors = VesselManager.validateBunkerDeliveries(updates.bunkerDeliveries);
+            if (bunkerErrors.length > 0) {
+                throw new Error(bunkerErrors.join('; '));
+            }
+        }
+
+        if (updates.uncertainty) {
+            const uncertaintyErrors = VesselManager.validateUncertainty(updates.uncertainty);
+            if (uncertaintyErrors.length > 0) {
+                throw new Error(uncertaintyErrors.join('; '));
+            }
+        }
+
+        if (updates.berthPowerDemand !== undefined && updates.berthPowerDemand !== null && !(updates.berthPowerDemand >= 0)) {
+            throw new Error('Power demand at berth must be zero or a positive number of kW');
+        }
+
         const oldPool = vessel.pool;
 
         // Apply updates
@@ -434,6 +506,199 @@ export default class VesselManager {
         return vessel;
     }
 
+    // Voyage records of the selected year's record when there is one, otherwise of the vessel
+    setVoyages(vesselId, year, voyages, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const errors = VesselManager.validateVoyages(voyages);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        if (vessel.yearlyData && vessel.yearlyData[year]) {
+            return this.setYearData(vesselId, year, { voyages }, currentUser);
+        }
+        return this.updateVessel(vesselId, { voyages }, currentUser);
+    }
+
+    addVoyage(vesselId, year, voyage, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const record = vessel.yearlyData && vessel.yearlyData[year];
+        const voyages = (record ? record.voyages : vessel.voyages) || [];
+
+        return this.setVoyages(vesselId, year, [...voyages, voyage], currentUser);
+    }
+
+    removeVoyage(vesselId, year, voyageIndex, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const record = vessel.yearlyData && vessel.yearlyData[year];
+        const voyages = (record ? record.voyages : vessel.voyages) || [];
+
+        return this.setVoyages(vesselId, year, voyages.filter((voyage, index) => index !== voyageIndex), currentUser);
+    }
+
+    // Installed wind propulsion and main engine power (kW); null clears the installation
+    setWindAssist(vesselId, windPropulsionPower, mainEnginePower, currentUser = null) {
+        return this.updateVessel(vesselId, { windPropulsionPower, mainEnginePower }, currentUser);
+    }
+
+    // Ranges on an estimated year's energy and intensity, kept with the year record when
+    // there is one; null removes them
+    setUncertainty(vesselId, year, uncertainty, currentUser = null) {
+        if (this.getYearData(vesselId, year)) {
+            return this.setYearData(vesselId, year, { uncertainty }, currentUser);
+        }
+
+        return this.updateVessel(vesselId, { uncertainty }, currentUser);
+    }
+
+    // Port call log for the zero-emission at-berth (OPS) obligation, kept across years
+    addPortCall(vesselId, portCall, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        return this.updateVessel(vesselId, { portCalls: [...(vessel.portCalls || []), portCall] }, currentUser);
+    }
+
+    removePortCall(vesselId, portCallIndex, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const portCalls = (vessel.portCalls || []).filter((portCall, index) => index !== portCallIndex);
+        return this.updateVessel(vesselId, { portCalls }, currentUser);
+    }
+
+    // Bunker delivery note register, kept across years like the port call log
+    addBunkerDelivery(vesselId, delivery, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        return this.updateVessel(vesselId, { bunkerDeliveries: [...(vessel.bunkerDeliveries || []), delivery] }, currentUser);
+    }
+
+    removeBunkerDelivery(vesselId, deliveryIndex, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const bunkerDeliveries = (vessel.bunkerDeliveries || []).filter((delivery, index) => index !== deliveryIndex);
+        return this.updateVessel(vesselId, { bunkerDeliveries }, currentUser);
+    }
+
+    // Notes already in the register (same BDN number) are skipped
+    importBunkerDeliveries(vesselId, deliveries, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const existing = vessel.bunkerDeliveries || [];
+        const added = deliveries.filter((delivery, index) =>
+            !existing.some(entry => entry.bdnNumber === delivery.bdnNumber) &&
+            deliveries.findIndex(entry => entry.bdnNumber === delivery.bdnNumber) === index);
+
+        if (added.length > 0) {
+            this.updateVessel(vesselId, { bunkerDeliveries: [...existing, ...added] }, currentUser);
+        }
+
+        return { added: added.length, skipped: deliveries.length - added.length };
+    }
+
+    // Per-reporting-year operational records
+    getYearData(vesselId, year) {
+        const vessel = this.getVessel(vesselId);
+        return vessel && vessel.yearlyData ? vessel.yearlyData[year] || null : null;
+    }
+
+    getReportingYears(vesselId) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel || !vessel.yearlyData) return [];
+
+        return Object.keys(vessel.yearlyData).map(Number).sort((a, b) => a - b);
+    }
+
+    setYearData(vesselId, year, data, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const existing = (vessel.yearlyData && vessel.yearlyData[year]) || {};
+        return this.saveYearRecord(vessel, year, {
+            ...existing,
+            ...data,
+            verificationStatus: data.verificationStatus || existing.verificationStatus || 'forecast'
+        }, currentUser);
+    }
+
+    // Replaces the whole year record, e.g. with one built from an import file, so
+    // no figures of the previous record are left to mix with the new ones
+    replaceYearData(vesselId, year, record, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        return this.saveYearRecord(vessel, year, {
+            ...record,
+            verificationStatus: record.verificationStatus || 'forecast'
+        }, currentUser);
+    }
+
+    saveYearRecord(vessel, year, data, currentUser) {
+        // The year's records follow the status of the pool the vessel was in that year
+        const poolName = this.getPoolForYear(vessel, year);
+        if (!this.canEditPoolData(poolName, currentUser)) {
+            throw new Error(this.permissions.getPoolStatusMessage(poolName, this.poolManager));
+        }
+
+        const record = { ...data, lastUpdated: new Date().toISOString() };
+
+        const errors = VesselManager.validateYearData(year, record);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        // Goes through updateVessel for the permission and pool status checks
+        return this.updateVessel(vessel.id, {
+            yearlyData: { ...(vessel.yearlyData || {}), [year]: record }
+        }, currentUser);
+    }
+
+    removeYearData(vesselId, year, currentUser = null) {
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        if (!vessel.yearlyData || !vessel.yearlyData[year]) {
+            throw new Error(`No ${year} record for vessel "${vessel.name}"`);
+        }
+
+        const yearlyData = { ...vessel.yearlyData };
+        delete yearlyData[year];
+
+        return this.updateVessel(vesselId, { yearlyData }, currentUser);
+    }
+
     // Validate edited vessel
     validateVesselForEdit(vesselId, vesselData) {
         const errors = [];
@@ -455,12 +720,18 @@ export default class VesselManager {
             errors.push(`Invalid vessel type. Must be one of: ${VesselManager.getValidVesselTypes().join(', ')}`);
         }
 
-        if (!vesselData.fuelConsumption || vesselData.fuelConsumption <= 0) {
-            errors.push('FuelEU energy used must be a positive number');
-        }
+        errors.push(...VesselManager.validateWindAssist(vesselData));
+
+        if (VesselManager.hasFuelMix(vesselData)) {
+            errors.push(...VesselManager.validateFuels(vesselData.fuels));
+        } else {
+            if (!vesselData.fuelConsumption || vesselData.fuelConsumption <= 0) {
+                errors.push('FuelEU energy used must be a positive number');
+            }
 
-        if (!vesselData.ghgIntensity || vesselData.ghgIntensity <= 0) {
-            errors.push('GHG intensity must be a positive number');
+            if (!vesselData.ghgIntensity || vesselData.ghgIntensity <= 0) {
+                errors.push('GHG intensity must be a positive number');
+            }
         }
 
         return {
@@ -506,6 +777,7 @@ export default class VesselManager {
             totalFuelConsumption: 0,
             averageGHGIntensity: 0
         };
+        let intensityCount = 0;
 
         vessels.forEach(vessel => {
             // Count by type
@@ -520,24 +792,68 @@ export default class VesselManager {
             // Count by owner
             stats.byOwner[vessel.owner] = (stats.byOwner[vessel.owner] || 0) + 1;
 
-            // Sum fuel consumption
-            stats.totalFuelConsumption += vessel.fuelConsumption;
+            // Vessels with only a fuel mix or year records have no figures of their own
+            if (typeof vessel.fuelConsumption === 'number') {
+                stats.totalFuelConsumption += vessel.fuelConsumption;
+            }
 
             // Sum GHG intensity for average calculation
-            stats.averageGHGIntensity += vessel.ghgIntensity;
+            if (typeof vessel.ghgIntensity === 'number') {
+                stats.averageGHGIntensity += vessel.ghgIntensity;
+                intensityCount++;
+            }
         });
 
         // Calculate average GHG intensity
-        if (vessels.length > 0) {
-            stats.averageGHGIntensity = stats.averageGHGIntensity / vessels.length;
+        if (intensityCount > 0) {
+            stats.averageGHGIntensity = stats.averageGHGIntensity / intensityCount;
         }
 
         return stats;
     }
 
+    // Pool lifecycle checks; without a user only the pool status applies
+    canChangeMembership(poolName, currentUser = null) {
+        return currentUser
+            ? this.permissions.canChangePoolMembership(currentUser, poolName, this.poolManager)
+            : this.poolManager.isMembershipOpen(poolName);
+    }
+
+    canEditPoolData(poolName, currentUser = null) {
+        return currentUser
+            ? this.permissions.canEditPoolData(currentUser, poolName, this.poolManager)
+            : this.poolManager.isDataEditable(poolName);
+    }
+
     // Pool management integration
-    moveVesselToPool(vesselId, newPoolName, currentUser = null) {
-        return this.updateVessel(vesselId, { pool: newPoolName }, currentUser);
+    // With a year, the move applies from that reporting period on: earlier periods
+    // without a recorded membership are pinned to the previous pool
+    moveVesselToPool(vesselId, newPoolName, currentUser = null, year = null) {
+        if (year === null) {
+            return this.updateVessel(vesselId, { pool: newPoolName }, currentUser);
+        }
+
+        const vessel = this.getVessel(vesselId);
+        if (!vessel) {
+            throw new Error('Vessel not found');
+        }
+
+        const existing = this.poolManager.getMembership(vesselId, year);
+        if (existing && existing !== newPoolName) {
+            throw new Error(`"${vessel.name}" is already in pool "${existing}" for ${year}. Remove it from that pool before joining another.`);
+        }
+
+        const previousPool = vessel.pool;
+        const updated = this.updateVessel(vesselId, { pool: newPoolName }, currentUser);
+
+        for (let previousYear = PoolManager.FIRST_REPORTING_YEAR; previousYear < year; previousYear++) {
+            if (previousPool && !this.poolManager.hasMembership(vesselId, previousYear)) {
+                this.poolManager.joinPool(vesselId, previousYear, previousPool);
+            }
+        }
+        this.poolManager.joinPool(vesselId, year, newPoolName);
+
+        return updated;
     }
 
     assignVesselToOwner(vesselId, newOwner, currentUser = null) {
@@ -545,13 +861,13 @@ export default class VesselManager {
     }
 
     // Bulk operations with pool support
-    bulkMoveToPool(vesselIds, poolName, currentUser = null) {
+    bulkMoveToPool(vesselIds, poolName, currentUser = null, year = null) {
         let moved = 0;
         const errors = [];
 
         vesselIds.forEach(id => {
             try {
-                this.moveVesselToPool(id, poolName, currentUser);
+                this.moveVesselToPool(id, poolName, currentUser, year);
                 moved++;
             } catch (error) {
                 errors.push(`Vessel ${id}: ${error.message}`);
@@ -619,7 +935,9 @@ export default class VesselManager {
 
             // Validate each vessel
             const validatedVessels = data.vessels.map((vessel, index) => {
-                const requiredFields = ['name', 'imo', 'type', 'fuelConsumption', 'ghgIntensity'];
+                const requiredFields = VesselManager.hasFuelMix(vessel)
+                    ? ['name', 'imo', 'type']
+                    : ['name', 'imo', 'type', 'fuelConsumption', 'ghgIntensity'];
                 const missingFields = requiredFields.filter(field => !vessel[field]);
 
                 if (missingFields.length > 0) {
@@ -696,9 +1014,197 @@ export default class VesselManager {
         return ['compliant', 'non-compliant', 'pending'];
     }
 
+    // forecast: planned figures, reported: actuals not yet verified, verified: accepted by the verifier
+    static getValidVerificationStatuses() {
+        return ['forecast', 'reported', 'verified'];
+    }
+
+    static hasFuelMix(vesselData) {
+        return Array.isArray(vesselData.fuels) && vesselData.fuels.length > 0;
+    }
+
+    static hasYearlyData(vesselData) {
+        return Boolean(vesselData.yearlyData) && Object.keys(vesselData.yearlyData).length > 0;
+    }
+
+    static hasVoyages(vesselData) {
+        return Array.isArray(vesselData.voyages) && vesselData.voyages.length > 0;
+    }
+
+    // Wind propulsion power needs the main engine power to derive the reward factor
+    static validateWindAssist(vesselData) {
+        const errors = [];
+        const isSet = value => value !== undefined && value !== null;
+
+        if (isSet(vesselData.windPropulsionPower) && !(vesselData.windPropulsionPower >= 0)) {
+            errors.push('Wind propulsion power must be zero or a positive number of kW');
+        }
+
+        if (isSet(vesselData.mainEnginePower) && !(vesselData.mainEnginePower > 0)) {
+            errors.push('Main engine power must be a positive number of kW');
+        }
+
+        if (vesselData.windPropulsionPower > 0 && !isSet(vesselData.mainEnginePower)) {
+            errors.push('Main engine power is required when wind propulsion power is recorded');
+        }
+
+        return errors;
+    }
+
+    // { energy: { min, max }, intensity: { min, max } }, either range optional
+    static validateUncertainty(uncertainty) {
+        const errors = [];
+        const labels = { energy: 'Energy used', intensity: 'GHG intensity' };
+
+        Object.entries(labels).forEach(([field, label]) => {
+            const range = uncertainty[field];
+            if (!range) return;
+
+            if (!(range.min > 0) || !(range.max > 0)) {
+                errors.push(`${label} range must have a positive minimum and maximum`);
+            } else if (range.min > range.max) {
+                errors.push(`${label} minimum cannot be above its maximum`);
+            }
+        });
+
+        return errors;
+    }
+
+    static validatePortCalls(portCalls) {
+        if (!Array.isArray(portCalls)) return ['Port calls must be a list'];
+
+        return portCalls.flatMap((portCall, index) => OpsObligation.validatePortCall(portCall, `Port call ${index + 1}`));
+    }
+
+    static validateBunkerDeliveries(deliveries) {
+        if (!Array.isArray(deliveries)) return ['Bunker deliveries must be a list'];
+
+        const errors = deliveries.flatMap((delivery, index) => BunkerRegister.validateDelivery(delivery, `BDN ${index + 1}`));
+        deliveries.forEach((delivery, index) => {
+            if (delivery.bdnNumber && deliveries.findIndex(entry => entry.bdnNumber === delivery.bdnNumber) < index) {
+                errors.push(`BDN ${index + 1}: BDN number ${delivery.bdnNumber} is already in the register`);
+            }
+        });
+
+        return errors;
+    }
+
+    static validateVoyages(voyages) {
+        if (!voyages) return [];
+        if (!Array.isArray(voyages)) return ['Voyages must be a list'];
+
+        return voyages.flatMap((voyage, index) => VoyageScope.validateVoyage(voyage, `Voyage ${index + 1}`));
+    }
+
+    // Validate fuel mix entries (fuel type, tonnes and emission factors)
+    // Catalog fossil fuels cannot be RFNBOs; custom fuels may be flagged when certified
+    static canBeRfnbo(fuelType) {
+        const fuel = FUEL_CATALOG[fuelType];
+        return !fuel || fuel.category !== 'fossil';
+    }
+
+    static validateFuels(fuels) {
+        const errors = [];
+        if (!fuels) return errors;
+
+        if (!Array.isArray(fuels)) {
+            errors.push('Fuels must be a list');
+            return errors;
+        }
+
+        fuels.forEach((fuel, index) => {
+            const label = `Fuel ${index + 1}${fuel.fuelType ? ` (${fuel.fuelType})` : ''}`;
+
+            if (!fuel.fuelType) {
+                errors.push(`${label}: fuel type is required`);
+            }
+
+            if (!fuel.mass || fuel.mass <= 0) {
+                errors.push(`${label}: quantity must be a positive number of tonnes`);
+            }
+
+            // Custom fuels must bring their own factors
+            if (!FUEL_CATALOG[fuel.fuelType]) {
+                ['lcv', 'wtt', 'cfCO2'].forEach(field => {
+                    if (typeof fuel[field] !== 'number' || isNaN(fuel[field])) {
+                        errors.push(`${label}: ${field} is required for fuels not in the catalog`);
+                    }
+                });
+            }
+
+            // WtT may be negative for some certified bio pathways, the others may not
+            ['lcv', 'cfCO2', 'cfCH4', 'cfN2O'].forEach(field => {
+                if (typeof fuel[field] === 'number' && fuel[field] < 0) {
+                    errors.push(`${label}: ${field} cannot be negative`);
+                }
+            });
+
+            if (fuel.category === 'rfnbo' && !VesselManager.canBeRfnbo(fuel.fuelType)) {
+                errors.push(`${label}: only non-fossil fuels can be certified as RFNBO`);
+            }
+
+            // Only gas fuels have a consumer class with methane slip
+            if (fuel.consumer) {
+                if (!FUEL_CONSUMERS[fuel.consumer]) {
+                    errors.push(`${label}: invalid consumer. Must be one of: ${Object.keys(FUEL_CONSUMERS).join(', ')}`);
+                } else if (FUEL_CATALOG[fuel.fuelType] && !FUEL_CATALOG[fuel.fuelType].methaneSlip) {
+                    errors.push(`${label}: a consumer class only applies to LNG and bio-LNG`);
+                }
+            }
+
+            if (fuel.slip !== undefined && fuel.slip !== null && !(fuel.slip >= 0 && fuel.slip <= 100)) {
+                errors.push(`${label}: methane slip must be between 0 and 100%`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Validate a per-year record (same energy/intensity rules as the vessel itself)
+    static validateYearData(year, record) {
+        const errors = [];
+
+        if (!Number.isInteger(Number(year)) || Number(year) < 2024) {
+            errors.push(`Invalid reporting year: ${year}`);
+        }
+
+        if (VesselManager.hasFuelMix(record)) {
+            errors.push(...VesselManager.validateFuels(record.fuels));
+        } else {
+            // Voyage records provide the energy used instead
+            if (!VesselManager.hasVoyages(record) && (!record.fuelConsumption || record.fuelConsumption <= 0)) {
+                errors.push(`${year}: FuelEU energy used must be a positive number`);
+            }
+
+            if (!record.ghgIntensity || record.ghgIntensity <= 0) {
+                errors.push(`${year}: GHG intensity must be a positive number`);
+            }
+        }
+
+        errors.push(...VesselManager.validateVoyages(record.voyages));
+
+        if (record.uncertainty) {
+            errors.push(...VesselManager.validateUncertainty(record.uncertainty).map(error => `${year}: ${error}`));
+        }
+
+        if (record.voyageCount !== undefined && record.voyageCount !== null &&
+            !(Number.isInteger(record.voyageCount) && record.voyageCount >= 0)) {
+            errors.push(`${year}: number of voyages must be a whole number`);
+        }
+
+        if (!VesselManager.getValidVerificationStatuses().includes(record.verificationStatus)) {
+            errors.push(`${year}: invalid verification status. Must be one of: ${VesselManager.getValidVerificationStatuses().join(', ')}`);
+        }
+
+        return errors;
+    }
+
     // Enhanced validation
-    validateVessel(vesselData, currentUser = null) {
+    // With the existing record of a vessel being updated, owner access to the pool is
+    // only checked when the owner or pool changes, as in updateVessel
+    validateVessel(vesselData, currentUser = null, existing = null) {
         const errors = [];
+        const assignmentChanged = !existing || vesselData.owner !== existing.owner || vesselData.pool !== existing.pool;
 
         if (!vesselData.name || vesselData.name.trim().length === 0) {
             errors.push('Vessel name is required');
@@ -712,12 +1218,18 @@ export default class VesselManager {
             errors.push(`Invalid vessel type. Must be one of: ${VesselManager.getValidVesselTypes().join(', ')}`);
         }
 
-        if (!vesselData.fuelConsumption || vesselData.fuelConsumption <= 0) {
-            errors.push('Fuel consumption must be a positive number');
-        }
+        errors.push(...VesselManager.validateWindAssist(vesselData));
 
-        if (!vesselData.ghgIntensity || vesselData.ghgIntensity <= 0) {
-            errors.push('GHG intensity must be a positive number');
+        if (VesselManager.hasFuelMix(vesselData)) {
+            errors.push(...VesselManager.validateFuels(vesselData.fuels));
+        } else {
+            if (!vesselData.fuelConsumption || vesselData.fuelConsumption <= 0) {
+                errors.push('Fuel consumption must be a positive number');
+            }
+
+            if (!vesselData.ghgIntensity || vesselData.ghgIntensity <= 0) {
+                errors.push('GHG intensity must be a positive number');
+            }
         }
 
         // Pool validation
@@ -734,7 +1246,7 @@ export default class VesselManager {
             const owner = this.userManager.getUser(vesselData.owner);
             if (!owner) {
                 errors.push(`Owner "${vesselData.owner}" does not exist`);
-            } else if (vesselData.pool && !this.userManager.canUserAccessPool(vesselData.owner, vesselData.pool)) {
+            } else if (vesselData.pool && assignmentChanged && !this.userManager.canUserAccessPool(vesselData.owner, vesselData.pool)) {
                 errors.push(`Owner "${vesselData.owner}" doesn't have access to pool "${vesselData.pool}"`);
             }
         }
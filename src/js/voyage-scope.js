@@ -0,0 +1,151 @@
+// Scope of the regulation per voyage: energy on voyages between ports of call in
+// the EU counts in full, voyages into or out of the EU count for the extra-EU share
+// and energy used at berth in an EU port counts in full
+export default class VoyageScope {
+    static PORT_TYPES = {
+        'eu': 'EU port',
+        'outermost': 'EU outermost region port',
+        'non-eu': 'Non-EU port',
+        'transshipment': 'Neighbouring container transshipment port'
+    };
+
+    static CATEGORIES = {
+        'intra-eu': 'Intra-EU',
+        'extra-eu': 'Extra-EU',
+        'outermost': 'Outermost region',
+        'exempt': 'Exempted outermost region',
+        'out-of-scope': 'Out of scope'
+    };
+
+    constructor(profile) {
+        this.extraEUEnergyShare = profile.extraEUEnergyShare;
+        this.outermostExemptionLastYear = profile.outermostExemptionLastYear;
+    }
+
+    static isEUPort(portType) {
+        return portType === 'eu' || portType === 'outermost';
+    }
+
+    /**
+     * Calls at neighbouring container transshipment ports are not ports of call:
+     * a leg touching one takes the port of call before (or after) the stop instead
+     */
+    resolvePortsOfCall(voyages) {
+        return voyages.map((voyage, index) => {
+            let departure = index;
+            while (voyages[departure].departureType === 'transshipment' && departure > 0) {
+                departure--;
+            }
+
+            let arrival = index;
+            while (voyages[arrival].arrivalType === 'transshipment' && arrival < voyages.length - 1) {
+                arrival++;
+            }
+
+            return {
+                departureType: voyages[departure].departureType,
+                arrivalType: voyages[arrival].arrivalType
+            };
+        });
+    }
+
+    /**
+     * Scope category and energy share of a voyage between two ports of call
+     */
+    classifyVoyage(departureType, arrivalType, exempt, year) {
+        const departureEU = VoyageScope.isEUPort(departureType);
+        const arrivalEU = VoyageScope.isEUPort(arrivalType);
+
+        if (!departureEU && !arrivalEU) {
+            return { category: 'out-of-scope', share: 0 };
+        }
+
+        if (!departureEU || !arrivalEU) {
+            return { category: 'extra-eu', share: this.extraEUEnergyShare };
+        }
+
+        if (departureType === 'outermost' || arrivalType === 'outermost') {
+            // Member States may exempt voyages to their outermost regions for a transition period
+            return exempt && year <= this.outermostExemptionLastYear
+                ? { category: 'exempt', share: 0 }
+                : { category: 'outermost', share: 1 };
+        }
+
+        return { category: 'intra-eu', share: 1 };
+    }
+
+    /**
+     * Derive the in-scope energy (MJ) from a vessel's voyage records, in sailing order
+     */
+    calculateScope(voyages, year) {
+        const portsOfCall = this.resolvePortsOfCall(voyages);
+
+        const totals = { totalEnergy: 0, inScopeEnergy: 0, intraEUEnergy: 0, extraEUEnergy: 0, atBerthEnergy: 0 };
+
+        const results = voyages.map((voyage, index) => {
+            const { departureType, arrivalType } = portsOfCall[index];
+            const { category, share } = this.classifyVoyage(departureType, arrivalType, voyage.exempt, year);
+
+            const energy = Number(voyage.energy) || 0;
+            const berthEnergy = Number(voyage.atBerthEnergy) || 0;
+
+            // Energy at berth counts in full at ports of call in the EU
+            const berthInScope = VoyageScope.isEUPort(voyage.arrivalType) ? berthEnergy : 0;
+            const voyageInScope = energy * share;
+
+            totals.totalEnergy += energy + berthEnergy;
+            totals.inScopeEnergy += voyageInScope + berthInScope;
+            totals.atBerthEnergy += berthInScope;
+            if (category === 'extra-eu') {
+                totals.extraEUEnergy += voyageInScope;
+            } else {
+                totals.intraEUEnergy += voyageInScope;
+            }
+
+            return {
+                ...voyage,
+                category,
+                share,
+                inScopeEnergy: Number((voyageInScope + berthInScope).toFixed(0))
+            };
+        });
+
+        return {
+            voyages: results,
+            totalEnergy: Number(totals.totalEnergy.toFixed(0)),
+            inScopeEnergy: Number(totals.inScopeEnergy.toFixed(0)),
+            intraEUEnergy: Number(totals.intraEUEnergy.toFixed(0)),
+            extraEUEnergy: Number(totals.extraEUEnergy.toFixed(0)),
+            atBerthEnergy: Number(totals.atBerthEnergy.toFixed(0)),
+            scopeShare: totals.totalEnergy > 0 ? Number((totals.inScopeEnergy / totals.totalEnergy).toFixed(4)) : 0
+        };
+    }
+
+    static validateVoyage(voyage, label = 'Voyage') {
+        const errors = [];
+
+        if (!voyage.departurePort || !voyage.departurePort.trim()) {
+            errors.push(`${label}: departure port is required`);
+        }
+
+        if (!voyage.arrivalPort || !voyage.arrivalPort.trim()) {
+            errors.push(`${label}: arrival port is required`);
+        }
+
+        ['departureType', 'arrivalType'].forEach(field => {
+            if (!VoyageScope.PORT_TYPES[voyage[field]]) {
+                errors.push(`${label}: invalid ${field}. Must be one of: ${Object.keys(VoyageScope.PORT_TYPES).join(', ')}`);
+            }
+        });
+
+        if (!(Number(voyage.energy) >= 0)) {
+            errors.push(`${label}: energy used must be zero or positive`);
+        }
+
+        if (voyage.atBerthEnergy !== undefined && voyage.atBerthEnergy !== null && !(Number(voyage.atBerthEnergy) >= 0)) {
+            errors.push(`${label}: energy used at berth must be zero or positive`);
+        }
+
+        return errors;
+    }
+}
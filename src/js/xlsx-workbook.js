@@ -0,0 +1,474 @@
+// Excel workbooks (Office Open XML, .xlsx) written and read in the browser. A
+// workbook is a ZIP archive of XML parts; sheets are written uncompressed with
+// inline strings, and archives saved by Excel are inflated with the browser's
+// DecompressionStream. Cells hold strings, numbers or booleans; numbers take one
+// of the FORMATS per column.
+export default class XlsxWorkbook {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    // Number formats by name, with their style index in styles.xml (0 is the default, 1 the header)
+    static FORMATS = {
+        integer: { code: '#,##0', style: 2 },
+        decimal: { code: '#,##0.00', style: 3 },
+        percent: { code: '0.0%', style: 4 },
+        currency: { code: '"€"#,##0.00', style: 5 },
+        date: { code: 'yyyy-mm-dd', style: 6 }
+    };
+
+    static MAX_SHEET_NAME = 31;
+
+    constructor() {
+        this.sheets = [];
+    }
+
+    /**
+     * Add a sheet. columns: [{ header, width, format }] where format is a FORMATS key;
+     * rows: arrays of values in column order, null or undefined for an empty cell.
+     * Sheet names are shortened and made unique as Excel requires.
+     */
+    addSheet(name, columns, rows) {
+        const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, XlsxWorkbook.MAX_SHEET_NAME) || 'Sheet';
+        const taken = new Set(this.sheets.map(sheet => sheet.name.toLowerCase()));
+
+        let sheetName = base;
+        for (let suffix = 2; taken.has(sheetName.toLowerCase()); suffix++) {
+            sheetName = `${base.slice(0, XlsxWorkbook.MAX_SHEET_NAME - String(suffix).length - 1)} ${suffix}`;
+        }
+
+        this.sheets.push({ name: sheetName, columns, rows });
+        return sheetName;
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters other than tab and line breaks are not allowed in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    static unescapeXml(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    // Column letters of a zero-based index: 0 -> A, 26 -> AA
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    static columnIndex(reference) {
+        const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+        return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    // Days since 1899-12-30, the serial date Excel shows with a date format
+    static toSerialDate(date) {
+        const value = date instanceof Date ? date : new Date(date);
+        return (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    static buildCell(value, reference, style) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        const styleAttribute = style ? ` s="${style}"` : '';
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? `<c r="${reference}"${styleAttribute}><v>${value}</v></c>` : '';
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${reference}" t="b"${styleAttribute}><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (value instanceof Date) {
+            return `<c r="${reference}" s="${XlsxWorkbook.FORMATS.date.style}"><v>${XlsxWorkbook.toSerialDate(value)}</v></c>`;
+        }
+
+        const text = XlsxWorkbook.escapeXml(value);
+        const space = text !== text.trim() || /\n/.test(text) ? ' xml:space="preserve"' : '';
+        return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t${space}>${text}</t></is></c>`;
+    }
+
+    // Worksheet part: bold header row frozen at the top, column widths and an autofilter
+    static buildSheetXml(sheet) {
+        const { columns, rows } = sheet;
+        const lastColumn = XlsxWorkbook.columnName(Math.max(columns.length, 1) - 1);
+        const styles = columns.map(column => (column.format ? XlsxWorkbook.FORMATS[column.format].style : 0));
+
+        const headerRow = `<row r="1">${columns.map((column, index) =>
+            XlsxWorkbook.buildCell(column.header, `${XlsxWorkbook.columnName(index)}1`, 1)).join('')}</row>`;
+        const dataRows = rows.map((row, rowIndex) => {
+            const rowNumber = rowIndex + 2;
+            const cells = row.map((value, index) =>
+                XlsxWorkbook.buildCell(value, `${XlsxWorkbook.columnName(index)}${rowNumber}`, styles[index])).join('');
+            return `<row r="${rowNumber}">${cells}</row>`;
+        }).join('');
+
+        const cols = columns.map((column, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${column.width || Math.max(10, String(column.header).length + 2)}" customWidth="1"/>`).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<cols>${cols}</cols>`
+            + `<sheetData>${headerRow}${dataRows}</sheetData>`
+            + (rows.length > 0 ? `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>` : '')
+            + '</worksheet>';
+    }
+
+    static buildStylesXml() {
+        const formats = Object.values(XlsxWorkbook.FORMATS);
+        const numFmts = formats.map((format, index) =>
+            `<numFmt numFmtId="${164 + index}" formatCode="${XlsxWorkbook.escapeXml(format.code)}"/>`).join('');
+        const formatXfs = formats.map((format, index) =>
+            `<xf numFmtId="${164 + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + `<numFmts count="${formats.length}">${numFmts}</numFmts>`
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + `<cellXfs count="${formats.length + 2}">`
+            + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+            + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+            + formatXfs
+            + '</cellXfs>'
+            + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+            + '</styleSheet>';
+    }
+
+    // Parts of the package by path
+    buildParts() {
+        if (this.sheets.length === 0) {
+            throw new Error('Workbook must contain at least one sheet');
+        }
+
+        const sheetOverrides = this.sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+        const sheetEntries = this.sheets.map((sheet, index) =>
+            `<sheet name="${XlsxWorkbook.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+        const sheetRelationships = this.sheets.map((sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+        const stylesId = this.sheets.length + 1;
+
+        const parts = {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheetOverrides
+                + '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets>${sheetEntries}</sheets>`
+                + '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + sheetRelationships
+                + `<Relationship Id="rId${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>',
+            'xl/styles.xml': XlsxWorkbook.buildStylesXml()
+        };
+
+        this.sheets.forEach((sheet, index) => {
+            parts[`xl/worksheets/sheet${index + 1}.xml`] = XlsxWorkbook.buildSheetXml(sheet);
+        });
+
+        return parts;
+    }
+
+    toBytes() {
+        const encoder = new TextEncoder();
+        const files = Object.entries(this.buildParts()).map(([path, xml]) => ({ path, data: encoder.encode(xml) }));
+        return XlsxWorkbook.zip(files);
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: XlsxWorkbook.MIME_TYPE });
+    }
+
+    // ZIP archive helpers
+
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XlsxWorkbook.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * ZIP archive of files stored without compression: [{ path, data: Uint8Array }]
+     */
+    static zip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const crc = XlsxWorkbook.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true); // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            bytes.set(part, position);
+            position += part.length;
+        });
+
+        return bytes;
+    }
+
+    /**
+     * Files of a ZIP archive by path, as Uint8Array. Deflated entries are inflated
+     * with DecompressionStream, so this is asynchronous.
+     */
+    static async unzip(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record is followed by a comment of up to 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('File is not an Excel workbook (no ZIP directory found)');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        const files = {};
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('Workbook archive is damaged');
+            }
+
+            const method = view.getUint16(position + 10, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const path = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files[path] = data;
+            } else if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                files[path] = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`Unsupported compression method ${method} for ${path}`);
+            }
+
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    static parseAttributes(text) {
+        const attributes = {};
+        text.replace(/([\w:]+)\s*=\s*"([^"]*)"/g, (match, name, value) => {
+            attributes[name] = XlsxWorkbook.unescapeXml(value);
+            return match;
+        });
+        return attributes;
+    }
+
+    // Text of the <t> elements of a string item, leaving out phonetic runs
+    static readText(xml) {
+        const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        const runs = [...text.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)];
+        return runs.map(run => XlsxWorkbook.unescapeXml(run[1])).join('');
+    }
+
+    /**
+     * Read a workbook into its sheets in workbook order: [{ name, rows: [{ rowNumber, values }] }].
+     * Strings come back as text, numbers (including dates) as numbers, booleans as
+     * booleans and error cells as their error text. Formulas read as their last
+     * calculated value.
+     */
+    static async read(buffer) {
+        const files = await XlsxWorkbook.unzip(buffer);
+        const decoder = new TextDecoder();
+        const part = path => (files[path] ? decoder.decode(files[path]) : null);
+
+        const workbook = part('xl/workbook.xml');
+        if (!workbook) {
+            throw new Error('File is not an Excel workbook (no xl/workbook.xml)');
+        }
+
+        const relationships = {};
+        [...(part('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b([^>]*)\/?>/g)].forEach(match => {
+            const attributes = XlsxWorkbook.parseAttributes(match[1]);
+            relationships[attributes.Id] = attributes.Target.startsWith('/')
+                ? attributes.Target.slice(1)
+                : `xl/${attributes.Target}`;
+        });
+
+        const sharedStrings = [...(part('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+            .map(match => XlsxWorkbook.readText(match[1]));
+
+        return [...workbook.matchAll(/<sheet\b([^>]*)\/?>/g)].map(match => {
+            const attributes = XlsxWorkbook.parseAttributes(match[1]);
+            const xml = part(relationships[attributes['r:id']]) || '';
+            return { name: attributes.name, rows: XlsxWorkbook.readRows(xml, sharedStrings) };
+        });
+    }
+
+    static readRows(xml, sharedStrings) {
+        const rows = [];
+        let nextRow = 1;
+
+        for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowAttributes = XlsxWorkbook.parseAttributes(rowMatch[1]);
+            const rowNumber = rowAttributes.r ? Number(rowAttributes.r) : nextRow;
+            nextRow = rowNumber + 1;
+
+            const values = [];
+            let nextColumn = 0;
+            for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attributes = XlsxWorkbook.parseAttributes(cellMatch[1]);
+                const column = attributes.r ? XlsxWorkbook.columnIndex(attributes.r) : nextColumn;
+                nextColumn = column + 1;
+
+                const content = cellMatch[2] || '';
+                const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+                const raw = valueMatch ? XlsxWorkbook.unescapeXml(valueMatch[1]) : null;
+
+                let value = null;
+                if (attributes.t === 'inlineStr') {
+                    value = XlsxWorkbook.readText(content);
+                } else if (raw === null) {
+                    value = null;
+                } else if (attributes.t === 's') {
+                    value = sharedStrings[Number(raw)] ?? '';
+                } else if (attributes.t === 'b') {
+                    value = raw === '1';
+                } else if (attributes.t === 'str' || attributes.t === 'e') {
+                    value = raw;
+                } else {
+                    value = Number(raw);
+                }
+
+                values[column] = value;
+            }
+
+            // Sparse rows are filled so every value has a position
+            for (let i = 0; i < values.length; i++) {
+                if (values[i] === undefined) values[i] = null;
+            }
+            rows.push({ rowNumber, values });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Sheet rows in the shape of CsvImport.parse: the first non-empty row as headers,
+     * later rows with their values as text. Empty rows are skipped.
+     */
+    static toTable(sheet) {
+        const toText = value => (value === null || value === undefined ? '' : String(value).trim());
+        const rows = sheet.rows
+            .map(row => ({ rowNumber: row.rowNumber, values: row.values.map(toText) }))
+            .filter(row => row.values.some(value => value !== ''));
+
+        if (rows.length === 0) {
+            throw new Error(`Sheet "${sheet.name}" is empty`);
+        }
+
+        return {
+            delimiter: null,
+            sheetName: sheet.name,
+            headers: rows[0].values,
+            rows: rows.slice(1)
+        };
+    }
+}
@@ -0,0 +1,39 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The calculator's managers persist to localStorage
+globalThis.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+
+const { default: ComplianceCalculator } = await import('../src/js/compliance-calculator.js');
+const { default: ComplianceOptimizer } = await import('../src/js/compliance-optimizer.js');
+const { default: MarketPrices } = await import('../src/js/core/marketPrices.js');
+
+const oilVessel = {
+    id: 1,
+    name: 'Oil Tanker',
+    imo: '9000001',
+    type: 'tanker',
+    fuels: [{ fuelType: 'HFO', mass: 8000 }, { fuelType: 'MGO', mass: 1000 }],
+    windPropulsionPower: 0,
+    mainEnginePower: 10000,
+    owner: 'owner',
+    pool: 'Pool'
+};
+
+test('an oil-only vessel is offered only drop-in oil blends', () => {
+    const optimizer = new ComplianceOptimizer(new ComplianceCalculator());
+    const plan = optimizer.optimize([oilVessel], 2025, MarketPrices.getDefaultPrices());
+
+    assert.deepEqual(plan.vessels[0].blendFuels, ['BIO_DIESEL']);
+    plan.vessels[0].blends.forEach(blend => {
+        assert.ok(!['BIO_LNG', 'E_AMMONIA', 'E_HYDROGEN'].includes(blend.fuelType), `${blend.fuelType} offered`);
+    });
+});
+
+test('a vessel without a fuel mix takes only the chosen fuels', () => {
+    const result = { id: 2, fuelMix: null };
+
+    assert.deepEqual(ComplianceOptimizer.getBlendFuels(result), []);
+    assert.deepEqual(ComplianceOptimizer.getBlendFuels(result, { 2: ['E_AMMONIA', 'HFO'] }), ['E_AMMONIA']);
+});